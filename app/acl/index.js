@@ -3,15 +3,37 @@
 /**
  * Protects Express routes with an access list. The rules are defined in /config/acl.json
  * Documentation: https://github.com/nyambati/express-acl
+ * The resources of the rules are versioned like the routes (see /app/router/versions.js). Unversioned resources (/api/user) apply to every version, versioned ones (/api/v2/user) only to their version. The rules are checked in order, so the versioned rules should precede the unversioned ones
  */
 
+const fs = require('graceful-fs');
+const path = require('path');
 const acl = require('express-acl');
 const h = require('../helpers');
 
+//A resource segment matching any version name (express-acl treats the segments as regular expressions)
+const versionSegment = 'v[0-9]+';
+
+/**
+ * @description makes the unversioned resources of the given rules match every API version
+ * @param {Array} [rules] the content of acl.json
+ * @returns {Array} the rules with /api/<path> resources converted into /api/v[0-9]+/<path>. The versioned resources and the ones outside of /api aren't changed
+ */
+const versionRules = (rules) => {
+    return rules.map((group) => Object.assign({}, group, {
+        permissions: group.permissions.map((permission) => {
+            const segments = permission.resource.split('/');
+            if (segments[1] !== 'api' || /^v\d+$/.test(segments[2] || '') || segments[2] === versionSegment){
+                return permission;
+            }
+            return Object.assign({}, permission, {resource: ['', 'api', versionSegment].concat(segments.slice(2)).join('/')});
+        })
+    }));
+};
+
 acl.config({
     baseUrl: '/',
-    filename: 'acl.json',
-    path: 'config',
+    rules: versionRules(JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../config/acl.json'), 'utf8'))),
     decodedObjectName: 'user',
     roleSearchPath: 'user.role',
     denyCallback: (res) => {
@@ -25,4 +47,38 @@ acl.config({
     message: 'You do not have access to this route'
 });
 
-module.exports = acl;
+/**
+ * @description checks the access to the route of the given request. express-acl matches the rules against req.originalUrl, which stays unversioned if the version was negotiated by a header - the versioned req.url is matched instead
+ * @param {Object} [req] express request object
+ * @param {Object} [res] express response object
+ * @param {Function} [next] express next function
+ */
+const authorize = (req, res, next) => {
+    return acl.authorize(Object.assign(Object.create(req), {originalUrl: req.url}), res, next);
+};
+authorize.unless = acl.authorize.unless;
+
+/**
+ * @description checks the access of the given role to the given route outside of a request. Lets the APIs that don't have their own routes (e.g. /app/graphql) apply the same rules as the equivalent REST routes
+ * @param {String} [role] the role of the user
+ * @param {String} [method] the HTTP method, e.g. GET
+ * @param {String} [path] a versioned path, e.g. /api/v1/user/5e2f...
+ * @returns {Boolean} true if the rules allow the access
+ */
+const isAllowed = ({role, method, path}) => {
+    let allowed = false;
+    //The denied checks respond through the deny callback - the response is discarded
+    const res = {status: () => res, json: () => res, jsonp: () => res};
+    acl.authorize({originalUrl: path, method: method.toUpperCase(), user: {role}}, res, () => {
+        allowed = true;
+    });
+    return allowed;
+};
+
+module.exports = {
+    authorize,
+    isAllowed,
+    __private: { //For tests
+        versionRules
+    }
+};
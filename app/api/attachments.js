@@ -0,0 +1,226 @@
+'use strict';
+
+/**
+ * Stores the files attached to documents in GridFS (the config.api.attachments.bucketName bucket of the mongoose connection). Every file is linked to its owning document by its metadata: {model, document, tenant, uploadedBy}.
+ * The files are received from multipart/form-data streams and sent as download streams, so they're never buffered in memory. Their size and MIME types are limited by config.api.attachments
+ */
+
+const path = require('path');
+const Busboy = require('busboy');
+const bytes = require('bytes');
+const rangeParser = require('range-parser');
+const config = require('../config');
+const mongoose = require('../db').mongo.mongoose;
+const {ApiError} = require('./errors');
+
+//The bucket is created when it's used for the first time, so the connection has been established by then
+let bucket = null;
+
+/**
+ * @description returns the GridFS bucket of the attachments
+ * @returns {Object} a mongo GridFSBucket
+ */
+const getBucket = () => {
+    if (bucket === null){
+        bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {bucketName: config.api.attachments.bucketName});
+    }
+    return bucket;
+};
+
+/**
+ * @description checks if files of the given MIME type can be attached. The allowed types (config.api.attachments.allowedTypes) can end with a wildcard, e.g. image/*
+ * @param {String} [mimeType] the MIME type declared by the client
+ * @returns {Boolean} true if the type is allowed
+ */
+const isAllowedType = (mimeType) => {
+    if (typeof mimeType !== 'string'){
+        return false;
+    }
+    const type = mimeType.split(';')[0].trim().toLowerCase();
+    return config.api.attachments.allowedTypes.some((allowedType) => {
+        return allowedType.endsWith('/*') ? type.startsWith(allowedType.slice(0, -1)) : type === allowedType;
+    });
+};
+
+/**
+ * @description removes the directories and the control characters from the given file name. Some browsers send the full paths of the uploaded files
+ * @param {String} [filename] the file name sent by the client
+ * @returns {String} the stored file name - "file" if nothing is left
+ */
+const sanitizeFilename = (filename) => {
+    const name = path.posix.basename(String(filename || '').replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').trim().slice(0, 255); //eslint-disable-line no-control-regex
+    return name.length > 0 ? name : 'file';
+};
+
+/**
+ * @description converts a GridFS file document into the attachment returned to the clients
+ * @param {Object} [file] a document of the bucket's files collection
+ * @returns {Object} {_id, filename, contentType, size, uploadedAt, uploadedBy}
+ */
+const toAttachment = (file) => {
+    return {
+        _id: file._id,
+        filename: file.filename,
+        contentType: file.contentType || 'application/octet-stream',
+        size: file.length,
+        uploadedAt: file.uploadDate,
+        uploadedBy: file.metadata.uploadedBy
+    };
+};
+
+/**
+ * @description removes the given files and their chunks
+ * @param {Array} [fileIds] the IDs of the GridFS files
+ */
+const remove = async (fileIds) => {
+    for (let fileId of fileIds){
+        await new Promise((resolve, reject) => {
+            getBucket().delete(fileId, (error) => error ? reject(error) : resolve());
+        });
+    }
+};
+
+/**
+ * @description stores the files of the given multipart/form-data stream. The form fields are ignored. Either every file is stored or none of them - the stored ones are removed if any file is rejected
+ * @param {Object} [stream] a readable stream with the request body (e.g. the express request)
+ * @param {Object} [headers] the request headers - the content type contains the boundary of the parts
+ * @param {Object} [metadata] the metadata of the stored files: {model, document, tenant, uploadedBy}
+ * @throws {ApiError} INVALID_UPLOAD (400) if the body isn't multipart/form-data, doesn't contain any files or contains too many of them (config.api.attachments.maxFiles)
+ * @throws {ApiError} FILE_TOO_LARGE (413) if any of the files is larger than config.api.attachments.maxSize
+ * @throws {ApiError} UNSUPPORTED_MEDIA_TYPE (415) if any of the files has a type that isn't allowed (see isAllowedType)
+ * @returns {Array} the GridFS file documents of the stored files
+ */
+const receive = ({stream, headers, metadata}) => {
+    const maxSize = bytes.parse(config.api.attachments.maxSize);
+    return new Promise((resolve, reject) => {
+        let busboy;
+        try{
+            busboy = new Busboy({headers, limits: {fileSize: maxSize, files: config.api.attachments.maxFiles}});
+        } catch (error){
+            return reject(new ApiError(`The files must be sent as multipart/form-data: ${error.message}`, {statusCode: 400, code: 'INVALID_UPLOAD'}));
+        }
+        //The upload streams and the promises of the stored file documents (null for the aborted uploads)
+        const uploadStreams = [];
+        const uploads = [];
+        let failure = null;
+        const fail = (error) => {
+            failure = failure || error;
+        };
+        busboy.on('file', (fieldName, file, filename, encoding, mimeType) => {
+            if (failure !== null){
+                return file.resume();
+            }
+            if (!isAllowedType(mimeType)){
+                fail(new ApiError(`Files of the ${mimeType} type can't be attached. Allowed types: ${config.api.attachments.allowedTypes.join(', ')}`, {statusCode: 415, code: 'UNSUPPORTED_MEDIA_TYPE'}));
+                return file.resume();
+            }
+            const uploadStream = getBucket().openUploadStream(sanitizeFilename(filename), {contentType: mimeType, metadata});
+            uploadStreams.push(uploadStream);
+            uploads.push(new Promise((resolveUpload, rejectUpload) => {
+                //Busboy truncates the files that exceed the limit - the stored chunks are removed
+                file.on('limit', () => {
+                    fail(new ApiError(`Attachments can't be larger than ${config.api.attachments.maxSize}`, {statusCode: 413, code: 'FILE_TOO_LARGE'}));
+                    file.unpipe(uploadStream);
+                    file.resume();
+                    uploadStream.abort(() => resolveUpload(null));
+                });
+                uploadStream.on('error', rejectUpload);
+                uploadStream.on('finish', resolveUpload);
+                file.pipe(uploadStream);
+            }));
+        });
+        busboy.on('filesLimit', () => {
+            fail(new ApiError(`No more than ${config.api.attachments.maxFiles} files can be attached at once`, {statusCode: 400, code: 'INVALID_UPLOAD'}));
+        });
+        //Malformed bodies and disconnected clients don't finish the parsing, so the chunks stored so far are removed
+        const abort = (message) => {
+            uploadStreams.forEach((uploadStream) => uploadStream.abort(() => {}));
+            reject(new ApiError(message, {statusCode: 400, code: 'INVALID_UPLOAD'}));
+        };
+        busboy.on('error', (error) => {
+            abort(`Failed to read the uploaded files: ${error.message}`);
+        });
+        stream.on('aborted', () => {
+            abort('The upload was aborted');
+        });
+        busboy.on('finish', async () => {
+            const files = await Promise.all(uploads.map((upload) => upload.catch((error) => {
+                fail(error);
+                return null;
+            })));
+            const stored = files.filter((file) => file !== null && typeof file === 'object');
+            if (failure === null && stored.length === 0){
+                fail(new ApiError('No files were sent', {statusCode: 400, code: 'INVALID_UPLOAD'}));
+            }
+            if (failure !== null){
+                return remove(stored.map((file) => file._id)).then(() => reject(failure), reject);
+            }
+            resolve(stored);
+        });
+        stream.pipe(busboy);
+    });
+};
+
+/**
+ * @description finds the files attached to the given documents
+ * @param {String} [modelName] full name of the owning documents' model
+ * @param {Array}  [documentIds] the IDs of the owning documents
+ * @param {String} [fileId = null] if defined, only the file with this ID is returned
+ * @returns {Array} the GridFS file documents sorted by their upload dates
+ */
+const find = async ({modelName, documentIds, fileId = null}) => {
+    const filter = {'metadata.model': modelName, 'metadata.document': {$in: documentIds.map(String)}};
+    if (fileId !== null){
+        filter._id = mongoose.Types.ObjectId(fileId);
+    }
+    return await getBucket().find(filter).sort({uploadDate: 1}).toArray();
+};
+
+/**
+ * @description opens a download stream of the given file. Supports single byte ranges (RFC 7233) - malformed Range headers and requests for multiple ranges are answered with the whole file
+ * @param {Object} [file] a GridFS file document
+ * @param {String} [range = null] the Range header of the request
+ * @throws {ApiError} RANGE_NOT_SATISFIABLE (416) if the requested range is outside of the file. The error has the headers property with the Content-Range that should be set on the response
+ * @returns {Object} a readable stream with the statusCode (200 or 206) and headers properties that should be set on the response
+ */
+const openDownload = (file, range = null) => {
+    let start = 0;
+    let end = file.length - 1;
+    let statusCode = 200;
+    const headers = {
+        'Content-Type': file.contentType || 'application/octet-stream',
+        //Only ASCII is allowed in quoted file names - the full name is sent in filename* (RFC 6266)
+        'Content-Disposition': `attachment; filename="${file.filename.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(file.filename)}`,
+        'Accept-Ranges': 'bytes',
+        'Last-Modified': new Date(file.uploadDate).toUTCString()
+    };
+    if (typeof range === 'string'){
+        const ranges = rangeParser(file.length, range, {combine: true});
+        if (ranges === -1){
+            //The client has to learn the current length of the file (RFC 7233)
+            throw Object.assign(new ApiError(`The requested range isn't satisfiable. The file has ${file.length} bytes`, {statusCode: 416, code: 'RANGE_NOT_SATISFIABLE'}), {headers: {'Content-Range': `bytes */${file.length}`}});
+        }
+        if (ranges !== -2 && ranges.type === 'bytes' && ranges.length === 1){
+            start = ranges[0].start;
+            end = ranges[0].end;
+            statusCode = 206;
+            headers['Content-Range'] = `bytes ${start}-${end}/${file.length}`;
+        }
+    }
+    headers['Content-Length'] = String(end - start + 1);
+    //The end option of GridFS is exclusive
+    const stream = getBucket().openDownloadStream(file._id, statusCode === 206 ? {start, end: end + 1} : {});
+    return Object.assign(stream, {statusCode, headers});
+};
+
+module.exports = {
+    receive,
+    find,
+    openDownload,
+    remove,
+    toAttachment,
+    __private: { //For tests
+        isAllowedType,
+        sanitizeFilename
+    }
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Records the mutations performed by the generic API functions in the audit log (see /app/db/mongo/models/log.audit.js).
+ * Every entry contains the actor, the affected document, the action and a field-level diff of the document.
+ * Values of the paths that aren't selected by default (select: false, e.g. passwords) are redacted - the entry only shows that they have changed.
+ * Models can opt out in their schema options: new mongoose.Schema({...}, {api: {audit: false}}). The whole log can be disabled with config.api.audit.enabled
+ * The entries belong to the tenants of the audited documents, so the admins of a tenant can only read the entries of their own tenant
+ */
+
+const dotObj = require('dot-object');
+const h = require('../helpers');
+const logger = require('../logger').appLogger;
+const config = require('../config');
+const mongoDb = require('../db').mongo.models;
+
+const auditModelName = 'log.audit';
+const redactedValue = '[redacted]';
+
+/**
+ * @description checks if the mutations of the given model should be recorded
+ * @param {String} [modelName] full name of the model
+ * @returns {Boolean} true if the audit log is enabled and the model didn't opt out
+ */
+const isEnabled = (modelName) => {
+    const apiOptions = mongoDb[modelName].schema.options.api || {};
+    return config.api.audit.enabled === true && apiOptions.audit !== false;
+};
+
+/**
+ * @description returns the paths of the given model that aren't selected by default (select: false)
+ * @param {String} [modelName] full name of the model
+ * @returns {Array} a list of paths
+ */
+const getHiddenPaths = (modelName) => {
+    const hiddenPaths = [];
+    mongoDb[modelName].schema.eachPath((path, schemaType) => {
+        if (schemaType.options.select === false){
+            hiddenPaths.push(path);
+        }
+    });
+    return hiddenPaths;
+};
+
+/**
+ * @description makes the given query select the hidden paths of the given model along with the default ones
+ * @param {Object} [query] a mongoose query
+ * @param {String} [modelName] full name of the queried model
+ * @returns {Object} the query
+ */
+const selectHidden = (query, modelName) => {
+    const hiddenPaths = getHiddenPaths(modelName);
+    return hiddenPaths.length > 0 ? query.select(hiddenPaths.map((path) => `+${path}`).join(' ')) : query;
+};
+
+/**
+ * @description finds the current state of the given document, including the hidden paths. The snapshots taken before and after a mutation are compared by diff
+ * @param {String} [modelName] full name of the model
+ * @param {String} [id] the ID of the document
+ * @param {Object} [session = null] an optional mongo session in which the document will be read
+ * @returns {Object} a lean document or null if the document doesn't exist or the model isn't audited
+ */
+const snapshot = async ({modelName, id, session = null}) => {
+    if (!isEnabled(modelName)){
+        return null;
+    }
+    return await selectHidden(mongoDb[modelName].findById(id).session(session), modelName).lean();
+};
+
+/**
+ * @description converts the given document into a flat object with dotted paths as keys. ObjectIds and dates are converted to strings
+ * @param {Object} [doc] a document, a lean object or null
+ * @returns {Object} the flattened document
+ */
+const flatten = (doc) => {
+    if (doc === null || doc === undefined){
+        return {};
+    }
+    return dotObj.dot(JSON.parse(JSON.stringify(doc)));
+};
+
+/**
+ * @description compares two states of a document
+ * @param {String} [modelName] full name of the model
+ * @param {Object} [before = null] the state before the mutation (null for added documents)
+ * @param {Object} [after = null] the state after the mutation (null for removed documents)
+ * @returns {Array} a list of changed paths: [{path, before, after}]. Missing values are represented by null
+ */
+const diff = ({modelName, before = null, after = null}) => {
+    const versionKey = mongoDb[modelName].schema.options.versionKey;
+    const hiddenPaths = getHiddenPaths(modelName);
+    const flatBefore = flatten(before);
+    const flatAfter = flatten(after);
+    const paths = Object.keys(flatBefore).concat(Object.keys(flatAfter).filter((path) => flatBefore[path] === undefined));
+    return paths.filter((path) => {
+        //The version changes with every mutation, so it would only add noise
+        return path !== versionKey && JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]);
+    }).map((path) => {
+        const isHidden = hiddenPaths.some((hiddenPath) => path === hiddenPath || path.startsWith(`${hiddenPath}.`) || path.startsWith(`${hiddenPath}[`));
+        const getValue = (value) => {
+            if (value === undefined){
+                return null;
+            }
+            return isHidden ? redactedValue : value;
+        };
+        return {path, before: getValue(flatBefore[path]), after: getValue(flatAfter[path])};
+    });
+};
+
+/**
+ * @description creates an audit log entry (without saving it)
+ * @param {String} [modelName] full name of the mutated model
+ * @param {String} [action] one of: "add", "update", "delete", "restore", "purge", "attach", "detach"
+ * @param {String} [documentId] the ID of the mutated document
+ * @param {Object} [before] the state of the document before the mutation
+ * @param {Object} [after] the state of the document after the mutation
+ * @param {Object} [actor] the user that performed the mutation: {_id, username, role, remoteAddress}
+ * @param {String} [callId] the callId of the API function
+ * @returns {Object} an object that can be passed to the log.audit model's constructor. The entry belongs to the same tenant as the document (see /app/tenancy)
+ */
+const createEntry = ({modelName, action, documentId, before, after, actor, callId}) => {
+    actor = actor || {};
+    const doc = after || before || {};
+    return {
+        tenant: doc.tenant || undefined,
+        actor: actor._id || null,
+        username: actor.username || null,
+        role: actor.role || null,
+        remoteAddress: actor.remoteAddress || null,
+        model: modelName,
+        documentId,
+        action,
+        changes: diff({modelName, before, after}),
+        callId: callId === null || callId === undefined ? null : String(callId)
+    };
+};
+
+/**
+ * @description records a mutation of a single document in the audit log. Never throws - the mutation has already been performed, so failures are only logged
+ * @param {String} [modelName] full name of the mutated model
+ * @param {String} [action] one of: "add", "update", "delete", "restore", "purge", "attach", "detach"
+ * @param {String} [documentId] the ID of the mutated document
+ * @param {Object} [before = null] the state of the document before the mutation (see snapshot)
+ * @param {Object} [after = null] the state of the document after the mutation (see snapshot)
+ * @param {Object} [actor = null] the user that performed the mutation: {_id, username, role, remoteAddress}. Null if it was the application itself
+ * @param {Object} [session = null] an optional mongo session - the entry will be saved in the same transaction as the mutation
+ * @param {String} [callId = null] the callId of the API function
+ * @returns {Object} the saved entry or null if the model isn't audited or something went wrong
+ */
+const record = async ({modelName, action, documentId, before = null, after = null, actor = null, session = null, callId = null}) => {
+    if (!isEnabled(modelName)){
+        return null;
+    }
+    try{
+        const entry = new mongoDb[auditModelName](createEntry({modelName, action, documentId, before, after, actor, callId}));
+        return await entry.save({session});
+    } catch (error){
+        logger.error(`Failed to record the ${action} of a ${modelName} with an id: ${documentId} in the audit log: ${h.optionalStringify(error)}`, {identifier: 'api audit record', meta: {actor}, callId});
+        return null;
+    }
+};
+
+/**
+ * @description records mutations of many documents in the audit log at once. Never throws, like record
+ * @param {String} [modelName] full name of the mutated model
+ * @param {String} [action] one of: "add", "update", "delete", "restore", "purge", "attach", "detach"
+ * @param {Array}  [changes] a list of {documentId, before, after} objects
+ * @param {Object} [actor = null] the user that performed the mutations
+ * @param {Object} [session = null] an optional mongo session - the entries will be saved in the same transaction as the mutations
+ * @param {String} [callId = null] the callId of the API function
+ * @returns {Number} the number of saved entries
+ */
+const recordMany = async ({modelName, action, changes, actor = null, session = null, callId = null}) => {
+    if (!isEnabled(modelName) || changes.length === 0){
+        return 0;
+    }
+    try{
+        const entries = await mongoDb[auditModelName].insertMany(changes.map((change) => {
+            return createEntry({modelName, action, documentId: change.documentId, before: change.before, after: change.after, actor, callId});
+        }), {session});
+        return entries.length;
+    } catch (error){
+        logger.error(`Failed to record the ${action} of ${changes.length} ${modelName}s in the audit log: ${h.optionalStringify(error)}`, {identifier: 'api audit recordMany', meta: {actor}, callId});
+        return 0;
+    }
+};
+
+module.exports = {
+    modelName: auditModelName,
+    isEnabled,
+    selectHidden,
+    snapshot,
+    record,
+    recordMany,
+    __private: { //For tests
+        getHiddenPaths,
+        diff
+    }
+};
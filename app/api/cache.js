@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * A Redis-backed read cache of single documents. Models opt in through their schema options: new mongoose.Schema({...}, {api: {cache: true}})
+ * The entries expire after config.api.cache.ttl seconds (or config.api.cache.modelTtl[<modelName>] if defined) and are removed by generics.update and generics.delete.
+ * The cache lives in Redis (database config.api.cache.redisDb), so a removed entry is gone for all the workers in the cluster.
+ * A single document can be cached in many variants (e.g. the lean document returned by generics.get and the user looked up by the auth module). They're stored in one Redis hash per document, so they're removed together.
+ * Autopopulated references aren't tracked - changes of the referenced documents become visible after the TTL passes.
+ * The cache never throws - if Redis is unavailable, every read is a miss and the documents are read from mongo
+ */
+
+const redis = require('redis').createClient;
+const {promisify} = require('util');
+const config = require('../config');
+const h = require('../helpers');
+const logger = require('../logger').appLogger;
+const mongoDb = require('../db').mongo.models;
+
+//Hit and miss counters of every model since the start of the worker
+const stats = {};
+let client = null;
+let commands = null;
+
+/**
+ * @description creates the Redis client on the first use. Commands fail immediately instead of being queued while the client is disconnected, so reads fall back to mongo without waiting
+ * @returns {Object} the promisified Redis commands
+ */
+const getCommands = () => {
+    if (commands !== null){
+        return commands;
+    }
+    const options = {db: config.api.cache.redisDb, enable_offline_queue: false};
+    //Avoid Redis auth warnings by not appending the auth options if there is no auth
+    if (config.db.redis.auth){
+        options.auth_pass = config.db.redis.password;
+    }
+    client = redis(config.db.redis.port, config.db.redis.host, options);
+    client.on('error', (error) => {
+        logger.error(`Cache connection error: ${h.optionalStringify(error)}`, {identifier: 'api cache'});
+    });
+    commands = {
+        hget: promisify(client.hget).bind(client),
+        hset: promisify(client.hset).bind(client),
+        expire: promisify(client.expire).bind(client),
+        del: promisify(client.del).bind(client)
+    };
+    return commands;
+};
+
+/**
+ * @description checks if the documents of the given model should be cached
+ * @param {String} [modelName] full name of the model
+ * @returns {Boolean} true if the cache is enabled and the model opted in
+ */
+const isEnabled = (modelName) => {
+    const apiOptions = mongoDb[modelName] ? mongoDb[modelName].schema.options.api || {} : {};
+    return config.api.cache.enabled === true && apiOptions.cache === true;
+};
+
+/**
+ * @description returns the time after which the cached documents of the given model expire
+ * @param {String} [modelName] full name of the model
+ * @returns {Number} the TTL in seconds
+ */
+const getTtl = (modelName) => {
+    const modelTtl = config.api.cache.modelTtl || {};
+    return typeof modelTtl[modelName] === 'number' ? modelTtl[modelName] : config.api.cache.ttl;
+};
+
+/**
+ * @description returns the Redis key of the hash that stores every cached variant of the given document
+ * @param {String} [modelName] full name of the model
+ * @param {String} [id] the ID of the document
+ * @returns {String} the key
+ */
+const getKey = (modelName, id) => {
+    return `cache:${modelName}:${id}`;
+};
+
+/**
+ * @description counts a hit or a miss and logs it along with the current counters of the model
+ * @param {String}  [modelName] full name of the model
+ * @param {String}  [id] the ID of the document
+ * @param {String}  [variant] the variant of the document
+ * @param {Boolean} [hit] true for hits, false for misses
+ * @param {String}  [callId = null] the callId of the parent function
+ */
+const count = ({modelName, id, variant, hit, callId = null}) => {
+    stats[modelName] = stats[modelName] || {hits: 0, misses: 0};
+    stats[modelName][hit ? 'hits' : 'misses']++;
+    logger.debug(`Cache ${hit ? 'hit' : 'miss'} for the ${variant} of a ${modelName} with an id: ${id} (hits: ${stats[modelName].hits}, misses: ${stats[modelName].misses})`, {identifier: 'api cache', callId});
+};
+
+/**
+ * @description returns the cached variant of the given document or reads it with the given function and caches the result. Empty results (null, undefined or []) aren't cached
+ * @param {String}   [modelName] full name of the model
+ * @param {String}   [id] the ID of the document
+ * @param {String}   [variant = 'default'] the variant of the document, e.g. "get" or "auth"
+ * @param {Function} [fetch] an async function that reads the document from the database
+ * @param {String}   [callId = null] the callId of the parent function
+ * @returns {*} the cached or fetched document. Cached documents are plain objects (ObjectIds and dates are strings)
+ */
+const wrap = async ({modelName, id, variant = 'default', fetch, callId = null}) => {
+    if (!isEnabled(modelName) || id === null || id === undefined){
+        return await fetch();
+    }
+    const key = getKey(modelName, String(id));
+    try{
+        const cached = await getCommands().hget(key, variant);
+        if (cached !== null){
+            count({modelName, id, variant, hit: true, callId});
+            return JSON.parse(cached);
+        }
+    } catch (error){
+        logger.error(`Failed to read the ${variant} of a ${modelName} with an id: ${id} from the cache: ${h.optionalStringify(error)}`, {identifier: 'api cache', callId});
+    }
+    count({modelName, id, variant, hit: false, callId});
+    const result = await fetch();
+    if (result === null || result === undefined || (result instanceof Array && result.length === 0)){
+        return result;
+    }
+    try{
+        await getCommands().hset(key, variant, JSON.stringify(result));
+        await getCommands().expire(key, getTtl(modelName));
+    } catch (error){
+        logger.error(`Failed to cache the ${variant} of a ${modelName} with an id: ${id}: ${h.optionalStringify(error)}`, {identifier: 'api cache', callId});
+    }
+    return result;
+};
+
+/**
+ * @description removes every cached variant of the given document
+ * @param {String} [modelName] full name of the model
+ * @param {String} [id] the ID of the document
+ * @param {String} [callId = null] the callId of the parent function
+ * @returns {Boolean} false if the model isn't cached or the entry couldn't be removed
+ */
+const invalidate = async ({modelName, id, callId = null}) => {
+    if (!isEnabled(modelName)){
+        return false;
+    }
+    try{
+        await getCommands().del(getKey(modelName, String(id)));
+        logger.debug(`Invalidated the cache of a ${modelName} with an id: ${id}`, {identifier: 'api cache', callId});
+        return true;
+    } catch (error){
+        logger.error(`Failed to invalidate the cache of a ${modelName} with an id: ${id}: ${h.optionalStringify(error)}`, {identifier: 'api cache', callId});
+        return false;
+    }
+};
+
+/**
+ * @description returns the hit and miss counters of every model since the start of the worker
+ * @returns {Object} {<modelName>: {hits, misses}}
+ */
+const getStats = () => {
+    return JSON.parse(JSON.stringify(stats));
+};
+
+/**
+ * @description disconnects the Redis client - it's a cleanup function
+ */
+const destroy = () => {
+    if (client !== null){
+        client.quit();
+        client = null;
+        commands = null;
+    }
+};
+
+module.exports = {
+    isEnabled,
+    wrap,
+    invalidate,
+    getStats,
+    destroy,
+    __private: { //For tests
+        getTtl,
+        getKey,
+        stats
+    }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Errors that can be thrown by the API functions. The router translates them into responses with the corresponding status codes instead of the generic 500
+ */
+
+class ApiError extends Error {
+    /**
+     * @description creates a new API error
+     * @param {String} [message] a human-readable description of the error that will be sent to the client
+     * @param {Number} [statusCode = 500] the HTTP status code that should be used when responding to the client
+     * @param {String} [code = 'API_ERROR'] a stable, machine-readable identifier of the error
+     * @param {Array}  [details = null] an optional list of field-level problems: [{field, rule, message}]
+     */
+    constructor(message, {statusCode = 500, code = 'API_ERROR', details = null} = {}){
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+//Mongoose validator kinds that are named differently than the schema options defining them
+const ruleAliases = {
+    'regexp': 'match',
+    'user defined': 'custom'
+};
+
+/**
+ * @description describes a single failed path of a mongoose validation or cast error
+ * @param {Object} [error] a mongoose ValidatorError or CastError
+ * @returns {Object} {field, rule, message} where rule is the name of the failed schema option (e.g. "required", "match", "enum", "min"), "cast" if the value has a wrong type or "custom" for custom validators
+ */
+const toDetail = (error) => {
+    const rule = error.name === 'CastError' ? 'cast' : (ruleAliases[error.kind] || error.kind);
+    return {field: error.path, rule, message: error.message};
+};
+
+/**
+ * @description finds the fields of the unique index violated by a duplicate key error. Older mongo servers don't send keyValue, so the fields are read from the index name then (e.g. "username_1").
+ * The tenant path (see /app/tenancy) is skipped in compound indexes - the clients don't set it, so they can only change the other fields
+ * @param {Object} [error] a mongo error with the 11000 code
+ * @returns {Array} a list of field names
+ */
+const getDuplicateFields = (error) => {
+    let fields = [];
+    if (typeof error.keyValue === 'object' && error.keyValue !== null){
+        fields = Object.keys(error.keyValue);
+    } else {
+        const match = (/index: (?:\S+\.\$)?(\S+) dup key/).exec(error.errmsg || error.message || '');
+        //Index names alternate the fields with their directions: field1_1_field2_-1
+        fields = match === null ? [] : match[1].split(/_(?:-?1|text|hashed|2d|2dsphere)(?:_|$)/).filter((field) => field.length > 0);
+    }
+    return fields.length > 1 ? fields.filter((field) => field !== 'tenant') : fields;
+};
+
+/**
+ * @description translates the errors thrown by mongoose and the mongo driver while saving or querying documents into API errors:
+ * ValidationError and CastError - VALIDATION_FAILED (422) with one detail per failed path
+ * duplicate key error (11000) - DUPLICATE_KEY (409) with one detail per field of the violated unique index
+ * @param {Error} [error] any error
+ * @returns {Error} the translated ApiError or the given error if it isn't one of the errors above
+ */
+const fromDbError = (error) => {
+    if (error === null || typeof error !== 'object' || error instanceof ApiError){
+        return error;
+    }
+    if (error.name === 'ValidationError' && typeof error.errors === 'object'){
+        const details = Object.keys(error.errors).map((path) => toDetail(error.errors[path]));
+        return new ApiError(`Validation failed: ${details.map((detail) => detail.message).join(', ')}`, {statusCode: 422, code: 'VALIDATION_FAILED', details});
+    }
+    if (error.name === 'CastError'){
+        const detail = toDetail(error);
+        return new ApiError(`Validation failed: ${detail.message}`, {statusCode: 422, code: 'VALIDATION_FAILED', details: [detail]});
+    }
+    if (error.code === 11000){
+        const details = getDuplicateFields(error).map((field) => {
+            return {field, rule: 'unique', message: `The value of ${field} is already used by another document`};
+        });
+        return new ApiError(`Duplicate value${details.length > 0 ? `: ${details.map((detail) => detail.field).join(', ')}` : ''}`, {statusCode: 409, code: 'DUPLICATE_KEY', details});
+    }
+    return error;
+};
+
+module.exports = {
+    ApiError,
+    fromDbError,
+    __private: { //For tests
+        getDuplicateFields
+    }
+};
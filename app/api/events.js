@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Publishes the changes made by the generic API functions, so that other modules can react to them without being called by the API (e.g. the socket layer broadcasts them to the subscribed clients, see /app/socket/changes.js)
+ * Every successful add, update, delete and restore emits a "change" event: {model, action, id, data, timestamp}
+ * Changes made inside a mongo transaction are held back until the transaction is committed (see commit and discard). The same applies to the side effects that can't be rolled back, e.g. removing cache entries or files (see afterCommit)
+ */
+
+const EventEmitter = require('events');
+const h = require('../helpers');
+const logger = require('../logger').appLogger;
+
+const emitter = new EventEmitter();
+//Changes waiting for their transactions to be committed. Keyed by mongo sessions
+const pendingChanges = new WeakMap();
+//Side effects waiting for their transactions to be committed. Keyed by mongo sessions
+const pendingTasks = new WeakMap();
+
+/**
+ * @description creates a change event. The document is converted to a plain object, so that it can be serialized and sent to other workers
+ * @param {String} [modelName] full name of the changed model
+ * @param {String} [action] one of: "add", "update", "delete", "restore"
+ * @param {String} [documentId] the ID of the changed document
+ * @param {Object} [doc = null] the state of the document after the change (or the deleted document)
+ * @returns {Object} {model, action, id, data, timestamp}
+ */
+const createEvent = ({modelName, action, documentId, doc = null}) => {
+    return {
+        model: modelName,
+        action,
+        id: String(documentId),
+        data: doc === null ? null : JSON.parse(JSON.stringify(doc)),
+        timestamp: new Date().toISOString()
+    };
+};
+
+/**
+ * @description emits the given event. Never throws - the change has already been made, so the listeners' failures are only logged
+ * @param {Object} [event] the result of createEvent
+ */
+const emit = (event) => {
+    try{
+        emitter.emit('change', event);
+    } catch (error){
+        logger.error(`A change listener failed for the ${event.action} of a ${event.model} with an id: ${event.id}: ${h.optionalStringify(error)}`, {identifier: 'api events'});
+    }
+};
+
+/**
+ * @description publishes a change of a single document. If the given session has an active transaction, the change is published only after calling commit with the same session
+ * @param {String} [modelName] full name of the changed model
+ * @param {String} [action] one of: "add", "update", "delete", "restore"
+ * @param {String} [documentId] the ID of the changed document
+ * @param {Object} [doc = null] the state of the document after the change (or the deleted document)
+ * @param {Object} [session = null] the mongo session in which the change was made
+ */
+const publish = ({modelName, action, documentId, doc = null, session = null}) => {
+    const event = createEvent({modelName, action, documentId, doc});
+    if (session !== null && session.inTransaction()){
+        pendingChanges.set(session, (pendingChanges.get(session) || []).concat([event]));
+        return;
+    }
+    emit(event);
+};
+
+/**
+ * @description runs the given side effect of a change. If the given session has an active transaction, the task is run only after calling commit with the same session - otherwise a rolled back change could leave e.g. a removed cache entry repopulated with the old state
+ * @param {Function} [task] an async function that doesn't throw (its failures should be logged by itself)
+ * @param {Object}   [session = null] the mongo session in which the change was made
+ * @returns {Promise} the result of the task or undefined if it's held back
+ */
+const afterCommit = async ({task, session = null}) => {
+    if (session !== null && session.inTransaction()){
+        pendingTasks.set(session, (pendingTasks.get(session) || []).concat([task]));
+        return;
+    }
+    return await task();
+};
+
+/**
+ * @description publishes the changes and runs the tasks held back for the given session. Should be called after its transaction has been committed
+ * @param {Object} [session] a mongo session
+ * @returns {Promise} resolved when every task has finished
+ */
+const commit = (session) => {
+    const events = pendingChanges.get(session) || [];
+    const tasks = pendingTasks.get(session) || [];
+    pendingChanges.delete(session);
+    pendingTasks.delete(session);
+    events.forEach(emit);
+    return Promise.all(tasks.map((task) => Promise.resolve().then(task).catch((error) => {
+        logger.error(`A task held back until the commit failed: ${h.optionalStringify(error)}`, {identifier: 'api events'});
+    })));
+};
+
+/**
+ * @description drops the changes and the tasks held back for the given session. Should be called when its transaction is aborted or retried
+ * @param {Object} [session] a mongo session
+ */
+const discard = (session) => {
+    pendingChanges.delete(session);
+    pendingTasks.delete(session);
+};
+
+/**
+ * @description registers a listener of the change events
+ * @param {Function} [listener] a function that receives the event: {model, action, id, data, timestamp}
+ */
+const onChange = (listener) => {
+    emitter.on('change', listener);
+};
+
+/**
+ * @description removes a listener registered by onChange
+ * @param {Function} [listener] the registered function
+ */
+const offChange = (listener) => {
+    emitter.removeListener('change', listener);
+};
+
+module.exports = {
+    publish,
+    afterCommit,
+    commit,
+    discard,
+    onChange,
+    offChange,
+    __private: { //For tests
+        emitter,
+        pendingChanges,
+        pendingTasks
+    }
+};
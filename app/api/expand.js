@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * Sparse fieldsets and relation expansion of the documents returned by generics.get. Supported query-string parameters:
+ *     fields=username,role            a comma-separated list of the returned fields (the ID and the version are always returned)
+ *     expand=tenant                   a comma-separated list of the references that are replaced with the referenced documents
+ *     expand=actor.tenant             nested references are separated with dots (at most config.api.query.maxExpandDepth levels)
+ *     fields=username,tenant.name     the fields of the expanded documents are prefixed with their reference paths
+ * Only the schema paths that reference other models can be expanded:
+ *     tenant: {type: mongoose.Schema.Types.ObjectId, ref: 'data.tenant'}
+ * The referenced documents are read with the same rules as if they were requested directly - their tenant, the get permission and the readable fields of the related model (see relationAccess in expand). References to documents that can't be read are left as IDs
+ */
+
+const dotObj = require('dot-object');
+const config = require('../config');
+const mongoDb = require('../db').mongo.models;
+const fields = require('./fields');
+const {ApiError} = require('./errors');
+
+/**
+ * @description creates an error that will be sent to the client with the 400 status code
+ * @param {String} [message] the error message
+ * @returns {ApiError} the created error
+ */
+const queryError = (message) => {
+    return new ApiError(message, {statusCode: 400, code: 'INVALID_QUERY'});
+};
+
+/**
+ * @description parses a comma-separated list from the query string
+ * @param {*} [value] the raw query-string value
+ * @param {String} [name] the parameter name used in the error message
+ * @throws {ApiError} if the value isn't a string
+ * @returns {Array} the list without empty entries or null if the parameter wasn't defined
+ */
+const parseList = (value, name) => {
+    if (value === undefined){
+        return null;
+    }
+    if (typeof value !== 'string'){
+        throw queryError(`The ${name} parameter must be a comma-separated list of fields`);
+    }
+    return value.split(',').map((entry) => entry.trim()).filter((entry) => entry.length > 0);
+};
+
+/**
+ * @description returns the name of the model referenced by the given path. Both single references and arrays of references are supported
+ * @param {Object} [model] a mongoose model
+ * @param {String} [path] a dotted path
+ * @returns {String} the model name or null if the path isn't a reference
+ */
+const getRef = (model, path) => {
+    const schemaType = model.schema.path(path);
+    if (!schemaType){
+        return null;
+    }
+    const options = schemaType.caster ? schemaType.caster.options : schemaType.options;
+    return options && typeof options.ref === 'string' && mongoDb[options.ref] !== undefined ? options.ref : null;
+};
+
+/**
+ * @description adds the given expand path to the selection tree. The path is split into references from left to right, e.g. "actor.tenant" is the tenant of the actor
+ * @param {Object} [selection] the root of the selection tree
+ * @param {String} [expandPath] a dotted path from the expand parameter
+ * @throws {ApiError} if any part of the path isn't a reference or the path is too deep
+ */
+const addRelation = (selection, expandPath) => {
+    const segments = expandPath.split('.');
+    let node = selection;
+    let depth = 0;
+    let start = 0;
+    while (start < segments.length){
+        let end = start + 1;
+        //Embedded objects can contain dots, so the shortest matching reference is taken
+        while (end <= segments.length && getRef(mongoDb[node.modelName], segments.slice(start, end).join('.')) === null){
+            end++;
+        }
+        if (end > segments.length){
+            throw queryError(`${expandPath} can't be expanded - ${segments.slice(start).join('.')} isn't a reference in ${node.modelName}`);
+        }
+        if (++depth > config.api.query.maxExpandDepth){
+            throw queryError(`${expandPath} can't be expanded - relations can be expanded at most ${config.api.query.maxExpandDepth} levels deep`);
+        }
+        const path = segments.slice(start, end).join('.');
+        if (node.relations[path] === undefined){
+            node.relations[path] = {modelName: getRef(mongoDb[node.modelName], path), fields: null, relations: {}};
+        }
+        node = node.relations[path];
+        start = end;
+    }
+};
+
+/**
+ * @description adds the given field to the node of the selection tree that it belongs to, e.g. "tenant.name" is added to the expanded tenant
+ * @param {Object} [node] a node of the selection tree
+ * @param {String} [field] a dotted path from the fields parameter
+ * @param {String} [requestedField] the original field used in the error message
+ * @throws {ApiError} if the field doesn't exist
+ */
+const addField = (node, field, requestedField) => {
+    const relationPath = Object.keys(node.relations).find((path) => field.startsWith(`${path}.`));
+    if (relationPath !== undefined){
+        //The expanded documents without selected fields contain every readable field
+        if (node.relations[relationPath].fields === null){
+            node.relations[relationPath].fields = [];
+        }
+        return addField(node.relations[relationPath], field.slice(relationPath.length + 1), requestedField);
+    }
+    if (field !== '_id' && mongoDb[node.modelName].schema.pathType(field) === 'adhocOrUndefined'){
+        throw queryError(`Unknown field: ${requestedField}`);
+    }
+    node.fields.push(field);
+};
+
+/**
+ * @description parses the fields and expand query-string parameters into a selection tree
+ * @param {Object} [query] the parsed query string (req.query)
+ * @param {String} [modelName] full name of the requested model
+ * @throws {ApiError} if any of the parameters is wrong
+ * @returns {Object} the root of the tree: {modelName, fields, relations: {<path>: {modelName, fields, relations}}}. Fields are null if they weren't selected
+ */
+const parse = ({query, modelName}) => {
+    const selection = {modelName, fields: null, relations: {}};
+    (parseList(query.expand, 'expand') || []).forEach((expandPath) => addRelation(selection, expandPath));
+    const requestedFields = parseList(query.fields, 'fields');
+    if (requestedFields !== null){
+        selection.fields = [];
+        requestedFields.forEach((field) => addField(selection, field, field));
+    }
+    return selection;
+};
+
+/**
+ * @description replaces the references in the given documents with the referenced documents and removes the fields that weren't selected or can't be read
+ * @param {Array}    [docs] lean documents of the selection's model
+ * @param {Object}   [selection] the result of parse (or one of its nodes)
+ * @param {Array}    [readableFields = null] the fields of the selection's model that can be read (see ./fields.js). If null, every field can be read
+ * @param {String}   [tenant] the tenant to which the referenced documents are constrained (see /app/tenancy): a tenant ID, null or tenancy.unscoped if they aren't constrained
+ * @param {Function} [relationAccess = null] an optional function that receives the name of a related model and returns the rules of reading it: {isAllowed: (doc) => Boolean, readableFields: Array}. If null, every related document and field can be read
+ * @throws {ApiError} FIELD_NOT_READABLE (401) if the selected fields or the expanded references can't be read
+ * @returns {Array} the changed documents
+ */
+const expand = async ({docs, selection, readableFields = null, tenant, relationAccess = null}) => {
+    //The references must be readable, otherwise expanding them would reveal their values
+    fields.checkReadablePaths({paths: Object.keys(selection.relations).concat(selection.fields || []), modelName: selection.modelName, fields: readableFields});
+    for (let path in selection.relations){
+        const relation = selection.relations[path];
+        const access = typeof relationAccess === 'function' ? relationAccess(relation.modelName) : {isAllowed: null, readableFields: null};
+        const ids = [];
+        docs.forEach((doc) => {
+            const value = dotObj.pick(path, doc);
+            (value instanceof Array ? value : [value]).forEach((id) => {
+                if (id !== null && id !== undefined && typeof id.toString === 'function'){
+                    ids.push(id.toString());
+                }
+            });
+        });
+        if (ids.length === 0){
+            continue;
+        }
+        const relatedDocs = (await mongoDb[relation.modelName].find({_id: {$in: ids}}).notDeleted().forTenant(tenant).lean())
+            .filter((doc) => typeof access.isAllowed !== 'function' || access.isAllowed(doc));
+        const expandedDocs = {};
+        (await expand({docs: relatedDocs, selection: relation, readableFields: access.readableFields, tenant, relationAccess})).forEach((doc) => {
+            expandedDocs[doc._id.toString()] = doc;
+        });
+        const replace = (id) => id !== null && id !== undefined && expandedDocs[id.toString()] !== undefined ? expandedDocs[id.toString()] : id;
+        docs.forEach((doc) => {
+            const value = dotObj.pick(path, doc);
+            if (value !== undefined){
+                dotObj.str(path, value instanceof Array ? value.map(replace) : replace(value), doc);
+            }
+        });
+    }
+    //The expanded references are returned even if they weren't selected explicitly
+    const selectedFields = selection.fields === null ? readableFields : selection.fields.concat(Object.keys(selection.relations));
+    return docs.map((doc) => fields.pickReadable({doc, modelName: selection.modelName, fields: selectedFields}));
+};
+
+module.exports = {
+    parse,
+    expand,
+    __private: { //For tests
+        parseList,
+        getRef
+    }
+};
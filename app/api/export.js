@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Converts mongoose query cursors into NDJSON or CSV streams. Documents are converted one by one, so the memory usage doesn't depend on the size of the exported collection.
+ * NDJSON - one JSON document per line
+ * CSV - a header row with the model's paths followed by one row per document. Nested objects and arrays are stored as JSON in a single cell
+ */
+
+const {Transform} = require('stream');
+const dotObj = require('dot-object');
+
+const formats = {
+    ndjson: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        extension: 'ndjson'
+    },
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv'
+    }
+};
+
+/**
+ * @description returns the paths that should be exported as CSV columns - every path of the model's schema except the hidden ones (select: false)
+ * @param {Object} [model] a mongoose model
+ * @returns {Array} a list of (dotted) paths
+ */
+const getColumns = (model) => {
+    const columns = [];
+    model.schema.eachPath((path, schemaType) => {
+        if (schemaType.options.select !== false){
+            columns.push(path);
+        }
+    });
+    return columns;
+};
+
+/**
+ * @description converts a single value into a CSV cell. Quotes the cells that contain separators, quotes or line breaks
+ * @param {*} [value] the value of a document path
+ * @returns {String} the CSV cell
+ */
+const toCsvCell = (value) => {
+    let cell;
+    if (value === null || value === undefined){
+        cell = '';
+    } else if (value instanceof Date){
+        cell = value.toISOString();
+    } else if (typeof value === 'object' && typeof value.toHexString === 'function'){ //ObjectId
+        cell = value.toHexString();
+    } else if (typeof value === 'object'){
+        cell = JSON.stringify(value);
+    } else {
+        cell = String(value);
+    }
+    return (/[",\r\n]/).test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * @description converts the given values into a CSV row
+ * @param {Array} [values] a list of values
+ * @returns {String} the CSV row with a line break at the end
+ */
+const toCsvRow = (values) => {
+    return `${values.map(toCsvCell).join(',')}\r\n`;
+};
+
+/**
+ * @description creates a stream that converts the documents from the given cursor into the given format
+ * @param {Object}   [cursor] a mongoose query cursor (e.g. Model.find({}).lean().cursor())
+ * @param {String}   [format] either "ndjson" or "csv"
+ * @param {Array}    [columns] the paths exported as CSV columns (see getColumns). Ignored in NDJSON
+ * @param {Function} [isAllowed = null] an optional function that receives a document and returns false if it shouldn't be exported (e.g. because of insufficient permissions)
+ * @param {Function} [project = null] an optional function that receives an allowed document and returns its exported version (e.g. without the fields that the user can't read)
+ * @returns {Object} a readable stream. It's destroyed with an error if the cursor fails
+ */
+const createStream = ({cursor, format, columns, isAllowed = null, project = null}) => {
+    let headerSent = false;
+    const stream = new Transform({
+        writableObjectMode: true,
+        transform(doc, encoding, callback){
+            try{
+                let chunk = '';
+                //The header is sent before the first row, so empty exports contain only the header
+                if (format === 'csv' && !headerSent){
+                    chunk += toCsvRow(columns);
+                    headerSent = true;
+                }
+                if (typeof isAllowed !== 'function' || isAllowed(doc)){
+                    doc = typeof project === 'function' ? project(doc) : doc;
+                    chunk += format === 'csv' ? toCsvRow(columns.map((column) => dotObj.pick(column, doc))) : `${JSON.stringify(doc)}\n`;
+                }
+                callback(null, chunk);
+            } catch (error){
+                callback(error);
+            }
+        },
+        flush(callback){
+            callback(null, format === 'csv' && !headerSent ? toCsvRow(columns) : '');
+        }
+    });
+    //Pipes don't forward errors
+    cursor.on('error', (error) => {
+        stream.destroy(error);
+    });
+    //Stop reading from the database if the stream is closed early (e.g. the client has disconnected)
+    stream.on('close', () => {
+        cursor.close().catch(() => {});
+    });
+    return cursor.pipe(stream);
+};
+
+module.exports = {
+    formats,
+    getColumns,
+    createStream,
+    __private: { //For tests
+        toCsvCell,
+        toCsvRow
+    }
+};
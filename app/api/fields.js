@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Field-level permissions of the generic API functions. The lists of readable and writable fields are declared per role, model and action in /config/permissions.json (see permissions.getFields) and passed to the generic functions by the router.
+ * A field covers itself and all of its subpaths, e.g. "profile" covers "profile.name" and "tags" covers "tags[0]".
+ * A null list means that every field is allowed
+ */
+
+const dotObj = require('dot-object');
+const mongoDb = require('../db').mongo.models;
+const {ApiError} = require('./errors');
+
+/**
+ * @description checks if the given (dotted) path is covered by any of the given fields
+ * @param {String} [path] a dotted path, e.g. "profile.name" or "tags[0]"
+ * @param {Array}  [fields] a list of fields
+ * @returns {Boolean} true if the path or one of its parents is on the list
+ */
+const isCovered = (path, fields) => {
+    return fields.some((field) => path === field || path.startsWith(`${field}.`) || path.startsWith(`${field}[`));
+};
+
+/**
+ * @description returns the fields of the given model that are always readable, so the documents can still be identified and versioned (see api.getDocumentVersion)
+ * @param {String} [modelName] full name of the model
+ * @returns {Array} the ID and the version key (if the model has one)
+ */
+const getAlwaysReadable = (modelName) => {
+    const versionKey = mongoDb[modelName].schema.options.versionKey;
+    return versionKey ? ['_id', versionKey] : ['_id'];
+};
+
+/**
+ * @description removes the fields that can't be read from the given document
+ * @param {Object} [doc] a document or a lean object
+ * @param {String} [modelName] full name of the model
+ * @param {Array}  [fields = null] the readable fields. If null, the document is returned as it is
+ * @param {Array}  [extraFields = []] additional properties that should be kept, e.g. the score of the search results
+ * @returns {Object} a plain object with the readable fields
+ */
+const pickReadable = ({doc, modelName, fields = null, extraFields = []}) => {
+    if (fields === null || doc === null || typeof doc !== 'object'){
+        return doc;
+    }
+    const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    const picked = {};
+    getAlwaysReadable(modelName).concat(fields, extraFields).forEach((field) => {
+        const value = dotObj.pick(field, source);
+        if (value !== undefined){
+            dotObj.str(field, value, picked);
+        }
+    });
+    return picked;
+};
+
+/**
+ * @description makes sure that the given paths are covered by the given fields
+ * @param {Array}  [paths] a list of dotted paths
+ * @param {Array}  [fields] the allowed fields. If null, every path is allowed
+ * @param {String} [rule] either "readable" or "writable"
+ * @throws {ApiError} FIELD_NOT_READABLE or FIELD_NOT_WRITABLE (401) with one detail per rejected field
+ */
+const checkPaths = (paths, fields, rule) => {
+    if (fields === null){
+        return;
+    }
+    const rejected = paths.filter((path) => !isCovered(path, fields));
+    if (rejected.length > 0){
+        const verb = rule === 'readable' ? 'read' : 'change';
+        const details = rejected.map((field) => {
+            return {field, rule, message: `You don't have sufficient permissions to ${verb} ${field}`};
+        });
+        throw new ApiError(`You don't have sufficient permissions to ${verb}: ${rejected.join(', ')}`, {statusCode: 401, code: `FIELD_NOT_${rule.toUpperCase()}`, details});
+    }
+};
+
+/**
+ * @description makes sure that the given paths can be read
+ * @param {Array}  [paths] a list of dotted paths, e.g. the fields selected in the query string (see ./expand.js)
+ * @param {String} [modelName] full name of the model
+ * @param {Array}  [fields = null] the readable fields. If null, every field can be read
+ * @throws {ApiError} FIELD_NOT_READABLE (401) with one detail per rejected field
+ */
+const checkReadablePaths = ({paths, modelName, fields = null}) => {
+    checkPaths(paths, fields === null ? null : getAlwaysReadable(modelName).concat(fields), 'readable');
+};
+
+/**
+ * @description makes sure that the given paths can be written
+ * @param {Array} [paths] a list of dotted paths, e.g. the paths changed by an update (see ./operators.js)
+ * @param {Array} [fields = null] the writable fields. If null, every field can be written
+ * @throws {ApiError} FIELD_NOT_WRITABLE (401) with one detail per rejected field
+ */
+const checkWritablePaths = ({paths, fields = null}) => {
+    checkPaths(paths, fields, 'writable');
+};
+
+/**
+ * @description makes sure that the given input object doesn't contain fields that can't be written
+ * @param {Object} [inputObj] the input object of generics.add (either nested or dotted)
+ * @param {Array}  [fields = null] the writable fields. If null, every field can be written
+ * @throws {ApiError} FIELD_NOT_WRITABLE (401) with one detail per rejected field
+ */
+const checkWritable = ({inputObj, fields = null}) => {
+    checkWritablePaths({paths: Object.keys(dotObj.dot(inputObj)), fields});
+};
+
+module.exports = {
+    isCovered,
+    pickReadable,
+    checkReadablePaths,
+    checkWritablePaths,
+    checkWritable
+};
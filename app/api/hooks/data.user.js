@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Lifecycle hooks of the data.user model (see ./index.js)
+ */
+
+const h = require('../../helpers');
+const tenancy = require('../../tenancy');
+const {ApiError} = require('../errors');
+
+/**
+ * @description makes sure that the password in the given user data is stored as a hash. Removes the password if it's empty
+ * @param {Object} [inputObj] the user data
+ * @returns {Object} a copy of the user data with the hashed password
+ */
+const hashPassword = (inputObj) => {
+    inputObj = Object.assign({}, inputObj);
+    if (typeof inputObj.password === 'string' && inputObj.password.length > 0){
+        inputObj.password = h.generateHash({password: inputObj.password});
+    } else {
+        delete inputObj.password;
+    }
+    return inputObj;
+};
+
+/**
+ * @description makes sure that only super-admins can give the super-admin role to users - otherwise the admins of tenants could escape their tenant (see /app/tenancy)
+ * @param {Object} [args] the arguments of generics.add or generics.update
+ * @throws {ApiError} if the actor isn't a super-admin. Calls made outside of the router (without the actor) aren't checked
+ */
+const checkSuperAdminRole = (args) => {
+    if (args.actor && tenancy.isSuperAdmin(args.inputObj) && !tenancy.isSuperAdmin(args.actor)){
+        throw new ApiError('You don\'t have sufficient permissions to perform this action', {statusCode: 401});
+    }
+};
+
+module.exports = {
+    before: {
+        add: async ({args}) => {
+            if (typeof args.inputObj === 'object' && args.inputObj !== null){
+                checkSuperAdminRole(args);
+                args.inputObj = hashPassword(args.inputObj);
+            }
+            return args;
+        },
+        update: async ({args}) => {
+            if (typeof args.inputObj === 'object' && args.inputObj !== null){
+                checkSuperAdminRole(args);
+                args.inputObj = hashPassword(args.inputObj);
+            }
+            return args;
+        }
+    }
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * A registry of per-model lifecycle hooks that are run by the generic API functions (see generics in /app/api/index.js).
+ * Scans the current directory and loads all hook files. File names should be the same as model names, e.g. data.user.js. Every file exports:
+ *     {
+ *         before: {
+ *             <add|update|delete|get>: async ({modelName, action, args}) => args
+ *         },
+ *         after: {
+ *             <add|update|delete|get>: async ({modelName, action, args, result}) => result
+ *         }
+ *     }
+ * Before-hooks receive the arguments of the generic function (e.g. {id, inputObj, actor} for update) and return them - possibly transformed. They can abort the operation by throwing an ApiError (see ../errors.js).
+ * After-hooks receive the same arguments along with the result of the operation and return the result - possibly reshaped. They can also trigger side effects.
+ * Every action can have a single hook or an array of hooks which are run in order. If a hook returns undefined, the previous value is kept
+ * The get hooks are also run by the text search (generics.search). Its arguments contain query.q and its result is a page: {docs, paging}
+ */
+
+//Using graceful-fs to limit the amount of open file descriptors
+const fs = require('graceful-fs');
+const mongoDb = require('../../db').mongo.models;
+
+const phases = ['before', 'after'];
+const actions = ['add', 'update', 'delete', 'get'];
+
+//{<modelName>: {before: {<action>: [Function]}, after: {<action>: [Function]}}}
+const registry = {};
+
+/**
+ * @description adds hooks to the registry. Hooks registered earlier are run first
+ * @param {String} [modelName] full name of the model
+ * @param {Object} [hooks] {before: {<action>: Function|Array}, after: {<action>: Function|Array}}
+ * @throws {Error} if the model doesn't exist or the hooks object is wrong
+ */
+const register = (modelName, hooks) => {
+    if (mongoDb[modelName] === undefined){
+        throw new Error(`Can't register hooks for ${modelName}: there's no such model defined in mongoose`);
+    }
+    for (let phase in hooks){
+        if (!phases.includes(phase)){
+            throw new Error(`Unknown hook phase for ${modelName}: ${phase}. Supported phases: ${phases.join(', ')}`);
+        }
+        for (let action in hooks[phase]){
+            if (!actions.includes(action)){
+                throw new Error(`Unknown hook action for ${modelName}: ${phase}.${action}. Supported actions: ${actions.join(', ')}`);
+            }
+            const actionHooks = [].concat(hooks[phase][action]);
+            if (actionHooks.some((hook) => typeof hook !== 'function')){
+                throw new Error(`Every ${phase}.${action} hook for ${modelName} must be a function`);
+            }
+            registry[modelName] = registry[modelName] || {before: {}, after: {}};
+            registry[modelName][phase][action] = (registry[modelName][phase][action] || []).concat(actionHooks);
+        }
+    }
+};
+
+/**
+ * @description returns the hooks registered for the given model, phase and action
+ * @param {String} [modelName] full name of the model
+ * @param {String} [phase] either "before" or "after"
+ * @param {String} [action] one of: "add", "update", "delete", "get"
+ * @returns {Array} a list of hook functions (empty if there are none)
+ */
+const getHooks = (modelName, phase, action) => {
+    return registry[modelName] !== undefined && registry[modelName][phase][action] !== undefined ? registry[modelName][phase][action] : [];
+};
+
+/**
+ * @description runs the before-hooks of the given model and action
+ * @param {String} [modelName] full name of the model
+ * @param {String} [action] one of: "add", "update", "delete", "get"
+ * @param {Object} [args] the arguments of the generic function
+ * @throws {Error} if any of the hooks throws - the operation should be aborted
+ * @returns {Object} the transformed arguments
+ */
+const runBefore = async ({modelName, action, args}) => {
+    //The hooks shouldn't change the caller's object
+    args = Object.assign({}, args);
+    for (let hook of getHooks(modelName, 'before', action)){
+        const hookResult = await hook({modelName, action, args});
+        if (hookResult !== undefined){
+            args = hookResult;
+        }
+    }
+    return args;
+};
+
+/**
+ * @description runs the after-hooks of the given model and action
+ * @param {String} [modelName] full name of the model
+ * @param {String} [action] one of: "add", "update", "delete", "get"
+ * @param {Object} [args] the arguments of the generic function (after the before-hooks)
+ * @param {*}      [result] the result of the generic function
+ * @throws {Error} if any of the hooks throws
+ * @returns {*} the reshaped result
+ */
+const runAfter = async ({modelName, action, args, result}) => {
+    for (let hook of getHooks(modelName, 'after', action)){
+        const hookResult = await hook({modelName, action, args, result});
+        if (hookResult !== undefined){
+            result = hookResult;
+        }
+    }
+    return result;
+};
+
+//Load all the hook files from the current directory
+fs.readdirSync(__dirname).forEach((file) => {
+    //Ignore the index file (this file)
+    if (file !== 'index.js'){
+        const modelName = file.match(/.+(?=\.js)/)[0];
+        register(modelName, require(`./${modelName}`));
+    }
+});
+
+module.exports = {
+    register,
+    runBefore,
+    runAfter,
+    __private: { //For tests
+        registry,
+        getHooks
+    }
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Parses NDJSON and CSV files uploaded for imports (see generics.import in ./index.js). The formats are the same as the ones produced by ./export.js:
+ * NDJSON - one JSON document per line. Empty lines are ignored
+ * CSV - a header row with (dotted) paths followed by one row per document. Empty cells are omitted, so the schema defaults are used instead.
+ *       Cells of array and mixed paths are parsed as JSON. The rest of the values are cast by mongoose according to the schema
+ */
+
+const dotObj = require('dot-object');
+
+const formats = ['ndjson', 'csv'];
+
+/**
+ * @description splits CSV text into records. Supports quoted cells with separators, escaped quotes ("") and line breaks
+ * @param {String} [text] the CSV text
+ * @throws {Error} if a quoted cell is not closed
+ * @returns {Array} a list of records, each one is an array of cells. Empty lines are skipped
+ */
+const parseCsvRecords = (text) => {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    //Tells if the current cell was quoted - quoted empty cells are still cells
+    let cellStarted = false;
+    const pushCell = () => {
+        record.push(cell);
+        cell = '';
+        cellStarted = false;
+    };
+    const pushRecord = () => {
+        if (record.length > 1 || record[0] !== '' || cellStarted){
+            records.push(record);
+        }
+        record = [];
+    };
+    for (let i = 0; i < text.length; i++){
+        const char = text[i];
+        if (quoted){
+            if (char === '"' && text[i + 1] === '"'){
+                cell += '"';
+                i++;
+            } else if (char === '"'){
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"'){
+            quoted = true;
+            cellStarted = true;
+        } else if (char === ','){
+            pushCell();
+        } else if (char === '\n' || char === '\r'){
+            //\r\n is a single line break
+            if (char === '\r' && text[i + 1] === '\n'){
+                i++;
+            }
+            pushCell();
+            pushRecord();
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted){
+        throw new Error('Unterminated quoted cell');
+    }
+    if (cell !== '' || cellStarted || record.length > 0){
+        pushCell();
+        pushRecord();
+    }
+    return records;
+};
+
+/**
+ * @description converts a CSV cell into a value that can be passed to the model's constructor
+ * @param {String} [cell] the CSV cell
+ * @param {Object} [schemaType] the mongoose schema type of the column (undefined for paths that aren't declared in the schema)
+ * @throws {Error} if the cell of an array path isn't a valid JSON
+ * @returns {*} the value
+ */
+const parseCsvCell = (cell, schemaType) => {
+    if (schemaType !== undefined && ['Array', 'DocumentArray'].includes(schemaType.instance)){
+        return JSON.parse(cell);
+    }
+    if (schemaType !== undefined && schemaType.instance === 'Mixed'){
+        try{
+            return JSON.parse(cell);
+        } catch (error){
+            return cell;
+        }
+    }
+    return cell;
+};
+
+/**
+ * @description parses the uploaded text into rows
+ * @param {String} [text] the contents of the uploaded file
+ * @param {String} [format] either "ndjson" or "csv"
+ * @param {Object} [model] the mongoose model that the rows will be imported into
+ * @throws {Error} if the CSV header is missing or the file structure is wrong (single rows with errors are reported in the result instead)
+ * @returns {Array} a list of rows: [{row, data, error}] where row is the 1-based number of the data row (the CSV header isn't counted). Either data or error is null
+ */
+const parse = ({text, format, model}) => {
+    if (format === 'ndjson'){
+        return text.split(/\r?\n/).filter((line) => line.trim().length > 0).map((line, index) => {
+            try{
+                const data = JSON.parse(line);
+                if (typeof data !== 'object' || data === null || data instanceof Array){
+                    throw new Error('Every line must contain a JSON object');
+                }
+                return {row: index + 1, data, error: null};
+            } catch (error){
+                return {row: index + 1, data: null, error: error.message};
+            }
+        });
+    }
+    const records = parseCsvRecords(text);
+    if (records.length === 0){
+        throw new Error('The CSV header is missing');
+    }
+    const columns = records.shift().map((column) => column.trim());
+    return records.map((record, index) => {
+        if (record.length !== columns.length){
+            return {row: index + 1, data: null, error: `Expected ${columns.length} cells, got ${record.length}`};
+        }
+        try{
+            const data = {};
+            columns.forEach((column, columnIndex) => {
+                if (record[columnIndex] !== ''){
+                    dotObj.str(column, parseCsvCell(record[columnIndex], model.schema.path(column)), data);
+                }
+            });
+            return {row: index + 1, data, error: null};
+        } catch (error){
+            return {row: index + 1, data: null, error: error.message};
+        }
+    });
+};
+
+module.exports = {
+    formats,
+    parse,
+    __private: { //For tests
+        parseCsvRecords,
+        parseCsvCell
+    }
+};
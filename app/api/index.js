@@ -4,14 +4,353 @@
  * Exposes a set of functions (controllers) that allow for interacting with our database models and performing other API tasks.
  */
 
-const dotObj = require('dot-object');
 const h = require('../helpers');
 const logger = require('../logger').appLogger;
+const config = require('../config');
+const mongoose = require('../db').mongo.mongoose;
 const mongoDb = require('../db').mongo.models;
+const queryParser = require('./query');
+const audit = require('./audit');
+const events = require('./events');
+const cache = require('./cache');
+const hooks = require('./hooks');
+const searchPlugin = require('../db/mongo/plugins/search');
+const tenantPlugin = require('../db/mongo/plugins/tenant');
+const tenancy = require('../tenancy');
+const exporter = require('./export');
+const importer = require('./import');
+const fields = require('./fields');
+const operators = require('./operators');
+const patch = require('./patch');
+const expander = require('./expand');
+const attachments = require('./attachments');
+const {ApiError, fromDbError} = require('./errors');
+
+/**
+ * @description constrains the given mongoose query to either soft-deleted or not deleted documents (see /app/db/mongo/plugins/softDelete.js). Doesn't change anything for models without the soft delete mode unless onlyDeleted is true
+ * @param {Object}  [query] a mongoose query
+ * @param {Boolean} [onlyDeleted = false] if true, the query will match only soft-deleted documents. Otherwise, it will exclude them
+ * @returns {Object} the constrained query
+ */
+const scopeDeleted = (query, onlyDeleted = false) => {
+    return onlyDeleted ? query.onlyDeleted() : query.notDeleted();
+};
+
+/**
+ * @description assigns the given new document to the given tenant. Documents created by users without a tenant don't get one, even if the client sent it. Only the unconstrained callers can choose the tenant
+ * @param {Object} [doc] a new mongoose document
+ * @param {String|Symbol} [tenant] the tenant ID, null, undefined or tenancy.unscoped (see /app/tenancy)
+ * @returns {Object} the document
+ */
+const assignTenant = (doc, tenant) => {
+    if (tenant !== tenancy.unscoped && tenantPlugin.isEnabled(doc.schema)){
+        doc.tenant = tenant === null || tenant === undefined ? undefined : tenant;
+    }
+    return doc;
+};
+
+/**
+ * @description checks if the given document of the given model belongs to the given tenant. Used for the documents that weren't found by a constrained query (e.g. the cached ones)
+ * @param {String} [modelName] full name of the model
+ * @param {Object} [doc] a document or a lean object
+ * @param {String|Symbol} [tenant] the tenant ID, null, undefined or tenancy.unscoped (see /app/tenancy)
+ * @returns {Boolean} true if the document belongs to the tenant, the tenant is unscoped or the model's documents don't belong to tenants
+ */
+const isInTenant = (modelName, doc, tenant) => {
+    return !tenantPlugin.isEnabled(mongoDb[modelName].schema) || tenancy.isInScope(doc, tenant);
+};
+
+/**
+ * @description makes sure that the soft delete mode is enabled for the given model
+ * @param {String} [modelName] full name of the model
+ * @throws {ApiError} if the mode is disabled
+ */
+const checkSoftDelete = (modelName) => {
+    if (getModelOptions(modelName).softDelete !== true){
+        throw new ApiError(`The soft delete mode is not enabled for ${modelName}`, {statusCode: 400, code: 'SOFT_DELETE_DISABLED'});
+    }
+};
+
+/**
+ * @description finds the document that owns the attachments (see ./attachments.js)
+ * @param {String} [modelName] full name of the model
+ * @param {String} [id] the ID of the document
+ * @param {String|Symbol} [tenant] the tenant ID, null, undefined or tenancy.unscoped (see /app/tenancy)
+ * @throws {Error} if the arguments are wrong
+ * @throws {ApiError} ATTACHMENTS_DISABLED (400) if the model doesn't accept attachments (see getModelOptions)
+ * @throws {ApiError} NOT_FOUND (404) if the document doesn't exist, is soft-deleted or belongs to another tenant
+ * @returns {Object} the lean document with its ID and tenant
+ */
+const findAttachmentOwner = async ({modelName, id, tenant}) => {
+    //Make sure that the given model exists in mongoose 
+    if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
+        throw new Error('Wrong modelName argument');
+    }
+    if (getModelOptions(modelName).attachments !== true){
+        throw new ApiError(`Files can't be attached to ${modelName} documents`, {statusCode: 400, code: 'ATTACHMENTS_DISABLED'});
+    }
+    //Check if the document ID is correct
+    if (typeof id !== 'string' || !(/^[a-fA-F0-9]{24}$/).test(id)){
+        throw new Error('Wrong id argument');
+    }
+    const owner = await mongoDb[modelName].findOne({_id: id}).notDeleted().forTenant(tenant).select('_id tenant').lean();
+    if (owner === null){
+        throw new ApiError(`There's no ${modelName} with id: ${id}`, {statusCode: 404, code: 'NOT_FOUND'});
+    }
+    return owner;
+};
+
+/**
+ * @description removes the attachments of the given documents after they have been removed from the database. Never throws - the documents are already gone, so the failures are only logged
+ * @param {String} [modelName] full name of the model
+ * @param {Array}  [ids] the IDs of the removed documents
+ * @param {String} [callId = null] the callId of the log messages
+ */
+const removeOrphanedAttachments = async ({modelName, ids, callId = null}) => {
+    if (getModelOptions(modelName).attachments !== true || ids.length === 0){
+        return;
+    }
+    try{
+        const files = await attachments.find({modelName, documentIds: ids});
+        await attachments.remove(files.map((file) => file._id));
+    } catch (error){
+        logger.error(`Failed to remove the attachments of the removed ${modelName}s: ${h.optionalStringify(error)}`, {identifier: `api ${modelName} attachments`, meta: {ids}, callId});
+    }
+};
+
+/**
+ * @description records the attached or removed files in the audit log (see ./audit.js). The files appear as the attachments.<fileId> paths of the owning document with their names as the values
+ * @param {String} [modelName] full name of the owning document's model
+ * @param {Object} [owner] the owning document (see findAttachmentOwner)
+ * @param {String} [action] either "attach" or "detach"
+ * @param {Array}  [files] the GridFS file documents
+ * @param {Object} [actor = null] the user that attached or removed the files
+ * @param {String} [callId = null] the callId of the API function
+ */
+const recordAttachments = async ({modelName, owner, action, files, actor = null, callId = null}) => {
+    //The entries belong to the tenant of the owning document
+    const withoutFiles = {tenant: owner.tenant};
+    const withFiles = {tenant: owner.tenant, attachments: {}};
+    files.forEach((file) => {
+        withFiles.attachments[String(file._id)] = file.filename;
+    });
+    const [before, after] = action === 'attach' ? [withoutFiles, withFiles] : [withFiles, withoutFiles];
+    await audit.record({modelName, action, documentId: owner._id, before, after, actor, callId});
+};
+
+/**
+ * @description checks if the given model has any searchable fields (see /app/db/mongo/plugins/search.js)
+ * @param {String} [modelName] full name of the model
+ * @returns {Boolean} true if the model can be searched
+ */
+const isSearchable = (modelName) => {
+    return Object.keys(searchPlugin.getWeights(mongoDb[modelName].schema)).length > 0;
+};
+
+/**
+ * @description returns the name of the path that stores the document version of the given model (mongoose's versionKey, "__v" by default)
+ * @param {String} [modelName] full name of the model
+ * @returns {String|Boolean} the name of the path or false if the model's schema was created with the versionKey option disabled
+ */
+const getVersionKey = (modelName) => {
+    return mongoDb[modelName].schema.options.versionKey;
+};
+
+/**
+ * @description creates an update operator that increments the document version. Every write performed by the generic functions has to use it, otherwise optimistic concurrency checks (If-Match) would pass for stale versions
+ * @param {String} [modelName] full name of the model
+ * @returns {Object} {$inc: {<versionKey>: 1}} or an empty object if the model has no version key
+ */
+const versionIncrement = (modelName) => {
+    const versionKey = getVersionKey(modelName);
+    return versionKey ? {$inc: {[versionKey]: 1}} : {};
+};
+
+/**
+ * @description finds a single page of documents matching the given query. Used by generics.get
+ * @param {String}   [modelName] full name of the model that will be searched for
+ * @param {Object}   [query] parsed query-string parameters (see ./query.js)
+ * @param {Boolean}  [onlyDeleted = false] if true, only soft-deleted documents will be searched for. Otherwise, they are excluded
+ * @param {String}   [tenant] the tenant to which the documents are constrained (see /app/tenancy)
+ * @param {Array}    [readableFields = null] the fields that are returned (see ./fields.js). If null, every field is returned
+ * @param {Object}   [selection] the selected fields and expanded relations (see ./expand.js)
+ * @param {Function} [relationAccess = null] the rules of reading the related models (see expand in ./expand.js)
+ * @param {String}   [logPathPrefix] an additional identifier prefix for the log messages
+ * @param {Boolean}  [logging] allows to controll whether log messages are generated or not
+ * @param {String}   [callId] the callId of the parent function
+ * @throws {ApiError} will throw if the query is wrong or it filters or sorts by the fields that can't be read (FIELD_NOT_READABLE)
+ * @returns {Object} {docs: Array, paging: {total, limit, offset, nextCursor}}
+ */
+const getPage = async ({modelName, query, onlyDeleted = false, tenant, readableFields = null, selection, relationAccess = null, logPathPrefix, logging, callId}) => {
+    const parsedQuery = queryParser.parse({query, model: mongoDb[modelName]});
+    //Filtering and sorting by a field reveal its values (the cursors even contain them), so only the readable fields can be used
+    fields.checkReadablePaths({paths: Object.keys(parsedQuery.filter).concat(parsedQuery.sortFields.map(([field]) => field)), modelName, fields: readableFields});
+    //The cursor filter can't be merged with the filter directly because both of them might constrain the same fields
+    const pageFilter = parsedQuery.cursorFilter === null ? parsedQuery.filter : {$and: [parsedQuery.filter, parsedQuery.cursorFilter]};
+    //Fetch one additional document to find out if there's a next page
+    const docs = await scopeDeleted(mongoDb[modelName].find(pageFilter), onlyDeleted).forTenant(tenant).sort(parsedQuery.sort).skip(parsedQuery.offset).limit(parsedQuery.limit + 1).lean();
+    //The total number of documents matching the filter (regardless of the current page)
+    const total = await scopeDeleted(mongoDb[modelName].countDocuments(parsedQuery.filter), onlyDeleted).forTenant(tenant);
+    const hasNextPage = docs.length > parsedQuery.limit;
+    if (hasNextPage){
+        docs.pop();
+    }
+    const paging = {
+        total,
+        limit: parsedQuery.limit,
+        offset: parsedQuery.offset,
+        nextCursor: hasNextPage ? queryParser.encodeCursor(docs[docs.length - 1], parsedQuery.sortFields) : null
+    };
+    logger.api(`Returning ${docs.length} of ${total} ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} get`, meta: {query, paging}, callId});
+    //The cursor is encoded before the relations are expanded and the unreadable fields are removed because it might be based on them
+    return {docs: await expander.expand({docs, selection, readableFields, tenant, relationAccess}), paging};
+};
+
+/**
+ * @description creates an error that will be sent to the client with the 400 status code when a bulk operation request is wrong
+ * @param {String} [message] the error message
+ * @returns {ApiError} the created error
+ */
+const bulkError = (message) => {
+    return new ApiError(message, {statusCode: 400, code: 'INVALID_BULK_REQUEST'});
+};
+
+/**
+ * @description makes sure that the number of items in a bulk operation is within the limits defined in config.api.bulk.maxItems
+ * @param {Array} [items] the items that will be processed
+ * @throws {ApiError} if the items argument is not a non-empty array or it contains too many items
+ */
+const checkBulkItems = (items) => {
+    if (!(items instanceof Array) || items.length === 0){
+        throw bulkError('Bulk operations require a non-empty array of items');
+    }
+    if (items.length > config.api.bulk.maxItems){
+        throw bulkError(`Bulk operations can't process more than ${config.api.bulk.maxItems} items at once`);
+    }
+};
+
+/**
+ * @description returns a list of document IDs that a bulk operation will be performed on. Either takes the given ids or finds the documents matching the given filter
+ * @param {Array}  [ids] a list of document IDs
+ * @param {Object} [filter] a filter with the same syntax as the filter query-string parameter (see ./query.js), e.g. {role: {in: 'user,guest'}}
+ * @param {String} [modelName] full name of the model
+ * @param {String} [tenant] the tenant to which the filter is constrained (see /app/tenancy). The given ids are checked by the operations themselves
+ * @throws {ApiError} if neither or both of ids and filter are defined, the filter is wrong or it matches too many documents
+ * @returns {Array} a list of document IDs (strings)
+ */
+const resolveBulkIds = async ({ids, filter, modelName, tenant}) => {
+    if ((ids === null) === (filter === null)){
+        throw bulkError('Either a list of ids or a filter must be defined');
+    }
+    if (ids === null){
+        const docs = await mongoDb[modelName].find(queryParser.parseFilter(filter, mongoDb[modelName])).notDeleted().forTenant(tenant).select('_id').limit(config.api.bulk.maxItems + 1).lean();
+        ids = docs.map((doc) => doc._id.toString());
+        //Nothing to do, but it's not an error
+        if (ids.length === 0){
+            return ids;
+        }
+    }
+    checkBulkItems(ids);
+    return ids;
+};
+
+/**
+ * @description performs the given operation on every item and collects the results. In the atomic mode, all the operations are performed in a single mongo transaction which is aborted as soon as any of them fails (requires a replica set). Otherwise, every item is processed independently
+ * @param {Array}    [items] the items to process (e.g. input objects or document IDs)
+ * @param {Function} [operation] an async function that receives an item and a mongo session (or null) and returns the result of the operation
+ * @param {Function} [isAllowed = null] an optional function that receives an item and returns false if the current user isn't allowed to process it (e.g. a wrapper for permissions.check)
+ * @param {Function} [getItemId] a function that receives an item and the result of its operation and returns the ID of the affected document
+ * @param {Boolean}  [atomic = false] if true, the operations will be performed in a transaction
+ * @returns {Object} a report: {atomic, committed, succeeded, failed, results: [{index, id, status, data, error, code, details}]}. The code and details of the failed items are taken from their ApiErrors (see ./errors.js) - other errors only have a message. The items rolled back because of another item's failure get the TRANSACTION_ABORTED code
+ */
+const runBulk = async ({items, operation, isAllowed = null, getItemId, atomic = false}) => {
+    /**
+     * @description processes a single item. Throws if the item can't be processed
+     */
+    const processItem = async (item, index, session) => {
+        if (typeof isAllowed === 'function' && !isAllowed(item)){
+            throw new ApiError('You don\'t have sufficient permissions to perform this action', {statusCode: 401, code: 'FORBIDDEN'});
+        }
+        const data = await operation(item, session);
+        return {index, id: getItemId(item, data), status: true, data, error: null, code: null, details: null};
+    };
+    /**
+     * @description creates the result of an item that failed with the given error
+     */
+    const failItem = (item, index, error) => {
+        return {index, id: getItemId(item, null), status: false, data: null, error: error.message, code: error.code || null, details: error.details || null};
+    };
+    let results = [];
+    if (atomic){
+        const session = await mongoose.startSession();
+        let failedIndex = null;
+        let failedError = null;
+        try{
+            await session.withTransaction(async () => {
+                //The transaction callback might be retried, so the results and the held back change events must be reset each time
+                results = [];
+                failedIndex = null;
+                events.discard(session);
+                for (let index = 0; index < items.length; index++){
+                    try{
+                        results.push(await processItem(items[index], index, session));
+                    } catch (error){
+                        failedIndex = index;
+                        failedError = error;
+                        throw error; //Abort the transaction
+                    }
+                }
+            });
+            //The changes are visible to others only now
+            await events.commit(session);
+        } catch (error){
+            events.discard(session);
+            //Nothing was saved, so every item must be reported as failed
+            results = items.map((item, index) => {
+                if (index === failedIndex){
+                    return failItem(item, index, failedError);
+                }
+                return failItem(item, index, new ApiError(`The transaction was rolled back: ${failedIndex === null ? error.message : `item ${failedIndex} failed`}`, {code: 'TRANSACTION_ABORTED'}));
+            });
+        } finally {
+            session.endSession();
+        }
+    } else {
+        await h.asyncForEach(items, async (item, index) => {
+            try{
+                results.push(await processItem(item, index, null));
+            } catch (error){
+                results.push(failItem(item, index, error));
+            }
+        });
+    }
+    const succeeded = results.filter((result) => result.status).length;
+    return {
+        atomic,
+        committed: succeeded > 0,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+    };
+};
+
+/**
+ * @description wraps a generic function, so that the model's lifecycle hooks (see ./hooks) are run around it. The before-hooks can transform the arguments or abort the call and the after-hooks can reshape the result
+ * @param {String}   [action] one of: "add", "update", "delete", "get"
+ * @param {Function} [func] the generic function. It must accept a single arguments object with the modelName property
+ * @returns {Function} the wrapped function
+ */
+const withHooks = (action, func) => {
+    return async (args) => {
+        args = await hooks.runBefore({modelName: args.modelName, action, args});
+        const result = await func(args);
+        return await hooks.runAfter({modelName: args.modelName, action, args, result});
+    };
+};
 
 /**
  * A set of generic CRUD functions that can be applied to any mongo database model.
- * It was created to avoid copy-pasting the same code for every database object
+ * It was created to avoid copy-pasting the same code for every database object. The add, delete, update and get functions run the model's lifecycle hooks (see ./hooks) - search runs the get hooks and restore runs the update hooks, so they can't bypass them. The add, delete, update and restore functions publish change events (see ./events.js)
  */
 const generics = {
     /**
@@ -19,13 +358,20 @@ const generics = {
      * @param {Object}  [inputObj] the object that will be passed to the selected model's constructor
      * @param {String}  [modelName] full name of the model that will be saved
      * @param {Function}   [modifierFunc = null] a custom function that receives the newly created object as an argument. The function can modify that object before it gets saved in the database. The modifier should return the modified object. It's useful when we our inputObj is not complete and we want to do something with its default values defined in mongoose
+     * @param {Object}  [actor = null] the user performing the operation: {_id, username, role, remoteAddress}. It's recorded in the audit log (see ./audit.js)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}   [writableFields = null] the fields that the input object can contain (see ./fields.js). If null, every field can be written
+     * @param {Array}   [readableFields = null] the fields of the returned object (see ./fields.js). If null, every field is returned
+     * @param {Object}  [session = null] an optional mongo session (mongoose.startSession) in which the operation will be performed, e.g. to make it a part of a transaction
      * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
      * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
      * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
      * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
+     * @throws {ApiError} VALIDATION_FAILED (422) or DUPLICATE_KEY (409) with field-level details if the object doesn't match the schema (see errors.fromDbError)
+     * @throws {ApiError} FIELD_NOT_WRITABLE (401) with field-level details if the object contains fields that aren't writable
      * @returns {Object} the saved object with autopopulated properties and filled default values
      */
-    add: async ({inputObj, modelName, modifierFunc = null, logPathPrefix = '', logging = true, callId = null}) => {
+    add: withHooks('add', async ({inputObj, modelName, modifierFunc = null, actor = null, tenant, writableFields = null, readableFields = null, session = null, logPathPrefix = '', logging = true, callId = null}) => {
         //Generate a new callId for our logger if it wasn't passed in the parameters
         callId = h.generateCallId(callId);
         logger.api(`Adding a new ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} add`, meta: {inputObj}, callId});
@@ -38,6 +384,7 @@ const generics = {
             if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
                 throw new Error('Wrong modelName argument');
             }
+            fields.checkWritable({inputObj, fields: writableFields});
             logger.api(`Creating a new ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} add`, callId});
             //Create a new instance of the given mongoose model
             let newObj = new mongoDb[modelName](inputObj);
@@ -45,32 +392,42 @@ const generics = {
             if (typeof modifierFunc === 'function'){
                 newObj = modifierFunc(newObj);
             }
+            //The tenant can't be chosen by the client
+            assignTenant(newObj, tenant);
             logger.api(`Saving the new ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} add`, callId});
             //Save the generated object to the database
-            const savedObj = await newObj.save();
+            const savedObj = await newObj.save({session});
             //If everything went fine, search for the created document and return it. We can't return the saved object directly because there might be some properties that should be autopopulated.
             if (savedObj){
                 logger.api(`Successfully added a new ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} add`, meta: {savedObj}, callId});
-                return mongoDb[modelName].findOne(savedObj._id); //For autopopopulate to work
+                await audit.record({modelName, action: 'add', documentId: savedObj._id, after: savedObj, actor, session, callId});
+                const addedObj = await mongoDb[modelName].findOne(savedObj._id).session(session); //For autopopopulate to work
+                events.publish({modelName, action: 'add', documentId: savedObj._id, doc: addedObj, session});
+                //The client might not be allowed to read everything that it has written
+                return fields.pickReadable({doc: addedObj, modelName, fields: readableFields});
             } else {
                 throw new Error(`Failed to add a new ${logPathPrefix}${modelName}: unknown error`);
             }
         } catch (error){ //Log and rethrow
             logger.error(`Failed to add a new ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} add`, meta: {inputObj}, callId});
-            throw error;
+            throw fromDbError(error);
         }
-    },
+    }),
     /**
-     * @description allows for deleting models from the mongo database
+     * @description allows for deleting models from the mongo database. If the soft delete mode is enabled for the model, the document will only be flagged as deleted (see generics.restore and generics.purge)
      * @param {String}  [id] the ID of the object that will be deleted
      * @param {String}  [modelName] full name of the model that will be saved
+     * @param {Object}  [actor = null] the user performing the operation: {_id, username, role, remoteAddress}. It's recorded in the audit log (see ./audit.js)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}   [readableFields = null] the fields of the returned object (see ./fields.js). If null, every field is returned
+     * @param {Object}  [session = null] an optional mongo session (mongoose.startSession) in which the operation will be performed, e.g. to make it a part of a transaction
      * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
      * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
      * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
      * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
      * @returns {Object} the deleted object with autopopulated properties and filled default values
      */
-    delete: async ({id, modelName, logPathPrefix = '', logging = true, callId = null}) => {
+    delete: withHooks('delete', async ({id, modelName, actor = null, tenant, readableFields = null, session = null, logPathPrefix = '', logging = true, callId = null}) => {
         //Generate a new callId for our logger if it wasn't passed in the parameters
         callId = h.generateCallId(callId);
         logger.api(`Deleting a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} delete`, meta: {id}, callId});
@@ -79,12 +436,29 @@ const generics = {
             if (typeof id !== 'string' || !(/^[a-fA-F0-9]{24}$/).test(id)){
                 throw new Error('Wrong id argument');
             }
-            //Find and remove the document from the database
-            const deletedObj = await mongoDb[modelName].findByIdAndRemove(id).exec();
+            const before = await audit.snapshot({modelName, id, session});
+            let deletedObj;
+            if (getModelOptions(modelName).softDelete === true){
+                //Flag the document as deleted - it can be restored or purged later
+                deletedObj = await mongoDb[modelName].findOneAndUpdate({_id: id}, Object.assign({$set: {deleted: true, deletedAt: new Date()}}, versionIncrement(modelName)), {new: true, session}).notDeleted().forTenant(tenant).exec();
+            } else {
+                //Find and remove the document from the database
+                deletedObj = await mongoDb[modelName].findOneAndDelete({_id: id}, {session}).forTenant(tenant).exec();
+            }
             //If everything went fine, return the found and deleted document
             if (deletedObj){
                 logger.api(`Successfully deleted a ${modelName} with an id: ${id}`, {logging, identifier: `api ${logPathPrefix}${modelName} delete`, meta: {deletedObj}, callId});
-                return deletedObj;
+                //Readers could cache the old state again before a transaction is committed
+                await events.afterCommit({task: () => cache.invalidate({modelName, id, callId}), session});
+                //Soft-deleted documents still exist, so their state after the mutation can be recorded
+                const after = getModelOptions(modelName).softDelete === true ? await audit.snapshot({modelName, id, session}) : null;
+                await audit.record({modelName, action: 'delete', documentId: id, before, after, actor, session, callId});
+                events.publish({modelName, action: 'delete', documentId: id, doc: deletedObj, session});
+                //The attachments of soft-deleted documents are kept until they're purged. GridFS isn't a part of transactions, so the attachments of documents deleted in them are removed only if the deletion is committed
+                if (getModelOptions(modelName).softDelete !== true){
+                    await events.afterCommit({task: () => removeOrphanedAttachments({modelName, ids: [id], callId}), session});
+                }
+                return fields.pickReadable({doc: deletedObj, modelName, fields: readableFields});
             } else {
                 throw new Error(`Failed to delete ${modelName} with id: ${id}`);
             }
@@ -92,22 +466,32 @@ const generics = {
             logger.error(`Failed to delete an existing ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} delete`, meta: {id}, callId});
             throw error;
         }
-    },
+    }),
     /**
      * @description allows for updating models in the mongo database
      * @param {String}  [id] the ID of the object that will be updated
-     * @param {Object}  [inputObj] the object that will be passed to the $set operator
+     * @param {Object}  [inputObj] the object that will be passed to the $set operator. It can also contain the $unset, $push, $pull and $inc operators (see ./operators.js). The version key is ignored - every update increments the version
      * @param {String}  [modelName] full name of the model that will be updated
+     * @param {Array}   [versions = null] if defined, the document will be updated only if its current version is one of the given numbers (optimistic concurrency control, e.g. the router's If-Match header)
+     * @param {Object}  [actor = null] the user performing the operation: {_id, username, role, remoteAddress}. It's recorded in the audit log (see ./audit.js)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}   [writableFields = null] the fields that the input object can contain (see ./fields.js). If null, every field can be written
+     * @param {Array}   [readableFields = null] the fields of the returned object (see ./fields.js). If null, every field is returned
+     * @param {Object}  [session = null] an optional mongo session (mongoose.startSession) in which the operation will be performed, e.g. to make it a part of a transaction
      * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
      * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
      * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
      * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
+     * @throws {ApiError} VERSION_MISMATCH (412) if the versions are defined and the document has a different version
+     * @throws {ApiError} VALIDATION_FAILED (422) or DUPLICATE_KEY (409) with field-level details if the updated values don't match the schema (see errors.fromDbError)
+     * @throws {ApiError} FIELD_NOT_WRITABLE (401) with field-level details if the input object contains fields that aren't writable
+     * @throws {ApiError} INVALID_UPDATE (422) with field-level details if the operators don't match the schema
      * @returns {Object} the updated object with autopopulated properties and filled default values
      */
-    update: async ({id, inputObj, modelName, logPathPrefix = '', logging = true, callId = null}) => {
+    update: withHooks('update', async ({id, inputObj, modelName, versions = null, actor = null, tenant, writableFields = null, readableFields = null, session = null, logPathPrefix = '', logging = true, callId = null}) => {
         //Generate a new callId for our logger if it wasn't passed in the parameters
         callId = h.generateCallId(callId);
-        logger.api(`Updating a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} update`, meta: {id, inputObj}, callId});
+        logger.api(`Updating a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} update`, meta: {id, inputObj, versions}, callId});
         try{
             //Check if the document ID is correct
             if (typeof id !== 'string' || !(/^[a-fA-F0-9]{24}$/).test(id)){
@@ -121,135 +505,876 @@ const generics = {
             if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
                 throw new Error('Wrong modelName argument');
             }
-            //We will pass the input object in a dotted form because that's what mongoose expects in the $set parameter
-            inputObj = dotObj.dot(inputObj);
-            //Update the document
-            const updateResult = await mongoDb[modelName].updateOne({_id: id}, {$set: inputObj}, {new: false});
+            if (versions !== null && (!(versions instanceof Array) || versions.some((version) => !Number.isInteger(version)))){
+                throw new Error('Wrong versions argument');
+            }
+            const versionKey = getVersionKey(modelName);
+            const filter = {_id: id};
+            if (versionKey && versions !== null){
+                //Documents created outside of mongoose might not have the version key at all - they are treated as version 0
+                filter[versionKey] = {$in: versions.includes(0) ? versions.concat([null]) : versions};
+            }
+            //The plain fields are passed to $set in a dotted form. The version can only be changed by the increment below and documents can't be moved to other tenants by the constrained callers
+            const {update, paths} = operators.build({
+                inputObj,
+                model: mongoDb[modelName],
+                ignoredPaths: [versionKey, tenant === tenancy.unscoped ? null : 'tenant'].filter((path) => typeof path === 'string')
+            });
+            fields.checkWritablePaths({paths, fields: writableFields});
+            //The version increment is merged with the client's $inc
+            update.$inc = Object.assign({}, update.$inc, versionIncrement(modelName).$inc);
+            if (Object.keys(update.$inc).length === 0){
+                delete update.$inc;
+            }
+            const before = await audit.snapshot({modelName, id, session});
+            //Update the document (soft-deleted documents can't be updated). Update validators check only the updated paths
+            const updateResult = await mongoDb[modelName].updateOne(filter, update, {new: false, runValidators: true, session}).notDeleted().forTenant(tenant);
             //If everything wen't fine, find the updated object and return it (for autopopulate to work)
-            if (updateResult.ok){
+            if (updateResult.ok && updateResult.n > 0){
                 logger.api(`Successfully updated a ${modelName} with an id: ${id}`, {logging, identifier: `api ${logPathPrefix}${modelName} update`, meta: {updateResult}, callId});
-                return await mongoDb[modelName].findById(id);
-            } else {
-                throw new Error(`Failed to update ${modelName} with id: ${id}`);
+                await events.afterCommit({task: () => cache.invalidate({modelName, id, callId}), session});
+                await audit.record({modelName, action: 'update', documentId: id, before, after: await audit.snapshot({modelName, id, session}), actor, session, callId});
+                const updatedObj = await mongoDb[modelName].findById(id).session(session);
+                events.publish({modelName, action: 'update', documentId: id, doc: updatedObj, session});
+                return fields.pickReadable({doc: updatedObj, modelName, fields: readableFields});
+            }
+            //Distinguish stale writes from missing documents
+            if (versionKey && versions !== null && await mongoDb[modelName].countDocuments({_id: id}).notDeleted().forTenant(tenant).session(session) > 0){
+                throw new ApiError(`The ${modelName} with id: ${id} has been modified by someone else. Fetch the current version and try again`, {statusCode: 412, code: 'VERSION_MISMATCH'});
             }
+            throw new Error(`Failed to update ${modelName} with id: ${id}`);
         } catch (error){ //Log and rethrow
             logger.error(`Failed to update an existing ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} update`, meta: {id, inputObj}, callId});
-            throw error;
+            throw fromDbError(error);
         }
-    },
+    }),
     /**
-     * @description allows for getting models from the mongo database
-     * @param {String}  [id = null] the ID of the object that will be searched for. If not defined (null), the function will return every document of the model in an array
-     * @param {String}  [modelName] full name of the model that will be searched for
+     * @description allows for updating models in the mongo database with a JSON Patch (RFC 6902, see ./patch.js). The patch is applied to the current version of the document and the result is saved by generics.update only if nobody has changed the document in the meantime
+     * @param {String}  [id] the ID of the object that will be patched
+     * @param {Array}   [operations] a JSON Patch document: [{op, path, value, from}]
+     * @param {String}  [modelName] full name of the model that will be patched
+     * @param {Array}   [versions = null] if defined, the document will be patched only if its current version is one of the given numbers (optimistic concurrency control, e.g. the router's If-Match header)
+     * @param {Object}  [actor = null] the user performing the operation: {_id, username, role, remoteAddress}. It's recorded in the audit log (see ./audit.js)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}   [writableFields = null] the fields that the patch can change (see ./fields.js). If null, every field can be written
+     * @param {Array}   [readableFields = null] the fields of the returned object (see ./fields.js). If null, every field is returned
+     * @param {Object}  [session = null] an optional mongo session (mongoose.startSession) in which the operation will be performed, e.g. to make it a part of a transaction
      * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
      * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
      * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong, the document doesn't exist or something goes wrong when interacting with the database
+     * @throws {ApiError} INVALID_PATCH (422) if the patch can't be applied, PATCH_TEST_FAILED (409) if a test operation fails, FIELD_NOT_READABLE (401) if it tests, copies or moves the fields that can't be read and the errors of generics.update
+     * @returns {Object} the updated object with autopopulated properties and filled default values
+     */
+    patch: async ({id, operations, modelName, versions = null, actor = null, tenant, writableFields = null, readableFields = null, session = null, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Patching a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} patch`, meta: {id, operations, versions}, callId});
+        try{
+            //Check if the document ID is correct
+            if (typeof id !== 'string' || !(/^[a-fA-F0-9]{24}$/).test(id)){
+                throw new Error(`Wrong id argument: ${id}`);
+            }
+            //Make sure that the given model exists in mongoose 
+            if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
+                throw new Error('Wrong modelName argument');
+            }
+            //Reject the patch before reading the document if it changes fields that can't be written or reveals the values of the fields that can't be read
+            const {changedPaths, readPaths} = patch.validate(operations);
+            fields.checkReadablePaths({paths: readPaths, modelName, fields: readableFields});
+            fields.checkWritablePaths({paths: changedPaths, fields: writableFields});
+            const current = await mongoDb[modelName].findById(id).session(session).notDeleted().forTenant(tenant).lean();
+            if (current === null){
+                throw new Error(`Failed to patch ${modelName} with id: ${id}`);
+            }
+            const versionKey = getVersionKey(modelName);
+            const currentVersion = versionKey ? current[versionKey] || 0 : null;
+            if (versions !== null && versionKey && !versions.includes(currentVersion)){
+                throw new ApiError(`The ${modelName} with id: ${id} has been modified by someone else. Fetch the current version and try again`, {statusCode: 412, code: 'VERSION_MISMATCH'});
+            }
+            const inputObj = patch.diff(current, patch.apply(current, operations));
+            //The document must still be in the patched version when it's saved
+            return await generics.update({id, inputObj, modelName, versions: versionKey ? [currentVersion] : null, actor, tenant, writableFields, readableFields, session, logPathPrefix, logging, callId});
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to patch an existing ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} patch`, meta: {id, operations}, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description allows for getting models from the mongo database
+     * @param {String}   [id = null] the ID of the object that will be searched for. If not defined (null), the function will return every document of the model in an array
+     * @param {String}   [modelName] full name of the model that will be searched for
+     * @param {Object}   [query = null] parsed query-string parameters (see ./query.js) used to filter, sort and paginate the documents when the id is not defined. If defined, the function will return an object: {docs: Array, paging: {total, limit, offset, nextCursor}} instead of a plain array. The fields and expand parameters (see ./expand.js) select the returned fields and expand the references both in single documents and pages
+     * @param {Boolean}  [onlyDeleted = false] if true, only soft-deleted documents will be returned. Otherwise, they are hidden
+     * @param {String}   [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}    [readableFields = null] the fields that are returned (see ./fields.js). If null, every field is returned
+     * @param {Function} [relationAccess = null] an optional function that receives the name of a related model and returns the rules of reading its documents when the references are expanded: {isAllowed: (doc) => Boolean, readableFields: Array} (see ./expand.js). If null, every related document and field can be read
+     * @param {String}   [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean}  [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}   [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
      * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
-     * @return {(Object|Array)} the found object with autopopulated properties or an array of objects if the ID is not defined
+     * @throws {ApiError} INVALID_QUERY (400) if the selected fields or the expanded references don't exist, FIELD_NOT_READABLE (401) if they (or the filtered and sorted fields) can't be read
+     * @return {(Object|Array)} the found object with the expanded references or an array of objects if the ID is not defined (or a paged result if the query is defined)
      */
-    get: async ({id = null, modelName, logPathPrefix = '', logging = true, callId = null}) => {
+    get: withHooks('get', async ({id = null, modelName, query = null, onlyDeleted = false, tenant, readableFields = null, relationAccess = null, logPathPrefix = '', logging = true, callId = null}) => {
         //Generate a new callId for our logger if it wasn't passed in the parameters
         callId = h.generateCallId(callId);
-        logger.api(`Getting ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} get`, meta: {id}, callId});
+        logger.api(`Getting ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} get`, meta: {id, query}, callId});
         try{
+            //Make sure that the given model exists in mongoose 
+            if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
+                throw new Error('Wrong modelName argument');
+            }
+            //Parse the selection before querying the database, so wrong parameters are rejected early
+            const selection = expander.parse({query: query || {}, modelName});
             //Declare the object that will be returned
             let result;
-            //If the id wasn't defined, find every document of the given model, otherwise find the document by its ID
-            if (id === null){
-                result = await mongoDb[modelName].find({}).lean({autopopulate: true});
+            //If the id wasn't defined, find every document of the given model (or a single page of them if there's a query), otherwise find the document by its ID
+            if (id === null && query !== null){
+                return await getPage({modelName, query, onlyDeleted, tenant, readableFields, selection, relationAccess, logPathPrefix, logging, callId});
+            } else if (id === null){
+                result = await scopeDeleted(mongoDb[modelName].find({}), onlyDeleted).forTenant(tenant).lean();
+            } else if (onlyDeleted){
+                result = await scopeDeleted(mongoDb[modelName].findById(id), onlyDeleted).forTenant(tenant).lean();
             } else {
-                result = await mongoDb[modelName].findById(id).lean({autopopulate: true});
+                //Only the documents that aren't deleted are cached (see ./cache.js). The references are expanded later, so the cached variant doesn't depend on the query
+                result = await cache.wrap({modelName, id, variant: 'get', fetch: () => scopeDeleted(mongoDb[modelName].findById(id), onlyDeleted).lean(), callId});
+                //The cache is shared by all the tenants
+                if (result && !isInTenant(modelName, result, tenant)){
+                    result = null;
+                }
             }
             //Return an empty array if no object was found in either case
             if ((result instanceof Array && result.length === 0) || result === null || result === undefined){
                 logger.api(`Returning 0 ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} get`, meta: {id}, callId});
                 return [];
             }
-            //Return the found docuement(s)
+            //Return the found docuement(s) with the expanded references and without the fields that can't be read
             logger.api(`Returning ${result instanceof Array ? result.length : 1} ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} get`, meta: {id, result}, callId});
-            return result;
+            const docs = await expander.expand({docs: result instanceof Array ? result : [result], selection, readableFields, tenant, relationAccess});
+            return result instanceof Array ? docs : docs[0];
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to get an existing ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} get`, meta: {id, query}, callId});
+            throw fromDbError(error);
+        }
+    }),
+    /**
+     * @description allows for searching models in the mongo database by the text in their searchable fields (see /app/db/mongo/plugins/search.js). The results are sorted by relevance and every found document has an additional "score" property
+     * Documents rejected by isAllowed are skipped, so pages might contain less documents than the limit even if there are more results. The total number of results is unknown for the same reason - use paging.nextOffset to get the next page
+     * @param {String}   [modelName] full name of the model that will be searched
+     * @param {Object}   [query] parsed query-string parameters (see parseSearch in ./query.js), e.g. {q: 'john', limit: '10'}
+     * @param {Function} [isAllowed = null] an optional function that receives a found document and returns false if it shouldn't be returned (e.g. because of insufficient permissions)
+     * @param {String}   [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}    [readableFields = null] the fields that are returned (see ./fields.js). If null, every field is returned
+     * @param {String}   [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean}  [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}   [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong, the model has no searchable fields or something goes wrong when interacting with the database
+     * @throws {ApiError} FIELD_NOT_READABLE (401) if the filter uses the fields that can't be read
+     * @returns {Object} {docs: Array, paging: {limit, offset, nextOffset}} - nextOffset is null if there are no more results
+     */
+    search: withHooks('get', async ({modelName, query, isAllowed = null, tenant, readableFields = null, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Searching ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} search`, meta: {query}, callId});
+        try{
+            //Make sure that the given model exists in mongoose 
+            if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
+                throw new Error('Wrong modelName argument');
+            }
+            if (!isSearchable(modelName)){
+                throw new ApiError(`${modelName} doesn't have any searchable fields`, {statusCode: 400, code: 'SEARCH_DISABLED'});
+            }
+            const parsedQuery = queryParser.parseSearch({query, model: mongoDb[modelName]});
+            fields.checkReadablePaths({paths: Object.keys(parsedQuery.filter), modelName, fields: readableFields});
+            const score = {$meta: 'textScore'};
+            //Don't scan the whole collection if the user isn't allowed to see most of the results
+            const cursor = mongoDb[modelName].find(Object.assign({}, parsedQuery.filter, {$text: {$search: parsedQuery.text}}), {score})
+                .notDeleted()
+                .forTenant(tenant)
+                .sort({score, _id: 1})
+                .skip(parsedQuery.offset)
+                .limit(config.api.search.maxScanned)
+                //The references stay unexpanded - autopopulating them would bypass the permission checks of the related models (see ./expand.js)
+                .lean()
+                .cursor();
+            const docs = [];
+            let scanned = 0;
+            let nextOffset = null;
+            try{
+                for (let doc = await cursor.next(); doc !== null; doc = await cursor.next()){
+                    scanned++;
+                    if (typeof isAllowed === 'function' && !isAllowed(doc)){
+                        continue;
+                    }
+                    //One more allowed document means that there's a next page starting with it
+                    if (docs.length === parsedQuery.limit){
+                        nextOffset = parsedQuery.offset + scanned - 1;
+                        break;
+                    }
+                    docs.push(fields.pickReadable({doc, modelName, fields: readableFields, extraFields: ['score']}));
+                }
+            } finally {
+                await cursor.close();
+            }
+            //The scan limit was reached - there might be more results
+            if (nextOffset === null && scanned === config.api.search.maxScanned){
+                nextOffset = parsedQuery.offset + scanned;
+            }
+            const paging = {
+                limit: parsedQuery.limit,
+                offset: parsedQuery.offset,
+                nextOffset
+            };
+            logger.api(`Returning ${docs.length} ${modelName}s (scanned ${scanned})`, {logging, identifier: `api ${logPathPrefix}${modelName} search`, meta: {query, paging}, callId});
+            return {docs, paging};
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to search ${modelName}s: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} search`, meta: {query}, callId});
+            throw error;
+        }
+    }),
+    /**
+     * @description allows for exporting models from the mongo database as a stream. The documents are read from a mongo cursor, so the whole collection is never loaded into memory
+     * @param {String}   [modelName] full name of the model that will be exported
+     * @param {Object}   [query] parsed query-string parameters (see parseExport in ./query.js), e.g. {filter: {role: 'admin'}, sort: 'username'}
+     * @param {String}   [format = 'ndjson'] either "ndjson" or "csv" (see ./export.js)
+     * @param {Function} [isAllowed = null] an optional function that receives a found document and returns false if it shouldn't be exported (e.g. because of insufficient permissions)
+     * @param {String}   [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}    [readableFields = null] the fields that are exported (see ./fields.js). If null, every field is exported
+     * @param {String}   [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean}  [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}   [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong. Errors that occur while streaming are emitted by the returned stream
+     * @throws {ApiError} FIELD_NOT_READABLE (401) if the filter or the sort use the fields that can't be read
+     * @returns {Object} a readable stream with the exported documents
+     */
+    export: async ({modelName, query, format = 'ndjson', isAllowed = null, tenant, readableFields = null, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Exporting ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} export`, meta: {query, format}, callId});
+        try{
+            //Make sure that the given model exists in mongoose 
+            if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
+                throw new Error('Wrong modelName argument');
+            }
+            if (exporter.formats[format] === undefined){
+                throw new ApiError(`Unknown export format: ${format}. Supported formats: ${Object.keys(exporter.formats).join(', ')}`, {statusCode: 400, code: 'INVALID_QUERY'});
+            }
+            const parsedQuery = queryParser.parseExport({query, model: mongoDb[modelName]});
+            fields.checkReadablePaths({paths: Object.keys(parsedQuery.filter).concat(Object.keys(parsedQuery.sort)), modelName, fields: readableFields});
+            const cursor = mongoDb[modelName].find(parsedQuery.filter).notDeleted().forTenant(tenant).sort(parsedQuery.sort).lean().cursor();
+            const columns = exporter.getColumns(mongoDb[modelName]).filter((column) => readableFields === null || fields.isCovered(column, readableFields.concat('_id')));
+            const stream = exporter.createStream({cursor, format, columns, isAllowed, project: (doc) => fields.pickReadable({doc, modelName, fields: readableFields})});
+            stream.on('end', () => {
+                logger.api(`Finished exporting ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} export`, callId});
+            });
+            return stream;
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to export ${modelName}s: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} export`, meta: {query, format}, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description allows for importing many models from an NDJSON or CSV file (see ./import.js). Every row is validated against the mongoose schema and the valid ones are saved in batches (config.api.import.batchSize) by generics.bulkAdd
+     * Unique indexes are checked only when the documents are saved, so a dry run can't detect duplicates
+     * @param {String}   [text] the contents of the uploaded file
+     * @param {String}   [format] either "ndjson" or "csv"
+     * @param {String}   [modelName] full name of the model that the rows will be imported into
+     * @param {Boolean}  [dryRun = false] if true, the rows will only be validated
+     * @param {Function} [isAllowed = null] an optional function that receives a parsed row and returns false if it shouldn't be imported (e.g. because of insufficient permissions). Such rows are reported as skipped
+     * @param {Object}   [actor = null] the user performing the operation. It's recorded in the audit log (see ./audit.js)
+     * @param {String}   [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}    [writableFields = null] the fields that the rows can contain (see ./fields.js). Rows with other fields are reported as skipped. If null, every field can be written
+     * @param {String}   [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean}  [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}   [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong or the file structure is wrong. Errors related to single rows are reported in the result
+     * @returns {Object} a report: {dryRun, total, valid, inserted, skipped, failed, rejected: [{row, status: 'skipped'|'failed', reason, details}]}. The details are the field-level problems of rows that failed the validation ([{field, rule, message}], see errors.fromDbError) or null
+     */
+    import: async ({text, format, modelName, dryRun = false, isAllowed = null, actor = null, tenant, writableFields = null, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Importing ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} import`, meta: {format, dryRun, length: typeof text === 'string' ? text.length : null}, callId});
+        try{
+            //Make sure that the given model exists in mongoose 
+            if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
+                throw new Error('Wrong modelName argument');
+            }
+            if (typeof text !== 'string'){
+                throw new ApiError('The imported file must be sent as text/csv or application/x-ndjson', {statusCode: 400, code: 'INVALID_IMPORT'});
+            }
+            if (!importer.formats.includes(format)){
+                throw new ApiError(`Unknown import format: ${format}. Supported formats: ${importer.formats.join(', ')}`, {statusCode: 400, code: 'INVALID_IMPORT'});
+            }
+            let rows;
+            try{
+                rows = importer.parse({text, format, model: mongoDb[modelName]});
+            } catch (error){
+                throw new ApiError(`Failed to parse the imported file: ${error.message}`, {statusCode: 400, code: 'INVALID_IMPORT'});
+            }
+            const report = {dryRun, total: rows.length, valid: 0, inserted: 0, skipped: 0, failed: 0, rejected: []};
+            const reject = (row, status, reason, details = null) => {
+                report[status]++;
+                report.rejected.push({row, status, reason, details});
+            };
+            let batch = [];
+            //Saves the valid rows collected so far
+            const flush = async () => {
+                if (batch.length === 0){
+                    return;
+                }
+                const bulkReport = await generics.bulkAdd({inputObjs: batch.map((entry) => entry.data), modelName, actor, tenant, writableFields, logPathPrefix, logging: false, callId});
+                bulkReport.results.forEach((result) => {
+                    if (result.status){
+                        report.inserted++;
+                    } else {
+                        reject(batch[result.index].row, 'failed', result.error, result.details);
+                    }
+                });
+                batch = [];
+            };
+            for (let row of rows){
+                if (row.error !== null){
+                    reject(row.row, 'failed', row.error);
+                    continue;
+                }
+                if (typeof isAllowed === 'function' && !isAllowed(row.data)){
+                    reject(row.row, 'skipped', 'You don\'t have sufficient permissions to import this row');
+                    continue;
+                }
+                try{
+                    fields.checkWritable({inputObj: row.data, fields: writableFields});
+                } catch (error){
+                    reject(row.row, 'skipped', error.message, error.details);
+                    continue;
+                }
+                try{
+                    await new mongoDb[modelName](row.data).validate();
+                } catch (error){
+                    const translatedError = fromDbError(error);
+                    reject(row.row, 'failed', translatedError.message, translatedError.details || null);
+                    continue;
+                }
+                report.valid++;
+                if (!dryRun){
+                    batch.push(row);
+                    if (batch.length >= config.api.import.batchSize){
+                        await flush();
+                    }
+                }
+            }
+            await flush();
+            logger.api(`${dryRun ? 'Validated' : 'Imported'} ${modelName}s: ${report.valid} valid, ${report.inserted} inserted, ${report.skipped} skipped, ${report.failed} failed`, {logging, identifier: `api ${logPathPrefix}${modelName} import`, callId});
+            return report;
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to import ${modelName}s: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} import`, meta: {format, dryRun}, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description allows for restoring soft-deleted models in the mongo database. Restoring changes the document, so the update hooks are run around it (the arguments don't contain the inputObj)
+     * @param {String}  [id] the ID of the object that will be restored
+     * @param {String}  [modelName] full name of the model that will be restored. It must have the soft delete mode enabled
+     * @param {Object}  [actor = null] the user performing the operation: {_id, username, role, remoteAddress}. It's recorded in the audit log (see ./audit.js)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}   [readableFields = null] the fields of the returned object (see ./fields.js). If null, every field is returned
+     * @param {Object}  [session = null] an optional mongo session (mongoose.startSession) in which the operation will be performed, e.g. to make it a part of a transaction
+     * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong, the object isn't soft-deleted or something goes wrong when interacting with the database
+     * @returns {Object} the restored object
+     */
+    restore: withHooks('update', async ({id, modelName, actor = null, tenant, readableFields = null, session = null, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Restoring a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} restore`, meta: {id}, callId});
+        try{
+            //Check if the document ID is correct
+            if (typeof id !== 'string' || !(/^[a-fA-F0-9]{24}$/).test(id)){
+                throw new Error('Wrong id argument');
+            }
+            checkSoftDelete(modelName);
+            const before = await audit.snapshot({modelName, id, session});
+            const restoredObj = await mongoDb[modelName].findOneAndUpdate({_id: id}, Object.assign({$set: {deleted: false, deletedAt: null}}, versionIncrement(modelName)), {new: true, session}).onlyDeleted().forTenant(tenant).exec();
+            if (restoredObj){
+                logger.api(`Successfully restored a ${modelName} with an id: ${id}`, {logging, identifier: `api ${logPathPrefix}${modelName} restore`, meta: {restoredObj}, callId});
+                await audit.record({modelName, action: 'restore', documentId: id, before, after: await audit.snapshot({modelName, id, session}), actor, session, callId});
+                events.publish({modelName, action: 'restore', documentId: id, doc: restoredObj, session});
+                return fields.pickReadable({doc: restoredObj, modelName, fields: readableFields});
+            } else {
+                throw new Error(`Failed to restore ${modelName} with id: ${id}`);
+            }
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to restore a ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} restore`, meta: {id}, callId});
+            throw error;
+        }
+    }),
+    /**
+     * @description allows for permanently removing soft-deleted models from the mongo database - either a single one or all the ones deleted before the given date
+     * @param {String}  [id = null] the ID of the object that will be purged. If not defined (null), every document deleted before deletedBefore will be purged
+     * @param {Date}    [deletedBefore = null] used only if the id isn't defined
+     * @param {String}  [modelName] full name of the model that will be purged. It must have the soft delete mode enabled
+     * @param {Object}  [actor = null] the user performing the operation (null for the scheduler): {_id, username, role, remoteAddress}. It's recorded in the audit log (see ./audit.js)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}   [readableFields = null] the fields of the returned object (see ./fields.js). If null, every field is returned
+     * @param {Object}  [session = null] an optional mongo session (mongoose.startSession) in which the operation will be performed, e.g. to make it a part of a transaction. The audit log entries are saved in the same session
+     * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong, the object isn't soft-deleted or something goes wrong when interacting with the database
+     * @returns {Object} the purged object or {purged: Number} if the id isn't defined
+     */
+    purge: async ({id = null, deletedBefore = null, modelName, actor = null, tenant, readableFields = null, session = null, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Purging ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} purge`, meta: {id, deletedBefore}, callId});
+        try{
+            checkSoftDelete(modelName);
+            if (id === null){
+                if (!(deletedBefore instanceof Date)){
+                    throw new Error('Wrong deletedBefore argument');
+                }
+                //The whole documents are needed only for the audit log
+                const findQuery = mongoDb[modelName].find({deletedAt: {$lt: deletedBefore}}).session(session).onlyDeleted().forTenant(tenant);
+                const purgedDocs = await (audit.isEnabled(modelName) ? audit.selectHidden(findQuery, modelName) : findQuery.select('_id')).lean();
+                const purgeResult = await mongoDb[modelName].deleteMany({_id: {$in: purgedDocs.map((doc) => doc._id)}}).session(session).onlyDeleted();
+                logger.api(`Successfully purged ${purgeResult.deletedCount} ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} purge`, callId});
+                await audit.recordMany({modelName, action: 'purge', changes: purgedDocs.map((doc) => ({documentId: doc._id, before: doc, after: null})), actor, session, callId});
+                await events.afterCommit({task: () => removeOrphanedAttachments({modelName, ids: purgedDocs.map((doc) => doc._id), callId}), session});
+                return {purged: purgeResult.deletedCount};
+            }
+            //Check if the document ID is correct
+            if (typeof id !== 'string' || !(/^[a-fA-F0-9]{24}$/).test(id)){
+                throw new Error('Wrong id argument');
+            }
+            const before = await audit.snapshot({modelName, id, session});
+            const purgedObj = await mongoDb[modelName].findOneAndDelete({_id: id}, {session}).onlyDeleted().forTenant(tenant).exec();
+            if (purgedObj){
+                logger.api(`Successfully purged a ${modelName} with an id: ${id}`, {logging, identifier: `api ${logPathPrefix}${modelName} purge`, meta: {purgedObj}, callId});
+                await audit.record({modelName, action: 'purge', documentId: id, before, actor, session, callId});
+                await events.afterCommit({task: () => removeOrphanedAttachments({modelName, ids: [id], callId}), session});
+                return fields.pickReadable({doc: purgedObj, modelName, fields: readableFields});
+            } else {
+                throw new Error(`Failed to purge ${modelName} with id: ${id}`);
+            }
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to purge ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} purge`, meta: {id, deletedBefore}, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description stores the files of a multipart/form-data stream as attachments of a document (see ./attachments.js). Either every file is stored or none of them
+     * @param {String}  [id] the ID of the owning document
+     * @param {Object}  [stream] a readable stream with the request body (e.g. the express request)
+     * @param {Object}  [headers] the request headers with the multipart content type
+     * @param {String}  [modelName] full name of the owning document's model. It must accept attachments (see getModelOptions)
+     * @param {Object}  [actor = null] the user performing the operation: {_id, username, role, remoteAddress}. Their ID is stored with the files and the upload is recorded in the audit log (see ./audit.js)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
+     * @throws {ApiError} NOT_FOUND (404) if the document doesn't exist. INVALID_UPLOAD (400), FILE_TOO_LARGE (413) or UNSUPPORTED_MEDIA_TYPE (415) if the files are rejected (see attachments.receive)
+     * @returns {Array} the stored attachments: [{_id, filename, contentType, size, uploadedAt, uploadedBy}]
+     */
+    uploadAttachments: async ({id, stream, headers, modelName, actor = null, tenant, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Attaching files to a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} uploadAttachments`, meta: {id}, callId});
+        try{
+            const owner = await findAttachmentOwner({modelName, id, tenant});
+            const files = await attachments.receive({stream, headers, metadata: {
+                model: modelName,
+                document: id,
+                tenant: owner.tenant ? owner.tenant.toString() : null,
+                uploadedBy: actor === null ? null : String(actor._id)
+            }});
+            logger.api(`Successfully attached ${files.length} files to a ${modelName} with an id: ${id}`, {logging, identifier: `api ${logPathPrefix}${modelName} uploadAttachments`, meta: {files: files.map((file) => file.filename)}, callId});
+            await recordAttachments({modelName, owner, action: 'attach', files, actor, callId});
+            return files.map(attachments.toAttachment);
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to attach files to a ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} uploadAttachments`, meta: {id}, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description lists the attachments of a document
+     * @param {String}  [id] the ID of the owning document
+     * @param {String}  [modelName] full name of the owning document's model. It must accept attachments (see getModelOptions)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
+     * @throws {ApiError} NOT_FOUND (404) if the document doesn't exist
+     * @returns {Array} the attachments sorted by their upload dates: [{_id, filename, contentType, size, uploadedAt, uploadedBy}]
+     */
+    listAttachments: async ({id, modelName, tenant, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Listing the attachments of a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} listAttachments`, meta: {id}, callId});
+        try{
+            await findAttachmentOwner({modelName, id, tenant});
+            const files = await attachments.find({modelName, documentIds: [id]});
+            return files.map(attachments.toAttachment);
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to list the attachments of a ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} listAttachments`, meta: {id}, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description opens a download stream of an attachment
+     * @param {String}  [id] the ID of the owning document
+     * @param {String}  [attachmentId] the ID of the attachment
+     * @param {String}  [range = null] the Range header of the request. A single byte range is sent with the 206 status code (see attachments.openDownload)
+     * @param {String}  [modelName] full name of the owning document's model. It must accept attachments (see getModelOptions)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
+     * @throws {ApiError} NOT_FOUND (404) if the document or the attachment doesn't exist. RANGE_NOT_SATISFIABLE (416) with the Content-Range header in the headers property if the range is outside of the file
+     * @returns {Object} a readable stream of the file's contents with the statusCode and headers properties that should be set on the response
+     */
+    downloadAttachment: async ({id, attachmentId, range = null, modelName, tenant, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Downloading an attachment of a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} downloadAttachment`, meta: {id, attachmentId, range}, callId});
+        try{
+            await findAttachmentOwner({modelName, id, tenant});
+            if (typeof attachmentId !== 'string' || !(/^[a-fA-F0-9]{24}$/).test(attachmentId)){
+                throw new Error('Wrong attachmentId argument');
+            }
+            const [file] = await attachments.find({modelName, documentIds: [id], fileId: attachmentId});
+            if (file === undefined){
+                throw new ApiError(`The ${modelName} with id: ${id} has no attachment with id: ${attachmentId}`, {statusCode: 404, code: 'NOT_FOUND'});
+            }
+            const stream = attachments.openDownload(file, range);
+            stream.on('end', () => {
+                logger.api(`Finished downloading the ${file.filename} attachment of a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} downloadAttachment`, callId});
+            });
+            return stream;
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to download an attachment of a ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} downloadAttachment`, meta: {id, attachmentId, range}, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description removes an attachment of a document
+     * @param {String}  [id] the ID of the owning document
+     * @param {String}  [attachmentId] the ID of the attachment
+     * @param {String}  [modelName] full name of the owning document's model. It must accept attachments (see getModelOptions)
+     * @param {Object}  [actor = null] the user performing the operation: {_id, username, role, remoteAddress}. It's recorded in the audit log (see ./audit.js)
+     * @param {String}  [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {String}  [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
+     * @throws {ApiError} NOT_FOUND (404) if the document or the attachment doesn't exist
+     * @returns {Object} the removed attachment: {_id, filename, contentType, size, uploadedAt, uploadedBy}
+     */
+    deleteAttachment: async ({id, attachmentId, modelName, actor = null, tenant, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Deleting an attachment of a ${modelName}`, {logging, identifier: `api ${logPathPrefix}${modelName} deleteAttachment`, meta: {id, attachmentId}, callId});
+        try{
+            const owner = await findAttachmentOwner({modelName, id, tenant});
+            if (typeof attachmentId !== 'string' || !(/^[a-fA-F0-9]{24}$/).test(attachmentId)){
+                throw new Error('Wrong attachmentId argument');
+            }
+            const [file] = await attachments.find({modelName, documentIds: [id], fileId: attachmentId});
+            if (file === undefined){
+                throw new ApiError(`The ${modelName} with id: ${id} has no attachment with id: ${attachmentId}`, {statusCode: 404, code: 'NOT_FOUND'});
+            }
+            await attachments.remove([file._id]);
+            logger.api(`Successfully deleted the ${file.filename} attachment of a ${modelName} with an id: ${id}`, {logging, identifier: `api ${logPathPrefix}${modelName} deleteAttachment`, callId});
+            await recordAttachments({modelName, owner, action: 'detach', files: [file], actor, callId});
+            return attachments.toAttachment(file);
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to delete an attachment of a ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} deleteAttachment`, meta: {id, attachmentId}, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description allows for saving many models in the mongo database at once. Every object is saved by generics.add
+     * @param {Array}    [inputObjs] a list of objects that will be passed to the selected model's constructor
+     * @param {String}   [modelName] full name of the model that will be saved
+     * @param {Boolean}  [atomic = false] if true, either all the objects will be saved or none of them (uses a mongo transaction)
+     * @param {Function} [isAllowed = null] an optional function that receives an input object and returns false if it shouldn't be saved (e.g. because of insufficient permissions)
+     * @param {Object}   [actor = null] the user performing the operation. It's recorded in the audit log (see ./audit.js)
+     * @param {String}   [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}    [writableFields = null] the fields that the input objects can contain (see ./fields.js). If null, every field can be written
+     * @param {Array}    [readableFields = null] the fields of the returned objects (see ./fields.js). If null, every field is returned
+     * @param {String}   [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean}  [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}   [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong. Errors related to single objects are reported in the results
+     * @returns {Object} a report with per-item results: {atomic, committed, succeeded, failed, results: [{index, id, status, data, error, code, details}]} (see runBulk)
+     */
+    bulkAdd: async ({inputObjs, modelName, atomic = false, isAllowed = null, actor = null, tenant, writableFields = null, readableFields = null, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Adding many ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} bulkAdd`, meta: {count: inputObjs instanceof Array ? inputObjs.length : null, atomic}, callId});
+        try{
+            checkBulkItems(inputObjs);
+            const report = await runBulk({
+                items: inputObjs,
+                operation: (inputObj, session) => generics.add({inputObj, modelName, actor, tenant, writableFields, readableFields, session, logPathPrefix, logging, callId}),
+                isAllowed,
+                getItemId: (inputObj, savedObj) => savedObj ? savedObj._id.toString() : null,
+                atomic
+            });
+            logger.api(`Added ${report.succeeded} of ${inputObjs.length} ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} bulkAdd`, meta: {failed: report.failed, committed: report.committed}, callId});
+            return report;
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to add many ${modelName}s: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} bulkAdd`, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description allows for updating many models in the mongo database at once - either the ones with the given IDs or the ones matching the given filter. Every document is updated by generics.update
+     * @param {Array}    [ids = null] a list of IDs of the objects that will be updated. Can't be used with the filter
+     * @param {Object}   [filter = null] a filter with the same syntax as the filter query-string parameter (see ./query.js). Can't be used with the ids
+     * @param {Object}   [inputObj] the object that will be passed to the $set operator of every updated document
+     * @param {String}   [modelName] full name of the model that will be updated
+     * @param {Boolean}  [atomic = false] if true, either all the documents will be updated or none of them (uses a mongo transaction)
+     * @param {Function} [isAllowed = null] an optional function that receives a document ID and returns false if it shouldn't be updated (e.g. because of insufficient permissions)
+     * @param {Object}   [actor = null] the user performing the operation. It's recorded in the audit log (see ./audit.js)
+     * @param {String}   [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}    [writableFields = null] the fields that the input object can contain (see ./fields.js). If null, every field can be written
+     * @param {Array}    [readableFields = null] the fields of the returned objects (see ./fields.js). If null, every field is returned
+     * @param {String}   [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean}  [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}   [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong. Errors related to single documents are reported in the results
+     * @returns {Object} a report with per-item results: {atomic, committed, succeeded, failed, results: [{index, id, status, data, error, code, details}]} (see runBulk)
+     */
+    bulkUpdate: async ({ids = null, filter = null, inputObj, modelName, atomic = false, isAllowed = null, actor = null, tenant, writableFields = null, readableFields = null, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Updating many ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} bulkUpdate`, meta: {ids, filter, inputObj, atomic}, callId});
+        try{
+            //Make sure that the given model exists in mongoose 
+            if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
+                throw new Error('Wrong modelName argument');
+            }
+            //Make sure that the input object is, in fact, an object
+            if (typeof inputObj !== 'object' || inputObj === null){
+                throw new Error('Wrong inputObj argument');
+            }
+            const resolvedIds = await resolveBulkIds({ids, filter, modelName, tenant});
+            const report = await runBulk({
+                items: resolvedIds,
+                //Every document gets its own copy because generics.update doesn't expect the input object to be shared
+                operation: (id, session) => generics.update({id, inputObj: Object.assign({}, inputObj), modelName, actor, tenant, writableFields, readableFields, session, logPathPrefix, logging, callId}),
+                isAllowed,
+                getItemId: (id) => id,
+                atomic
+            });
+            logger.api(`Updated ${report.succeeded} of ${resolvedIds.length} ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} bulkUpdate`, meta: {failed: report.failed, committed: report.committed}, callId});
+            return report;
+        } catch (error){ //Log and rethrow
+            logger.error(`Failed to update many ${modelName}s: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} bulkUpdate`, meta: {ids, filter}, callId});
+            throw error;
+        }
+    },
+    /**
+     * @description allows for deleting many models from the mongo database at once - either the ones with the given IDs or the ones matching the given filter. Every document is deleted by generics.delete
+     * @param {Array}    [ids = null] a list of IDs of the objects that will be deleted. Can't be used with the filter
+     * @param {Object}   [filter = null] a filter with the same syntax as the filter query-string parameter (see ./query.js). Can't be used with the ids
+     * @param {String}   [modelName] full name of the model that will be deleted
+     * @param {Boolean}  [atomic = false] if true, either all the documents will be deleted or none of them (uses a mongo transaction)
+     * @param {Function} [isAllowed = null] an optional function that receives a document ID and returns false if it shouldn't be deleted (e.g. because of insufficient permissions)
+     * @param {Object}   [actor = null] the user performing the operation. It's recorded in the audit log (see ./audit.js)
+     * @param {String}   [tenant] the tenant to which the operation is constrained (see /app/tenancy): a tenant ID, null for the documents without a tenant or tenancy.unscoped if the operation isn't constrained. Undefined is treated like null
+     * @param {Array}    [readableFields = null] the fields of the returned objects (see ./fields.js). If null, every field is returned
+     * @param {String}   [logPathPrefix = ''] by default, only the model name is appended to the identifier part of the log messages generated by this function. This parameter allows to add an additional identifier prefix if the model name is ambiguous
+     * @param {Boolean}  [logging = true] allows to controll whether log messages are generated or not
+     * @param {String}   [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+     * @throws {Error} will throw if the arguments are wrong. Errors related to single documents are reported in the results
+     * @returns {Object} a report with per-item results: {atomic, committed, succeeded, failed, results: [{index, id, status, data, error, code, details}]} (see runBulk)
+     */
+    bulkDelete: async ({ids = null, filter = null, modelName, atomic = false, isAllowed = null, actor = null, tenant, readableFields = null, logPathPrefix = '', logging = true, callId = null}) => {
+        //Generate a new callId for our logger if it wasn't passed in the parameters
+        callId = h.generateCallId(callId);
+        logger.api(`Deleting many ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} bulkDelete`, meta: {ids, filter, atomic}, callId});
+        try{
+            //Make sure that the given model exists in mongoose 
+            if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
+                throw new Error('Wrong modelName argument');
+            }
+            const resolvedIds = await resolveBulkIds({ids, filter, modelName, tenant});
+            const report = await runBulk({
+                items: resolvedIds,
+                operation: (id, session) => generics.delete({id, modelName, actor, tenant, readableFields, session, logPathPrefix, logging, callId}),
+                isAllowed,
+                getItemId: (id) => id,
+                atomic
+            });
+            logger.api(`Deleted ${report.succeeded} of ${resolvedIds.length} ${modelName}s`, {logging, identifier: `api ${logPathPrefix}${modelName} bulkDelete`, meta: {failed: report.failed, committed: report.committed}, callId});
+            return report;
         } catch (error){ //Log and rethrow
-            logger.error(`Failed to get an existing ${modelName}: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} get`, meta: {id}, callId});
+            logger.error(`Failed to delete many ${modelName}s: ${h.optionalStringify(error)}`, {identifier: `api ${logPathPrefix}${modelName} bulkDelete`, meta: {ids, filter}, callId});
             throw error;
         }
     }
 };
 
+/**
+ * @description reads the API options of the given model. They're declared in the model's schema options, e.g.:
+ *     new mongoose.Schema({...}, {collection: 'data.users', api: {path: 'user'}})
+ * Supported options:
+ *     expose: if false, no controllers or routes will be generated for the model (true by default)
+ *     path: the path under /api/ at which the model's routes are registered (by default it's the model name with dots replaced by slashes)
+ *     actions: a list of actions for which the routes are generated (by default: ['get', 'add', 'update', 'delete'])
+ *     softDelete: if true, deleted documents are only flagged and can be restored or purged later (false by default, see /app/db/mongo/plugins/softDelete.js)
+ *     audit: if false, the model's mutations won't be recorded in the audit log (true by default, see ./audit.js)
+ *     cache: if true, single documents read by generics.get are cached in Redis (false by default, see ./cache.js)
+ *     attachments: if true, files can be attached to the documents (false by default, see ./attachments.js)
+ * @param {String} [modelName] full name of the model
+ * @throws {Error} will throw if the model doesn't exist
+ * @returns {Object} the model's API options merged with the default values
+ */
+const getModelOptions = (modelName) => {
+    //Make sure that the given model exists in mongoose 
+    if (typeof modelName !== 'string' || mongoDb[modelName] === undefined){
+        throw new Error('Wrong modelName argument');
+    }
+    return Object.assign({
+        expose: true,
+        path: modelName.replace(/\./g, '/'),
+        actions: ['get', 'add', 'update', 'delete'],
+        softDelete: false,
+        audit: true,
+        cache: false,
+        attachments: false
+    }, mongoDb[modelName].schema.options.api);
+};
+
+/**
+ * @description returns the version of the given document. It's used by the router to generate ETags
+ * @param {String} [modelName] full name of the model
+ * @param {Object} [doc] a document (or a lean object) of the given model
+ * @returns {Number} the document version or null if the model has no version key or doc isn't a single document
+ */
+const getDocumentVersion = (modelName, doc) => {
+    const versionKey = getVersionKey(modelName);
+    if (!versionKey || typeof doc !== 'object' || doc === null || doc instanceof Array){
+        return null;
+    }
+    //Documents created outside of mongoose might not have the version key at all
+    return typeof doc[versionKey] === 'number' ? doc[versionKey] : 0;
+};
+
+/**
+ * @description generates a set of controllers that pass their arguments to the generic functions along with the given model name
+ * @param {String} [modelName] full name of the model
+ * @returns {Object} an object with the add, delete, update, patch, get, search, export, import, bulkAdd, bulkUpdate, bulkDelete, restore, purge, uploadAttachments, listAttachments, downloadAttachment and deleteAttachment controllers. See the generics object for the accepted arguments
+ */
+const generateControllers = (modelName) => {
+    return {
+        add: async (args) => {
+            return await generics.add(Object.assign({}, args, {modelName}));
+        },
+        delete: async (args) => {
+            return await generics.delete(Object.assign({}, args, {modelName}));
+        },
+        update: async (args) => {
+            return await generics.update(Object.assign({}, args, {modelName}));
+        },
+        patch: async (args) => {
+            return await generics.patch(Object.assign({}, args, {modelName}));
+        },
+        get: async (args) => {
+            return await generics.get(Object.assign({}, args, {modelName}));
+        },
+        search: async (args) => {
+            return await generics.search(Object.assign({}, args, {modelName}));
+        },
+        export: async (args) => {
+            return await generics.export(Object.assign({}, args, {modelName}));
+        },
+        import: async (args) => {
+            return await generics.import(Object.assign({}, args, {modelName}));
+        },
+        bulkAdd: async (args) => {
+            return await generics.bulkAdd(Object.assign({}, args, {modelName}));
+        },
+        bulkUpdate: async (args) => {
+            return await generics.bulkUpdate(Object.assign({}, args, {modelName}));
+        },
+        bulkDelete: async (args) => {
+            return await generics.bulkDelete(Object.assign({}, args, {modelName}));
+        },
+        restore: async (args) => {
+            return await generics.restore(Object.assign({}, args, {modelName}));
+        },
+        purge: async (args) => {
+            return await generics.purge(Object.assign({}, args, {modelName}));
+        },
+        uploadAttachments: async (args) => {
+            return await generics.uploadAttachments(Object.assign({}, args, {modelName}));
+        },
+        listAttachments: async (args) => {
+            return await generics.listAttachments(Object.assign({}, args, {modelName}));
+        },
+        downloadAttachment: async (args) => {
+            return await generics.downloadAttachment(Object.assign({}, args, {modelName}));
+        },
+        deleteAttachment: async (args) => {
+            return await generics.deleteAttachment(Object.assign({}, args, {modelName}));
+        }
+    };
+};
+
+/**
+ * Hand-written controllers that override the generated ones. The structure: {<modelName>: {<add|delete|update|get|search|export|import|bulkAdd|bulkUpdate|bulkDelete|restore|purge|uploadAttachments|listAttachments|downloadAttachment|deleteAttachment>: async (args) => {...}}}
+ * Only the defined functions are overwritten - the rest of the model's controllers are still generated
+ */
+const customControllers = {
+    //The audit log isn't exposed like the other models - it can only be read through GET /api/audit
+    [audit.modelName]: {
+        get: async (args) => {
+            return await generics.get(Object.assign({}, args, {modelName: audit.modelName}));
+        }
+    }
+};
+
+/**
+ * @description generates controllers for every model that doesn't opt out (see getModelOptions) and applies the custom controllers on top of them
+ * @returns {Object} the controllers object with model names as keys
+ */
+const buildControllers = () => {
+    const controllers = {};
+    for (let modelName in mongoDb){
+        if (getModelOptions(modelName).expose !== false){
+            controllers[modelName] = generateControllers(modelName);
+        }
+    }
+    for (let modelName in customControllers){
+        controllers[modelName] = Object.assign(controllers[modelName] || {}, customControllers[modelName]);
+    }
+    return controllers;
+};
+
 /**
  * The actual API functions (e.g. model controllers)
  */
 module.exports = {
+    errors: require('./errors'),
+    events,
+    fields,
+    getModelOptions,
+    getDocumentVersion,
+    isSearchable,
+    exportFormats: exporter.formats,
+    patchContentType: patch.contentType,
     __private: { //For tests
-        generics
+        generics,
+        runBulk,
+        generateControllers,
+        customControllers
     },
-    controllers: {
-        ['data.user']: {
-            /**
-             * @description creates a new user in the mongo database
-             * @param {Object}  [inputObj] a plain JS object with a structure reflecting the user's schema
-             * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
-             * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
-             * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
-             * @returns {Object} the created user object with autopopulated properties and filled default values
-             */
-            add: async ({inputObj, logging = true, callId = null}) => {
-                return await generics.add({
-                    inputObj,
-                    modelName: 'data.user',
-                    logging,
-                    callId
-                });
-            },
-            /**
-             * @description deletes a user from the mongo database
-             * @param {String}  [id] the user's identifier
-             * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
-             * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
-             * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
-             * @returns {Object} the deleted user object with autopopulated properties and filled default values
-             */
-            delete: async ({id, logging = true, callId = null}) => {
-                return await generics.delete({
-                    id,
-                    modelName: 'data.user',
-                    logging,
-                    callId
-                });
-            },
-            /**
-             * @description updates a user in the mongo database
-             * @param {String}  [id] the user's identifier
-             * @param {Object}  [inputObj] a plain JS object with a structure reflecting the user's schema
-             * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
-             * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
-             * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
-             * @returns {Object} the updated user object with autopopulated properties and filled default values
-             */
-            update: async ({id, inputObj, logging = true, callId = null}) => {
-                return await generics.update({
-                    id,
-                    inputObj,
-                    modelName: 'data.user',
-                    logging,
-                    callId
-                });
-            },
-            /**
-             * @description retrieves a single user or all the users from the mongo database
-             * @param {String}  [id] the user's identifier. If not defined, the function will return all the users as an Array
-             * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
-             * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
-             * @throws {Error} will throw if the arguments are wrong or something goes wrong when interacting with the database
-             * @returns {(Object|Array)} the found user object with autopopulated properties or an Array of user objects when the id parameter is ommited
-             */
-            get: async ({id, logging = true, callId = null}) => {
-                return await generics.get({
-                    id,
-                    modelName: 'data.user',
-                    logging,
-                    callId
-                });
-            },
-        },
-    },
-};
\ No newline at end of file
+    controllers: buildControllers(),
+};
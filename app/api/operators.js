@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Builds the mongo update of generics.update from its input object. The plain fields are passed to $set and a safe subset of update operators is supported:
+ *     {username: 'john', $unset: {nickname: ''}, $push: {tags: 'a'}, $pull: {tags: 'b'}, $inc: {'stats.logins': 1}}
+ * $push accepts either a single value or {$each: [...]}. The other modifiers ($position, $slice, $sort) and operators nested in the values (e.g. $where in $pull conditions) aren't supported.
+ * The operator paths are checked against the model's schema, so clients can't unset required fields, increment strings or push to non-array fields
+ */
+
+const dotObj = require('dot-object');
+const {ApiError} = require('./errors');
+
+const supportedOperators = ['$unset', '$push', '$pull', '$inc'];
+
+//Arrays are set as a whole instead of being flattened into "tags[0]" keys that mongo wouldn't understand
+const dotter = new dotObj('.');
+dotter.keepArray = true;
+
+/**
+ * @description checks if the given value contains any keys that start with $ (mongo operators)
+ * @param {*} [value] the value of an operator path
+ * @returns {Boolean} true if the value or any of its nested objects contains an operator
+ */
+const containsOperators = (value) => {
+    if (value instanceof Array){
+        return value.some(containsOperators);
+    }
+    if (typeof value === 'object' && value !== null){
+        return Object.keys(value).some((key) => key.startsWith('$') || containsOperators(value[key]));
+    }
+    return false;
+};
+
+/**
+ * @description checks if the given operator can be applied to the given path of the given schema
+ * @param {String} [operator] one of the supported operators
+ * @param {String} [path] a dotted path
+ * @param {*}      [value] the operator's value for the path
+ * @param {Object} [schema] a mongoose schema
+ * @returns {Object} a detail of the problem: {field, rule, message} or null if the operator can be applied
+ */
+const validateOperator = (operator, path, value, schema) => {
+    const schemaType = schema.path(path);
+    if (schema.pathType(path) === 'adhocOrUndefined'){
+        return {field: path, rule: 'exists', message: `${path} isn't defined in the schema`};
+    }
+    if (operator === '$unset'){
+        if (schemaType && schemaType.isRequired){
+            return {field: path, rule: 'required', message: `${path} is required and can't be removed`};
+        }
+    } else if (operator === '$inc'){
+        if (!schemaType || schemaType.instance !== 'Number' || typeof value !== 'number' || !Number.isFinite(value)){
+            return {field: path, rule: 'type', message: `${path} can only be incremented by a number if it's a number`};
+        }
+    } else {
+        if (!schemaType || schemaType.instance !== 'Array'){
+            return {field: path, rule: 'type', message: `${path} isn't an array`};
+        }
+        const operatorDetail = {field: path, rule: 'operator', message: `${operator} of ${path} can't contain operators other than $each`};
+        let values = [value];
+        //$each is the only supported modifier of $push
+        if (operator === '$push' && typeof value === 'object' && value !== null && value.$each !== undefined){
+            if (!(value.$each instanceof Array) || Object.keys(value).length > 1){
+                return operatorDetail;
+            }
+            values = value.$each;
+        }
+        if (containsOperators(values)){
+            return operatorDetail;
+        }
+    }
+    return null;
+};
+
+/**
+ * @description builds a mongo update from the given input object and validates it against the model's schema
+ * @param {Object} [inputObj] plain fields (nested or dotted) and the supported operators
+ * @param {Object} [model] a mongoose model
+ * @param {Array}  [ignoredPaths = []] the paths that are silently removed from the update, e.g. the version key
+ * @throws {ApiError} INVALID_UPDATE (422) with field-level details if the operators are unsupported, don't match the schema or conflict with each other
+ * @returns {Object} {update, paths} where update contains $set and the used operators and paths is a list of every updated path
+ */
+const build = ({inputObj, model, ignoredPaths = []}) => {
+    const plainFields = {};
+    const update = {};
+    const details = [];
+    Object.keys(inputObj).forEach((key) => {
+        if (!key.startsWith('$')){
+            plainFields[key] = inputObj[key];
+        } else if (!supportedOperators.includes(key)){
+            details.push({field: key, rule: 'operator', message: `Unsupported operator: ${key}. Supported operators: ${supportedOperators.join(', ')}`});
+        } else if (typeof inputObj[key] !== 'object' || inputObj[key] === null || inputObj[key] instanceof Array){
+            details.push({field: key, rule: 'operator', message: `${key} must be an object with paths as keys`});
+        } else {
+            //Copied, so the removed paths don't change the caller's object (e.g. the input object shared by generics.bulkUpdate)
+            update[key] = Object.assign({}, inputObj[key]);
+        }
+    });
+    update.$set = dotter.dot(plainFields);
+    Object.keys(update).forEach((operator) => {
+        ignoredPaths.forEach((path) => {
+            delete update[operator][path];
+        });
+        if (operator !== '$set'){
+            Object.keys(update[operator]).forEach((path) => {
+                const detail = validateOperator(operator, path, update[operator][path], model.schema);
+                if (detail !== null){
+                    details.push(detail);
+                }
+            });
+        }
+        if (Object.keys(update[operator]).length === 0){
+            delete update[operator];
+        }
+    });
+    const paths = [];
+    Object.keys(update).forEach((operator) => {
+        Object.keys(update[operator]).forEach((path) => {
+            //Mongo rejects updates that change the same path (or a path and its subpath) twice
+            const conflict = paths.find((otherPath) => otherPath === path || otherPath.startsWith(`${path}.`) || path.startsWith(`${otherPath}.`));
+            if (conflict !== undefined){
+                details.push({field: path, rule: 'conflict', message: `${path} can't be updated together with ${conflict}`});
+            }
+            paths.push(path);
+        });
+    });
+    if (details.length > 0){
+        throw new ApiError(`Invalid update: ${details.map((detail) => detail.message).join(', ')}`, {statusCode: 422, code: 'INVALID_UPDATE', details});
+    }
+    return {update, paths};
+};
+
+module.exports = {
+    supportedOperators,
+    build,
+    __private: { //For tests
+        containsOperators,
+        validateOperator
+    }
+};
@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * Applies JSON Patch documents (RFC 6902, application/json-patch+json) to documents read by generics.patch:
+ *     [{op: 'replace', path: '/username', value: 'john'}, {op: 'add', path: '/tags/-', value: 'a'}, {op: 'remove', path: '/nickname'}]
+ * The patch is applied to a copy of the current document and the difference is translated into the input object of generics.update (see ./operators.js), so the hooks, validators and field permissions work the same way as for the other updates.
+ * The whole document can't be replaced - every operation must point to a field of the document
+ */
+
+const {ApiError} = require('./errors');
+
+const supportedOperations = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * @description creates an error that will be sent to the client with the 422 status code when a patch can't be applied
+ * @param {String} [message] the error message
+ * @param {String} [path = null] the JSON pointer of the failed operation
+ * @param {String} [op = null] the name of the failed operation
+ * @returns {ApiError} the created error
+ */
+const patchError = (message, path = null, op = null) => {
+    return new ApiError(message, {statusCode: 422, code: 'INVALID_PATCH', details: path === null ? null : [{field: path, rule: op, message}]});
+};
+
+/**
+ * @description parses the given JSON pointer (RFC 6901)
+ * @param {String} [pointer] a JSON pointer, e.g. "/tags/0"
+ * @throws {ApiError} if the pointer is wrong or points to the whole document
+ * @returns {Array} a list of unescaped tokens, e.g. ['tags', '0']
+ */
+const parsePointer = (pointer) => {
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')){
+        throw patchError(`Wrong JSON pointer: ${pointer}. The whole document can't be patched`);
+    }
+    const tokens = pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (tokens.includes('__proto__')){
+        throw patchError(`Wrong JSON pointer: ${pointer}`);
+    }
+    return tokens;
+};
+
+/**
+ * @description converts the given JSON pointer into a dotted path that can be checked against the field permissions (see ./fields.js)
+ * @param {String} [pointer] a JSON pointer, e.g. "/profile/name"
+ * @returns {String} the dotted path, e.g. "profile.name"
+ */
+const toPath = (pointer) => {
+    return parsePointer(pointer).join('.');
+};
+
+/**
+ * @description finds the object or array that contains the value pointed by the given tokens
+ * @param {Object} [doc] the patched document
+ * @param {Array}  [tokens] the result of parsePointer
+ * @param {String} [pointer] the original pointer, used in the error messages
+ * @throws {ApiError} if the container doesn't exist
+ * @returns {Object} {container, key} where key is the last token (an array index or an object key)
+ */
+const getContainer = (doc, tokens, pointer) => {
+    let container = doc;
+    tokens.slice(0, -1).forEach((token) => {
+        container = typeof container === 'object' && container !== null ? container[token] : undefined;
+    });
+    if (typeof container !== 'object' || container === null){
+        throw patchError(`The parent of ${pointer} doesn't exist`, pointer);
+    }
+    return {container, key: tokens[tokens.length - 1]};
+};
+
+/**
+ * @description converts the given token into an index of the given array
+ * @param {Array}   [array] the array
+ * @param {String}  [key] the token, e.g. "0" or "-" (the end of the array)
+ * @param {Boolean} [inserting] true if the index can point right after the last element
+ * @param {String}  [pointer] the original pointer, used in the error messages
+ * @throws {ApiError} if the index is wrong or out of bounds
+ * @returns {Number} the index
+ */
+const getIndex = (array, key, inserting, pointer) => {
+    if (key === '-' && inserting){
+        return array.length;
+    }
+    const index = (/^(0|[1-9][0-9]*)$/).test(key) ? Number(key) : NaN;
+    if (Number.isNaN(index) || index > array.length || (!inserting && index === array.length)){
+        throw patchError(`Wrong array index in ${pointer}`, pointer);
+    }
+    return index;
+};
+
+/**
+ * @description reads the value pointed by the given JSON pointer
+ * @param {Object} [doc] the patched document
+ * @param {String} [pointer] a JSON pointer
+ * @throws {ApiError} if the value doesn't exist
+ * @returns {*} the value
+ */
+const getValue = (doc, pointer) => {
+    const {container, key} = getContainer(doc, parsePointer(pointer), pointer);
+    const index = container instanceof Array ? getIndex(container, key, false, pointer) : key;
+    if (!(container instanceof Array) && !Object.prototype.hasOwnProperty.call(container, key)){
+        throw patchError(`${pointer} doesn't exist`, pointer);
+    }
+    return container[index];
+};
+
+/**
+ * @description adds or replaces the value pointed by the given JSON pointer. Values added to arrays are inserted at the given index
+ * @param {Object}  [doc] the patched document
+ * @param {String}  [pointer] a JSON pointer
+ * @param {*}       [value] the new value
+ * @param {Boolean} [replace = false] if true, the value must already exist and array elements are replaced instead of inserted
+ * @throws {ApiError} if the pointer is wrong
+ */
+const setValue = (doc, pointer, value, replace = false) => {
+    if (replace){
+        getValue(doc, pointer);
+    }
+    const {container, key} = getContainer(doc, parsePointer(pointer), pointer);
+    if (container instanceof Array){
+        container.splice(getIndex(container, key, !replace, pointer), replace ? 1 : 0, value);
+    } else {
+        container[key] = value;
+    }
+};
+
+/**
+ * @description removes the value pointed by the given JSON pointer
+ * @param {Object} [doc] the patched document
+ * @param {String} [pointer] a JSON pointer
+ * @throws {ApiError} if the value doesn't exist
+ */
+const removeValue = (doc, pointer) => {
+    getValue(doc, pointer);
+    const {container, key} = getContainer(doc, parsePointer(pointer), pointer);
+    if (container instanceof Array){
+        container.splice(getIndex(container, key, false, pointer), 1);
+    } else {
+        delete container[key];
+    }
+};
+
+/**
+ * @description validates the structure of the given patch
+ * @param {Array} [operations] a JSON Patch document
+ * @throws {ApiError} if the patch is wrong
+ * @returns {Object} {changedPaths, readPaths} - lists of the dotted paths changed by the patch (the test operations don't change anything) and the paths whose values it reveals (the tested paths and the sources of the copied and moved values)
+ */
+const validate = (operations) => {
+    if (!(operations instanceof Array) || operations.length === 0){
+        throw patchError('The patch must be a non-empty array of operations');
+    }
+    const changedPaths = [];
+    const readPaths = [];
+    operations.forEach((operation) => {
+        if (typeof operation !== 'object' || operation === null || !supportedOperations.includes(operation.op)){
+            throw patchError(`Unknown patch operation: ${operation && operation.op}. Supported operations: ${supportedOperations.join(', ')}`);
+        }
+        if (['add', 'replace', 'test'].includes(operation.op) && operation.value === undefined){
+            throw patchError(`The ${operation.op} operation of ${operation.path} doesn't have a value`, operation.path, operation.op);
+        }
+        const path = toPath(operation.path);
+        if (operation.op === 'test'){
+            //A failed test tells the client that the value is different
+            readPaths.push(path);
+        } else {
+            changedPaths.push(path);
+        }
+        if (['move', 'copy'].includes(operation.op)){
+            const from = toPath(operation.from);
+            readPaths.push(from);
+            //Moved values are removed from their original path
+            if (operation.op === 'move'){
+                changedPaths.push(from);
+            }
+        }
+    });
+    return {changedPaths, readPaths};
+};
+
+/**
+ * @description applies the given patch to a copy of the given document
+ * @param {Object} [doc] a lean document
+ * @param {Array}  [operations] a JSON Patch document
+ * @throws {ApiError} INVALID_PATCH (422) if an operation can't be applied or PATCH_TEST_FAILED (409) if a test operation fails
+ * @returns {Object} the patched copy. ObjectIds and dates are converted to strings
+ */
+const apply = (doc, operations) => {
+    const patched = JSON.parse(JSON.stringify(doc));
+    operations.forEach(({op, path, from, value}) => {
+        if (op === 'add' || op === 'replace'){
+            setValue(patched, path, value, op === 'replace');
+        } else if (op === 'remove'){
+            removeValue(patched, path);
+        } else if (op === 'copy'){
+            setValue(patched, path, JSON.parse(JSON.stringify(getValue(patched, from))));
+        } else if (op === 'move'){
+            if (path.startsWith(`${from}/`)){
+                throw patchError(`${from} can't be moved to its own child`, path, op);
+            }
+            const movedValue = getValue(patched, from);
+            removeValue(patched, from);
+            setValue(patched, path, movedValue);
+        } else if (JSON.stringify(getValue(patched, path)) !== JSON.stringify(value)){ //test
+            throw new ApiError(`The test of ${path} failed`, {statusCode: 409, code: 'PATCH_TEST_FAILED', details: [{field: toPath(path), rule: 'test', message: `${path} doesn't have the expected value`}]});
+        }
+    });
+    return patched;
+};
+
+/**
+ * @description compares the original and the patched document and returns the input object of generics.update that changes the former into the latter. Objects are compared field by field, arrays and other values as a whole
+ * @param {Object} [before] the original document
+ * @param {Object} [after] the patched document
+ * @param {String} [prefix = ''] the path of the compared objects - used for recursion
+ * @returns {Object} the changed values with dotted paths as keys and the removed paths in $unset
+ */
+const diff = (before, after, prefix = '') => {
+    const inputObj = {};
+    const unset = {};
+    const isObject = (value) => typeof value === 'object' && value !== null && !(value instanceof Array);
+    before = JSON.parse(JSON.stringify(before));
+    Object.keys(Object.assign({}, before, after)).forEach((key) => {
+        const path = `${prefix}${key}`;
+        if (!Object.prototype.hasOwnProperty.call(after, key)){
+            unset[path] = '';
+        } else if (isObject(before[key]) && isObject(after[key])){
+            const nested = diff(before[key], after[key], `${path}.`);
+            Object.assign(unset, nested.$unset);
+            delete nested.$unset;
+            Object.assign(inputObj, nested);
+        } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])){
+            inputObj[path] = after[key];
+        }
+    });
+    if (Object.keys(unset).length > 0){
+        inputObj.$unset = unset;
+    }
+    return inputObj;
+};
+
+module.exports = {
+    contentType: 'application/json-patch+json',
+    validate,
+    apply,
+    diff,
+    __private: { //For tests
+        parsePointer
+    }
+};
@@ -0,0 +1,331 @@
+'use strict';
+
+/**
+ * Translates query-string parameters into mongo queries used by generics.get. Supports limit/offset pagination, cursor-based pagination, a whitelisted filter syntax and multi-field sorting.
+ * Only the schema paths that were explicitly declared as filterable or sortable can be used, e.g.:
+ *     username: {type: String, filterable: true, sortable: true}
+ * Supported query-string parameters:
+ *     limit=20                        the maximum number of returned documents (config.api.query.defaultLimit by default, at most config.api.query.maxLimit)
+ *     offset=40                       the number of documents to skip (can't be combined with cursor)
+ *     cursor=<string>                 the nextCursor value returned with the previous page
+ *     sort=-role,username             a comma-separated list of sortable fields. A minus sign means descending order
+ *     filter[username]=john           equality
+ *     filter[age][gte]=18             operators: eq, ne, gt, gte, lt, lte, in, nin, regex
+ *     filter[role][in]=admin,user     in and nin accept comma-separated lists or repeated parameters (filter[role][in][]=admin)
+ * The values are passed to mongoose as strings - it casts them according to the schema (e.g. to dates or numbers)
+ * Full-text searches (see parseSearch) accept the q parameter along with limit, offset and filter. Their results are always sorted by relevance:
+ *     q=john doe                      the searched text (at most config.api.search.maxQueryLength characters)
+ * Exports (see parseExport) accept only filter and sort
+ * The returned fields and the expanded references are selected with the fields and expand parameters (see ./expand.js)
+ */
+
+const dotObj = require('dot-object');
+const config = require('../config');
+const {ApiError} = require('./errors');
+
+//Maps the operator names that can be used in the query string to mongo operators
+const filterOperators = {
+    eq: '$eq',
+    ne: '$ne',
+    gt: '$gt',
+    gte: '$gte',
+    lt: '$lt',
+    lte: '$lte',
+    in: '$in',
+    nin: '$nin',
+    regex: '$regex'
+};
+
+/**
+ * @description creates an error that will be sent to the client with the 400 status code
+ * @param {String} [message] the error message
+ * @returns {ApiError} the created error
+ */
+const queryError = (message) => {
+    return new ApiError(message, {statusCode: 400, code: 'INVALID_QUERY'});
+};
+
+/**
+ * @description checks if the given field is declared in the model's schema with the given option set to true
+ * @param {Object} [model] a mongoose model
+ * @param {String} [field] the (dotted) path of the field
+ * @param {String} [optionName] the name of the schema path option, e.g. "filterable" or "sortable"
+ * @returns {Boolean} true if the field can be used
+ */
+const isAllowed = (model, field, optionName) => {
+    const schemaPath = model.schema.path(field);
+    return schemaPath !== undefined && schemaPath.options[optionName] === true;
+};
+
+/**
+ * @description parses a non-negative integer from the query string
+ * @param {*} [value] the raw query-string value
+ * @param {String} [name] the parameter name used in the error message
+ * @param {Number} [defaultValue] the value returned if the parameter wasn't defined
+ * @param {Number} [min] the minimum accepted value
+ * @param {Number} [max = Infinity] the maximum accepted value
+ * @throws {ApiError} if the value isn't an integer within the given range
+ * @returns {Number} the parsed value
+ */
+const parseInteger = (value, name, defaultValue, min, max = Infinity) => {
+    if (value === undefined){
+        return defaultValue;
+    }
+    const parsedValue = Number(value);
+    //The router converts the declared parameters into numbers (see /app/router/middleware/validateRequest.js)
+    if ((typeof value !== 'string' && typeof value !== 'number') || !Number.isInteger(parsedValue) || parsedValue < min || parsedValue > max){
+        throw queryError(`The ${name} parameter must be an integer between ${min} and ${max}`);
+    }
+    return parsedValue;
+};
+
+/**
+ * @description translates the filter query-string parameter into a mongo filter
+ * @param {Object} [filter] the parsed filter parameter (e.g. {username: 'john', age: {gte: '18'}})
+ * @param {Object} [model] the mongoose model that will be queried
+ * @throws {ApiError} if the filter contains undeclared fields, unknown operators or wrong values
+ * @returns {Object} a mongo filter
+ */
+const parseFilter = (filter, model) => {
+    const result = {};
+    if (filter === undefined){
+        return result;
+    }
+    if (typeof filter !== 'object' || filter === null || filter instanceof Array){
+        throw queryError('The filter parameter must be an object, e.g. filter[username]=john');
+    }
+    for (let field in filter){
+        if (!isAllowed(model, field, 'filterable')){
+            throw queryError(`Filtering by ${field} is not allowed`);
+        }
+        const condition = filter[field];
+        //Simple equality: filter[field]=value
+        if (typeof condition === 'string'){
+            result[field] = condition;
+            continue;
+        }
+        if (typeof condition !== 'object' || condition === null || condition instanceof Array){
+            throw queryError(`Wrong filter value for ${field}`);
+        }
+        result[field] = {};
+        //Operator mode: filter[field][operator]=value
+        for (let operatorName in condition){
+            if (filterOperators[operatorName] === undefined){
+                throw queryError(`Unknown filter operator for ${field}: ${operatorName}. Supported operators: ${Object.keys(filterOperators).join(', ')}`);
+            }
+            let value = condition[operatorName];
+            if (operatorName === 'in' || operatorName === 'nin'){
+                //Accept both comma-separated strings and repeated parameters
+                value = typeof value === 'string' ? value.split(',') : value;
+                if (!(value instanceof Array) || value.some((entry) => typeof entry !== 'string')){
+                    throw queryError(`Wrong ${operatorName} filter value for ${field}`);
+                }
+            } else if (typeof value !== 'string'){
+                throw queryError(`Wrong ${operatorName} filter value for ${field}`);
+            } else if (operatorName === 'regex'){
+                //Long patterns are an easy way to slow the database down
+                if (value.length > config.api.query.maxRegexLength){
+                    throw queryError(`The regex filter for ${field} can't be longer than ${config.api.query.maxRegexLength} characters`);
+                }
+                try{
+                    new RegExp(value);
+                } catch (error){
+                    throw queryError(`Wrong regex filter value for ${field}: ${error.message}`);
+                }
+            }
+            result[field][filterOperators[operatorName]] = value;
+        }
+    }
+    return result;
+};
+
+/**
+ * @description translates the sort query-string parameter into a list of fields and directions. The _id field is always appended as the last one so that the order is stable (which is required by cursors)
+ * @param {String} [sort] the raw sort parameter, e.g. "-role,username"
+ * @param {Object} [model] the mongoose model that will be queried
+ * @throws {ApiError} if the parameter contains undeclared fields
+ * @returns {Array} an array of [field, direction] pairs where direction is either 1 or -1
+ */
+const parseSort = (sort, model) => {
+    const result = [];
+    if (sort !== undefined){
+        if (typeof sort !== 'string'){
+            throw queryError('The sort parameter must be a comma-separated list of fields');
+        }
+        sort.split(',').filter((field) => field.length > 0).forEach((field) => {
+            const direction = field[0] === '-' ? -1 : 1;
+            field = field.replace(/^[-+]/, '');
+            if (field !== '_id' && !isAllowed(model, field, 'sortable')){
+                throw queryError(`Sorting by ${field} is not allowed`);
+            }
+            if (result.some((entry) => entry[0] === field)){
+                throw queryError(`The sort parameter contains ${field} more than once`);
+            }
+            result.push([field, direction]);
+        });
+    }
+    if (!result.some((entry) => entry[0] === '_id')){
+        result.push(['_id', 1]);
+    }
+    return result;
+};
+
+/**
+ * @description creates a string that identifies the given sort order. It's stored in cursors so that they can't be used with a different order
+ * @param {Array} [sortFields] the result of parseSort
+ * @returns {String} the signature
+ */
+const getSortSignature = (sortFields) => {
+    return sortFields.map((entry) => `${entry[0]}:${entry[1]}`).join(',');
+};
+
+/**
+ * @description creates an opaque cursor pointing right after the given document
+ * @param {Object} [doc] the last document of the current page
+ * @param {Array} [sortFields] the result of parseSort
+ * @returns {String} a base64-encoded cursor
+ */
+const encodeCursor = (doc, sortFields) => {
+    const values = sortFields.map((entry) => {
+        const value = dotObj.pick(entry[0], doc);
+        return value === undefined ? null : value;
+    });
+    return Buffer.from(JSON.stringify({sort: getSortSignature(sortFields), values})).toString('base64');
+};
+
+/**
+ * @description decodes the given cursor and creates a mongo filter that matches all the documents placed after it in the given sort order
+ * @param {String} [cursor] the cursor created by encodeCursor
+ * @param {Array} [sortFields] the result of parseSort
+ * @throws {ApiError} if the cursor is malformed or was created for a different sort order
+ * @returns {Object} a mongo filter
+ */
+const decodeCursor = (cursor, sortFields) => {
+    let decodedCursor;
+    try{
+        decodedCursor = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    } catch (error){
+        throw queryError('Malformed cursor');
+    }
+    if (!decodedCursor || typeof decodedCursor.sort !== 'string' || !(decodedCursor.values instanceof Array)){
+        throw queryError('Malformed cursor');
+    }
+    if (decodedCursor.sort !== getSortSignature(sortFields)){
+        throw queryError('The cursor was created for a different sort order');
+    }
+    if (decodedCursor.values.length !== sortFields.length){
+        throw queryError('Malformed cursor');
+    }
+    //Keyset pagination: (a > x) OR (a = x AND b > y) OR (a = x AND b = y AND _id > z)
+    const alternatives = [];
+    sortFields.forEach((entry, index) => {
+        const [field, direction] = entry;
+        const value = decodedCursor.values[index];
+        const alternative = {};
+        for (let i = 0; i < index; i++){
+            alternative[sortFields[i][0]] = decodedCursor.values[i];
+        }
+        //Mongo places nulls before every other value, so nothing is lower than null and everything that isn't null is greater
+        if (value === null){
+            if (direction === -1){
+                return;
+            }
+            alternative[field] = {$ne: null};
+        } else {
+            alternative[field] = {[direction === 1 ? '$gt' : '$lt']: value};
+        }
+        alternatives.push(alternative);
+    });
+    return alternatives.length > 0 ? {$or: alternatives} : {_id: null};
+};
+
+/**
+ * @description parses the query-string parameters related to filtering, sorting and pagination
+ * @param {Object} [query] the parsed query string (req.query)
+ * @param {Object} [model] the mongoose model that will be queried
+ * @throws {ApiError} if any of the parameters is wrong
+ * @returns {Object} {filter, cursorFilter, sort, sortFields, limit, offset} - cursorFilter is null if there was no cursor in the query
+ */
+const parse = ({query, model}) => {
+    const limit = parseInteger(query.limit, 'limit', config.api.query.defaultLimit, 1, config.api.query.maxLimit);
+    const offset = parseInteger(query.offset, 'offset', 0, 0);
+    if (query.cursor !== undefined && query.offset !== undefined){
+        throw queryError('The cursor and offset parameters can\'t be used together');
+    }
+    if (query.cursor !== undefined && typeof query.cursor !== 'string'){
+        throw queryError('Malformed cursor');
+    }
+    const sortFields = parseSort(query.sort, model);
+    const sort = {};
+    sortFields.forEach((entry) => {
+        sort[entry[0]] = entry[1];
+    });
+    return {
+        filter: parseFilter(query.filter, model),
+        cursorFilter: query.cursor !== undefined ? decodeCursor(query.cursor, sortFields) : null,
+        sort,
+        sortFields,
+        limit,
+        offset
+    };
+};
+
+/**
+ * @description parses the query-string parameters of a full-text search
+ * @param {Object} [query] the parsed query string (req.query)
+ * @param {Object} [model] the mongoose model that will be searched
+ * @throws {ApiError} if any of the parameters is wrong
+ * @returns {Object} {text, filter, limit, offset}
+ */
+const parseSearch = ({query, model}) => {
+    if (typeof query.q !== 'string' || query.q.trim().length === 0){
+        throw queryError('The q parameter must be a non-empty string');
+    }
+    if (query.q.length > config.api.search.maxQueryLength){
+        throw queryError(`The q parameter can't be longer than ${config.api.search.maxQueryLength} characters`);
+    }
+    //The results are ranked by relevance, so they can't be sorted differently or paginated with cursors
+    if (query.sort !== undefined || query.cursor !== undefined){
+        throw queryError('The sort and cursor parameters can\'t be used in searches');
+    }
+    return {
+        text: query.q.trim(),
+        filter: parseFilter(query.filter, model),
+        limit: parseInteger(query.limit, 'limit', config.api.query.defaultLimit, 1, config.api.query.maxLimit),
+        offset: parseInteger(query.offset, 'offset', 0, 0)
+    };
+};
+
+/**
+ * @description parses the query-string parameters of an export. Exports contain every document matching the filter, so limit, offset and cursor can't be used
+ * @param {Object} [query] the parsed query string (req.query)
+ * @param {Object} [model] the mongoose model that will be exported
+ * @throws {ApiError} if any of the parameters is wrong
+ * @returns {Object} {filter, sort}
+ */
+const parseExport = ({query, model}) => {
+    if (query.limit !== undefined || query.offset !== undefined || query.cursor !== undefined){
+        throw queryError('The limit, offset and cursor parameters can\'t be used in exports');
+    }
+    const sort = {};
+    parseSort(query.sort, model).forEach((entry) => {
+        sort[entry[0]] = entry[1];
+    });
+    return {
+        filter: parseFilter(query.filter, model),
+        sort
+    };
+};
+
+module.exports = {
+    parse,
+    parseSearch,
+    parseExport,
+    parseFilter,
+    encodeCursor,
+    __private: { //For tests
+        parseSort,
+        parseInteger,
+        decodeCursor
+    }
+};
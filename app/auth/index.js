@@ -21,6 +21,20 @@ const config = require('../config');
 const h = require('../helpers');
 const db = require('../db').mongo;
 const logger = require('../logger').appLogger;
+const cache = require('../api/cache');
+const tenancy = require('../tenancy');
+
+/**
+ * @description returns the tenant of the users that can sign in or sign up with the given request. Usernames are unique only within a tenant
+ * @param {Object} [req] the express request object passed by Passport. req.subdomainTenant is set by the resolveTenant middleware of the router
+ * @returns {Object} a filter of the user's tenant: {tenant} or an empty object if the tenancy is disabled
+ */
+const getTenantFilter = (req) => {
+    if (!tenancy.isEnabled()){
+        return {};
+    }
+    return {tenant: req.subdomainTenant ? req.subdomainTenant._id : null};
+};
 
 /**
  * @description checks the supplied password and username against the user's mongoDB record
@@ -33,8 +47,8 @@ const logger = require('../logger').appLogger;
 const signInProcessor = async (req, username, password, done) => {
     logger.debug(`Starting to authenticate: ${username}`, {identifier: 'auth signInProcessor'});
     try {
-        //Search for a user with the given username in the mongo database
-        const user = await db.models['data.user'].findOne({username}).select('+password').lean(); //Lean makes it faster and we don't need to populate anything and we don't need to populate anything
+        //Search for a user with the given username in the mongo database. Users of tenants sign in on their tenant's subdomain
+        const user = await db.models['data.user'].findOne(Object.assign({username}, getTenantFilter(req))).notDeleted().select('+password').lean(); //Lean makes it faster and we don't need to populate anything and we don't need to populate anything. Soft-deleted users can't sign in
         if (!user){ //If the user wasn't found return an auth error
             logger.warn(`Sign in attempt failed from ${req.connection.remoteAddress}: user '${username}' doesn't exist`, {identifier: 'auth signInProcessor'});
             return done('Authentication error', false);
@@ -62,11 +76,19 @@ const signInProcessor = async (req, username, password, done) => {
 const jwtAuthProcessor = async (req, jwtPayload, done) => {
     logger.debug(`Starting to authenticate '${jwtPayload.username}'`, {identifier: 'auth jwtAuthProcessor'});
     try{
-        //Extract the user's ID and search for it in the mongo database
-        const user = await db.models['data.user'].findById(jwtPayload._id).select('-password').lean(); //Lean makes it faster and we don't need to populate anything
+        //Extract the user's ID and search for it in the cache or the mongo database
+        const user = await cache.wrap({
+            modelName: 'data.user',
+            id: jwtPayload._id,
+            variant: 'auth',
+            fetch: () => db.models['data.user'].findById(jwtPayload._id).notDeleted().select('-password').lean() //Lean makes it faster and we don't need to populate anything. Tokens of soft-deleted users are rejected
+        });
         if (!user){ //If the user wasn't found return an auth error
             logger.warn(`Sign in attempt failed from '${req.connection.remoteAddress}': user '${jwtPayload.username}' doesn't exist`, {identifier: 'auth jwtAuthProcessor'});
             return done('Authentication error', false);
+        } else if (tenancy.getTenantId(jwtPayload.tenant) !== tenancy.getTenantId(user.tenant)){ //Tokens issued before moving the user to another tenant are rejected
+            logger.warn(`Sign in attempt failed from '${req.connection.remoteAddress}': the tenant of '${jwtPayload.username}' has changed`, {identifier: 'auth jwtAuthProcessor'});
+            return done('Authentication error', false);
         } else { //Everything ok, return the found user object (the password was already deselected)
             logger.silly(`Sign in attempt of '${jwtPayload.username}' succeeded from '${req.connection.remoteAddress}'`, {identifier: 'auth jwtAuthProcessor'});
             return done(null, user);
@@ -78,7 +100,7 @@ const jwtAuthProcessor = async (req, jwtPayload, done) => {
 };
 
 /**
- * @description creates a new user if the username isn't already taken. Sets the role to: user
+ * @description creates a new user if the username isn't already taken. Sets the role to: user. Users that sign up on a tenant's subdomain belong to that tenant
  * @param {Object}   [req] the express request object passed by Passport  
  * @param {String}   [username] the user's username
  * @param {String}   [password] the user's password 
@@ -88,8 +110,8 @@ const jwtAuthProcessor = async (req, jwtPayload, done) => {
 const signUpProcessor = async (req, username, password, done) => {
     logger.verbose(`Starting to sign up a new user: ${username}`, {identifier: 'auth signUpProcessor'});
     try {
-        //Search for a user with the given username in the mongo database
-        const user = await db.models['data.user'].findOne({username}).select('-password').lean(); //Lean makes it faster and we don't need to populate anything
+        //Search for a user with the given username in the mongo database. Soft-deleted users are included because their usernames are still taken until they're purged
+        const user = await db.models['data.user'].findOne(Object.assign({username}, getTenantFilter(req))).select('-password').lean(); //Lean makes it faster and we don't need to populate anything
         if (user){ //If the user was found return an error because usernames must be unique
             logger.warn(`Sign up attempt failed from ${req.connection.remoteAddress}: user ${username} already exists`, {identifier: 'auth signUpProcessor'});
             return done('Username already taken', false);
@@ -97,7 +119,7 @@ const signUpProcessor = async (req, username, password, done) => {
             //We store password hashes in the database
             const hashedPassword = h.generateHash({password});
             //Create a new user in the mongo database
-            const user = await db.models['data.user'].create({username, password: hashedPassword, role: 'user'});
+            const user = await db.models['data.user'].create(Object.assign({username, password: hashedPassword, role: 'user'}, req.subdomainTenant ? {tenant: req.subdomainTenant._id} : {}));
             logger.debug(`Sign up attempt of ${username} succeeded from ${req.connection.remoteAddress}`, {identifier: 'auth signUpProcessor'});
             //We don't need mongoose stuff in the returned object
             const userObj = user.toObject();
@@ -190,6 +212,7 @@ module.exports = {
         }));
     },
     __private: { //For tests
+        getTenantFilter,
         signUpProcessor,
         signInProcessor,
         jwtAuthProcessor
@@ -52,10 +52,32 @@ connection.on('error', (error) => {
     logger.error(`Mongoose error: ${h.optionalStringify(error)}`, {identifier: 'db mongo'});
 });
 
+//Global plugins must be registered before the models are compiled
+mongoose.plugin(require('./plugins/softDelete'));
+mongoose.plugin(require('./plugins/search'));
+mongoose.plugin(require('./plugins/tenant'));
+
+const models = require('./models')(mongoose); //Load all the models from the ./models directory
+
+/**
+ * @description waits until the connection with the database is established. Otherwise, the commands would be buffered forever if the database was unreachable
+ * @throws {Error} if the connection fails
+ */
+const connect = () => {
+    return new Promise((resolve, reject) => {
+        if (connection.readyState === 1){
+            return resolve();
+        }
+        connection.once('open', resolve);
+        connection.once('error', reject);
+    });
+};
+
 module.exports = {
     connection,
+    connect,
     mongoose,
-    models: require('./models')(mongoose), //Load all the models from the ./models directory
+    models,
     __private: { //For tests
         generateAuthOptions,
         connectionOptions
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Usernames used to be unique in the whole collection. Since the tenancy was introduced (see /app/tenancy), they're unique only within tenants, so the old index would reject users with the same usernames in different tenants
+ */
+
+/**
+ * @description checks if the given collection has an index with the given name
+ * @param {Object} [collection] a mongo collection
+ * @param {String} [indexName] the name of the index
+ * @returns {Boolean} true if the index exists
+ */
+const hasIndex = async (collection, indexName) => {
+    //Collections that don't exist yet don't have any indexes
+    const indexes = await collection.indexes().catch(() => []);
+    return indexes.some((index) => index.name === indexName);
+};
+
+module.exports = {
+    description: 'Makes the usernames unique within tenants instead of the whole collection',
+    up: async ({models, logger, callId}) => {
+        const collection = models['data.user'].collection;
+        if (await hasIndex(collection, 'username_1')){
+            await collection.dropIndex('username_1');
+            logger.info('Dropped the username_1 index of data.users', {identifier: 'db mongo migrations', callId});
+        }
+        await collection.createIndex({tenant: 1, username: 1}, {unique: true, background: true});
+    },
+    down: async ({models, logger, callId}) => {
+        const collection = models['data.user'].collection;
+        if (await hasIndex(collection, 'tenant_1_username_1')){
+            await collection.dropIndex('tenant_1_username_1');
+            logger.info('Dropped the tenant_1_username_1 index of data.users', {identifier: 'db mongo migrations', callId});
+        }
+        //Fails if the same username is used in many tenants - such users have to be renamed first
+        await collection.createIndex({username: 1}, {unique: true, background: true});
+    }
+};
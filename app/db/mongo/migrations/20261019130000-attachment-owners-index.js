@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * The attachments (see /app/api/attachments.js) are stored in GridFS and found by the documents that own them, so the files collection of the bucket needs an index on the owners
+ */
+
+const config = require('../../../config');
+
+const indexName = 'metadata.model_1_metadata.document_1';
+
+module.exports = {
+    description: 'Indexes the owners of the attachments',
+    up: async ({connection}) => {
+        await connection.db.collection(`${config.api.attachments.bucketName}.files`).createIndex({'metadata.model': 1, 'metadata.document': 1}, {name: indexName, background: true});
+    },
+    down: async ({connection, logger, callId}) => {
+        const collection = connection.db.collection(`${config.api.attachments.bucketName}.files`);
+        //Collections that don't exist yet don't have any indexes
+        const indexes = await collection.indexes().catch(() => []);
+        if (indexes.some((index) => index.name === indexName)){
+            await collection.dropIndex(indexName);
+            logger.info(`Dropped the ${indexName} index of ${collection.collectionName}`, {identifier: 'db mongo migrations', callId});
+        }
+    }
+};
@@ -0,0 +1,248 @@
+'use strict';
+
+/**
+ * Runs the data migrations - scripts that change the existing documents when the schemas in /app/db/mongo/models change.
+ * Every other file in this directory is a migration. The file names start with a timestamp that defines the order in which they run, e.g. 20261019120000-tenant-scoped-usernames.js:
+ *     module.exports = {
+ *         description: 'Makes the usernames unique within tenants',
+ *         up: async ({connection, mongoose, models, logger, callId}) => {...},
+ *         down: async ({connection, mongoose, models, logger, callId}) => {...}
+ *     };
+ * The applied migrations are recorded in the sys.migrations collection. Only one process can run the migrations at a time - the others can't acquire the lock stored in the sys.locks collection. The lock is renewed while the migrations run, so it only expires if its owner dies.
+ * Migrations aren't run in transactions. If one of them fails, the run stops and the migrations applied before it stay applied
+ * The migrations can be run at startup, before the workers are forked (config.db.mongo.migrations.runOnStartup, see /cluster.js and /server.js), or with the commands defined in /migrate.js:
+ *     npm run migrate, npm run migrate:down, npm run migrate:status
+ */
+
+//Using graceful-fs to limit the amount of open file descriptors
+const fs = require('graceful-fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../config');
+const h = require('../../../helpers');
+const logger = require('../../../logger').appLogger;
+const mongo = require('../index');
+
+const lockName = 'migrations';
+//Identifies the current process in the lock
+const lockOwner = `${os.hostname()}:${process.pid}`;
+
+/**
+ * @description scans the given directory and loads all the migrations
+ * @param {String} [directory = __dirname] the directory with the migration files
+ * @throws {Error} if any of the files isn't a valid migration
+ * @returns {Array} a list of migrations sorted by their names: [{name, description, up, down}]
+ */
+const load = (directory = __dirname) => {
+    return fs.readdirSync(directory)
+        .filter((file) => file !== 'index.js' && file.endsWith('.js'))
+        .sort()
+        .map((file) => {
+            const name = file.replace(/\.js$/, '');
+            if (!(/^\d{14}-[\w-]+$/).test(name)){
+                throw new Error(`Wrong migration file name: ${file}. Expected: <YYYYMMDDHHmmss>-<name>.js`);
+            }
+            const migration = require(path.resolve(directory, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function'){
+                throw new Error(`The ${name} migration must export the up and down functions`);
+            }
+            return {name, description: migration.description || null, up: migration.up, down: migration.down};
+        });
+};
+
+/**
+ * @description tries to acquire the migrations lock. Locks that expired (config.db.mongo.migrations.lockTimeoutSeconds) are taken over
+ * @returns {Boolean} true if the lock was acquired, false if another process holds it
+ */
+const acquireLock = async () => {
+    const Lock = mongo.models['sys.lock'];
+    //The unique index must exist before the lock can be contended
+    await Lock.init();
+    const now = new Date();
+    try{
+        await Lock.updateOne({name: lockName, expiresAt: {$lte: now}}, {$set: {owner: lockOwner, expiresAt: new Date(now.getTime() + config.db.mongo.migrations.lockTimeoutSeconds * 1000)}}, {upsert: true});
+        return true;
+    } catch (error){
+        //The lock exists and hasn't expired, so the upsert tried to create a duplicate
+        if (error.code === 11000){
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * @description extends the migrations lock if it's held by the current process
+ * @returns {Boolean} true if the lock was extended, false if the current process doesn't hold it anymore
+ */
+const renewLock = async () => {
+    const result = await mongo.models['sys.lock'].updateOne({name: lockName, owner: lockOwner}, {$set: {expiresAt: new Date(Date.now() + config.db.mongo.migrations.lockTimeoutSeconds * 1000)}});
+    return result.n > 0;
+};
+
+/**
+ * @description releases the migrations lock if it's held by the current process
+ */
+const releaseLock = async () => {
+    await mongo.models['sys.lock'].deleteOne({name: lockName, owner: lockOwner});
+};
+
+/**
+ * @description runs the given function while holding the migrations lock. The lock is renewed every third of config.db.mongo.migrations.lockTimeoutSeconds until the function finishes
+ * @param {Function} [func] an async function. It gets a checkLock function that throws if the lock was lost in the meantime - it has to be called before every migration
+ * @throws {Error} if the lock is held by another process
+ * @returns {*} the result of the function
+ */
+const withLock = async (func) => {
+    if (!(await acquireLock())){
+        throw Object.assign(new Error('The migrations are being run by another process'), {code: 'MIGRATIONS_LOCKED'});
+    }
+    let lockLost = false;
+    //A long migration mustn't outlive the lock - another process would take it over and run the same migrations
+    const renewal = setInterval(() => {
+        renewLock().then((renewed) => {
+            if (!renewed){
+                lockLost = true;
+                clearInterval(renewal);
+            }
+        }).catch((error) => {
+            logger.error(`Failed to renew the migrations lock: ${h.optionalStringify(error)}`, {identifier: 'db mongo migrations'});
+        });
+    }, config.db.mongo.migrations.lockTimeoutSeconds * 1000 / 3);
+    const checkLock = () => {
+        if (lockLost){
+            throw Object.assign(new Error('The migrations lock expired and may have been taken over by another process'), {code: 'MIGRATIONS_LOCK_LOST'});
+        }
+    };
+    try{
+        return await func(checkLock);
+    } finally {
+        clearInterval(renewal);
+        await releaseLock();
+    }
+};
+
+/**
+ * @description lists all the migrations along with their state
+ * @param {Array} [migrations = load()] the loaded migrations
+ * @returns {Array} a list sorted by the names: [{name, description, applied, appliedAt, missing}]. Missing migrations were applied, but their files don't exist anymore
+ */
+const status = async (migrations = load()) => {
+    const records = await mongo.models['sys.migration'].find({}).lean();
+    const result = migrations.map(({name, description}) => {
+        const record = records.find((entry) => entry.name === name);
+        return {name, description, applied: record !== undefined, appliedAt: record ? record.appliedAt : null, missing: false};
+    });
+    records.filter((record) => !migrations.some(({name}) => name === record.name)).forEach((record) => {
+        result.push({name: record.name, description: record.description, applied: true, appliedAt: record.appliedAt, missing: true});
+    });
+    return result.sort((a, b) => a.name < b.name ? -1 : 1);
+};
+
+/**
+ * @description applies the pending migrations in order
+ * @param {String}  [to = null] the name of the last migration that will be applied. If null, every pending migration is applied
+ * @param {Array}   [migrations = load()] the loaded migrations
+ * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
+ * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+ * @throws {Error} if the lock is held by another process or lost, the target doesn't exist or any of the migrations fails
+ * @returns {Array} the names of the applied migrations
+ */
+const up = async ({to = null, migrations = load(), logging = true, callId = null} = {}) => {
+    callId = h.generateCallId(callId);
+    if (to !== null && !migrations.some(({name}) => name === to)){
+        throw new Error(`Unknown migration: ${to}`);
+    }
+    return await withLock(async (checkLock) => {
+        const applied = (await status(migrations)).filter((entry) => entry.applied).map((entry) => entry.name);
+        const lastIndex = to === null ? migrations.length - 1 : migrations.findIndex(({name}) => name === to);
+        const pending = migrations.slice(0, lastIndex + 1).filter(({name}) => !applied.includes(name));
+        logger.info(`Applying ${pending.length} migrations`, {identifier: 'db mongo migrations', logging, callId});
+        for (let migration of pending){
+            checkLock();
+            const start = Date.now();
+            logger.info(`Applying ${migration.name}`, {identifier: 'db mongo migrations', logging, callId});
+            try{
+                await migration.up({connection: mongo.connection, mongoose: mongo.mongoose, models: mongo.models, logger, callId});
+            } catch (error){
+                logger.error(`Failed to apply ${migration.name}: ${h.optionalStringify(error)}`, {identifier: 'db mongo migrations', callId});
+                throw error;
+            }
+            await mongo.models['sys.migration'].create({name: migration.name, description: migration.description, duration: Date.now() - start});
+        }
+        return pending.map(({name}) => name);
+    });
+};
+
+/**
+ * @description reverts the most recently applied migrations
+ * @param {Number}  [steps = 1] the number of reverted migrations
+ * @param {Array}   [migrations = load()] the loaded migrations
+ * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
+ * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+ * @throws {Error} if the lock is held by another process or lost, any of the reverted migrations is missing or fails
+ * @returns {Array} the names of the reverted migrations
+ */
+const down = async ({steps = 1, migrations = load(), logging = true, callId = null} = {}) => {
+    callId = h.generateCallId(callId);
+    if (!Number.isInteger(steps) || steps < 1){
+        throw new Error(`Wrong steps argument: ${steps}`);
+    }
+    return await withLock(async (checkLock) => {
+        const reverted = (await status(migrations)).filter((entry) => entry.applied).reverse().slice(0, steps);
+        logger.info(`Reverting ${reverted.length} migrations`, {identifier: 'db mongo migrations', logging, callId});
+        for (let entry of reverted){
+            checkLock();
+            if (entry.missing){
+                throw new Error(`The ${entry.name} migration can't be reverted because its file doesn't exist`);
+            }
+            logger.info(`Reverting ${entry.name}`, {identifier: 'db mongo migrations', logging, callId});
+            try{
+                await migrations.find(({name}) => name === entry.name).down({connection: mongo.connection, mongoose: mongo.mongoose, models: mongo.models, logger, callId});
+            } catch (error){
+                logger.error(`Failed to revert ${entry.name}: ${h.optionalStringify(error)}`, {identifier: 'db mongo migrations', callId});
+                throw error;
+            }
+            await mongo.models['sys.migration'].deleteOne({name: entry.name});
+        }
+        return reverted.map(({name}) => name);
+    });
+};
+
+/**
+ * @description applies the pending migrations when the app starts (config.db.mongo.migrations.runOnStartup). The entry files await it before the workers are forked or the server starts listening, so the requests are never served with the documents in their old shape. Does nothing if the option is disabled or another process is already running the migrations
+ * @throws {Error} if the database is unreachable or any of the migrations fails - the app mustn't start then
+ * @returns {Array} the names of the applied migrations (empty if the migrations are disabled or locked)
+ */
+const runOnStartup = async () => {
+    if (config.db.mongo.migrations.runOnStartup !== true){
+        return [];
+    }
+    const callId = h.generateCallId();
+    try{
+        await mongo.connect();
+        return await up({callId});
+    } catch (error){
+        if (error.code === 'MIGRATIONS_LOCKED'){
+            logger.warn('Skipping the migrations - they are being run by another process', {identifier: 'db mongo migrations', callId});
+            return [];
+        }
+        logger.error(`Failed to run the migrations: ${h.optionalStringify(error)}`, {identifier: 'db mongo migrations', callId});
+        throw error;
+    }
+};
+
+module.exports = {
+    load,
+    status,
+    up,
+    down,
+    runOnStartup,
+    __private: { //For tests
+        acquireLock,
+        renewLock,
+        releaseLock,
+        withLock,
+        lockName
+    }
+};
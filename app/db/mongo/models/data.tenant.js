@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Tenants - customer organizations served by a single deployment (see /app/tenancy)
+ */
+
+module.exports = (mongoose) => {
+    const tenantSchema = new mongoose.Schema({
+        name: {
+            required: true,
+            type: String,
+            trim: true,
+            filterable: true,
+            sortable: true,
+            searchable: true,
+        },
+        //The tenant is available at <subdomain>.<config.server.rootDomain>
+        subdomain: {
+            match: /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/,
+            unique: true,
+            required: true,
+            type: String,
+            trim: true,
+            lowercase: true,
+            filterable: true,
+            sortable: true,
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+            filterable: true,
+            sortable: true,
+        }
+    }, {
+        collection: 'data.tenants',
+        api: {
+            path: 'tenant',
+            //Tenants don't belong to other tenants
+            tenant: false
+        }
+    });
+
+    return mongoose.model('data.tenant', tenantSchema);
+};
@@ -4,11 +4,13 @@ module.exports = (mongoose) => {
     const userSchema = new mongoose.Schema({
         username: {
             match: /^[a-zA-Z0-9_]{1,}$/,
-            unique: true,
             required: true,
             type: String,
             trim: true,
             lowercase: true,
+            filterable: true,
+            sortable: true,
+            searchable: true,
         },
         password: {
             match: /^.{1,}$/,
@@ -19,11 +21,24 @@ module.exports = (mongoose) => {
         role: {
             required: true,
             type: String,
-            default: 'user'
+            default: 'user',
+            filterable: true,
+            sortable: true,
         }
     }, {
-        collection: 'data.users'
+        collection: 'data.users',
+        api: {
+            path: 'user',
+            softDelete: true,
+            //Users are read by every authenticated request (see /app/auth/index.js)
+            cache: true,
+            //E.g. avatars
+            attachments: true
+        }
     });
 
+    //Usernames are unique within a tenant (see /app/tenancy). The tenant path is added by the tenant plugin
+    userSchema.index({tenant: 1, username: 1}, {unique: true});
+
     return mongoose.model('data.user', userSchema);
 };
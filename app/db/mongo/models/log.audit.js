@@ -0,0 +1,82 @@
+'use strict';
+
+/**
+ * The audit log - every mutation performed by the generic API functions is recorded here (see /app/api/audit.js)
+ */
+
+module.exports = (mongoose) => {
+    const auditSchema = new mongoose.Schema({
+        //The user that performed the mutation. Null for the mutations performed by the application itself (e.g. the scheduler)
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'data.user',
+            default: null,
+            index: true,
+            filterable: true,
+        },
+        username: {
+            type: String,
+            default: null,
+            filterable: true,
+            sortable: true,
+        },
+        role: {
+            type: String,
+            default: null,
+            filterable: true,
+        },
+        model: {
+            required: true,
+            type: String,
+            filterable: true,
+            sortable: true,
+        },
+        documentId: {
+            required: true,
+            type: mongoose.Schema.Types.ObjectId,
+            filterable: true,
+        },
+        action: {
+            required: true,
+            type: String,
+            //attach and detach record the files attached to the documents and removed from them (see /app/api/attachments.js)
+            enum: ['add', 'update', 'delete', 'restore', 'purge', 'attach', 'detach'],
+            filterable: true,
+        },
+        //Field-level diff of the document: [{path: 'username', before: 'john', after: 'johnny'}]
+        changes: [{
+            _id: false,
+            path: String,
+            before: mongoose.Schema.Types.Mixed,
+            after: mongoose.Schema.Types.Mixed,
+        }],
+        callId: {
+            type: String,
+            default: null,
+            filterable: true,
+        },
+        remoteAddress: {
+            type: String,
+            default: null,
+            filterable: true,
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now,
+            index: true,
+            filterable: true,
+            sortable: true,
+        }
+    }, {
+        collection: 'log.audits',
+        versionKey: false,
+        api: {
+            //Only the audit route (GET /api/audit) can read the log and nothing can modify it
+            expose: false,
+            audit: false
+        }
+    });
+    auditSchema.index({model: 1, documentId: 1, createdAt: -1});
+
+    return mongoose.model('log.audit', auditSchema);
+};
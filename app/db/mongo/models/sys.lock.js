@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Locks shared by all the processes using the database, e.g. the one that makes sure that only a single worker runs the migrations (see /app/db/mongo/migrations)
+ */
+
+module.exports = (mongoose) => {
+    const lockSchema = new mongoose.Schema({
+        name: {
+            required: true,
+            type: String,
+            unique: true,
+        },
+        //Identifies the process holding the lock: <hostname>:<pid>
+        owner: {
+            required: true,
+            type: String,
+        },
+        //Locks of processes that died without releasing them can be taken over after this date
+        expiresAt: {
+            required: true,
+            type: Date,
+        }
+    }, {
+        collection: 'sys.locks',
+        versionKey: false,
+        api: {
+            expose: false,
+            audit: false,
+            tenant: false
+        }
+    });
+
+    return mongoose.model('sys.lock', lockSchema);
+};
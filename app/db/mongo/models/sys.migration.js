@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * The data migrations that were applied to the database (see /app/db/mongo/migrations)
+ */
+
+module.exports = (mongoose) => {
+    const migrationSchema = new mongoose.Schema({
+        //The file name of the migration without the extension, e.g. 20261019120000-tenant-scoped-usernames
+        name: {
+            required: true,
+            type: String,
+            unique: true,
+        },
+        description: {
+            type: String,
+            default: null,
+        },
+        appliedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        //How long the migration took in milliseconds
+        duration: {
+            type: Number,
+            default: null,
+        }
+    }, {
+        collection: 'sys.migrations',
+        versionKey: false,
+        api: {
+            //Migrations are managed only by the migration runner
+            expose: false,
+            audit: false,
+            tenant: false
+        }
+    });
+
+    return mongoose.model('sys.migration', migrationSchema);
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * A global mongoose plugin that creates text indexes for the fields declared as searchable in the schema:
+ *     username: {type: String, searchable: true}
+ *     description: {type: String, searchable: 5} - a number defines the field's weight in the relevance score (1 by default)
+ * Mongo allows only one text index per collection, so all the searchable fields of a model are put in a single index called "search".
+ * The searchable fields are used by generics.search (see /app/api/index.js)
+ */
+
+/**
+ * @description finds the searchable paths of the given schema
+ * @param {Object} [schema] a mongoose schema
+ * @returns {Object} the weights of the searchable paths, e.g. {username: 1}. Empty if there are none
+ */
+const getWeights = (schema) => {
+    const weights = {};
+    schema.eachPath((path, schemaType) => {
+        const searchable = schemaType.options.searchable;
+        if (searchable === true){
+            weights[path] = 1;
+        } else if (typeof searchable === 'number' && searchable > 0){
+            weights[path] = searchable;
+        }
+    });
+    return weights;
+};
+
+/**
+ * @description applies the plugin to the given schema. Should be registered with mongoose.plugin before compiling the models
+ * @param {Object} [schema] a mongoose schema
+ */
+module.exports = (schema) => {
+    const weights = getWeights(schema);
+    const paths = Object.keys(weights);
+    if (paths.length === 0){
+        return;
+    }
+    const indexFields = {};
+    paths.forEach((path) => {
+        indexFields[path] = 'text';
+    });
+    schema.index(indexFields, {weights, name: 'search'});
+};
+
+module.exports.getWeights = getWeights;
@@ -0,0 +1,47 @@
+'use strict';
+
+/**
+ * A global mongoose plugin that adds the soft delete mode to the models that opt in to it in their schema options:
+ *     new mongoose.Schema({...}, {collection: 'data.users', api: {softDelete: true}})
+ * Soft-deleted documents are only flagged and timestamped (the deleted and deletedAt paths) instead of being removed from the database.
+ * Every schema (even without the soft delete mode) gets two query helpers, so the callers don't need to know whether the mode is enabled:
+ *     Model.find({}).notDeleted() - excludes soft-deleted documents
+ *     Model.find({}).onlyDeleted() - finds only soft-deleted documents (nothing if the mode is disabled)
+ */
+
+/**
+ * @description checks if the soft delete mode is enabled in the given schema's options
+ * @param {Object} [schema] a mongoose schema
+ * @returns {Boolean} true if the mode is enabled
+ */
+const isEnabled = (schema) => {
+    return Boolean(schema.options.api && schema.options.api.softDelete === true);
+};
+
+/**
+ * @description applies the plugin to the given schema. Should be registered with mongoose.plugin before compiling the models
+ * @param {Object} [schema] a mongoose schema
+ */
+module.exports = (schema) => {
+    const enabled = isEnabled(schema);
+    if (enabled){
+        schema.add({
+            deleted: {
+                type: Boolean,
+                default: false,
+                index: true
+            },
+            deletedAt: {
+                type: Date,
+                default: null
+            }
+        });
+    }
+    schema.query.notDeleted = function(){
+        return enabled ? this.where({deleted: {$ne: true}}) : this;
+    };
+    schema.query.onlyDeleted = function(){
+        //There can't be any soft-deleted documents if the mode is disabled
+        return enabled ? this.where({deleted: true}) : this.where({_id: null});
+    };
+};
@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * A global mongoose plugin that makes the documents belong to tenants (customer organizations, see /app/db/mongo/models/data.tenant.js and /app/tenancy).
+ * Every schema gets the tenant path unless it opts out in its schema options:
+ *     new mongoose.Schema({...}, {collection: 'data.tenants', api: {tenant: false}})
+ * Documents without the tenant path belong to no tenant (e.g. the ones created before enabling the tenancy or by super-admins).
+ * Every schema (even the ones that opted out) gets a query helper, so the callers don't need to know whether the model is scoped:
+ *     Model.find({}).forTenant(tenantId) - finds only the documents of the given tenant (or the ones without a tenant if tenantId is null or undefined)
+ *     Model.find({}).forTenant(unscoped) - doesn't constrain the query at all
+ * A missing tenant is treated like null, so a caller that forgets to pass it can't reach the documents of the tenants. The unscoped queries (e.g. of the super-admins or the scheduler) have to be explicit
+ */
+
+const mongoose = require('mongoose');
+
+//The scope of the queries that aren't constrained to any tenant (see /app/tenancy)
+const unscoped = Symbol('unscoped');
+
+/**
+ * @description checks if the given schema's documents belong to tenants
+ * @param {Object} [schema] a mongoose schema
+ * @returns {Boolean} false if the schema opted out
+ */
+const isEnabled = (schema) => {
+    return !(schema.options.api && schema.options.api.tenant === false);
+};
+
+/**
+ * @description applies the plugin to the given schema. Should be registered with mongoose.plugin before compiling the models
+ * @param {Object} [schema] a mongoose schema
+ */
+module.exports = (schema) => {
+    //Subdocuments belong to the tenants of their parents. Global plugins are applied to the parents before their children, so the children can be marked here
+    schema.childSchemas.forEach((child) => {
+        child.schema.isTenantChild = true;
+    });
+    if (schema.isTenantChild === true){
+        return;
+    }
+    const enabled = isEnabled(schema);
+    if (enabled){
+        schema.add({
+            //No default value - documents without a tenant don't store the path at all
+            tenant: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'data.tenant',
+                index: true,
+                filterable: true,
+            }
+        });
+    }
+    schema.query.forTenant = function(tenant){
+        if (!enabled || tenant === unscoped){
+            return this;
+        }
+        //Matches both null and missing values
+        return this.where({tenant: tenant === undefined ? null : tenant});
+    };
+};
+module.exports.isEnabled = isEnabled;
+module.exports.unscoped = unscoped;
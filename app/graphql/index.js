@@ -0,0 +1,447 @@
+'use strict';
+
+/**
+ * A GraphQL API over the exposed models. It's served at POST /api/graphql behind the same JWT auth, tenant scope and access list as the REST routes (see /app/router), e.g.:
+ *     {user(id: "5e2f...") {username role tenant {name}}}
+ *     {userList(limit: 10, sort: "-username", filter: {role: "admin"}) {docs {username} paging {total nextCursor}}}
+ *     mutation {updateUser(id: "5e2f...", data: {role: "admin"}, version: 3) {username version}}
+ * Every model gets the queries and mutations of the actions enabled in its API options (see api.getModelOptions), named after its API path:
+ *     <model>(id), <model>List(limit, offset, cursor, sort, filter), <model>Search(q, limit, offset, filter), add<Model>(data), update<Model>(id, data, version), delete<Model>(id), restore<Model>(id), purge<Model>(id)
+ * and the <model>Changed(id) subscription, which is carried over socket.io (see ./subscriptions.js).
+ * The resolvers call the models' controllers with the same permission checks (permissions.check), field permissions (permissions.getFields) and access list rules (see /app/acl) as the equivalent REST routes, so both APIs return the same data. The referenced documents are read like with ?expand= - the ones that can't be read are returned as null.
+ * The documents can't be nested deeper than config.api.graphql.maxDepth fields.
+ * Errors contain the machine-readable codes of the REST API in their extensions: {message, path, extensions: {code, details}}. The messages of the unexpected errors aren't sent to the clients
+ */
+
+const {GraphQLSchema, GraphQLObjectType, GraphQLNonNull, GraphQLString, GraphQLInt, GraphQLID, parse, validate, execute, getOperationAST, GraphQLError} = require('graphql');
+const config = require('../config');
+const h = require('../helpers');
+const logger = require('../logger').appLogger;
+const api = require('../api');
+const permissions = require('../permissions');
+const acl = require('../acl');
+const {createTypes, JSONScalar} = require('./types');
+const {ApiError} = api.errors;
+
+//The schema is generated once - the models don't change at runtime
+let schema = null;
+
+/**
+ * @description creates the context shared by the resolvers of a single operation
+ * @param {Object} [user] the authenticated user (req.user or socket.handshake.user)
+ * @param {String} [tenant] the tenant to which the operation is constrained (see tenancy.getScope)
+ * @param {String} [remoteAddress = null] the IP address of the client, recorded in the audit log
+ * @param {String} [apiVersion = config.api.versions.default] the API version whose access list rules apply to the operation (see /app/router/versions.js)
+ * @param {Boolean} [cache = true] if true, the referenced documents are loaded once per operation. Subscriptions disable it, so every change gets fresh documents
+ * @returns {Object} {user, tenant, apiVersion, actor, callId, loaded}
+ */
+const createContext = ({user, tenant, remoteAddress = null, apiVersion = config.api.versions.default, cache = true}) => {
+    return {
+        user,
+        tenant,
+        apiVersion,
+        //The same actor as in the REST API (see performApiCall)
+        actor: {_id: user._id, username: user.username, role: user.role, remoteAddress},
+        callId: h.generateCallId(),
+        loaded: cache ? new Map() : null
+    };
+};
+
+/**
+ * @description checks if the user of the given context can perform the given action. The access list rules of the equivalent REST route must allow it too, so the rules can't be bypassed by switching the APIs
+ * @param {Object} [context] the result of createContext
+ * @param {String} [modelName] full name of the model
+ * @param {Object} [route] the equivalent REST route: {method, path} where the path follows the model's API path, e.g. {method: 'PATCH', path: '/5e2f...'}
+ * @param {String} [action = null] the permission name, e.g. get. If null, only the access list rules are checked
+ * @param {Object} [data = null] the data passed to permissions.check
+ * @returns {Boolean} true if the action is allowed
+ */
+const isAllowed = ({context, modelName, route, action = null, data = null}) => {
+    const path = `/api/${context.apiVersion}/${api.getModelOptions(modelName).path}${route.path}`;
+    if (!acl.isAllowed({role: context.user.role, method: route.method, path})){
+        return false;
+    }
+    return action === null || permissions.check(context.user.role, modelName, action, {data, user: context.user});
+};
+
+/**
+ * @description makes sure that the user of the given context can perform the given action (see isAllowed)
+ * @param {Object} [args] the arguments of isAllowed
+ * @throws {ApiError} FORBIDDEN (401) if the action isn't allowed
+ */
+const authorize = (args) => {
+    if (!isAllowed(args)){
+        throw new ApiError('You don\'t have sufficient permissions to perform this action', {statusCode: 401, code: 'FORBIDDEN'});
+    }
+};
+
+/**
+ * @description creates the path of the REST routes of a single document
+ * @param {String} [id] the document ID
+ * @param {String} [suffix = ''] the rest of the path, e.g. /restore
+ * @returns {String} the path following the model's API path
+ */
+const documentPath = (id, suffix = '') => {
+    return `/${encodeURIComponent(id)}${suffix}`;
+};
+
+/**
+ * @description converts the given result of a controller into a plain object, so the IDs and dates can be serialized
+ * @param {*} [result] a document, a lean object or an array of them
+ * @returns {*} the plain result
+ */
+const toPlain = (result) => {
+    return result === undefined ? null : JSON.parse(JSON.stringify(result));
+};
+
+/**
+ * @description converts the given GraphQL input object into the input object of the generic functions. GraphQL creates input objects without prototypes
+ * @param {Object} [input] the data argument
+ * @returns {Object} a plain object
+ */
+const toInputObj = (input) => {
+    return JSON.parse(JSON.stringify(input));
+};
+
+/**
+ * @description converts the given arguments into query-string parameters of the generic functions (see /app/api/query.js). The numbers and booleans are sent as strings, like in query strings
+ * @param {Object} [args] the arguments of a list or search query
+ * @returns {Object} the parsed query string
+ */
+const toQuery = (args) => {
+    const stringify = (value) => {
+        if (value instanceof Array){
+            return value.map(stringify);
+        }
+        if (typeof value === 'object' && value !== null){
+            const result = {};
+            for (let key in value){
+                result[key] = stringify(value[key]);
+            }
+            return result;
+        }
+        return String(value);
+    };
+    const query = {};
+    for (let key in args){
+        if (args[key] !== undefined && args[key] !== null){
+            query[key] = stringify(args[key]);
+        }
+    }
+    return query;
+};
+
+/**
+ * @description reads a single document
+ * @param {String} [modelName] full name of the model
+ * @param {String} [id] the document ID
+ * @param {Object} [context] the result of createContext
+ * @returns {Object} the document without the fields that can't be read or null if it doesn't exist
+ */
+const getDocument = async (modelName, id, context) => {
+    const result = await api.controllers[modelName].get({id, readableFields: permissions.getFields(context.user.role, modelName, 'get'), tenant: context.tenant, actor: context.actor, callId: context.callId});
+    //The generic function returns an empty array if the document doesn't exist
+    return result instanceof Array ? null : toPlain(result);
+};
+
+/**
+ * @description creates the resolver of the fields that reference the given model. The referenced documents that can't be read are returned as null
+ * @param {String} [modelName] full name of the referenced model
+ * @returns {Function} the field resolver
+ */
+const resolveRelation = (modelName) => {
+    const load = (id, context) => {
+        if (id === null || id === undefined){
+            return null;
+        }
+        id = String(id);
+        if (!isAllowed({context, modelName, route: {method: 'GET', path: documentPath(id)}, action: 'get', data: {id}})){
+            return null;
+        }
+        const key = `${modelName}:${id}`;
+        if (context.loaded === null){
+            return getDocument(modelName, id, context);
+        }
+        if (!context.loaded.has(key)){
+            context.loaded.set(key, getDocument(modelName, id, context));
+        }
+        return context.loaded.get(key);
+    };
+    return (parent, args, context, info) => {
+        const value = parent[info.fieldName];
+        return value instanceof Array ? Promise.all(value.map((id) => load(id, context))) : load(value, context);
+    };
+};
+
+/**
+ * @description generates the queries, mutations and subscriptions of the given model
+ * @param {String} [modelName] full name of the model
+ * @param {Object} [types] the result of createTypes
+ * @returns {Object} {queries, mutations, subscriptions} - GraphQL field configs
+ */
+const generateModelFields = (modelName, types) => {
+    const {actions, softDelete} = api.getModelOptions(modelName);
+    const controllers = api.controllers[modelName];
+    const typeName = types.getTypeName(modelName);
+    const fieldName = typeName[0].toLowerCase() + typeName.slice(1);
+    const type = types.getOutputType(modelName);
+    const id = {type: new GraphQLNonNull(GraphQLID)};
+    const fields = {queries: {}, mutations: {}, subscriptions: {}};
+    if (actions.includes('get')){
+        fields.queries[fieldName] = {
+            type,
+            args: {id},
+            resolve: async (root, args, context) => {
+                authorize({context, modelName, route: {method: 'GET', path: documentPath(args.id)}, action: 'get', data: {id: args.id}});
+                return await getDocument(modelName, args.id, context);
+            }
+        };
+        fields.queries[`${fieldName}List`] = {
+            type: types.getPageType(modelName),
+            args: {limit: {type: GraphQLInt}, offset: {type: GraphQLInt}, cursor: {type: GraphQLString}, sort: {type: GraphQLString}, filter: {type: JSONScalar}},
+            resolve: async (root, args, context) => {
+                authorize({context, modelName, route: {method: 'GET', path: ''}, action: 'get', data: {}});
+                return toPlain(await controllers.get({query: toQuery(args), readableFields: permissions.getFields(context.user.role, modelName, 'get'), tenant: context.tenant, actor: context.actor, callId: context.callId}));
+            }
+        };
+        if (api.isSearchable(modelName)){
+            fields.queries[`${fieldName}Search`] = {
+                type: types.getPageType(modelName),
+                args: {q: {type: new GraphQLNonNull(GraphQLString)}, limit: {type: GraphQLInt}, offset: {type: GraphQLInt}, filter: {type: JSONScalar}},
+                resolve: async (root, args, context) => {
+                    authorize({context, modelName, route: {method: 'GET', path: '/search'}});
+                    return toPlain(await controllers.search({
+                        query: toQuery(args),
+                        //Users can't find documents that they aren't allowed to read
+                        isAllowed: (doc) => permissions.check(context.user.role, modelName, 'get', {data: {id: doc._id.toString()}, user: context.user}),
+                        readableFields: permissions.getFields(context.user.role, modelName, 'get'),
+                        tenant: context.tenant,
+                        callId: context.callId
+                    }));
+                }
+            };
+        }
+        fields.subscriptions[`${fieldName}Changed`] = {
+            type: types.getChangeType(modelName),
+            args: {id: {type: GraphQLID}},
+            //The source stream is created by ./subscriptions.js, so the schema doesn't depend on socket.io
+            subscribe: (root, args, context) => {
+                authorize({context, modelName, route: {method: 'GET', path: args.id ? documentPath(args.id) : ''}, action: 'get', data: {id: args.id}});
+                return context.subscribe({modelName, id: args.id || null});
+            },
+            resolve: (event) => event
+        };
+    }
+    if (actions.includes('add')){
+        fields.mutations[`add${typeName}`] = {
+            type,
+            args: {data: {type: new GraphQLNonNull(types.getInputType(modelName))}},
+            resolve: async (root, args, context) => {
+                const inputObj = toInputObj(args.data);
+                authorize({context, modelName, route: {method: 'POST', path: ''}, action: 'add', data: inputObj});
+                return toPlain(await controllers.add({inputObj, writableFields: permissions.getFields(context.user.role, modelName, 'add'), readableFields: permissions.getFields(context.user.role, modelName, 'get'), tenant: context.tenant, actor: context.actor, callId: context.callId}));
+            }
+        };
+    }
+    if (actions.includes('update')){
+        fields.mutations[`update${typeName}`] = {
+            type,
+            args: {id, data: {type: new GraphQLNonNull(types.getInputType(modelName, true))}, version: {type: GraphQLInt, description: 'The expected document version, like If-Match in the REST API'}},
+            resolve: async (root, args, context) => {
+                authorize({context, modelName, route: {method: 'PATCH', path: documentPath(args.id)}, action: 'update', data: {id: args.id}});
+                const versions = args.version === undefined || args.version === null ? null : [args.version];
+                return toPlain(await controllers.update({id: args.id, inputObj: toInputObj(args.data), versions, writableFields: permissions.getFields(context.user.role, modelName, 'update'), readableFields: permissions.getFields(context.user.role, modelName, 'get'), tenant: context.tenant, actor: context.actor, callId: context.callId}));
+            }
+        };
+    }
+    if (actions.includes('delete')){
+        fields.mutations[`delete${typeName}`] = {
+            type,
+            args: {id},
+            resolve: async (root, args, context) => {
+                authorize({context, modelName, route: {method: 'DELETE', path: documentPath(args.id)}, action: 'delete', data: {id: args.id}});
+                return toPlain(await controllers.delete({id: args.id, readableFields: permissions.getFields(context.user.role, modelName, 'get'), tenant: context.tenant, actor: context.actor, callId: context.callId}));
+            }
+        };
+        if (softDelete){
+            fields.mutations[`restore${typeName}`] = {
+                type,
+                args: {id},
+                resolve: async (root, args, context) => {
+                    authorize({context, modelName, route: {method: 'POST', path: documentPath(args.id, '/restore')}, action: 'restore', data: {id: args.id}});
+                    return toPlain(await controllers.restore({id: args.id, readableFields: permissions.getFields(context.user.role, modelName, 'get'), tenant: context.tenant, actor: context.actor, callId: context.callId}));
+                }
+            };
+            fields.mutations[`purge${typeName}`] = {
+                type,
+                args: {id},
+                resolve: async (root, args, context) => {
+                    authorize({context, modelName, route: {method: 'DELETE', path: documentPath(args.id, '/purge')}, action: 'purge', data: {id: args.id}});
+                    return toPlain(await controllers.purge({id: args.id, readableFields: permissions.getFields(context.user.role, modelName, 'get'), tenant: context.tenant, actor: context.actor, callId: context.callId}));
+                }
+            };
+        }
+    }
+    return fields;
+};
+
+/**
+ * @description generates the GraphQL schema of every exposed model
+ * @returns {GraphQLSchema} the schema
+ */
+const buildSchema = () => {
+    const types = createTypes({resolveRelation});
+    const queries = {};
+    const mutations = {};
+    const subscriptions = {};
+    for (let modelName in api.controllers){
+        if (api.getModelOptions(modelName).expose === false){
+            continue;
+        }
+        const fields = generateModelFields(modelName, types);
+        Object.assign(queries, fields.queries);
+        Object.assign(mutations, fields.mutations);
+        Object.assign(subscriptions, fields.subscriptions);
+    }
+    //GraphQL doesn't allow types without fields
+    const rootType = (name, fields) => Object.keys(fields).length > 0 ? new GraphQLObjectType({name, fields}) : undefined;
+    return new GraphQLSchema({
+        query: rootType('Query', queries),
+        mutation: rootType('Mutation', mutations),
+        subscription: rootType('Subscription', subscriptions)
+    });
+};
+
+/**
+ * @description returns the GraphQL schema. It's generated when it's needed for the first time
+ * @returns {GraphQLSchema} the schema
+ */
+const getSchema = () => {
+    if (schema === null){
+        schema = buildSchema();
+    }
+    return schema;
+};
+
+/**
+ * @description converts the given error into the format sent to the clients. Errors thrown by the API functions keep their codes and details. The unexpected errors (e.g. the database errors) get a generic message, so their internals aren't revealed - they are logged by run
+ * @param {GraphQLError} [error] an error of the execution result
+ * @returns {Object} {message, locations, path, extensions: {code, details}}
+ */
+const formatError = (error) => {
+    const original = error.originalError;
+    let code = 'INVALID_QUERY';
+    let message = error.message;
+    if (original instanceof ApiError){
+        code = original.code;
+    } else if (original){
+        code = 'API_ERROR';
+        message = 'Something went wrong while performing an API call';
+    }
+    return {
+        message,
+        locations: error.locations,
+        path: error.path,
+        extensions: {code, details: original instanceof ApiError ? original.details : null}
+    };
+};
+
+/**
+ * @description calculates the depth of the given selection set - the number of the nested fields. The introspection fields (__schema, __type) aren't counted, their depth is limited by the schema
+ * @param {Object} [selectionSet] a selection set of the document's AST
+ * @param {Object} [fragments] the fragment definitions of the document by their names
+ * @param {Array}  [visited = []] the names of the fragments that are being spread. Validated documents don't contain fragment cycles, so it only guards against them
+ * @returns {Number} the depth
+ */
+const getDepth = (selectionSet, fragments, visited = []) => {
+    if (!selectionSet){
+        return 0;
+    }
+    return Math.max(0, ...selectionSet.selections.map((selection) => {
+        if (selection.kind === 'Field'){
+            return selection.name.value.startsWith('__') ? 0 : 1 + getDepth(selection.selectionSet, fragments, visited);
+        }
+        if (selection.kind === 'InlineFragment'){
+            return getDepth(selection.selectionSet, fragments, visited);
+        }
+        const name = selection.name.value;
+        return fragments[name] === undefined || visited.includes(name) ? 0 : getDepth(fragments[name].selectionSet, fragments, visited.concat(name));
+    }));
+};
+
+/**
+ * @description parses and validates the given document
+ * @param {String} [query] the GraphQL document
+ * @param {String} [operationName = null] the name of the operation that will be executed if the document contains multiple operations
+ * @returns {Object} {document, operation, errors} - the errors are null if the document is valid
+ */
+const prepare = (query, operationName = null) => {
+    let document;
+    try{
+        document = parse(query);
+    } catch (error){
+        return {document: null, operation: null, errors: [error]};
+    }
+    const errors = validate(getSchema(), document);
+    if (errors.length > 0){
+        return {document, operation: null, errors};
+    }
+    const operation = getOperationAST(document, operationName);
+    if (operation === null){
+        return {document, operation: null, errors: [new GraphQLError('Unknown operation. Documents with multiple operations need the operationName')]};
+    }
+    //Every nested level can multiply the number of the loaded documents
+    const fragments = {};
+    document.definitions.filter(({kind}) => kind === 'FragmentDefinition').forEach((fragment) => {
+        fragments[fragment.name.value] = fragment;
+    });
+    const depth = getDepth(operation.selectionSet, fragments);
+    if (depth > config.api.graphql.maxDepth){
+        return {document, operation: null, errors: [new GraphQLError(`The operation is too deep (${depth} levels). The maximum depth is ${config.api.graphql.maxDepth}`)]};
+    }
+    return {document, operation: operation.operation, errors: null};
+};
+
+/**
+ * @description executes a query or a mutation
+ * @param {String} [query] the GraphQL document
+ * @param {Object} [variables = null] the values of the variables
+ * @param {String} [operationName = null] the name of the executed operation
+ * @param {Object} [user] the authenticated user
+ * @param {String} [tenant] the tenant to which the operation is constrained (see tenancy.getScope)
+ * @param {String} [remoteAddress = null] the IP address of the client
+ * @param {String} [apiVersion] the API version of the request (req.apiVersion). Its access list rules apply to the operation. If undefined, the rules of config.api.versions.default apply
+ * @returns {Object} {data, errors} - the errors are sent only if there were any. The data is undefined if the document couldn't be executed at all
+ */
+const run = async ({query, variables = null, operationName = null, user, tenant, remoteAddress = null, apiVersion}) => {
+    const {document, operation, errors} = prepare(query, operationName);
+    if (errors !== null){
+        return {errors: errors.map(formatError)};
+    }
+    if (operation === 'subscription'){
+        return {errors: [formatError(new GraphQLError('Subscriptions are only supported over socket.io'))]};
+    }
+    const context = createContext({user, tenant, remoteAddress, apiVersion});
+    const result = await execute({schema: getSchema(), document, contextValue: context, variableValues: variables, operationName});
+    if (result.errors){
+        //Unexpected errors are logged, the ones created on purpose are a part of the normal flow
+        result.errors.filter((error) => error.originalError && !(error.originalError instanceof ApiError)).forEach((error) => {
+            logger.error(`A GraphQL resolver failed at ${(error.path || []).join('.')}: ${h.optionalStringify(error.originalError)}`, {identifier: 'graphql', callId: context.callId});
+        });
+        return {data: result.data, errors: result.errors.map(formatError)};
+    }
+    return {data: result.data};
+};
+
+module.exports = {
+    getSchema,
+    createContext,
+    prepare,
+    formatError,
+    run,
+    __private: { //For tests
+        toQuery,
+        getDepth,
+        buildSchema
+    }
+};
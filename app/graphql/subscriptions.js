@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * Carries the GraphQL subscriptions (see ./index.js) over the socket.io connections authenticated by the auth module:
+ *     socket.emit('graphql:subscribe', {id: 'users', query: 'subscription {userChanged {action id data {username}}}', variables: {}}, (response) => {...});
+ *     socket.on('graphql:data', ({id, payload: {data, errors}}) => {...});
+ *     socket.emit('graphql:unsubscribe', {id: 'users'}, (response) => {...});
+ * The id is chosen by the client and identifies the subscription within its socket. The acknowledgements receive standard response objects (see h.generateResponse).
+ * Every subscription receives the changes published by all the workers (see onClusterChange in /app/socket/changes.js), but only the changes of the documents that its user is allowed to get, without the fields that the user can't read - the same rules as for the "change" socket events
+ */
+
+const {subscribe} = require('graphql');
+const h = require('../helpers');
+const logger = require('../logger').appLogger;
+const api = require('../api');
+const permissions = require('../permissions');
+const tenancy = require('../tenancy');
+const changes = require('../socket/changes');
+const graphql = require('./index');
+const {ApiError} = api.errors;
+
+//Changes waiting for a slow subscriber. The oldest ones are dropped when the limit is reached
+const maxQueuedChanges = 1000;
+
+/**
+ * @description creates an async iterator of the changes of the given model or document that the given user can receive. It's the source stream of the <model>Changed subscriptions
+ * @param {String} [modelName] full name of the model
+ * @param {String} [id = null] the ID of the document. If null, the changes of every document are received
+ * @param {Object} [user] the subscribed user
+ * @returns {Object} an async iterator of the change events: {model, action, id, data, timestamp}. Calling return stops receiving the changes
+ */
+const createChangeIterator = ({modelName, id = null, user}) => {
+    const queue = [];
+    const waiting = [];
+    let done = false;
+    const listener = (event) => {
+        if (event.model !== modelName || (id !== null && event.id !== id)){
+            return;
+        }
+        //Documents without a tenant are treated as such (null) - their changes aren't sent to the users of tenants
+        if (!changes.canReceive(user, modelName, event.id, event.data ? event.data.tenant || null : null)){
+            return;
+        }
+        const readableFields = permissions.getFields(user.role, modelName, 'get');
+        const value = readableFields === null ? event : Object.assign({}, event, {data: api.fields.pickReadable({doc: event.data, modelName, fields: readableFields})});
+        if (waiting.length > 0){
+            return waiting.shift()({value, done: false});
+        }
+        if (queue.length >= maxQueuedChanges){
+            logger.warn(`Dropping a change of ${modelName} - the subscriber of ${user.username} is too slow`, {identifier: 'graphql subscriptions'});
+            queue.shift();
+        }
+        queue.push(value);
+    };
+    const close = () => {
+        if (!done){
+            done = true;
+            changes.offClusterChange(listener);
+            queue.length = 0;
+            waiting.splice(0).forEach((resolve) => resolve({value: undefined, done: true}));
+        }
+        return Promise.resolve({value: undefined, done: true});
+    };
+    changes.onClusterChange(listener);
+    return {
+        next: () => {
+            if (queue.length > 0){
+                return Promise.resolve({value: queue.shift(), done: false});
+            }
+            if (done){
+                return Promise.resolve({value: undefined, done: true});
+            }
+            return new Promise((resolve) => waiting.push(resolve));
+        },
+        return: close,
+        throw: (error) => {
+            close();
+            return Promise.reject(error);
+        },
+        [Symbol.asyncIterator](){
+            return this;
+        }
+    };
+};
+
+/**
+ * @description starts a subscription
+ * @param {Object} [socket] a connected socket with an authenticated user
+ * @param {String} [query] the GraphQL document with a subscription operation
+ * @param {Object} [variables = null] the values of the variables
+ * @param {String} [operationName = null] the name of the subscription operation
+ * @throws {ApiError} if the document is wrong or the user can't subscribe to the selected changes
+ * @returns {Object} an async iterator of the execution results: {data, errors}
+ */
+const start = async ({socket, query, variables = null, operationName = null}) => {
+    const user = socket.handshake.user;
+    const {document, operation, errors} = graphql.prepare(query, operationName);
+    if (errors !== null){
+        throw new ApiError(errors.map((error) => error.message).join(', '), {statusCode: 400, code: 'INVALID_QUERY'});
+    }
+    if (operation !== 'subscription'){
+        throw new ApiError('Only subscriptions are supported over socket.io. Send the other operations to POST /api/graphql', {statusCode: 400, code: 'INVALID_QUERY'});
+    }
+    const context = Object.assign(graphql.createContext({user, tenant: tenancy.getScope(user), remoteAddress: socket.handshake.address, cache: false}), {
+        subscribe: ({modelName, id}) => createChangeIterator({modelName, id, user})
+    });
+    const result = await subscribe({schema: graphql.getSchema(), document, contextValue: context, variableValues: variables, operationName});
+    //The errors thrown while creating the source stream (e.g. FORBIDDEN) are returned instead of the iterator
+    if (typeof result.next !== 'function'){
+        const error = graphql.formatError(result.errors[0]);
+        throw new ApiError(error.message, {statusCode: 400, code: error.extensions.code, details: error.extensions.details});
+    }
+    return result;
+};
+
+/**
+ * @description handles the graphql:subscribe and graphql:unsubscribe events of the given socket. Both of them accept an optional acknowledgement callback that receives a standard response object
+ * @param {Object} [socket] a connected socket
+ */
+const handleSocket = (socket) => {
+    //The iterators of the socket's subscriptions by their IDs. Subscriptions that are being started have null iterators
+    const active = new Map();
+    const respond = (ack, response) => {
+        if (typeof ack === 'function'){
+            ack(h.generateResponse(response));
+        }
+    };
+    const forward = async (id, iterator) => {
+        try{
+            let step = await iterator.next();
+            while (!step.done){
+                const payload = {data: step.value.data};
+                if (step.value.errors){
+                    payload.errors = step.value.errors.map(graphql.formatError);
+                }
+                socket.emit('graphql:data', {id, payload});
+                step = await iterator.next();
+            }
+        } catch (error){
+            logger.error(`The ${id} subscription of ${socket.handshake.user.username} failed: ${h.optionalStringify(error)}`, {identifier: 'graphql subscriptions'});
+        }
+        if (active.get(id) === iterator){
+            active.delete(id);
+        }
+    };
+    socket.on('graphql:subscribe', async (args, ack) => {
+        const {id, query, variables = null, operationName = null} = typeof args === 'object' && args !== null ? args : {};
+        if (typeof id !== 'string' || typeof query !== 'string'){
+            return respond(ack, {status: false, error: 'Incorrect or incomplete arguments'});
+        }
+        if (active.has(id)){
+            return respond(ack, {status: false, error: `The ${id} subscription already exists`});
+        }
+        active.set(id, null);
+        let iterator;
+        try{
+            iterator = await start({socket, query, variables, operationName});
+        } catch (error){
+            active.delete(id);
+            logger.warn(`Failed to start a GraphQL subscription: ${error.message}`, {identifier: 'graphql subscriptions', meta: {args}});
+            return respond(ack, {status: false, error: error.message, code: error.code || null, details: error.details || null});
+        }
+        //The client could have unsubscribed or disconnected in the meantime
+        if (!active.has(id)){
+            iterator.return();
+            return;
+        }
+        active.set(id, iterator);
+        logger.debug(`${socket.handshake.user.username} started the ${id} GraphQL subscription`, {identifier: 'graphql subscriptions'});
+        respond(ack, {status: true, data: {id}});
+        forward(id, iterator);
+    });
+    socket.on('graphql:unsubscribe', (args, ack) => {
+        const {id} = typeof args === 'object' && args !== null ? args : {};
+        if (!active.has(id)){
+            return respond(ack, {status: false, error: `Unknown subscription: ${id}`});
+        }
+        const iterator = active.get(id);
+        active.delete(id);
+        if (iterator !== null){
+            iterator.return();
+        }
+        respond(ack, {status: true, data: {id}});
+    });
+    socket.on('disconnect', () => {
+        active.forEach((iterator) => {
+            if (iterator !== null){
+                iterator.return();
+            }
+        });
+        active.clear();
+    });
+};
+
+/**
+ * @description starts handling the GraphQL subscriptions of the clients connected to the given io server. The changes are received only if their broadcasting was started (see changes.register)
+ * @param {Object} [io] the result of require('socket.io')(httpServer)
+ * @returns {Function} a function that stops handling new connections
+ */
+const register = (io) => {
+    const nsp = io.of('/');
+    nsp.on('connection', handleSocket);
+    return () => {
+        nsp.removeListener('connection', handleSocket);
+    };
+};
+
+module.exports = {
+    register,
+    __private: { //For tests
+        createChangeIterator,
+        start
+    }
+};
@@ -0,0 +1,360 @@
+'use strict';
+
+/**
+ * Derives the GraphQL types from the mongoose schemas of the exposed models (see ./index.js).
+ * Supported path types: String, Number, Date (the DateTime scalar), Boolean, ObjectId, arrays, nested objects and subdocuments. The other paths use the JSON scalar.
+ * References to exposed models are resolved into the referenced documents, e.g. the tenant of a user can be selected with {user(id: "...") {username tenant {name}}}.
+ * The type names come from the models' API paths, e.g. data.user (available under /api/user) becomes User, UserInput and UserUpdateInput. Paths that aren't valid GraphQL names (e.g. __v) are skipped
+ */
+
+const {GraphQLScalarType, GraphQLObjectType, GraphQLInputObjectType, GraphQLList, GraphQLNonNull, GraphQLString, GraphQLFloat, GraphQLInt, GraphQLBoolean, GraphQLID, Kind} = require('graphql');
+const mongoDb = require('../db').mongo.models;
+const api = require('../api');
+
+//Paths managed by the plugins (see /app/db/mongo/plugins) or the API functions. They can't be written by the clients
+const managedPaths = ['_id', 'tenant', 'deleted', 'deletedAt'];
+
+/**
+ * @description converts the given AST value into a plain JS value
+ * @param {Object} [ast] a GraphQL value node
+ * @param {Object} [variables] the values of the query's variables
+ * @returns {*} the value
+ */
+const parseJsonLiteral = (ast, variables) => {
+    switch (ast.kind){
+        case Kind.STRING:
+        case Kind.BOOLEAN:
+        case Kind.ENUM:
+            return ast.value;
+        case Kind.INT:
+        case Kind.FLOAT:
+            return Number(ast.value);
+        case Kind.OBJECT: {
+            const value = {};
+            ast.fields.forEach((field) => {
+                value[field.name.value] = parseJsonLiteral(field.value, variables);
+            });
+            return value;
+        }
+        case Kind.LIST:
+            return ast.values.map((value) => parseJsonLiteral(value, variables));
+        case Kind.VARIABLE:
+            return variables ? variables[ast.name.value] : undefined;
+        default:
+            return null;
+    }
+};
+
+/**
+ * @description parses a date sent by the client
+ * @param {*} [value] an ISO 8601 string or a timestamp
+ * @throws {TypeError} if the value isn't a valid date
+ * @returns {Date} the parsed date
+ */
+const parseDate = (value) => {
+    const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (date === null || isNaN(date.getTime())){
+        throw new TypeError(`Wrong date: ${value}`);
+    }
+    return date;
+};
+
+const JSONScalar = new GraphQLScalarType({
+    name: 'JSON',
+    description: 'Any JSON value',
+    serialize: (value) => value,
+    parseValue: (value) => value,
+    parseLiteral: parseJsonLiteral
+});
+
+const DateTimeScalar = new GraphQLScalarType({
+    name: 'DateTime',
+    description: 'An ISO 8601 date, e.g. 2020-01-31T12:00:00.000Z',
+    serialize: (value) => parseDate(value instanceof Date ? value.getTime() : value).toISOString(),
+    parseValue: parseDate,
+    parseLiteral: (ast) => ast.kind === Kind.STRING ? parseDate(ast.value) : undefined
+});
+
+//The GraphQL types of the mongoose scalars. The others are exposed as JSON
+const scalarTypes = {
+    String: GraphQLString,
+    Number: GraphQLFloat,
+    Date: DateTimeScalar,
+    Boolean: GraphQLBoolean,
+    ObjectID: GraphQLID
+};
+
+const Paging = new GraphQLObjectType({
+    name: 'Paging',
+    description: 'The same metadata as in the paged REST responses',
+    fields: {
+        total: {type: GraphQLInt},
+        limit: {type: GraphQLInt},
+        offset: {type: GraphQLInt},
+        nextCursor: {type: GraphQLString, description: 'Pass it as the cursor argument to get the next page'},
+        nextOffset: {type: GraphQLInt, description: 'Returned by the searches instead of nextCursor'}
+    }
+});
+
+/**
+ * @description converts the given text into PascalCase
+ * @param {String} [text] e.g. test/basicModel
+ * @returns {String} e.g. TestBasicModel
+ */
+const pascalCase = (text) => {
+    return text.split(/[^a-zA-Z0-9]+/)
+        .filter((word) => word.length > 0)
+        .map((word) => word[0].toUpperCase() + word.slice(1))
+        .join('');
+};
+
+/**
+ * @description returns the name of the GraphQL type of the given model
+ * @param {String} [modelName] full name of the model
+ * @returns {String} the PascalCase API path of the model (see api.getModelOptions)
+ */
+const getTypeName = (modelName) => {
+    return pascalCase(api.getModelOptions(modelName).path);
+};
+
+/**
+ * @description checks if the given path segment can be used as a GraphQL field name
+ * @param {String} [name] a path segment
+ * @returns {Boolean} true if the name is valid and isn't reserved (names starting with __ are reserved for introspection)
+ */
+const isValidName = (name) => {
+    return (/^[_a-zA-Z][_a-zA-Z0-9]*$/).test(name) && !name.startsWith('__');
+};
+
+/**
+ * @description checks if the given path is required in the added documents
+ * @param {Object} [schemaType] a mongoose SchemaType
+ * @returns {Boolean} true if the path is required and has no default value
+ */
+const isRequired = (schemaType) => {
+    const required = schemaType.options.required;
+    return (required === true || (required instanceof Array && required[0] === true)) && schemaType.defaultValue === undefined;
+};
+
+/**
+ * @description returns the name of the model referenced by the given path
+ * @param {Object} [schemaType] a mongoose SchemaType
+ * @returns {String} the model name or null if the path isn't a reference to an exposed model
+ */
+const getRef = (schemaType) => {
+    const options = schemaType.caster ? schemaType.caster.options : schemaType.options;
+    if (!options || typeof options.ref !== 'string' || mongoDb[options.ref] === undefined){
+        return null;
+    }
+    return api.controllers[options.ref] !== undefined && api.getModelOptions(options.ref).expose !== false ? options.ref : null;
+};
+
+/**
+ * @description groups the paths of the given schema into a tree. Dotted paths become nested entries
+ * @param {Object}   [schema] a mongoose Schema
+ * @param {Function} [include] a function that receives a path and its SchemaType and returns false if the path should be skipped
+ * @returns {Object} {<name>: {schemaType} or {children: {...}}}
+ */
+const buildTree = (schema, include) => {
+    const tree = {};
+    schema.eachPath((path, schemaType) => {
+        const segments = path.split('.');
+        if (!include(path, schemaType) || !segments.every(isValidName)){
+            return;
+        }
+        let node = tree;
+        segments.slice(0, -1).forEach((segment) => {
+            if (node[segment] === undefined){
+                node[segment] = {children: {}};
+            }
+            node = node[segment].children;
+        });
+        node[segments[segments.length - 1]] = {schemaType};
+    });
+    return tree;
+};
+
+/**
+ * @description creates the type registry. The types are created once and reused, so the models can reference each other
+ * @param {Function} [resolveRelation] a function that receives the name of a referenced model and returns the resolver of the reference fields
+ * @returns {Object} {getTypeName, getOutputType, getInputType, getPageType, getChangeType}
+ */
+const createTypes = ({resolveRelation}) => {
+    const registry = {};
+    const register = (name, create) => {
+        if (registry[name] === undefined){
+            registry[name] = create();
+        }
+        return registry[name];
+    };
+    //The paths that aren't selected by default (e.g. passwords) are never returned
+    const isReadable = (path, schemaType) => schemaType.options.select !== false;
+    const isWritable = (path) => !managedPaths.includes(path);
+
+    /**
+     * @description creates the fields of an output type
+     * @param {Object} [tree] the result of buildTree
+     * @param {String} [typeName] the name of the type, used as a prefix of the nested types
+     * @returns {Object} the GraphQL field configs
+     */
+    const outputFields = (tree, typeName) => {
+        const fields = {};
+        for (let name in tree){
+            const nestedName = `${typeName}${pascalCase(name)}`;
+            if (tree[name].children !== undefined){
+                fields[name] = {type: objectType(tree[name].children, nestedName)};
+                continue;
+            }
+            const schemaType = tree[name].schemaType;
+            const ref = getRef(schemaType);
+            if (ref !== null){
+                fields[name] = {type: schemaType.instance === 'Array' ? new GraphQLList(getOutputType(ref)) : getOutputType(ref), resolve: resolveRelation(ref)};
+            } else {
+                fields[name] = {type: outputType(schemaType, nestedName)};
+            }
+        }
+        return fields;
+    };
+    const objectType = (tree, typeName) => {
+        return register(typeName, () => new GraphQLObjectType({name: typeName, fields: () => outputFields(tree, typeName)}));
+    };
+    const outputType = (schemaType, typeName) => {
+        if (schemaType.instance === 'Array'){
+            //Arrays of subdocuments have casters without instances
+            if (schemaType.caster && schemaType.caster.instance !== undefined){
+                return new GraphQLList(outputType(schemaType.caster, typeName));
+            }
+            return new GraphQLList(schemaType.schema ? objectType(buildTree(schemaType.schema, isReadable), typeName) : JSONScalar);
+        }
+        if (schemaType.instance === 'Embedded'){
+            return objectType(buildTree(schemaType.schema, isReadable), typeName);
+        }
+        return scalarTypes[schemaType.instance] || JSONScalar;
+    };
+    /**
+     * @description creates the fields of an input type
+     * @param {Object} [tree] the result of buildTree
+     * @param {String} [prefix] the prefix of the nested types' names
+     * @param {String} [suffix] Input or UpdateInput
+     * @returns {Object} the GraphQL input field configs
+     */
+    const inputFields = (tree, prefix, suffix) => {
+        const fields = {};
+        for (let name in tree){
+            const nestedPrefix = `${prefix}${pascalCase(name)}`;
+            if (tree[name].children !== undefined){
+                fields[name] = {type: inputObjectType(tree[name].children, nestedPrefix, suffix)};
+                continue;
+            }
+            const type = inputType(tree[name].schemaType, nestedPrefix, suffix);
+            //Nothing is required in updates
+            fields[name] = {type: suffix === 'Input' && isRequired(tree[name].schemaType) ? new GraphQLNonNull(type) : type};
+        }
+        return fields;
+    };
+    const inputObjectType = (tree, prefix, suffix) => {
+        return register(`${prefix}${suffix}`, () => new GraphQLInputObjectType({name: `${prefix}${suffix}`, fields: () => inputFields(tree, prefix, suffix)}));
+    };
+    const inputType = (schemaType, prefix, suffix) => {
+        if (schemaType.instance === 'Array'){
+            if (schemaType.caster && schemaType.caster.instance !== undefined){
+                return new GraphQLList(inputType(schemaType.caster, prefix, suffix));
+            }
+            return new GraphQLList(schemaType.schema ? inputObjectType(buildTree(schemaType.schema, isWritable), prefix, suffix) : JSONScalar);
+        }
+        if (schemaType.instance === 'Embedded'){
+            return inputObjectType(buildTree(schemaType.schema, isWritable), prefix, suffix);
+        }
+        return scalarTypes[schemaType.instance] || JSONScalar;
+    };
+    /**
+     * @description returns the output type of the given model
+     * @param {String} [modelName] full name of the model
+     * @returns {GraphQLObjectType} the type with the readable paths, the _id and the document version (if the model has a version key)
+     */
+    const getOutputType = (modelName) => {
+        const typeName = getTypeName(modelName);
+        return register(typeName, () => {
+            const versionKey = mongoDb[modelName].schema.options.versionKey;
+            const tree = buildTree(mongoDb[modelName].schema, (path, schemaType) => path !== versionKey && isReadable(path, schemaType));
+            return new GraphQLObjectType({
+                name: typeName,
+                description: `A ${modelName} document`,
+                fields: () => {
+                    const fields = outputFields(tree, typeName);
+                    fields._id = {type: new GraphQLNonNull(GraphQLID)};
+                    if (versionKey && fields.version === undefined){
+                        fields.version = {type: GraphQLInt, description: 'The document version (see the version argument of the updates)', resolve: (doc) => api.getDocumentVersion(modelName, doc)};
+                    }
+                    return fields;
+                }
+            });
+        });
+    };
+
+    /**
+     * @description returns the input type of the given model
+     * @param {String}  [modelName] full name of the model
+     * @param {Boolean} [update = false] if true, returns the type of the updates, in which nothing is required
+     * @returns {GraphQLInputObjectType} the type with the writable paths
+     */
+    const getInputType = (modelName, update = false) => {
+        const versionKey = mongoDb[modelName].schema.options.versionKey;
+        const tree = buildTree(mongoDb[modelName].schema, (path) => path !== versionKey && isWritable(path));
+        return inputObjectType(tree, getTypeName(modelName), update ? 'UpdateInput' : 'Input');
+    };
+
+    /**
+     * @description returns the type of the pages of the given model
+     * @param {String} [modelName] full name of the model
+     * @returns {GraphQLObjectType} {docs, paging}
+     */
+    const getPageType = (modelName) => {
+        const typeName = `${getTypeName(modelName)}Page`;
+        return register(typeName, () => new GraphQLObjectType({
+            name: typeName,
+            fields: () => ({
+                docs: {type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(getOutputType(modelName))))},
+                paging: {type: new GraphQLNonNull(Paging)}
+            })
+        }));
+    };
+
+    /**
+     * @description returns the type of the change events of the given model (see /app/api/events.js)
+     * @param {String} [modelName] full name of the model
+     * @returns {GraphQLObjectType} {action, id, data, timestamp}
+     */
+    const getChangeType = (modelName) => {
+        const typeName = `${getTypeName(modelName)}Change`;
+        return register(typeName, () => new GraphQLObjectType({
+            name: typeName,
+            fields: () => ({
+                action: {type: new GraphQLNonNull(GraphQLString), description: 'add, update, delete or restore'},
+                id: {type: new GraphQLNonNull(GraphQLID)},
+                data: {type: getOutputType(modelName), description: 'The document after the change (or the deleted document)'},
+                timestamp: {type: new GraphQLNonNull(DateTimeScalar)}
+            })
+        }));
+    };
+
+    return {
+        getTypeName,
+        getOutputType,
+        getInputType,
+        getPageType,
+        getChangeType
+    };
+};
+
+module.exports = {
+    createTypes,
+    JSONScalar,
+    DateTimeScalar,
+    __private: { //For tests
+        pascalCase,
+        isValidName,
+        buildTree,
+        parseJsonLiteral
+    }
+};
@@ -21,14 +21,30 @@ module.exports = {
     * @param {Boolean}  [status = null] the status of the performed action (success or failure)
     * @param {*}        [data = null] the data returned by the performed action
     * @param {String}   [error = null] a possible error message that might be thrown by the performed action
+    * @param {Object}   [paging = null] paging metadata ({total, limit, offset, nextCursor}) of the returned data. It's added to the response only if defined
+    * @param {String}   [code = null] a machine-readable error code (see /app/api/errors.js). It's added to the response only if defined
+    * @param {Array}    [details = null] field-level details of the error ([{field, rule, message}]). It's added to the response only if defined
     * @returns {Object} a standarized response to the client's request
     */
-    generateResponse: ({status = null, data = null, error = null} = {}) => {
-        return {
+    generateResponse: ({status = null, data = null, error = null, paging = null, code = null, details = null} = {}) => {
+        const response = {
             status,
             data,
             error,
         };
+        //Only paged results carry the paging metadata
+        if (paging !== null){
+            response.paging = paging;
+        }
+        //Errors created on purpose by the API carry a machine-readable code
+        if (code !== null){
+            response.code = code;
+        }
+        //Validation errors list the problems of every field: [{field, rule, message}]
+        if (details !== null){
+            response.details = details;
+        }
+        return response;
     },
     /**
      * @description generates a new token based on the provided object. Signs it with the key defined in the configuration
@@ -44,6 +44,11 @@ const getServerBundle = (app) => {
     }));
     //Socket is up and ready, we can setup our socket logic
     require('./socket')(io, app);
+    //Disconnect the Redis clients shared by the requests along with the server
+    httpServer.on('close', () => {
+        require('./api/cache').destroy();
+        require('./router/rateLimit').destroy();
+    });
     return {
         httpServer,
         ioServer: io,
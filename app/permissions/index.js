@@ -14,8 +14,11 @@
  * }
  * <roleName> - should correspond to the user's role
  * <mongooseModelName> - the model must be defined in mongoose prior to this module's initialization
- * <actionName> - supported action names: "get", "update", "delete", "add"
+ * <actionName> - supported action names: "get", "update", "delete", "add", "restore", "purge" (the last two are used by models with the soft delete mode enabled)
  * <permission> - either a boolean indicating whether the user has the permission, or "function" indicating that there's a custom checking function defined in /app/permissions/permissionFunctions.js
+ * The "get", "add" and "update" actions can also limit the fields that the role can read or write:
+ *             <actionName>: {"permission": <permission>, "fields": [<path>, ...]}
+ * The router passes the fields to the generic API functions (see getFields and /app/api/fields.js) - "get" removes the other fields from the returned documents, "add" and "update" reject the input objects that contain them
  */
 
 //Using graceful-fs to limit the amount of open file descriptors
@@ -25,6 +28,7 @@ const path = require('path');
 const h = require('../helpers');
 const db = require('../db').mongo.models;
 const permissionFunctions = require('./permissionFunctions');
+const tenancy = require('../tenancy');
 const logger = require('../logger').appLogger;
 
 /**
@@ -75,9 +79,23 @@ const validatePermissions = (permissionsJson, permissionFunctions) => {
                 }
                 //Iterate over every action in the given model and check its value
                 for (let actionName in modelPermissions){
-                    const actionPermission = modelPermissions[actionName];
-                    if (!['get', 'update', 'delete', 'add'].includes(actionName)){ //The action name must be one of these according to our docs
-                        throw new Error(`Unknown action name for permissions[${roleName}][${modelName}]: ${actionName}. Supported actions: add, get, update, delete`);
+                    let actionPermission = modelPermissions[actionName];
+                    if (!['get', 'update', 'delete', 'add', 'restore', 'purge'].includes(actionName)){ //The action name must be one of these according to our docs
+                        throw new Error(`Unknown action name for permissions[${roleName}][${modelName}]: ${actionName}. Supported actions: add, get, update, delete, restore, purge`);
+                    }
+                    if (typeof actionPermission === 'object' && actionPermission !== null && actionPermission.fields !== undefined){ //Field-level mode - check the fields and validate the permission below
+                        if (!['get', 'update', 'add'].includes(actionName)){
+                            throw new Error(`Fields can't be defined for permissions[${roleName}][${modelName}][${actionName}]. Supported actions: add, get, update`);
+                        }
+                        if (!(actionPermission.fields instanceof Array) || actionPermission.fields.some((field) => typeof field !== 'string')){
+                            throw new Error(`permissions[${roleName}][${modelName}][${actionName}].fields isn't an array of strings`);
+                        }
+                        //Every field must be a path of the model's schema
+                        const unknownField = actionPermission.fields.find((field) => db[modelName].schema.pathType(field) === 'adhocOrUndefined');
+                        if (unknownField !== undefined){
+                            throw new Error(`Unknown field in permissions[${roleName}][${modelName}][${actionName}].fields: ${unknownField}`);
+                        }
+                        actionPermission = actionPermission.permission;
                     }
                     if (typeof actionPermission === 'string'){ //Custom function check mode
                         if (actionPermission !== 'function'){
@@ -101,15 +119,19 @@ const validatePermissions = (permissionsJson, permissionFunctions) => {
 
 module.exports = {
     /**
-     * @description checks if the given role can perform the given action on the given model. The init function needs to be called before using this one
+     * @description checks if the given role can perform the given action on the given model. The init function needs to be called before using this one. If the data contains a tenant, the user must be able to access it regardless of the role (see /app/tenancy)
      * @param {String} [roleName] user's role name
      * @param {String} [modelName] mongoose model name
-     * @param {String} [actionName ]one of: "get", "update", "delete", "add"
+     * @param {String} [actionName ]one of: "get", "update", "delete", "add", "restore", "purge"
      * @param {*} [data = null] an optional parameter that will be passed to your custom checking function - can be anything
      * @param {Object} [user = null] an optional parameter that will be passed to your custom checking function - it should be the user object, but doesn't need to
      * @returns {Boolean} false if the arguments are incorrect or the role can't perform the action on the model 
      */
     check: (roleName, modelName, actionName, {data = null, user = null} = {}) => {
+        //Users can't access the data of other tenants
+        if (typeof data === 'object' && data !== null && data.tenant !== undefined && !tenancy.canAccess(user || {}, data.tenant)){
+            return false;
+        }
         const dotter = new dotObj('->');
         const modelPermissions = dotter.pick(`${roleName}->${modelName}`, module.exports.__private.permissionsJson);
         //Check if there are any permissions defined for the given role and model
@@ -122,7 +144,11 @@ module.exports = {
             return true;
         }
         //If there are no wildcard permissions, check the modelPermissions' actions
-        const actionPermission = dotter.pick(`${roleName}->${modelName}->${actionName}`, module.exports.__private.permissionsJson);
+        let actionPermission = dotter.pick(`${roleName}->${modelName}->${actionName}`, module.exports.__private.permissionsJson);
+        //Field-level permissions store the permission in a separate property
+        if (typeof actionPermission === 'object' && actionPermission !== null){
+            actionPermission = actionPermission.permission;
+        }
         //Check if there are any permissions for the given action
         if (typeof actionPermission !== 'string' && typeof actionPermission !== 'boolean'){
             logger.error(`There's no permission defined for role: ${roleName}, model: ${modelName}, action: ${actionName}`);
@@ -136,6 +162,21 @@ module.exports = {
             return actionPermission;
         }
     },
+    /**
+     * @description returns the fields that the given role can read ("get") or write ("add", "update") in the given model. The init function needs to be called before using this one
+     * @param {String} [roleName] user's role name
+     * @param {String} [modelName] mongoose model name
+     * @param {String} [actionName] one of: "get", "update", "add"
+     * @returns {Array} a list of fields or null if the fields aren't limited (e.g. the role has wildcard permissions or the action doesn't define the fields)
+     */
+    getFields: (roleName, modelName, actionName) => {
+        const dotter = new dotObj('->');
+        const actionPermission = dotter.pick(`${roleName}->${modelName}->${actionName}`, module.exports.__private.permissionsJson || {});
+        if (typeof actionPermission === 'object' && actionPermission !== null && actionPermission.fields instanceof Array){
+            return actionPermission.fields;
+        }
+        return null;
+    },
     /**
      * @description loads permissions to the module and validates them. Needs to be called before using the check function
      */
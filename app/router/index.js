@@ -6,55 +6,375 @@
 const passport = require('passport');
 const router = require('express').Router();
 const h = require('../helpers');
+const config = require('../config');
 const acl = require('../acl');
 const permissions = require('../permissions');
 const logger = require('../logger').appLogger;
 const api = require('../api');
+const graphql = require('../graphql');
+const {ApiError} = api.errors;
 const signInMiddleware = require('./middleware/signIn');
 const signUpMiddleware = require('./middleware/signUp');
+const importBodyMiddleware = require('./middleware/importBody');
+const validateRequest = require('./middleware/validateRequest');
+const resolveTenantMiddleware = require('./middleware/resolveTenant');
+const tenantScopeMiddleware = require('./middleware/tenantScope');
 const notFoundMiddleware = require('./middleware/notFound');
+const openapi = require('./openapi');
+const versions = require('./versions');
+const rateLimit = require('./rateLimit');
+
+//Route parameter that only matches mongo ObjectIds. Thanks to that, static paths like /api/user/batch never get mistaken for a document ID
+const idParam = ':id([a-fA-F0-9]{24})';
+
+//Parts of the request schemas checked by the validateRequest middleware. The query strings are parsed by the API functions (see api/query.js), so their schemas only describe the types
+const objectIdSchema = {type: 'string', pattern: '^[a-fA-F0-9]{24}$'};
+//The paths only match ObjectIds as well (see idParam), the schemas keep the params checked regardless of the paths
+const idParamsSchema = {type: 'object', required: ['id'], properties: {id: objectIdSchema}};
+const attachmentParamsSchema = {type: 'object', required: ['id', 'attachmentId'], properties: {id: objectIdSchema, attachmentId: objectIdSchema}};
+const pageQuerySchema = {
+    type: 'object',
+    properties: {
+        limit: {type: 'integer', minimum: 1, maximum: config.api.query.maxLimit},
+        offset: {type: 'integer', minimum: 0},
+        cursor: {type: 'string', minLength: 1},
+        sort: {type: 'string'},
+        filter: {type: 'object'},
+        fields: {type: 'string'},
+        expand: {type: 'string'}
+    }
+};
+//The bulk operations select the documents by their IDs or a filter
+const bulkSelectionSchema = {
+    ids: {type: 'array', items: objectIdSchema},
+    filter: {type: 'object'},
+    atomic: {type: 'boolean', default: false}
+};
 
 /**
- *  An ordered list of routes that are secured by JWT auth, the acl module and the permissions module
+ * @description parses the If-Match header into a list of accepted document versions. The ETags generated by performApiCall are strong and look like "<version>"
+ * @param {String} [header] the value of the If-Match header
+ * @returns {Array} the accepted versions or null if the header is missing or matches any version (*). Weak or malformed ETags are ignored, so a header containing only such ETags matches nothing
+ */
+const parseIfMatch = (header) => {
+    if (typeof header !== 'string' || header.trim() === '*'){
+        return null;
+    }
+    return header.split(',')
+        .map((etag) => etag.trim().match(/^"(\d+)"$/))
+        .filter((match) => match !== null)
+        .map((match) => Number(match[1]));
+};
+
+/**
+ * @description creates the rules of reading the models related to the requested one. They're used when the references are expanded (?expand=, see api/expand.js), so the users can't read more through the references than they could read directly
+ * @param {Object} [req] the express request with the authenticated user
+ * @returns {Function} a function that receives the name of a related model and returns {isAllowed: (doc) => Boolean, readableFields: Array}
+ */
+const getRelationAccess = (req) => {
+    return (modelName) => {
+        return {
+            isAllowed: (doc) => permissions.check(req.user.role, modelName, 'get', {data: {id: doc._id.toString()}, user: req.user}),
+            readableFields: permissions.getFields(req.user.role, modelName, 'get')
+        };
+    };
+};
+
+/**
+ *  An ordered list of routes that are secured by JWT auth, the acl module and the permissions module.
+ *  Every exposed model gets generated GET/POST/PATCH/DELETE routes (see generateModelRoutes) - the routes defined here take precedence over them.
+ *  Routes annotated with openapi.annotate are described in the generated OpenAPI document (see ./openapi.js). Routes that declare the schemas of their requests check them with the validateRequest middleware before their handlers run (see ./middleware/validateRequest.js)
  */
 const routes = {
     'get': {
-        '/api/user/:id?': (req, res) => {
-            if (!permissions.check(req.user.role, 'data.user', 'get', {data: {id: req.params.id}, user: req.user})){
+        //The audit log can be filtered like the other paged routes, e.g. ?filter[actor]=<userId>&filter[model]=data.user&filter[createdAt][gte]=2020-01-01&sort=-createdAt
+        '/api/audit': openapi.annotate([validateRequest({query: pageQuerySchema}), (req, res) => {
+            if (!permissions.check(req.user.role, 'log.audit', 'get', {data: {}, user: req.user})){
                 return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
             }
-            performApiCall({req, res, apiFunc: api.controllers['data.user'].get, args: { id: req.params.id }});
-        },
+            performApiCall({req, res, apiFunc: api.controllers['log.audit'].get, args: { query: req.query, readableFields: permissions.getFields(req.user.role, 'log.audit', 'get'), relationAccess: getRelationAccess(req) }, paged: true});
+        }], {modelName: 'log.audit', operation: 'list'}),
     },
     'post': {
+        //GraphQL queries and mutations (see /app/graphql). The responses follow the GraphQL spec ({data, errors}) instead of the standard response object, so they can be read by the GraphQL clients
+        '/api/graphql': [validateRequest({body: {
+            type: 'object',
+            required: ['query'],
+            properties: {
+                query: {type: 'string', minLength: 1},
+                variables: {type: ['object', 'null'], default: null},
+                operationName: {type: ['string', 'null'], default: null}
+            }
+        }}), (req, res) => {
+            logger.verbose(`${req.user.username} called graphql`, {identifier: `router ${req.method} ${req.url}`, meta: {operationName: req.body.operationName}});
+            graphql.run({query: req.body.query, variables: req.body.variables, operationName: req.body.operationName, user: req.user, tenant: req.tenant, remoteAddress: req.ip, apiVersion: req.apiVersion}).then((result) => {
+                //Documents that couldn't be executed at all get 400, the resolvers' errors are sent along with the data
+                return res.status(result.data === undefined ? 400 : 200).json(result);
+            }).catch((error) => {
+                return handleError(req, res, error);
+            });
+        }],
     },
     'patch': {
-        '/api/user/:id': (req, res) => {
-            if (!h.checkMandatoryArgs({argMap: { data: true }, args: req.body})){
-                return handleError(req, res, 'Incorrect or incomplete arguments', 400);
+    },
+    'delete': {
+    }
+};
+
+/**
+ *  The versions that follow v1 (see ./versions.js). v1 consists of the routes object along with the routes generated for every exposed model.
+ *  Each version lists only the routes it changes compared to the previous one, in the same format as the routes object - the other routes are inherited. Null removes an inherited route, e.g. {get: {'/api/audit': null}}
+ */
+const laterVersions = [{
+    name: 'v2',
+    routes: {}
+}];
+
+//Paths served outside of the versions, before the JWT auth and the access list
+const unversionedPaths = ['/api/signin', '/api/logout', '/api/signup'];
+
+/**
+ * @description generates GET/POST/PATCH/DELETE routes for the given model, including the batch routes (/api/<path>/batch) for bulk operations, the export and import routes (/api/<path>/export, /api/<path>/import), the search route (/api/<path>/search, if the model has searchable fields), the routes for listing, restoring and purging soft-deleted documents (if the soft delete mode is enabled) and the routes of the documents' attachments (/api/<path>/<id>/attachments, if the model accepts them). The requests are checked against the routes' schemas (see ./middleware/validateRequest.js), then the routes check the user's permissions and call the model's controllers. In bulk operations, every item is checked separately and the ones that fail the check are reported in the results. The fields that the user can read and write are limited by permissions.getFields - the responses of the mutations contain only the readable fields too. Single-document GET and PATCH responses carry the document version in the ETag header and PATCH routes accept If-Match (see performApiCall). PATCH routes also accept JSON Patch documents sent as application/json-patch+json (see api/patch.js). The paths and the list of actions are defined by the model's API options (see api.getModelOptions). Every route is annotated with its operation, so it's described in the OpenAPI document (see ./openapi.js)
+ * @param {String} [modelName] full name of the model
+ * @returns {Object} the generated routes in the same format as the routes object. Routes that need additional middleware are arrays of handlers
+ */
+const generateModelRoutes = (modelName) => {
+    const {path, actions, softDelete, attachments} = api.getModelOptions(modelName);
+    const controllers = api.controllers[modelName];
+    const modelRoutes = {get: {}, post: {}, patch: {}, delete: {}};
+    if (actions.includes('get')){
+        modelRoutes.get[`/api/${path}/${idParam}?`] = openapi.annotate([validateRequest({params: {type: 'object', properties: idParamsSchema.properties}, query: pageQuerySchema}), (req, res) => {
+            if (!permissions.check(req.user.role, modelName, 'get', {data: {id: req.params.id}, user: req.user})){
+                return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
+            }
+            performApiCall({req, res, apiFunc: controllers.get, args: { id: req.params.id, query: req.query, readableFields: permissions.getFields(req.user.role, modelName, 'get'), relationAccess: getRelationAccess(req) }, paged: req.params.id === undefined, etagModelName: req.params.id === undefined ? null : modelName});
+        }], {modelName, operation: 'get'});
+        //The documents are streamed, e.g. /api/user/export?format=csv&filter[role]=admin
+        modelRoutes.get[`/api/${path}/export`] = openapi.annotate([validateRequest({query: {
+            type: 'object',
+            properties: {
+                format: {type: 'string', enum: Object.keys(api.exportFormats), default: 'ndjson'},
+                sort: {type: 'string'},
+                filter: {type: 'object'}
             }
-            if (!permissions.check(req.user.role, 'data.user', 'update', {data: {id: req.params.id}, user: req.user})){
+        }}), (req, res) => {
+            const format = req.query.format;
+            const exportFormat = api.exportFormats[format];
+            performApiCall({req, res, apiFunc: controllers.export, args: {
+                query: req.query,
+                format,
+                //Users can't export documents that they aren't allowed to read
+                isAllowed: (doc) => permissions.check(req.user.role, modelName, 'get', {data: {id: doc._id.toString()}, user: req.user}),
+                readableFields: permissions.getFields(req.user.role, modelName, 'get')
+            }, directPipe: true, directPipeHeaders: [
+                {name: 'Content-Type', value: exportFormat.contentType},
+                {name: 'Content-Disposition', value: `attachment; filename="${path.replace(/\//g, '.')}.${exportFormat.extension}"`}
+            ]});
+        }], {modelName, operation: 'export'});
+        //Models with searchable fields can be searched, e.g. /api/user/search?q=john
+        if (api.isSearchable(modelName)){
+            modelRoutes.get[`/api/${path}/search`] = openapi.annotate([validateRequest({query: {
+                type: 'object',
+                required: ['q'],
+                properties: {
+                    q: {type: 'string', minLength: 1},
+                    limit: pageQuerySchema.properties.limit,
+                    offset: pageQuerySchema.properties.offset,
+                    filter: {type: 'object'}
+                }
+            }}), (req, res) => {
+                performApiCall({req, res, apiFunc: controllers.search, args: {
+                    query: req.query,
+                    //Users can't find documents that they aren't allowed to read
+                    isAllowed: (doc) => permissions.check(req.user.role, modelName, 'get', {data: {id: doc._id.toString()}, user: req.user}),
+                    readableFields: permissions.getFields(req.user.role, modelName, 'get')
+                }, paged: true});
+            }], {modelName, operation: 'search'});
+        }
+    }
+    if (actions.includes('add')){
+        modelRoutes.post[`/api/${path}`] = openapi.annotate([validateRequest({body: {
+            type: 'object',
+            required: ['data'],
+            properties: {data: {type: 'object'}}
+        }}), (req, res) => {
+            if (!permissions.check(req.user.role, modelName, 'add', {data: req.body.data, user: req.user})){
                 return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
             }
-            //Don't allow to update roles
-            delete req.body.data.role;
-            //Make sure that the password is stored as a hash
-            if (typeof req.body.data.password === 'string' && req.body.data.password.length > 0){
-                req.body.data.password = h.generateHash({password: req.body.data.password});
+            performApiCall({req, res, apiFunc: controllers.add, args: { inputObj: req.body.data, writableFields: permissions.getFields(req.user.role, modelName, 'add'), readableFields: permissions.getFields(req.user.role, modelName, 'get') }});
+        }], {modelName, operation: 'add'});
+        modelRoutes.post[`/api/${path}/batch`] = openapi.annotate([validateRequest({body: {
+            type: 'object',
+            required: ['data'],
+            properties: {data: {type: 'array', items: {type: 'object'}}, atomic: bulkSelectionSchema.atomic}
+        }}), (req, res) => {
+            performApiCall({req, res, apiFunc: controllers.bulkAdd, args: {
+                inputObjs: req.body.data,
+                atomic: req.body.atomic,
+                //Every object is checked separately
+                isAllowed: (inputObj) => permissions.check(req.user.role, modelName, 'add', {data: inputObj, user: req.user}),
+                writableFields: permissions.getFields(req.user.role, modelName, 'add'),
+                readableFields: permissions.getFields(req.user.role, modelName, 'get')
+            }});
+        }], {modelName, operation: 'bulkAdd'});
+        //The file is sent as the request body, e.g. POST /api/user/import?dryRun=true with Content-Type: text/csv
+        modelRoutes.post[`/api/${path}/import`] = openapi.annotate([validateRequest({query: {
+            type: 'object',
+            properties: {
+                format: {type: 'string', enum: ['csv', 'ndjson']},
+                dryRun: {type: 'boolean', default: false}
+            }
+        }}), importBodyMiddleware, (req, res) => {
+            const format = req.query.format !== undefined ? req.query.format : (req.is('text/csv') ? 'csv' : 'ndjson');
+            performApiCall({req, res, apiFunc: controllers.import, args: {
+                text: req.body,
+                format,
+                dryRun: req.query.dryRun,
+                //Every row is checked separately
+                isAllowed: (inputObj) => permissions.check(req.user.role, modelName, 'add', {data: inputObj, user: req.user}),
+                writableFields: permissions.getFields(req.user.role, modelName, 'add')
+            }});
+        }], {modelName, operation: 'import'});
+    }
+    if (actions.includes('update')){
+        modelRoutes.patch[`/api/${path}/batch`] = openapi.annotate([validateRequest({body: {
+            type: 'object',
+            required: ['data'],
+            properties: Object.assign({data: {type: 'object'}}, bulkSelectionSchema)
+        }}), (req, res) => {
+            performApiCall({req, res, apiFunc: controllers.bulkUpdate, args: {
+                ids: req.body.ids,
+                filter: req.body.filter,
+                inputObj: req.body.data,
+                atomic: req.body.atomic,
+                //Every document is checked separately
+                isAllowed: (id) => permissions.check(req.user.role, modelName, 'update', {data: {id}, user: req.user}),
+                writableFields: permissions.getFields(req.user.role, modelName, 'update'),
+                readableFields: permissions.getFields(req.user.role, modelName, 'get')
+            }});
+        }], {modelName, operation: 'bulkUpdate'});
+        //JSON Patch documents (RFC 6902) are sent as they are, the other updates are wrapped in {data}
+        modelRoutes.patch[`/api/${path}/${idParam}`] = openapi.annotate([validateRequest({params: idParamsSchema, bodies: {
+            //The operations themselves are checked by api/patch.js
+            [api.patchContentType]: {type: 'array', items: {type: 'object', required: ['op', 'path'], properties: {op: {type: 'string'}, path: {type: 'string'}, from: {type: 'string'}}}},
+            'application/json': {type: 'object', required: ['data'], properties: {data: {type: 'object'}}}
+        }}), (req, res) => {
+            const isJsonPatch = Boolean(req.is(api.patchContentType));
+            if (!permissions.check(req.user.role, modelName, 'update', {data: {id: req.params.id}, user: req.user})){
+                return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
+            }
+            const args = { id: req.params.id, versions: parseIfMatch(req.get('If-Match')), writableFields: permissions.getFields(req.user.role, modelName, 'update'), readableFields: permissions.getFields(req.user.role, modelName, 'get') };
+            if (isJsonPatch){
+                performApiCall({req, res, apiFunc: controllers.patch, args: Object.assign(args, {operations: req.body}), etagModelName: modelName});
             } else {
-                delete req.body.data.password;
+                performApiCall({req, res, apiFunc: controllers.update, args: Object.assign(args, {inputObj: req.body.data}), etagModelName: modelName});
             }
-            performApiCall({req, res, apiFunc: api.controllers['data.user'].update, args: { id: req.params.id, inputObj: req.body.data }});
-        },
-    },
-    'delete': {
-        '/api/user/:id': (req, res) => {
-            if (!permissions.check(req.user.role, 'data.user', 'delete', {data: {id: req.params.id}, user: req.user})){
+        }], {modelName, operation: 'update'});
+    }
+    if (actions.includes('delete')){
+        modelRoutes.delete[`/api/${path}/batch`] = openapi.annotate([validateRequest({body: {
+            type: 'object',
+            properties: bulkSelectionSchema
+        }}), (req, res) => {
+            performApiCall({req, res, apiFunc: controllers.bulkDelete, args: {
+                ids: req.body.ids,
+                filter: req.body.filter,
+                atomic: req.body.atomic,
+                //Every document is checked separately
+                isAllowed: (id) => permissions.check(req.user.role, modelName, 'delete', {data: {id}, user: req.user}),
+                readableFields: permissions.getFields(req.user.role, modelName, 'get')
+            }});
+        }], {modelName, operation: 'bulkDelete'});
+        modelRoutes.delete[`/api/${path}/${idParam}`] = openapi.annotate([validateRequest({params: idParamsSchema}), (req, res) => {
+            if (!permissions.check(req.user.role, modelName, 'delete', {data: {id: req.params.id}, user: req.user})){
                 return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
             }
-            performApiCall({req, res, apiFunc: api.controllers['data.user'].delete, args: {id: req.params.id}});
-        },
+            performApiCall({req, res, apiFunc: controllers.delete, args: {id: req.params.id, readableFields: permissions.getFields(req.user.role, modelName, 'get')}});
+        }], {modelName, operation: 'delete'});
+        //Soft-deleted documents can be listed, restored and purged
+        if (softDelete){
+            modelRoutes.get[`/api/${path}/deleted`] = openapi.annotate([validateRequest({query: pageQuerySchema}), (req, res) => {
+                if (!permissions.check(req.user.role, modelName, 'restore', {data: {}, user: req.user})){
+                    return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
+                }
+                performApiCall({req, res, apiFunc: controllers.get, args: { query: req.query, onlyDeleted: true, readableFields: permissions.getFields(req.user.role, modelName, 'get'), relationAccess: getRelationAccess(req) }, paged: true});
+            }], {modelName, operation: 'listDeleted'});
+            modelRoutes.post[`/api/${path}/${idParam}/restore`] = openapi.annotate([validateRequest({params: idParamsSchema}), (req, res) => {
+                if (!permissions.check(req.user.role, modelName, 'restore', {data: {id: req.params.id}, user: req.user})){
+                    return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
+                }
+                performApiCall({req, res, apiFunc: controllers.restore, args: {id: req.params.id, readableFields: permissions.getFields(req.user.role, modelName, 'get')}});
+            }], {modelName, operation: 'restore'});
+            modelRoutes.delete[`/api/${path}/${idParam}/purge`] = openapi.annotate([validateRequest({params: idParamsSchema}), (req, res) => {
+                if (!permissions.check(req.user.role, modelName, 'purge', {data: {id: req.params.id}, user: req.user})){
+                    return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
+                }
+                performApiCall({req, res, apiFunc: controllers.purge, args: {id: req.params.id, readableFields: permissions.getFields(req.user.role, modelName, 'get')}});
+            }], {modelName, operation: 'purge'});
+        }
+    }
+    //Files attached to the documents (see api/attachments.js). Reading them requires the get permission on the document, changing them requires the update permission
+    if (attachments){
+        const attachmentIdParam = ':attachmentId([a-fA-F0-9]{24})';
+        if (actions.includes('get')){
+            modelRoutes.get[`/api/${path}/${idParam}/attachments`] = openapi.annotate([validateRequest({params: idParamsSchema}), (req, res) => {
+                if (!permissions.check(req.user.role, modelName, 'get', {data: {id: req.params.id}, user: req.user})){
+                    return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
+                }
+                performApiCall({req, res, apiFunc: controllers.listAttachments, args: {id: req.params.id}});
+            }], {modelName, operation: 'listAttachments'});
+            //Supports range requests, e.g. Range: bytes=0-1023
+            modelRoutes.get[`/api/${path}/${idParam}/attachments/${attachmentIdParam}`] = openapi.annotate([validateRequest({params: attachmentParamsSchema}), (req, res) => {
+                if (!permissions.check(req.user.role, modelName, 'get', {data: {id: req.params.id}, user: req.user})){
+                    return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
+                }
+                performApiCall({req, res, apiFunc: controllers.downloadAttachment, args: {id: req.params.id, attachmentId: req.params.attachmentId, range: req.get('Range') || null}, directPipe: true});
+            }], {modelName, operation: 'downloadAttachment'});
+        }
+        if (actions.includes('update')){
+            //The files are sent as multipart/form-data, e.g. curl -F "file=@avatar.png" /api/user/<id>/attachments
+            modelRoutes.post[`/api/${path}/${idParam}/attachments`] = openapi.annotate([validateRequest({params: idParamsSchema}), (req, res) => {
+                if (!permissions.check(req.user.role, modelName, 'update', {data: {id: req.params.id}, user: req.user})){
+                    return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
+                }
+                performApiCall({req, res, apiFunc: controllers.uploadAttachments, args: {id: req.params.id, stream: req, headers: req.headers}});
+            }], {modelName, operation: 'uploadAttachments'});
+            modelRoutes.delete[`/api/${path}/${idParam}/attachments/${attachmentIdParam}`] = openapi.annotate([validateRequest({params: attachmentParamsSchema}), (req, res) => {
+                if (!permissions.check(req.user.role, modelName, 'update', {data: {id: req.params.id}, user: req.user})){
+                    return handleError(req, res, 'You don\'t have sufficient permissions to perform this action', 401);
+                }
+                performApiCall({req, res, apiFunc: controllers.deleteAttachment, args: {id: req.params.id, attachmentId: req.params.attachmentId}});
+            }], {modelName, operation: 'deleteAttachment'});
+        }
+    }
+    return modelRoutes;
+};
+
+/**
+ * @description merges the routes object with the routes generated for every exposed model. The routes from the routes object are placed first, so they take precedence over the generated ones. Generated routes with the same method and path as a custom route are skipped
+ * @param {Object} [customRoutes] the routes object defined at the beginning of this module
+ * @returns {Object} the merged routes in the same format as the routes object
+ */
+const mergeModelRoutes = (customRoutes) => {
+    const mergedRoutes = {};
+    for (let method in customRoutes){
+        mergedRoutes[method] = Object.assign({}, customRoutes[method]);
+    }
+    for (let modelName in api.controllers){
+        if (api.getModelOptions(modelName).expose === false){
+            continue;
+        }
+        const modelRoutes = generateModelRoutes(modelName);
+        for (let method in modelRoutes){
+            mergedRoutes[method] = mergedRoutes[method] || {};
+            for (let path in modelRoutes[method]){
+                if (mergedRoutes[method][path] === undefined){
+                    mergedRoutes[method][path] = modelRoutes[method][path];
+                }
+            }
+        }
     }
+    return mergedRoutes;
 };
 
 /**
@@ -88,42 +408,55 @@ const registerRoutes = (routes, method) => {
     Sends a negative response to the client
 **/
 /**
- * @description sends a negative response to the client with an error message
+ * @description sends a negative response to the client with an error message. The messages of the structured errors (with a code, see /app/api/errors.js) are sent as they are, the other ones are prefixed with a generic description
  * @param {Object} [req] express request object
  * @param {Object} [res] express response object
  * @param {Object|String} [error] either an error message or an object containing the error message
  * @param {Number} [statusCode = 500] the status code to set on the response
+ * @param {String} [code = null] a machine-readable error code that will be added to the response (see /app/api/errors.js)
+ * @param {Array}  [details = null] field-level details of the error that will be added to the response: [{field, rule, message}]
  * @returns {typeof res.status(Number)} the result of res.status(statusCode)
  */
-const handleError = (req, res, error, statusCode = 500) => {
+const handleError = (req, res, error, statusCode = 500, code = null, details = null) => {
     const optionallyStringifiedError = h.optionalStringify(error);
     logger.error(`Error (req by ${req.user.username}): ${optionallyStringifiedError}`, {identifier: `router ${req.method} ${req.url}`, meta: {query: req.query, params: req.params}});
     return res.status(statusCode).jsonp(
         h.generateResponse({
             status: false, 
-            error: `Something went wrong while performing an API call: ${optionallyStringifiedError}`
+            error: code === null ? `Something went wrong while performing an API call: ${optionallyStringifiedError}` : optionallyStringifiedError,
+            code,
+            details
         })
     );
 };
 
 /**
- * @description performs a call to the given API function expecting that it will return a promise and SOME value. It passes the given args object to that function. Calls and returns the given successCallback with req, res and the API func result as parameters if everything went fine. If there is no successCallback, sends a standarized response to the client. Allows for sending a piped response instead of the standard response object (e.g. for binary data)
+ * @description performs a call to the given API function expecting that it will return a promise and SOME value. It passes the given args object to that function along with the callId, the actor (the current user, recorded in the audit log) and the tenant to which the request is constrained (req.tenant, see /app/tenancy). Calls and returns the given successCallback with req, res and the API func result as parameters if everything went fine. If there is no successCallback, sends a standarized response to the client. Allows for sending a piped response instead of the standard response object (e.g. for binary data)
  * @param {Object} [req] express request object
  * @param {Object} [res] express response object
  * @param {Function} [apiFunc] the API function to execute (from the API module)
  * @param {args} [args] the arguments object that will be passed to the API function
  * @param {Function} [successCallback = null] the function that will be called and returned instead of sending a response object to the client
  * @param {Boolean} [logging = true] if false, no log messages will be generated by this function or the passed apiFunc
- * @param {Boolean} [directPipe = false] if true and there's no successCallback defined, it will send a piped response instead. In this case, the api function should return a readstream that has a "pipe" method that will be called with res as the only parameter
+ * @param {Boolean} [directPipe = false] if true and there's no successCallback defined, it will send a piped response instead. In this case, the api function should return a readstream that has a "pipe" method that will be called with res as the only parameter. If the stream emits an error after the response has been started, the connection is aborted. The stream can define the statusCode and headers ({<name>: <value>}) properties - they're set on the response too
  * @param {Array} [directPipeHeaders = []] if directPipe is true, these headers will be set on the res object
+ * @param {Boolean} [paged = false] if true and there's no successCallback defined, the API function should return an object with "docs" and "paging" properties (e.g. generics.get with a query). The docs will be sent as the response data and the paging metadata will be added to the response
+ * @param {String} [etagModelName = null] if defined and there's no successCallback defined, the result is treated as a single document of this model and its version is sent in the ETag header. GET requests with a matching If-None-Match header get 304 without a body
  * @returns {*} the result of handleError or successCallback or result.pipe (in case of directPipe) or res.jsonp (in case of all the optional parameters having default values)
  */
-const performApiCall = ({req, res, apiFunc, args, successCallback = null, logging = true, directPipe = false, directPipeHeaders = []}) => {
+const performApiCall = ({req, res, apiFunc, args, successCallback = null, logging = true, directPipe = false, directPipeHeaders = [], paged = false, etagModelName = null}) => {
     //Generate a new call id for this request - it will be passed to API functions for tracing the request in our logger
     const callId = h.generateCallId();
     logger.verbose(`${req.user.username} called ${apiFunc.name}`, {callId, identifier: `router ${req.method} ${req.url}`, logging, meta: {query: req.query, params: req.params, args}});
-    //Call the API func with the provided arguments and the generated call id 
-    apiFunc(Object.assign({}, args, {callId})).then((result) => {
+    //The user that performs the call - API functions that modify data record it in the audit log
+    const actor = {
+        _id: req.user._id,
+        username: req.user.username,
+        role: req.user.role,
+        remoteAddress: req.ip
+    };
+    //Call the API func with the provided arguments, the generated call id, the actor and the tenant
+    apiFunc(Object.assign({}, args, {callId, actor, tenant: req.tenant})).then((result) => {
         //Every API function MUST return some result
         if (result === undefined){
             return handleError(req, res, 'API func returned nothing');
@@ -136,8 +469,44 @@ const performApiCall = ({req, res, apiFunc, args, successCallback = null, loggin
                 directPipeHeaders.forEach((header) => {
                     res.setHeader(header.name, header.value);
                 });
+                //Streams can define their own status code and headers, like http.IncomingMessage (e.g. partial downloads of attachments)
+                if (typeof result.headers === 'object' && result.headers !== null){
+                    for (let name in result.headers){
+                        res.setHeader(name, result.headers[name]);
+                    }
+                }
+                res.status(Number.isInteger(result.statusCode) ? result.statusCode : 200);
+                if (typeof result.on === 'function'){
+                    //Streams can fail after the response has been started - the only way to let the client know is to abort the connection
+                    result.on('error', (error) => {
+                        logger.error(`The piped response failed: ${h.optionalStringify(error)}`, {identifier: `router ${req.method} ${req.url}`, callId});
+                        res.destroy(error);
+                    });
+                    //Stop producing data if the client has disconnected
+                    res.on('close', () => {
+                        if (!res.writableFinished && typeof result.destroy === 'function'){
+                            result.destroy();
+                        }
+                    });
+                }
                 return result.pipe(res); //Call the result's pipe method
+            } else if (paged){ //Paged results are sent along with their paging metadata
+                return res.status(200).jsonp(
+                    h.generateResponse({
+                        status: true, data: result.docs, paging: result.paging
+                    })
+                );
             } else { //This is the most common case - no pipe, no success callback, just a simple standarized response object
+                if (etagModelName !== null){
+                    const version = api.getDocumentVersion(etagModelName, result);
+                    if (version !== null){
+                        res.set('ETag', `"${version}"`);
+                        //req.fresh compares If-None-Match with the ETag set above
+                        if (req.method === 'GET' && req.fresh){
+                            return res.status(304).end();
+                        }
+                    }
+                }
                 return res.status(200).jsonp(
                     h.generateResponse({
                         status: true, data: result
@@ -146,6 +515,15 @@ const performApiCall = ({req, res, apiFunc, args, successCallback = null, loggin
             }
         }
     }).catch((error) => { //API functions may throw
+        //Errors created on purpose by the API functions define their own status codes. They can define headers too, like the piped streams (e.g. the unsatisfiable ranges of attachments)
+        if (error instanceof ApiError){
+            if (typeof error.headers === 'object' && error.headers !== null){
+                for (let name in error.headers){
+                    res.setHeader(name, error.headers[name]);
+                }
+            }
+            return handleError(req, res, error.message, error.statusCode, error.code, error.details);
+        }
         return handleError(req, res, error);
     });
 };
@@ -155,15 +533,34 @@ const performApiCall = ({req, res, apiFunc, args, successCallback = null, loggin
     Inserts the sign in route
 **/
 /**
- * @description adds the signup (register), sign in and notFound routes. Secures every route in the routes object with JWT auth and the acl module
+ * @description adds the signup (register), sign in and notFound routes. Registers the routes of every version under /api/<version> (see laterVersions and ./versions.js) and negotiates the versions of the unversioned requests. Secures every versioned route with JWT auth and the acl module and constrains it to the user's tenant. Limits the rate of the requests to every route (see ./rateLimit.js). Serves the OpenAPI document of each version at /api/<version>/docs/openapi.json and its viewer at /api/<version>/docs without authentication (if config.api.docs.enabled is true)
  * @param {Object} [routes] an object containing all the routes that should be registered (i.e. the object defined at the beginning)
  * @returns {Object} an instance of configured Express Router
  */
 const route = (routes) => {
-    //Allow users to sign in and receive a JWT token
-    router.post('/api/signin', signInMiddleware);
+    //Resolve the tenant of the request's subdomain - users sign in and sign up there
+    router.use(resolveTenantMiddleware);
+    //Allow users to sign in and receive a JWT token. The public routes are rate limited per IP
+    router.post('/api/signin', rateLimit.limit, signInMiddleware);
     //Allow users to sign up and receive a JWT token
-    router.post('/api/signup', signUpMiddleware);
+    router.post('/api/signup', rateLimit.limit, signUpMiddleware);
+    const routeVersions = versions.resolve([{name: 'v1', routes: mergeModelRoutes(routes)}].concat(laterVersions));
+    //Select the version of every other request to /api - the unversioned paths are rewritten to the negotiated versions
+    router.use(versions.negotiate(routeVersions.map(({name}) => name), unversionedPaths));
+    //The API docs are public, so the clients can read them before signing in
+    if (config.api.docs.enabled){
+        routeVersions.forEach(({name, routes: versionRoutes}) => {
+            //The routes don't change at runtime, so the document is generated once
+            let document = null;
+            router.get(`/api/${name}/docs/openapi.json`, (req, res) => {
+                document = document || openapi.generate(versionRoutes);
+                res.status(200).json(document);
+            });
+            router.get(`/api/${name}/docs`, (req, res) => {
+                res.status(200).type('html').send(openapi.renderViewer(`/api/${name}/docs/openapi.json`));
+            });
+        });
+    }
     //Secure all routes with JWT authentication
     router.use(
         passport.authenticate('jwt', { session: false, failWithError: true }), 
@@ -178,16 +575,18 @@ const route = (routes) => {
             );
         }
     );
+    //Constrain the requests to the user's tenant
+    router.use(tenantScopeMiddleware);
+    //Log the versions used by the clients
+    router.use(versions.logUsage);
+    //Limit the requests per user and IP (see ./rateLimit.js)
+    router.use(rateLimit.limit);
     //Secure all routes with an access list
     router.use(acl.authorize.unless({
-        path: [
-            '/api/signin',
-            '/api/logout',
-            '/api/signup'
-        ]
+        path: unversionedPaths
     }));
-    //Register the routes object
-    registerRoutes(routes);
+    //Register the routes of every version
+    routeVersions.forEach(({routes: versionRoutes}) => registerRoutes(versionRoutes));
     //If no route was found, send 404
     router.use(notFoundMiddleware);
     return router;
@@ -199,6 +598,9 @@ module.exports = {
     instance: route.bind(null, routes),
     __private: { //For tests
         routes,
+        parseIfMatch,
+        generateModelRoutes,
+        mergeModelRoutes,
         performApiCall,
         handleError,
         registerRoutes
@@ -0,0 +1,30 @@
+'use strict';
+
+/**
+ * Reads the body of import requests (NDJSON or CSV files) as text. The size of the body is limited by config.api.import.maxSize
+ */
+
+const express = require('express');
+const config = require('../../config');
+const logger = require('../../logger').appLogger;
+const h = require('../../helpers');
+
+const parseText = express.text({
+    type: ['text/csv', 'application/x-ndjson', 'text/plain'],
+    limit: config.api.import.maxSize
+});
+
+module.exports = (req, res, next) => {
+    parseText(req, res, (error) => {
+        if (error){
+            logger.error(`Error while reading the imported file: ${error.message}`, {identifier: 'router importBody'});
+            return res.status(error.statusCode || 400).jsonp(
+                h.generateResponse({
+                    status: false,
+                    error: error.type === 'entity.too.large' ? `The imported file can't be larger than ${config.api.import.maxSize}` : 'Failed to read the imported file'
+                })
+            );
+        }
+        next();
+    });
+};
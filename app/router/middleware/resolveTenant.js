@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Resolves the tenant that owns the request's subdomain (see /app/tenancy) and stores it in req.subdomainTenant (null outside of tenants' subdomains). Requests sent to unknown subdomains get 404
+ */
+
+const tenancy = require('../../tenancy');
+const logger = require('../../logger').appLogger;
+const h = require('../../helpers');
+
+module.exports = (req, res, next) => {
+    tenancy.resolveSubdomain(req.hostname).then(({subdomain, tenant}) => {
+        if (subdomain !== null && tenant === null){
+            logger.verbose(`${req.ip} tried to access an unknown tenant: ${subdomain}`, {identifier: 'router resolveTenant'});
+            return res.status(404).jsonp(
+                h.generateResponse({
+                    status: false,
+                    error: `Unknown tenant: ${subdomain}`,
+                    code: 'UNKNOWN_TENANT'
+                })
+            );
+        }
+        req.subdomainTenant = tenant;
+        next();
+    }).catch((error) => {
+        logger.error(`Error while resolving the tenant: ${h.optionalStringify(error)}`, {identifier: 'router resolveTenant'});
+        return res.status(500).jsonp(
+            h.generateResponse({
+                status: false,
+                error: 'Failed to resolve the tenant'
+            })
+        );
+    });
+};
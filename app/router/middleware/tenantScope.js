@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Finds the tenant to which the authenticated user's requests are constrained (see tenancy.getScope) and stores it in req.tenant. Users can't send requests to other tenants' subdomains
+ */
+
+const tenancy = require('../../tenancy');
+const logger = require('../../logger').appLogger;
+const h = require('../../helpers');
+
+module.exports = (req, res, next) => {
+    try{
+        req.tenant = tenancy.getScope(req.user, req.subdomainTenant || null);
+    } catch (error){
+        logger.warn(`Error while scoping the request to a tenant: ${error.message}`, {identifier: 'router tenantScope'});
+        return res.status(401).jsonp(
+            h.generateResponse({
+                status: false,
+                error: 'Unauthorized'
+            })
+        );
+    }
+    next();
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Checks the params, the query string and the body of requests against JSON schemas declared by the routes, before their handlers run:
+ *     [validateRequest({query: {type: 'object', properties: {dryRun: {type: 'boolean', default: false}}}}), (req, res) => {...}]
+ * The params and the query string are converted into the declared types (e.g. ?dryRun=true becomes true) and the missing values get their defaults, so the handlers receive the converted request. The bodies are only given the defaults - their types are sent by the clients.
+ * Bodies sent with various content types can be checked by different schemas: {bodies: {'application/json': {...}, 'application/json-patch+json': {...}}} - the requests with other content types are rejected.
+ * Invalid requests are rejected with 400 and the INVALID_REQUEST code. The details list every violation: [{field, rule, message}], e.g. {field: 'body.data', rule: 'type', message: 'body.data should be object'}
+ */
+
+const Ajv = require('ajv');
+const logger = require('../../logger').appLogger;
+const h = require('../../helpers');
+
+//The params and the query string are always strings. Single values are wrapped in arrays if the schema expects arrays
+const stringAjv = new Ajv({allErrors: true, coerceTypes: 'array', useDefaults: true});
+const bodyAjv = new Ajv({allErrors: true, useDefaults: true});
+
+/**
+ * @description converts an ajv error into a violation
+ * @param {String} [location] the validated part of the request: params, query or body
+ * @param {Object} [error] an ajv error
+ * @returns {Object} {field, rule, message} where the field is a dotted path, e.g. body.data.0.username
+ */
+const toDetail = (location, error) => {
+    //ajv uses the JS notation, e.g. .data[0]['first-name']
+    const segments = [location].concat(error.dataPath.split(/\.|\[|\]/).map((segment) => segment.replace(/^'(.*)'$/, '$1')).filter((segment) => segment.length > 0));
+    if (error.keyword === 'required'){
+        const field = segments.concat(error.params.missingProperty).join('.');
+        return {field, rule: 'required', message: `${field} is required`};
+    }
+    if (error.keyword === 'additionalProperties'){
+        const field = segments.concat(error.params.additionalProperty).join('.');
+        return {field, rule: 'additionalProperties', message: `${field} isn't allowed`};
+    }
+    const field = segments.join('.');
+    return {field, rule: error.keyword, message: `${field} ${error.message}`};
+};
+
+/**
+ * @description compiles the given schemas of a route
+ * @param {Object} [params] the schema of req.params
+ * @param {Object} [query] the schema of req.query
+ * @param {Object} [body] the schema of req.body
+ * @param {Object} [bodies] the schemas of req.body by content types (used instead of body)
+ * @returns {Object} the validation functions: {params, query, body, bodies: {<contentType>: Function}}. The missing schemas are null
+ */
+const compile = ({params, query, body, bodies}) => {
+    const compiledBodies = {};
+    for (let contentType in bodies){
+        compiledBodies[contentType] = bodyAjv.compile(bodies[contentType]);
+    }
+    return {
+        params: params === undefined ? null : stringAjv.compile(params),
+        query: query === undefined ? null : stringAjv.compile(query),
+        body: body === undefined ? null : bodyAjv.compile(body),
+        bodies: bodies === undefined ? null : compiledBodies
+    };
+};
+
+/**
+ * @description checks the given request. Converts the params and the query string and fills the defaults in place
+ * @param {Object} [req] express request object
+ * @param {Object} [validators] the result of compile
+ * @returns {Array} the violations: [{field, rule, message}]
+ */
+const check = (req, validators) => {
+    const details = [];
+    const run = (location, validator) => {
+        if (!validator(req[location])){
+            validator.errors.forEach((error) => details.push(toDetail(location, error)));
+        }
+    };
+    if (validators.params !== null){
+        run('params', validators.params);
+    }
+    if (validators.query !== null){
+        run('query', validators.query);
+    }
+    if (validators.body !== null){
+        run('body', validators.body);
+    }
+    if (validators.bodies !== null){
+        const contentType = Object.keys(validators.bodies).find((type) => req.is(type));
+        if (contentType === undefined){
+            details.push({field: 'body', rule: 'contentType', message: `body must be sent as ${Object.keys(validators.bodies).join(' or ')}`});
+        } else {
+            run('body', validators.bodies[contentType]);
+        }
+    }
+    return details;
+};
+
+/**
+ * @description creates a middleware that checks the requests against the given schemas. The schemas are compiled once, when the route is created
+ * @param {Object} [schemas] JSON schemas (draft-07): {params, query, body} or {params, query, bodies: {<contentType>: schema}}. Each of them is optional
+ * @throws {Error} if any of the schemas is wrong
+ * @returns {Function} an express middleware
+ */
+module.exports = (schemas) => {
+    const validators = compile(schemas);
+    return (req, res, next) => {
+        const details = check(req, validators);
+        if (details.length > 0){
+            //Invalid input is the client's mistake, not a failure of the app
+            logger.verbose(`Invalid request (req by ${req.user ? req.user.username : 'an anonymous user'}): ${details.map(({message}) => message).join(', ')}`, {identifier: `router ${req.method} ${req.url}`, meta: {query: req.query, params: req.params}});
+            return res.status(400).jsonp(
+                h.generateResponse({
+                    status: false,
+                    error: `Invalid request: ${details.map(({message}) => message).join(', ')}`,
+                    code: 'INVALID_REQUEST',
+                    details
+                })
+            );
+        }
+        next();
+    };
+};
+
+module.exports.__private = { //For tests
+    toDetail,
+    compile,
+    check
+};
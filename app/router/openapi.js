@@ -0,0 +1,662 @@
+'use strict';
+
+/**
+ * Generates the OpenAPI 3 document of the REST API. The paths are read from the routes registered by the router (the routes object merged with the generated model routes) and the schemas from the mongoose models.
+ * Routes describe themselves with annotate, e.g. the generated model routes are annotated with their models and operations:
+ *     annotate((req, res) => {...}, {modelName: 'data.user', operation: 'add'})
+ * Supported operations: get (a single document or a page of them, depending on the id parameter), list, search, export, listDeleted, add, bulkAdd, import, update, bulkUpdate, delete, bulkDelete, restore, purge, listAttachments, downloadAttachment, uploadAttachments and deleteAttachment. Routes without annotations are documented with the response envelope only.
+ * Every documented model gets three component schemas: <modelName> (the returned documents), <modelName>.input (the added documents) and <modelName>.update (the changed fields of updates).
+ * The router serves the document at /api/docs/openapi.json and a viewer at /api/docs (if config.api.docs.enabled is true)
+ */
+
+const config = require('../config');
+const mongoDb = require('../db').mongo.models;
+const api = require('../api');
+const packageJson = require('../../package.json');
+
+//The Swagger UI version loaded by the viewer
+const viewerVersion = '3.25.0';
+//Paths managed by the plugins (see /app/db/mongo/plugins) or the API functions. They can't be written by the clients
+const managedPaths = ['_id', 'tenant', 'deleted', 'deletedAt'];
+//The permission checked by the router for every operation (see generateModelRoutes)
+const operationActions = {
+    get: 'get',
+    list: 'get',
+    search: 'get',
+    export: 'get',
+    listDeleted: 'restore',
+    add: 'add',
+    bulkAdd: 'add',
+    import: 'add',
+    update: 'update',
+    bulkUpdate: 'update',
+    delete: 'delete',
+    bulkDelete: 'delete',
+    restore: 'restore',
+    purge: 'purge',
+    listAttachments: 'get',
+    downloadAttachment: 'get',
+    uploadAttachments: 'update',
+    deleteAttachment: 'update'
+};
+
+/**
+ * @description attaches the OpenAPI description to the given route
+ * @param {Function|Array} [route] a route handler or an array of handlers (see registerRoutes)
+ * @param {String}         [modelName] full name of the model that the route operates on
+ * @param {String}         [operation] one of the supported operations (see the module description)
+ * @returns {Function|Array} the same route
+ */
+const annotate = (route, {modelName, operation}) => {
+    if (operationActions[operation] === undefined){
+        throw new Error(`Unknown OpenAPI operation: ${operation}`);
+    }
+    route.openapi = {modelName, operation};
+    return route;
+};
+
+/**
+ * @description returns a reference to the given component
+ * @param {String} [name] the component name
+ * @param {String} [type = 'schemas'] the component type
+ * @returns {Object} {$ref}
+ */
+const ref = (name, type = 'schemas') => {
+    return {$ref: `#/components/${type}/${name}`};
+};
+
+/**
+ * @description converts an express path into OpenAPI paths. Optional parameters produce two paths - with and without the parameter
+ * @param {String} [expressPath] e.g. /api/user/:id([a-fA-F0-9]{24})?
+ * @returns {Array} [{path, parameters: [{name, pattern}]}], e.g. [{path: '/api/user', parameters: []}, {path: '/api/user/{id}', parameters: [{name: 'id', pattern: '^[a-fA-F0-9]{24}$'}]}]
+ */
+const convertPath = (expressPath) => {
+    let variants = [{path: '', parameters: []}];
+    expressPath.split('/').filter((segment) => segment.length > 0).forEach((segment) => {
+        const match = segment.match(/^:(\w+)(?:\((.+)\))?(\?)?$/);
+        if (match === null){
+            variants = variants.map((variant) => ({path: `${variant.path}/${segment}`, parameters: variant.parameters}));
+            return;
+        }
+        const parameter = {name: match[1], pattern: match[2] === undefined ? null : `^${match[2]}$`};
+        const withParameter = variants.map((variant) => ({path: `${variant.path}/{${parameter.name}}`, parameters: variant.parameters.concat(parameter)}));
+        variants = match[3] === '?' ? variants.concat(withParameter) : withParameter;
+    });
+    return variants.map((variant) => variant.path === '' ? {path: '/', parameters: variant.parameters} : variant);
+};
+
+/**
+ * @description checks if the given path is required in the added documents
+ * @param {Object} [schemaType] a mongoose SchemaType
+ * @returns {Boolean} true if the path is required and has no default value
+ */
+const isRequired = (schemaType) => {
+    const required = schemaType.options.required;
+    return (required === true || (required instanceof Array && required[0] === true)) && schemaType.defaultValue === undefined;
+};
+
+/**
+ * @description converts the given mongoose SchemaType into a schema object
+ * @param {Object} [schemaType] a mongoose SchemaType
+ * @param {String} [mode] read, input or update (see schemaToObject)
+ * @returns {Object} the schema object. Unsupported types are described with an empty object (any value)
+ */
+const typeToSchema = (schemaType, mode) => {
+    const options = schemaType.options || {};
+    let schema = {};
+    switch (schemaType.instance){
+        case 'String':
+            schema = {type: 'string'};
+            if (schemaType.enumValues.length > 0){
+                schema.enum = schemaType.enumValues.slice();
+            }
+            if (options.match instanceof RegExp){
+                schema.pattern = options.match.source;
+            }
+            if (typeof options.minlength === 'number'){
+                schema.minLength = options.minlength;
+            }
+            if (typeof options.maxlength === 'number'){
+                schema.maxLength = options.maxlength;
+            }
+            break;
+        case 'Number':
+            schema = {type: 'number'};
+            if (typeof options.min === 'number'){
+                schema.minimum = options.min;
+            }
+            if (typeof options.max === 'number'){
+                schema.maximum = options.max;
+            }
+            break;
+        case 'Date':
+            schema = {type: 'string', format: 'date-time'};
+            break;
+        case 'Boolean':
+            schema = {type: 'boolean'};
+            break;
+        case 'ObjectID':
+            schema = {type: 'string', pattern: '^[a-fA-F0-9]{24}$'};
+            if (typeof options.ref === 'string'){
+                //The expanded references are documents of the referenced model (see /app/api/expand.js)
+                schema.description = mode === 'read' ? `The ID of a ${options.ref} document or the document itself if it was expanded` : `The ID of a ${options.ref} document`;
+            }
+            break;
+        case 'Array':
+            //Arrays of subdocuments have casters without instances
+            if (schemaType.caster && schemaType.caster.instance !== undefined){
+                schema = {type: 'array', items: typeToSchema(schemaType.caster, mode)};
+            } else {
+                schema = {type: 'array', items: schemaType.schema ? schemaToObject(schemaType.schema, mode) : {}};
+            }
+            break;
+        case 'Embedded':
+            schema = schemaToObject(schemaType.schema, mode);
+            break;
+        case 'Buffer':
+            schema = {type: 'string', format: 'byte'};
+            break;
+    }
+    if (schemaType.defaultValue === null){
+        schema.nullable = true;
+    } else if (schemaType.defaultValue !== undefined && typeof schemaType.defaultValue !== 'function'){
+        schema.default = schemaType.defaultValue;
+    }
+    return schema;
+};
+
+/**
+ * @description converts the given mongoose schema into an object schema. Dotted paths become nested objects
+ * @param {Object} [schema] a mongoose Schema
+ * @param {String} [mode] read (the returned documents - without the paths that aren't selected by default), input (the added documents - without the managed paths) or update (like input, but nothing is required)
+ * @returns {Object} the schema object
+ */
+const schemaToObject = (schema, mode) => {
+    const object = {type: 'object', properties: {}};
+    schema.eachPath((path, schemaType) => {
+        if (mode === 'read' ? schemaType.options.select === false : managedPaths.includes(path) || path === schema.options.versionKey){
+            return;
+        }
+        const segments = path.split('.');
+        let parent = object;
+        segments.slice(0, -1).forEach((segment) => {
+            if (parent.properties[segment] === undefined){
+                parent.properties[segment] = {type: 'object', properties: {}};
+            }
+            parent = parent.properties[segment];
+        });
+        const name = segments[segments.length - 1];
+        parent.properties[name] = typeToSchema(schemaType, mode);
+        if (mode === 'input' && isRequired(schemaType)){
+            parent.required = (parent.required || []).concat(name);
+        }
+    });
+    return object;
+};
+
+/**
+ * @description generates the component schemas of the given model
+ * @param {String} [modelName] full name of the model
+ * @returns {Object} {<modelName>, <modelName>.input, <modelName>.update}
+ */
+const modelSchemas = (modelName) => {
+    const schema = mongoDb[modelName].schema;
+    const update = schemaToObject(schema, 'update');
+    update.description = 'The changed fields. Nested fields can be set with dotted paths, e.g. {"profile.bio": "..."}';
+    //The update operators supported by generics.update (see /app/api/operators.js)
+    ['$unset', '$push', '$pull', '$inc'].forEach((operator) => {
+        update.properties[operator] = {type: 'object', additionalProperties: true};
+    });
+    return {
+        [modelName]: schemaToObject(schema, 'read'),
+        [`${modelName}.input`]: schemaToObject(schema, 'input'),
+        [`${modelName}.update`]: update
+    };
+};
+
+/**
+ * @description generates the schemas, parameters and responses shared by the operations
+ * @returns {Object} the components object without the model schemas
+ */
+const sharedComponents = () => {
+    const errorResponse = (description) => {
+        return {description, content: {'application/json': {schema: ref('Response')}}};
+    };
+    const queryParameter = (name, description, schema = {type: 'string'}) => {
+        return {name, in: 'query', required: false, description, schema};
+    };
+    return {
+        securitySchemes: {
+            bearerAuth: {type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'The token returned by /api/signin or /api/signup'}
+        },
+        schemas: {
+            Response: {
+                type: 'object',
+                description: 'Every JSON response is wrapped in this envelope',
+                required: ['status', 'data', 'error'],
+                properties: {
+                    status: {type: 'boolean', description: 'Whether the request succeeded'},
+                    data: {description: 'The result of the request'},
+                    error: {type: 'string', nullable: true},
+                    paging: ref('Paging'),
+                    code: {type: 'string', description: 'A machine-readable error code, e.g. VALIDATION_FAILED'},
+                    details: {type: 'array', items: ref('ErrorDetail')}
+                }
+            },
+            Paging: {
+                type: 'object',
+                description: 'Sent only with paged results',
+                properties: {
+                    total: {type: 'integer'},
+                    limit: {type: 'integer'},
+                    offset: {type: 'integer'},
+                    nextCursor: {type: 'string', nullable: true, description: 'Pass it as the cursor parameter to get the next page'},
+                    nextOffset: {type: 'integer', nullable: true, description: 'Sent with the search results instead of nextCursor'}
+                }
+            },
+            ErrorDetail: {
+                type: 'object',
+                properties: {
+                    field: {type: 'string'},
+                    rule: {type: 'string'},
+                    message: {type: 'string'}
+                }
+            },
+            BulkReport: {
+                type: 'object',
+                properties: {
+                    atomic: {type: 'boolean'},
+                    committed: {type: 'boolean'},
+                    succeeded: {type: 'integer'},
+                    failed: {type: 'integer'},
+                    results: {type: 'array', items: {
+                        type: 'object',
+                        properties: {
+                            index: {type: 'integer'},
+                            id: {type: 'string', nullable: true},
+                            status: {type: 'boolean'},
+                            data: {},
+                            error: {type: 'string', nullable: true},
+                            code: {type: 'string', nullable: true, description: 'A machine-readable error code, e.g. VALIDATION_FAILED'},
+                            details: {type: 'array', nullable: true, items: ref('ErrorDetail')}
+                        }
+                    }}
+                }
+            },
+            ImportReport: {
+                type: 'object',
+                properties: {
+                    dryRun: {type: 'boolean'},
+                    total: {type: 'integer'},
+                    valid: {type: 'integer'},
+                    inserted: {type: 'integer'},
+                    skipped: {type: 'integer'},
+                    failed: {type: 'integer'},
+                    rejected: {type: 'array', items: {
+                        type: 'object',
+                        properties: {
+                            row: {type: 'integer'},
+                            status: {type: 'string', enum: ['skipped', 'failed']},
+                            reason: {type: 'string'},
+                            details: {type: 'array', nullable: true, items: ref('ErrorDetail')}
+                        }
+                    }}
+                }
+            },
+            Attachment: {
+                type: 'object',
+                properties: {
+                    _id: {type: 'string'},
+                    filename: {type: 'string'},
+                    contentType: {type: 'string'},
+                    size: {type: 'integer', description: 'The size in bytes'},
+                    uploadedAt: {type: 'string', format: 'date-time'},
+                    uploadedBy: {type: 'string', nullable: true, description: 'The ID of the user that uploaded the file'}
+                }
+            },
+            JsonPatch: {
+                type: 'array',
+                description: 'A JSON Patch document (RFC 6902)',
+                items: {
+                    type: 'object',
+                    required: ['op', 'path'],
+                    properties: {
+                        op: {type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test']},
+                        path: {type: 'string', example: '/username'},
+                        from: {type: 'string'},
+                        value: {}
+                    }
+                }
+            }
+        },
+        parameters: {
+            id: {name: 'id', in: 'path', required: true, schema: {type: 'string', pattern: '^[a-fA-F0-9]{24}$'}},
+            limit: queryParameter('limit', 'The maximum number of returned documents', {type: 'integer', minimum: 1}),
+            offset: queryParameter('offset', 'The number of skipped documents (can\'t be combined with cursor)', {type: 'integer', minimum: 0}),
+            cursor: queryParameter('cursor', 'The nextCursor value returned with the previous page'),
+            sort: queryParameter('sort', 'A comma-separated list of sortable fields. A minus sign means descending order, e.g. -role,username'),
+            filter: {name: 'filter', in: 'query', required: false, style: 'deepObject', explode: true, description: 'Filters on the filterable fields, e.g. filter[username]=john or filter[age][gte]=18. Operators: eq, ne, gt, gte, lt, lte, in, nin, regex', schema: {type: 'object', additionalProperties: true}},
+            fields: queryParameter('fields', 'A comma-separated list of the returned fields, e.g. username,tenant.name'),
+            expand: queryParameter('expand', 'A comma-separated list of the references replaced with the referenced documents, e.g. tenant'),
+            q: Object.assign(queryParameter('q', 'The searched text'), {required: true}),
+            exportFormat: queryParameter('format', 'The format of the exported file', {type: 'string', enum: Object.keys(api.exportFormats), default: 'ndjson'}),
+            importFormat: queryParameter('format', 'The format of the imported file. Detected from the Content-Type header by default', {type: 'string', enum: ['csv', 'ndjson']}),
+            dryRun: queryParameter('dryRun', 'Validates the file without adding the documents', {type: 'boolean', default: false}),
+            ifMatch: {name: 'If-Match', in: 'header', required: false, description: 'The ETag of the updated version, e.g. "3". The update fails with 412 if the document has changed', schema: {type: 'string'}},
+            range: {name: 'Range', in: 'header', required: false, description: 'A single byte range, e.g. bytes=0-1023. The requested part is sent with 206', schema: {type: 'string'}},
+            ifNoneMatch: {name: 'If-None-Match', in: 'header', required: false, description: 'The ETag of the cached version. 304 is sent if the document hasn\'t changed', schema: {type: 'string'}}
+        },
+        responses: {
+            BadRequest: errorResponse('Incorrect arguments or query-string parameters'),
+            Unauthorized: errorResponse('The token is missing or invalid, or the user doesn\'t have sufficient permissions'),
+            Conflict: errorResponse('The document conflicts with an existing one'),
+            PreconditionFailed: errorResponse('The document has changed since the version given in If-Match'),
+            UnprocessableEntity: errorResponse('The document or the update didn\'t pass the validation'),
+            NotFound: errorResponse('The document or its attachment doesn\'t exist'),
+            PayloadTooLarge: errorResponse('A file is too large'),
+            UnsupportedMediaType: errorResponse('A file has a type that isn\'t allowed'),
+            RangeNotSatisfiable: Object.assign(errorResponse('The requested range is outside of the file'), {
+                headers: {'Content-Range': {description: 'The length of the file, e.g. bytes */1024', schema: {type: 'string'}}}
+            }),
+            Error: errorResponse('An unexpected error')
+        }
+    };
+};
+
+/**
+ * @description creates a successful response wrapped in the envelope (see h.generateResponse)
+ * @param {String}  [description] the description of the response
+ * @param {Object}  [data] the schema of the returned data
+ * @param {Boolean} [paged = false] if true, the response contains the paging metadata
+ * @param {Boolean} [etag = false] if true, the response carries the document version in the ETag header
+ * @returns {Object} the response object
+ */
+const success = (description, data, {paged = false, etag = false} = {}) => {
+    const envelope = {type: 'object', properties: {data}};
+    if (paged){
+        envelope.required = ['paging'];
+    }
+    const response = {description, content: {'application/json': {schema: {allOf: [ref('Response'), envelope]}}}};
+    if (etag){
+        response.headers = {ETag: {description: 'The document version, e.g. "3"', schema: {type: 'string'}}};
+    }
+    return response;
+};
+
+/**
+ * @description creates a JSON request body wrapped in {data}
+ * @param {Object} [data] the schema of the data property
+ * @param {Object} [properties = {}] other properties of the body
+ * @returns {Object} the request body object
+ */
+const dataBody = (data, properties = {}) => {
+    return {required: true, content: {'application/json': {schema: {type: 'object', required: ['data'], properties: Object.assign({data}, properties)}}}};
+};
+
+//The bodies of the bulk operations select the documents by their IDs or a filter
+const bulkSelection = {
+    ids: {type: 'array', items: {type: 'string', pattern: '^[a-fA-F0-9]{24}$'}},
+    filter: {type: 'object', additionalProperties: true, description: 'The same filters as in the filter parameter, e.g. {"role": "user"}'},
+    atomic: {type: 'boolean', default: false, description: 'If true, either every document is changed or none of them'}
+};
+
+//Describe the operations of the annotated routes. Every function receives the model name and whether the path contains the id parameter
+const operations = {
+    get: ({modelName, hasId}) => {
+        return hasId ? operations.getOne({modelName}) : operations.list({modelName});
+    },
+    getOne: ({modelName}) => ({
+        summary: `Returns a ${modelName} document`,
+        parameters: ['fields', 'expand', 'ifNoneMatch'],
+        responses: {
+            '200': success('The document', ref(modelName), {etag: true}),
+            '304': {description: 'The document hasn\'t changed since the version given in If-None-Match'}
+        }
+    }),
+    list: ({modelName}) => ({
+        summary: `Returns a page of ${modelName} documents`,
+        parameters: ['limit', 'offset', 'cursor', 'sort', 'filter', 'fields', 'expand'],
+        responses: {'200': success('The documents', {type: 'array', items: ref(modelName)}, {paged: true})}
+    }),
+    search: ({modelName}) => ({
+        summary: `Searches the ${modelName} documents. The results are sorted by relevance`,
+        parameters: ['q', 'limit', 'offset', 'filter'],
+        responses: {'200': success('The found documents', {type: 'array', items: ref(modelName)}, {paged: true})}
+    }),
+    export: ({modelName}) => ({
+        summary: `Exports the ${modelName} documents`,
+        parameters: ['exportFormat', 'filter', 'sort'],
+        responses: {'200': {description: 'The exported file. It isn\'t wrapped in the envelope', content: {
+            'application/x-ndjson': {schema: {type: 'string'}},
+            'text/csv': {schema: {type: 'string'}}
+        }}}
+    }),
+    listDeleted: ({modelName}) => ({
+        summary: `Returns a page of soft-deleted ${modelName} documents`,
+        parameters: ['limit', 'offset', 'cursor', 'sort', 'filter', 'fields', 'expand'],
+        responses: {'200': success('The documents', {type: 'array', items: ref(modelName)}, {paged: true})}
+    }),
+    add: ({modelName}) => ({
+        summary: `Adds a ${modelName} document`,
+        requestBody: dataBody(ref(`${modelName}.input`)),
+        responses: {'200': success('The added document', ref(modelName)), '409': ref('Conflict', 'responses'), '422': ref('UnprocessableEntity', 'responses')}
+    }),
+    bulkAdd: ({modelName}) => ({
+        summary: `Adds multiple ${modelName} documents`,
+        requestBody: dataBody({type: 'array', items: ref(`${modelName}.input`)}, {atomic: bulkSelection.atomic}),
+        responses: {'200': success('The results of every document', ref('BulkReport'))}
+    }),
+    import: ({modelName}) => ({
+        summary: `Imports ${modelName} documents from a file`,
+        parameters: ['importFormat', 'dryRun'],
+        requestBody: {required: true, content: {
+            'text/csv': {schema: {type: 'string'}},
+            'application/x-ndjson': {schema: {type: 'string'}}
+        }},
+        responses: {'200': success('The import report', ref('ImportReport'))}
+    }),
+    update: ({modelName}) => ({
+        summary: `Updates a ${modelName} document`,
+        description: 'The changes are sent either as {data} or as a JSON Patch document',
+        parameters: ['ifMatch'],
+        requestBody: {required: true, content: {
+            'application/json': dataBody(ref(`${modelName}.update`)).content['application/json'],
+            [api.patchContentType]: {schema: ref('JsonPatch')}
+        }},
+        responses: {
+            '200': success('The updated document', ref(modelName), {etag: true}),
+            '409': ref('Conflict', 'responses'),
+            '412': ref('PreconditionFailed', 'responses'),
+            '422': ref('UnprocessableEntity', 'responses')
+        }
+    }),
+    bulkUpdate: ({modelName}) => ({
+        summary: `Updates multiple ${modelName} documents`,
+        requestBody: dataBody(ref(`${modelName}.update`), bulkSelection),
+        responses: {'200': success('The results of every document', ref('BulkReport'))}
+    }),
+    delete: ({modelName}) => ({
+        summary: `Deletes a ${modelName} document`,
+        responses: {'200': success('The deleted document', ref(modelName))}
+    }),
+    bulkDelete: ({modelName}) => ({
+        summary: `Deletes multiple ${modelName} documents`,
+        requestBody: {required: true, content: {'application/json': {schema: {type: 'object', properties: bulkSelection}}}},
+        responses: {'200': success('The results of every document', ref('BulkReport'))}
+    }),
+    restore: ({modelName}) => ({
+        summary: `Restores a soft-deleted ${modelName} document`,
+        responses: {'200': success('The restored document', ref(modelName))}
+    }),
+    purge: ({modelName}) => ({
+        summary: `Permanently removes a soft-deleted ${modelName} document`,
+        responses: {'200': success('The purged document', ref(modelName))}
+    }),
+    listAttachments: ({modelName}) => ({
+        summary: `Returns the files attached to a ${modelName} document`,
+        responses: {'200': success('The attachments', {type: 'array', items: ref('Attachment')}), '404': ref('NotFound', 'responses')}
+    }),
+    downloadAttachment: ({modelName}) => ({
+        summary: `Downloads a file attached to a ${modelName} document`,
+        parameters: ['range'],
+        responses: {
+            '200': {description: 'The file. It isn\'t wrapped in the envelope', content: {'application/octet-stream': {schema: {type: 'string', format: 'binary'}}}},
+            '206': {description: 'The requested range of the file', content: {'application/octet-stream': {schema: {type: 'string', format: 'binary'}}}},
+            '404': ref('NotFound', 'responses'),
+            '416': ref('RangeNotSatisfiable', 'responses')
+        }
+    }),
+    uploadAttachments: ({modelName}) => ({
+        summary: `Attaches files to a ${modelName} document`,
+        description: `At most ${config.api.attachments.maxFiles} files of up to ${config.api.attachments.maxSize}. Allowed types: ${config.api.attachments.allowedTypes.join(', ')}`,
+        requestBody: {required: true, content: {'multipart/form-data': {schema: {
+            type: 'object',
+            properties: {file: {type: 'array', items: {type: 'string', format: 'binary'}}}
+        }}}},
+        responses: {
+            '200': success('The stored attachments', {type: 'array', items: ref('Attachment')}),
+            '404': ref('NotFound', 'responses'),
+            '413': ref('PayloadTooLarge', 'responses'),
+            '415': ref('UnsupportedMediaType', 'responses')
+        }
+    }),
+    deleteAttachment: ({modelName}) => ({
+        summary: `Removes a file attached to a ${modelName} document`,
+        responses: {'200': success('The removed attachment', ref('Attachment')), '404': ref('NotFound', 'responses')}
+    })
+};
+
+/**
+ * @description describes the sign in and sign up routes. They aren't secured by JWT, so they're registered outside of the routes object
+ * @returns {Object} the path items: {'/api/signin', '/api/signup'}
+ */
+const authPaths = () => {
+    const credentials = {required: true, content: {'application/json': {schema: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {username: {type: 'string'}, password: {type: 'string', format: 'password'}}
+    }}}};
+    const token = success('The JWT that should be sent in the Authorization header: Bearer <token>', {type: 'string'});
+    return {
+        '/api/signin': {post: {
+            tags: ['auth'],
+            operationId: 'signIn',
+            summary: 'Signs the user in',
+            description: 'Users of a tenant sign in on its subdomain',
+            security: [],
+            requestBody: credentials,
+            responses: {'200': token, '401': ref('Unauthorized', 'responses')}
+        }},
+        '/api/signup': {post: {
+            tags: ['auth'],
+            operationId: 'signUp',
+            summary: 'Creates a new user with the user role and signs them in',
+            description: 'Users that sign up on a tenant\'s subdomain belong to that tenant',
+            security: [],
+            requestBody: credentials,
+            responses: {'200': token, '500': ref('Error', 'responses')}
+        }}
+    };
+};
+
+/**
+ * @description creates a unique identifier of an operation
+ * @param {String} [method] the HTTP method
+ * @param {String} [path] the OpenAPI path
+ * @returns {String} e.g. getApiUserById
+ */
+const operationId = (method, path) => {
+    return method + path.split('/').filter((segment) => segment.length > 0).map((segment) => {
+        const parameter = segment.match(/^\{(\w+)\}$/);
+        return (parameter === null ? segment : `by-${parameter[1]}`).split(/[^a-zA-Z0-9]+/)
+            .filter((word) => word.length > 0)
+            .map((word) => word[0].toUpperCase() + word.slice(1))
+            .join('');
+    }).join('');
+};
+
+/**
+ * @description generates the OpenAPI document from the given routes
+ * @param {Object} [routes] the merged routes in the same format as the routes object (see mergeModelRoutes)
+ * @returns {Object} the OpenAPI 3 document
+ */
+const generate = (routes) => {
+    const components = sharedComponents();
+    const paths = authPaths();
+    for (let method in routes){
+        for (let expressPath in routes[method]){
+            const annotation = routes[method][expressPath].openapi;
+            convertPath(expressPath).forEach(({path, parameters}) => {
+                let operation = {
+                    tags: ['other'],
+                    summary: `${method.toUpperCase()} ${path}`,
+                    responses: {'200': success('The result', {})}
+                };
+                if (annotation !== undefined){
+                    const {modelName, operation: operationName} = annotation;
+                    if (components.schemas[modelName] === undefined){
+                        Object.assign(components.schemas, modelSchemas(modelName));
+                    }
+                    operation = Object.assign({tags: [modelName]}, operations[operationName]({modelName, hasId: parameters.some(({name}) => name === 'id')}));
+                    operation.description = `${operation.description ? `${operation.description}. ` : ''}Requires the ${operationActions[operationName]} permission on ${modelName}`;
+                }
+                operation.operationId = operationId(method, path);
+                operation.parameters = parameters.map(({name, pattern}) => name === 'id' ? ref('id', 'parameters') : {name, in: 'path', required: true, schema: pattern === null ? {type: 'string'} : {type: 'string', pattern}})
+                    .concat((operation.parameters || []).map((name) => ref(name, 'parameters')));
+                //Every route in the routes object is secured by JWT auth and the access list
+                operation.responses = Object.assign({
+                    '400': ref('BadRequest', 'responses'),
+                    '401': ref('Unauthorized', 'responses'),
+                    default: ref('Error', 'responses')
+                }, operation.responses);
+                paths[path] = paths[path] || {};
+                paths[path][method] = operation;
+            });
+        }
+    }
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: packageJson.name,
+            version: packageJson.version,
+            description: packageJson.description
+        },
+        security: [{bearerAuth: []}],
+        paths,
+        components
+    };
+};
+
+/**
+ * @description renders the docs viewer (Swagger UI)
+ * @param {String} [specUrl] the URL of the OpenAPI document
+ * @returns {String} an HTML page
+ */
+const renderViewer = (specUrl) => {
+    return `<!DOCTYPE html>
+<html>
+    <head>
+        <meta charset="utf-8">
+        <title>${packageJson.name} API</title>
+        <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@${viewerVersion}/swagger-ui.css">
+    </head>
+    <body>
+        <div id="docs"></div>
+        <script src="https://unpkg.com/swagger-ui-dist@${viewerVersion}/swagger-ui-bundle.js"></script>
+        <script>
+            SwaggerUIBundle({url: ${JSON.stringify(specUrl)}, dom_id: '#docs'});
+        </script>
+    </body>
+</html>`;
+};
+
+module.exports = {
+    annotate,
+    generate,
+    renderViewer,
+    __private: { //For tests
+        convertPath,
+        schemaToObject,
+        operationId
+    }
+};
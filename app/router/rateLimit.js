@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Limits the number of requests that the clients can send in a time window. The policies are defined in config.api.rateLimit.policies:
+ *     {"name": "signin", "path": "/api/signin", "methods": ["POST"], "by": "ip", "limit": 10, "window": 60}
+ * A policy applies to the requests of the given methods ("*" or missing means all of them) sent to its path. Paths ending with * match every path with the given prefix (e.g. /api/*). The versions are ignored - /api/v2/user and /api/user are both matched by /api/user.
+ * The requests are counted per IP ("by": "ip") or per authenticated user ("by": "user") in fixed windows of the given number of seconds. The users with the config.api.rateLimit.exemptRoles roles aren't limited.
+ * The IPs are read from req.ip. Behind a reverse proxy or a load balancer, config.server.trustProxy (the express "trust proxy" setting, e.g. 1 or "loopback") must be set, so the IPs are read from the X-Forwarded-For header - otherwise every request is counted as a request of the proxy.
+ * The missing options get the defaults (see defaultOptions), so the limits are disabled if config.api.rateLimit isn't defined.
+ * The counters live in Redis (database config.api.rateLimit.redisDb), so the limits are shared by all the workers in the cluster. If Redis is unavailable, the requests aren't limited.
+ * Every limited response carries the RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers (draft-ietf-httpapi-ratelimit-headers) of the policy with the fewest remaining requests. The requests over the limit are rejected with 429, the RATE_LIMITED code and the Retry-After header
+ */
+
+const redis = require('redis').createClient;
+const config = require('../config');
+const h = require('../helpers');
+const logger = require('../logger').appLogger;
+
+let client = null;
+
+const defaultOptions = {
+    enabled: false,
+    redisDb: 0,
+    exemptRoles: [],
+    policies: []
+};
+
+/**
+ * @description returns the options of the rate limiter
+ * @returns {Object} config.api.rateLimit merged with the default options
+ */
+const getOptions = () => {
+    return Object.assign({}, defaultOptions, config.api.rateLimit);
+};
+
+/**
+ * @description creates the Redis client on the first use. Commands fail immediately instead of being queued while the client is disconnected, so the requests aren't held up
+ * @returns {Object} the Redis client
+ */
+const getClient = () => {
+    if (client !== null){
+        return client;
+    }
+    const options = {db: getOptions().redisDb, enable_offline_queue: false};
+    //Avoid Redis auth warnings by not appending the auth options if there is no auth
+    if (config.db.redis.auth){
+        options.auth_pass = config.db.redis.password;
+    }
+    client = redis(config.db.redis.port, config.db.redis.host, options);
+    client.on('error', (error) => {
+        logger.error(`Rate limiter connection error: ${h.optionalStringify(error)}`, {identifier: 'router rateLimit'});
+    });
+    return client;
+};
+
+/**
+ * @description finds the policies that apply to the given request
+ * @param {Array}   [policies] config.api.rateLimit.policies
+ * @param {String}  [method] the HTTP method of the request
+ * @param {String}  [path] the path of the request
+ * @param {Boolean} [authenticated] true if the request was sent by an authenticated user - the user policies only apply to such requests
+ * @returns {Array} the matching policies
+ */
+const matchPolicies = ({policies, method, path, authenticated}) => {
+    const unversionedPath = path.replace(/^\/api\/v\d+(?=\/|$)/, '/api');
+    return policies.filter((policy) => {
+        if (policy.by === 'user' && !authenticated){
+            return false;
+        }
+        if (policy.methods !== undefined && policy.methods !== '*' && !policy.methods.includes(method.toUpperCase())){
+            return false;
+        }
+        return policy.path.endsWith('*') ? unversionedPath.startsWith(policy.path.slice(0, -1)) : unversionedPath === policy.path;
+    });
+};
+
+/**
+ * @description returns the window of the given policy that contains the given time
+ * @param {Object} [policy] a rate limit policy
+ * @param {String} [clientId] the IP or the ID of the user
+ * @param {Number} [now] a timestamp in milliseconds
+ * @returns {Object} {key, reset} where the key is the Redis key of the counter and reset is the number of seconds until the window ends
+ */
+const getWindow = (policy, clientId, now) => {
+    const windowMs = policy.window * 1000;
+    const index = Math.floor(now / windowMs);
+    return {
+        key: `ratelimit:${policy.name}:${clientId}:${index}`,
+        reset: Math.ceil(((index + 1) * windowMs - now) / 1000)
+    };
+};
+
+/**
+ * @description increments the counters of the given windows in a single transaction. The counters expire along with their windows
+ * @param {Array} [windows] [{key, reset}]
+ * @returns {Array} the incremented counters
+ */
+const increment = (windows) => {
+    const commands = [];
+    windows.forEach(({key, reset}) => commands.push(['incr', key], ['expire', key, reset]));
+    return new Promise((resolve, reject) => {
+        getClient().multi(commands).exec((error, replies) => {
+            if (error){
+                return reject(error);
+            }
+            const counters = replies.filter((reply, index) => index % 2 === 0);
+            const failure = counters.find((counter) => counter instanceof Error);
+            return failure === undefined ? resolve(counters) : reject(failure);
+        });
+    });
+};
+
+/**
+ * @description counts the request in every policy that applies to it and rejects it if any of the limits is exceeded. Placed both before the public routes (e.g. /api/signin) and after the JWT auth, so the user policies know the authenticated users. The unexpected errors (e.g. malformed policies) are passed to the express error handlers
+ * @param {Object} [req] express request object
+ * @param {Object} [res] express response object
+ * @param {Function} [next] express next function
+ */
+const limit = async (req, res, next) => {
+    try{
+        const options = getOptions();
+        if (!options.enabled){
+            return next();
+        }
+        if (req.user && options.exemptRoles.includes(req.user.role)){
+            return next();
+        }
+        const policies = matchPolicies({policies: options.policies, method: req.method, path: req.path, authenticated: Boolean(req.user)});
+        if (policies.length === 0){
+            return next();
+        }
+        const now = Date.now();
+        const windows = policies.map((policy) => getWindow(policy, policy.by === 'user' ? String(req.user._id) : req.ip, now));
+        let counters;
+        try{
+            counters = await increment(windows);
+        } catch (error){
+            logger.error(`Failed to count a request to ${req.method} ${req.path}, it's not limited: ${h.optionalStringify(error)}`, {identifier: 'router rateLimit'});
+            return next();
+        }
+        //The headers describe the policy that's the closest to its limit
+        const states = policies.map((policy, index) => ({policy, remaining: policy.limit - counters[index], reset: windows[index].reset}));
+        const closest = states.reduce((selected, state) => state.remaining < selected.remaining ? state : selected);
+        res.set({
+            'RateLimit-Limit': String(closest.policy.limit),
+            'RateLimit-Remaining': String(Math.max(closest.remaining, 0)),
+            'RateLimit-Reset': String(closest.reset)
+        });
+        if (closest.remaining < 0){
+            logger.warn(`${req.user ? req.user.username : req.ip} exceeded the ${closest.policy.name} rate limit (${closest.policy.limit} requests per ${closest.policy.window} s): ${req.method} ${req.originalUrl}`, {identifier: 'router rateLimit'});
+            res.set('Retry-After', String(closest.reset));
+            return res.status(429).jsonp(
+                h.generateResponse({
+                    status: false,
+                    error: `Too many requests. Try again in ${closest.reset} s`,
+                    code: 'RATE_LIMITED'
+                })
+            );
+        }
+        next();
+    } catch (error){
+        logger.error(`Failed to apply the rate limits to ${req.method} ${req.path}: ${h.optionalStringify(error)}`, {identifier: 'router rateLimit'});
+        next(error);
+    }
+};
+
+/**
+ * @description disconnects the Redis client - it's a cleanup function
+ */
+const destroy = () => {
+    if (client !== null){
+        client.quit();
+        client = null;
+    }
+};
+
+module.exports = {
+    limit,
+    destroy,
+    __private: { //For tests
+        matchPolicies,
+        getWindow,
+        getOptions
+    }
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+/**
+ * Serves the routes in versioned sets: /api/v1/..., /api/v2/... Every version inherits the routes of the previous one and only declares the routes it changes, so a breaking change of a payload doesn't break the clients of the older versions.
+ * The clients either send the version in the path or request the unversioned paths (/api/...) with the Accept-Version header (e.g. Accept-Version: v2 or 2). The unversioned requests without the header are served by config.api.versions.default.
+ * The deprecated versions (config.api.versions.deprecated) send the Deprecation, Sunset and Link headers with every response and their usage is logged as warnings
+ */
+
+const config = require('../config');
+const logger = require('../logger').appLogger;
+const h = require('../helpers');
+
+//The header of the requested version and the header of the served version
+const requestHeader = 'Accept-Version';
+const responseHeader = 'API-Version';
+const namePattern = /^v\d+$/;
+
+/**
+ * @description inserts the given version into an unversioned path
+ * @param {String} [path] an express path, e.g. /api/user/:id
+ * @param {String} [version] name of the version, e.g. v2
+ * @returns {String} the versioned path, e.g. /api/v2/user/:id. Paths outside of /api aren't changed
+ */
+const toVersionedPath = (path, version) => {
+    return path.replace(/^\/api(?=\/|$)/, `/api/${version}`);
+};
+
+/**
+ * @description resolves the route sets of the given versions
+ * @param {Array} [definitions] the versions from the oldest to the newest: [{name, routes}]. The routes of each version are in the same format as the routes object (with unversioned paths) and contain only the routes changed by the version. Null removes an inherited route. The routes added by a version are registered after the inherited ones
+ * @throws {Error} if a name isn't a version name (v<number>) or it's repeated
+ * @returns {Array} [{name, routes}] where the routes contain every route of the version with versioned paths
+ */
+const resolve = (definitions) => {
+    let inherited = {};
+    return definitions.map(({name, routes}) => {
+        if (!namePattern.test(name) || definitions.filter((definition) => definition.name === name).length > 1){
+            throw new Error(`Wrong or repeated API version name: ${name}`);
+        }
+        const current = {};
+        for (let method of Object.keys(inherited).concat(Object.keys(routes).filter((method) => inherited[method] === undefined))){
+            current[method] = Object.assign({}, inherited[method], routes[method]);
+            for (let path in current[method]){
+                if (current[method][path] === null){
+                    delete current[method][path];
+                }
+            }
+        }
+        inherited = current;
+        const versionedRoutes = {};
+        for (let method in current){
+            versionedRoutes[method] = {};
+            for (let path in current[method]){
+                versionedRoutes[method][toVersionedPath(path, name)] = current[method][path];
+            }
+        }
+        return {name, routes: versionedRoutes};
+    });
+};
+
+/**
+ * @description converts the value of the Accept-Version header into a version name
+ * @param {String} [value] e.g. v2, V2 or 2
+ * @returns {String} the version name or null if the value isn't a version
+ */
+const parseVersion = (value) => {
+    const match = String(value).trim().match(/^v?(\d+)$/i);
+    return match === null ? null : `v${match[1]}`;
+};
+
+/**
+ * @description sets the headers announcing the deprecation of the given version (draft-ietf-httpapi-deprecation-header and RFC 8594)
+ * @param {Object} [res] express response object
+ * @param {Object} [deprecation] the version's entry in config.api.versions.deprecated: {date, sunset, link}. Each of them is optional
+ */
+const setDeprecationHeaders = (res, {date, sunset, link}) => {
+    res.set('Deprecation', date ? new Date(date).toUTCString() : 'true');
+    if (sunset){
+        res.set('Sunset', new Date(sunset).toUTCString());
+    }
+    if (link){
+        res.append('Link', `<${link}>; rel="deprecation"`);
+    }
+};
+
+/**
+ * @description creates a middleware that selects the version of the requests to /api. The unversioned paths are rewritten to the negotiated versions (req.url), so the following middleware and the routes only see the versioned paths. The selected version is stored in req.apiVersion
+ * @param {Array}  [names] names of the existing versions
+ * @param {Array}  [unversionedPaths = []] the paths that aren't versioned, e.g. /api/signin
+ * @throws {Error} if config.api.versions.default isn't an existing version
+ * @returns {Function} an express middleware. It rejects unknown versions with the UNKNOWN_API_VERSION code - 404 if the version is in the path, 400 if it's in the header
+ */
+const negotiate = (names, unversionedPaths = []) => {
+    if (!names.includes(config.api.versions.default)){
+        throw new Error(`The default API version (${config.api.versions.default}) doesn't exist`);
+    }
+    const reject = (req, res, statusCode, version) => {
+        logger.verbose(`${req.connection.remoteAddress} requested an unknown API version: ${version}`, {identifier: 'router versions'});
+        return res.status(statusCode).jsonp(
+            h.generateResponse({
+                status: false,
+                error: `Unknown API version: ${version}. Available versions: ${names.join(', ')}`,
+                code: 'UNKNOWN_API_VERSION'
+            })
+        );
+    };
+    return (req, res, next) => {
+        if (!/^\/api(\/|$)/.test(req.path) || unversionedPaths.includes(req.path)){
+            return next();
+        }
+        const segment = req.path.split('/')[2];
+        let version;
+        if (namePattern.test(segment)){
+            if (!names.includes(segment)){
+                return reject(req, res, 404, segment);
+            }
+            version = segment;
+        } else {
+            const requested = req.get(requestHeader);
+            version = requested === undefined ? config.api.versions.default : parseVersion(requested);
+            if (!names.includes(version)){
+                return reject(req, res, 400, requested);
+            }
+            req.url = toVersionedPath(req.url, version);
+            //The responses of the unversioned paths depend on the header
+            res.vary(requestHeader);
+        }
+        req.apiVersion = version;
+        res.set(responseHeader, version);
+        if (config.api.versions.deprecated[version] !== undefined){
+            setDeprecationHeaders(res, config.api.versions.deprecated[version]);
+        }
+        next();
+    };
+};
+
+/**
+ * @description logs the version used by the authenticated user. The requests to the deprecated versions are logged as warnings, so their remaining clients can be found before the sunset
+ * @param {Object} [req] express request object
+ * @param {Object} [res] express response object
+ * @param {Function} [next] express next function
+ */
+const logUsage = (req, res, next) => {
+    if (req.apiVersion !== undefined){
+        const deprecation = config.api.versions.deprecated[req.apiVersion];
+        const meta = {version: req.apiVersion, userId: req.user ? String(req.user._id) : null};
+        const username = req.user ? req.user.username : 'an anonymous user';
+        if (deprecation === undefined){
+            logger.api(`${username} used the ${req.apiVersion} API: ${req.method} ${req.originalUrl}`, {identifier: 'router versions', meta});
+        } else {
+            logger.warn(`${username} used the deprecated ${req.apiVersion} API${deprecation.sunset ? ` (sunset: ${deprecation.sunset})` : ''}: ${req.method} ${req.originalUrl}`, {identifier: 'router versions', meta});
+        }
+    }
+    next();
+};
+
+module.exports = {
+    requestHeader,
+    toVersionedPath,
+    resolve,
+    negotiate,
+    logUsage,
+    __private: { //For tests
+        parseVersion,
+        setDeprecationHeaders
+    }
+};
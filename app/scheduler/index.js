@@ -5,15 +5,41 @@
  * Can be used to send scheduled events, perform database cleanups, reload the configuration periodically etc.
  */
 
-//Uncomment if you want to use this module and change the provided example
-/*
 const schedule = require('node-schedule');
 const config = require('../config');
 const h = require('../helpers');
 const logger = require('../logger').appLogger;
+const api = require('../api');
+const tenancy = require('../tenancy');
 
 const workers = {
-    example: {
+    //Permanently removes soft-deleted documents after the retention period (config.scheduler.softDeletePurge.retentionDays)
+    softDeletePurge: {
+        worker: async (nextExecutionDate) => {
+            const callId = h.generateCallId();
+            const logging = config.scheduler.softDeletePurge.logging.state;
+            try{
+                workers.softDeletePurge.currentlyRunning = true;
+                logger.info('Starting to purge soft-deleted documents', {identifier: 'scheduler softDeletePurge', logging, callId});
+                const deletedBefore = new Date(Date.now() - config.scheduler.softDeletePurge.retentionDays * 24 * 60 * 60 * 1000);
+                await h.asyncForEach(api.controllers, async (controllers, modelName) => {
+                    if (api.getModelOptions(modelName).softDelete !== true){
+                        return;
+                    }
+                    //The documents of every tenant are purged
+                    const result = await controllers.purge({deletedBefore, tenant: tenancy.unscoped, logging: config.scheduler.softDeletePurge.logging.debug, callId});
+                    logger.info(`Purged ${result.purged} ${modelName}s deleted before ${deletedBefore.toISOString()}`, {identifier: 'scheduler softDeletePurge', logging, callId});
+                });
+                workers.softDeletePurge.currentlyRunning = false;
+            } catch(error){
+                logger.error('An error occured while purging soft-deleted documents', {identifier: 'scheduler softDeletePurge', meta: {error}, callId});
+                workers.softDeletePurge.currentlyRunning = false;
+            }
+        },
+        currentlyRunning: false
+    },
+    //Uncomment if you want to use the provided example
+    /*example: {
         worker: async (nextExecutionDate) => {
             const callId = h.generateCallId();
             try{
@@ -27,12 +53,21 @@ const workers = {
             }
         },
         currentlyRunning: false
-    },
+    },*/
 };
-*/
 
 module.exports = () => {
     return {
+        softDeletePurge: schedule.scheduleJob(config.scheduler.softDeletePurge.cronTime, async function() {
+            if (config.scheduler.softDeletePurge.enabled === false){
+                return;
+            }
+            if (workers.softDeletePurge.currentlyRunning === true){
+                logger.warn('The worker function for softDeletePurge is overlapping. Canceling the current attempt of execution. Try extending config.scheduler.softDeletePurge.cronTime', {identifier: 'scheduler softDeletePurge'});
+                return;
+            }
+            return await workers.softDeletePurge.worker(this.nextInvocation());
+        }),
         /*example: schedule.scheduleJob(config.scheduler.example.cronTime, async function() {
             if (config.scheduler.example.enabled === false){
                 return;
@@ -44,4 +79,8 @@ module.exports = () => {
             return await workers.example.worker(this.nextInvocation());
         }),*/
     };
-};
\ No newline at end of file
+};
+
+module.exports.__private = { //For tests
+    workers
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Generates plausible fake documents from mongoose schemas (see ./index.js). The documents are deterministic - the same model and index always give the same values, so the seeds can run repeatedly without creating duplicates.
+ * Supported path types: String (enum values, match patterns, lowercase), Number (min and max), Date, Boolean, ObjectId references (one of the given IDs) and arrays of them. Other paths and the ones with default values are left to mongoose
+ */
+
+const dotObj = require('dot-object');
+
+const words = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet', 'kilo', 'lima', 'mike', 'november', 'oscar', 'papa'];
+//Managed by the plugins or the API functions
+const skippedPaths = ['_id', 'tenant', 'deleted', 'deletedAt'];
+
+/**
+ * @description creates a deterministic pseudo-random number generator (mulberry32) seeded with the given text
+ * @param {String} [text] the seed, e.g. "data.user:3"
+ * @returns {Function} a function that returns numbers between 0 (inclusive) and 1 (exclusive)
+ */
+const createRandom = (text) => {
+    let state = 0;
+    for (let i = 0; i < text.length; i++){
+        state = Math.imul(state ^ text.charCodeAt(i), 2654435761);
+    }
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let result = Math.imul(state ^ (state >>> 15), 1 | state);
+        result = (result + Math.imul(result ^ (result >>> 7), 61 | result)) ^ result;
+        return ((result ^ (result >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * @description generates a string for the given path. The index is always a part of the value, so unique paths don't collide
+ * @param {Object}   [schemaType] a mongoose SchemaString
+ * @param {Number}   [index] the index of the generated document
+ * @param {Function} [random] the result of createRandom
+ * @returns {String} the value or undefined if no candidate matches the path's pattern
+ */
+const fakeString = (schemaType, index, random) => {
+    if (schemaType.enumValues.length > 0){
+        return schemaType.enumValues[Math.floor(random() * schemaType.enumValues.length)];
+    }
+    const word = words[Math.floor(random() * words.length)];
+    const base = schemaType.path.split('.').pop();
+    const candidates = [`${word}_${index}`, `${word}${index}`, `${word}-${index}`, `${base}${index}`];
+    const match = schemaType.options.match;
+    const value = candidates.find((candidate) => !(match instanceof RegExp) || match.test(candidate));
+    return value !== undefined && schemaType.options.lowercase === true ? value.toLowerCase() : value;
+};
+
+/**
+ * @description generates a value for the given path
+ * @param {Object}   [schemaType] a mongoose SchemaType
+ * @param {Number}   [index] the index of the generated document
+ * @param {Function} [random] the result of createRandom
+ * @param {Array}    [refIds] the IDs of the documents that the path can reference
+ * @returns {*} the value or undefined if the path's type isn't supported
+ */
+const fakeValue = (schemaType, index, random, refIds) => {
+    const options = schemaType.options;
+    switch (schemaType.instance){
+        case 'String':
+            return fakeString(schemaType, index, random);
+        case 'Number': {
+            const min = typeof options.min === 'number' ? options.min : 0;
+            const max = typeof options.max === 'number' ? options.max : min + 100;
+            return min + Math.floor(random() * (max - min + 1));
+        }
+        case 'Date':
+            //Within a year before the seeding
+            return new Date(Date.now() - Math.floor(random() * 365 * 24 * 60 * 60 * 1000));
+        case 'Boolean':
+            return random() < 0.5;
+        case 'ObjectID':
+            return refIds.length > 0 ? refIds[Math.floor(random() * refIds.length)] : undefined;
+        default:
+            return undefined;
+    }
+};
+
+/**
+ * @description generates a fake document of the given model
+ * @param {Object} [model] a mongoose model
+ * @param {Number} [index] the index of the document - documents with the same model and index are the same
+ * @param {Object} [refIds = {}] the IDs of the documents that the references can point to: {<path>: [id, ...]}. References without IDs are left empty
+ * @throws {Error} if the generated document doesn't pass the schema validation, e.g. because a required path has an unsupported type
+ * @returns {Object} the generated document
+ */
+const generate = ({model, index, refIds = {}}) => {
+    const random = createRandom(`${model.modelName}:${index}`);
+    const doc = {};
+    model.schema.eachPath((path, schemaType) => {
+        if (skippedPaths.includes(path) || path === model.schema.options.versionKey || schemaType.defaultValue !== undefined){
+            return;
+        }
+        let value;
+        if (schemaType.instance === 'Array'){
+            //Arrays of subdocuments aren't supported
+            if (!schemaType.caster || schemaType.caster.instance === undefined){
+                return;
+            }
+            const count = Math.floor(random() * 3);
+            value = [];
+            for (let i = 0; i < count; i++){
+                value.push(fakeValue(schemaType.caster, index, random, refIds[path] || []));
+            }
+            value = value.filter((entry) => entry !== undefined);
+        } else {
+            value = fakeValue(schemaType, index, random, refIds[path] || []);
+        }
+        if (value !== undefined){
+            dotObj.str(path, value, doc);
+        }
+    });
+    const error = new model(doc).validateSync();
+    if (error){
+        throw new Error(`Failed to generate a fake ${model.modelName}: ${error.message}`);
+    }
+    return doc;
+};
+
+module.exports = {
+    generate,
+    __private: { //For tests
+        createRandom
+    }
+};
@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Loads fixture data into the database, e.g. the first admin user of a fresh development environment.
+ * The fixtures are grouped into sets - the subdirectories of ./sets (dev, demo, e2e). Every file in a set contains the documents of the model named after it, e.g. ./sets/dev/data.user.json:
+ *     {
+ *         "key": ["username"],          the fields that identify the documents - the ones that already exist are skipped, so the seeds can run repeatedly
+ *         "documents": [{...}],         the documents that will be added (optional)
+ *         "fake": 20,                   the number of fake documents generated from the model's schema (optional, see ./fake.js)
+ *         "tenant": "demo"              the subdomain of the tenant that the documents belong to (optional, see /app/tenancy)
+ *     }
+ * JS files can export the same object or a function that receives {h} (the helpers module) and returns it. The models referenced by other models of the set are seeded first.
+ * The documents are added by the models' API controllers, so they go through the same hooks and validation as the ones added by the users - e.g. the passwords of data.user are hashed with h.generateHash
+ * Usage: node seed.js [set] (see /seed.js)
+ */
+
+//Using graceful-fs to limit the amount of open file descriptors
+const fs = require('graceful-fs');
+const path = require('path');
+const dotObj = require('dot-object');
+const h = require('../helpers');
+const logger = require('../logger').appLogger;
+const mongoDb = require('../db').mongo.models;
+const api = require('../api');
+const tenancy = require('../tenancy');
+const fake = require('./fake');
+
+const setsDirectory = path.resolve(__dirname, 'sets');
+//The maximum number of existing documents that fake references can point to
+const maxRefIds = 100;
+
+/**
+ * @description lists the available seed sets
+ * @returns {Array} the names of the sets
+ */
+const getSets = () => {
+    return fs.readdirSync(setsDirectory).sort();
+};
+
+/**
+ * @description returns the models referenced by the given model
+ * @param {String} [modelName] full name of the model
+ * @returns {Object} the referenced model names by path: {<path>: <modelName>}
+ */
+const getRefs = (modelName) => {
+    const refs = {};
+    mongoDb[modelName].schema.eachPath((schemaPath, schemaType) => {
+        const options = schemaType.caster ? schemaType.caster.options : schemaType.options;
+        if (options && typeof options.ref === 'string'){
+            refs[schemaPath] = options.ref;
+        }
+    });
+    return refs;
+};
+
+/**
+ * @description checks the structure of the given fixture
+ * @param {Object} [fixture] the loaded fixture
+ * @param {String} [file] the file name used in the error messages
+ * @throws {Error} if the fixture is wrong
+ * @returns {Object} the fixture with the default values: {modelName, key, documents, fake, tenant}
+ */
+const validateFixture = (fixture, file) => {
+    if (typeof fixture !== 'object' || fixture === null){
+        throw new Error(`The ${file} fixture isn't an object`);
+    }
+    if (!(fixture.key instanceof Array) || fixture.key.length === 0 || fixture.key.some((field) => typeof field !== 'string')){
+        throw new Error(`The key of the ${file} fixture must be a non-empty array of fields`);
+    }
+    const documents = fixture.documents === undefined ? [] : fixture.documents;
+    if (!(documents instanceof Array) || documents.some((doc) => typeof doc !== 'object' || doc === null)){
+        throw new Error(`The documents of the ${file} fixture must be an array of objects`);
+    }
+    const fakeCount = fixture.fake === undefined ? 0 : fixture.fake;
+    if (!Number.isInteger(fakeCount) || fakeCount < 0){
+        throw new Error(`The fake property of the ${file} fixture must be a non-negative integer`);
+    }
+    if (fixture.tenant !== undefined && typeof fixture.tenant !== 'string'){
+        throw new Error(`The tenant of the ${file} fixture must be a subdomain`);
+    }
+    return {modelName: file.replace(/\.(json|js)$/, ''), key: fixture.key, documents, fake: fakeCount, tenant: fixture.tenant};
+};
+
+/**
+ * @description loads the fixtures of the given set and sorts them, so the referenced models come first
+ * @param {String} [setName] the name of the set
+ * @throws {Error} if the set doesn't exist or any of its fixtures is wrong
+ * @returns {Array} the fixtures: [{modelName, key, documents, fake, tenant}]
+ */
+const load = async (setName) => {
+    if (!getSets().includes(setName)){
+        throw new Error(`Unknown seed set: ${setName}. Available sets: ${getSets().join(', ')}`);
+    }
+    const fixtures = [];
+    for (let file of fs.readdirSync(path.resolve(setsDirectory, setName)).filter((entry) => (/\.(json|js)$/).test(entry)).sort()){
+        //JSON files are loaded by require too, so they don't depend on the working directory
+        let fixture = require(path.resolve(setsDirectory, setName, file));
+        if (typeof fixture === 'function'){
+            fixture = await fixture({h});
+        }
+        fixture = validateFixture(fixture, file);
+        if (mongoDb[fixture.modelName] === undefined){
+            throw new Error(`There's no model called ${fixture.modelName} defined in mongoose (${setName}/${file})`);
+        }
+        fixtures.push(fixture);
+    }
+    //Every round takes the fixtures that don't reference the remaining ones
+    const sorted = [];
+    while (fixtures.length > 0){
+        const index = fixtures.findIndex((fixture) => {
+            return !Object.values(getRefs(fixture.modelName)).some((ref) => ref !== fixture.modelName && fixtures.some((other) => other.modelName === ref));
+        });
+        if (index === -1){
+            throw new Error(`The fixtures of ${setName} reference each other: ${fixtures.map(({modelName}) => modelName).join(', ')}`);
+        }
+        sorted.push(fixtures.splice(index, 1)[0]);
+    }
+    return sorted;
+};
+
+/**
+ * @description finds the ID of the tenant with the given subdomain
+ * @param {String} [subdomain] the subdomain or undefined
+ * @throws {Error} if the tenant doesn't exist
+ * @returns {String} the tenant ID or null if the subdomain isn't defined (the documents don't belong to any tenant)
+ */
+const resolveTenant = async (subdomain) => {
+    if (subdomain === undefined){
+        return null;
+    }
+    const tenant = await mongoDb[tenancy.modelName].findOne({subdomain}).lean();
+    if (tenant === null){
+        throw new Error(`There's no tenant with the ${subdomain} subdomain. Seed it first`);
+    }
+    return tenant._id.toString();
+};
+
+/**
+ * @description finds the documents that the references of the fake documents can point to
+ * @param {String} [modelName] full name of the seeded model
+ * @param {String} [tenant] the tenant of the seeded documents
+ * @returns {Object} {<path>: [id, ...]}
+ */
+const getRefIds = async (modelName, tenant) => {
+    const refIds = {};
+    const refs = getRefs(modelName);
+    for (let refPath in refs){
+        if (refPath === 'tenant'){
+            continue;
+        }
+        const docs = await mongoDb[refs[refPath]].find({}).notDeleted().forTenant(tenant).select('_id').limit(maxRefIds).lean();
+        refIds[refPath] = docs.map((doc) => doc._id.toString());
+    }
+    return refIds;
+};
+
+/**
+ * @description adds the documents of the given set that don't exist yet
+ * @param {String}  [setName = 'dev'] the name of the set (see getSets)
+ * @param {Boolean} [logging = true] allows to controll whether log messages are generated or not
+ * @param {String}  [callId = null] if defined, a new callId won't be generated for the log messages generated by this function
+ * @throws {Error} if the set is wrong or any of the documents can't be added. The documents added before the error stay in the database
+ * @returns {Object} a report: {<modelName>: {inserted, skipped}}
+ */
+const seed = async ({setName = 'dev', logging = true, callId = null} = {}) => {
+    callId = h.generateCallId(callId);
+    logger.info(`Seeding the ${setName} set`, {identifier: 'seeder', logging, callId});
+    const report = {};
+    for (let fixture of await load(setName)){
+        const {modelName, key} = fixture;
+        const controllers = api.controllers[modelName];
+        if (controllers === undefined){
+            throw new Error(`${modelName} can't be seeded because it isn't exposed by the API`);
+        }
+        const tenant = await resolveTenant(fixture.tenant);
+        const docs = fixture.documents.slice();
+        if (fixture.fake > 0){
+            const refIds = await getRefIds(modelName, tenant);
+            for (let index = 1; index <= fixture.fake; index++){
+                docs.push(fake.generate({model: mongoDb[modelName], index, refIds}));
+            }
+        }
+        const result = {inserted: 0, skipped: 0};
+        for (let doc of docs){
+            const filter = {};
+            key.forEach((field) => {
+                filter[field] = dotObj.pick(field, doc);
+            });
+            if (Object.values(filter).some((value) => value === undefined)){
+                throw new Error(`A ${modelName} document doesn't contain the key fields: ${key.join(', ')}`);
+            }
+            //Soft-deleted documents are skipped too - adding them again would break the unique indexes
+            if (await mongoDb[modelName].findOne(filter).forTenant(tenant).select('_id').lean() !== null){
+                result.skipped++;
+                continue;
+            }
+            //The fixtures are cached by require, so the controllers get copies
+            await controllers.add({inputObj: JSON.parse(JSON.stringify(doc)), tenant, logging: false, callId});
+            result.inserted++;
+        }
+        report[modelName] = result;
+        logger.info(`Inserted ${result.inserted} and skipped ${result.skipped} ${modelName}s`, {identifier: 'seeder', logging, callId});
+    }
+    return report;
+};
+
+module.exports = {
+    getSets,
+    load,
+    seed,
+    __private: { //For tests
+        validateFixture,
+        getRefs
+    }
+};
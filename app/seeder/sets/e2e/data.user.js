@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * The users of the end-to-end tests. The password can be changed with the E2E_PASSWORD environment variable
+ */
+
+module.exports = () => {
+    const password = process.env.E2E_PASSWORD || 'e2e_password';
+    return {
+        key: ['username'],
+        documents: [
+            {username: 'e2e_admin', password, role: 'admin'},
+            {username: 'e2e_user', password, role: 'user'}
+        ]
+    };
+};
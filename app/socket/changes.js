@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Broadcasts the model changes published by the API (see /app/api/events.js) to the subscribed socket.io clients.
+ * Clients subscribe to a whole model or a single document by its API path:
+ *     socket.emit('subscribe', {model: 'user'}, (response) => {...});
+ *     socket.emit('subscribe', {model: 'user', id: '5e2f...'}, (response) => {...});
+ *     socket.on('change', ({model, action, id, data, timestamp}) => {...});
+ * Every change is sent through the Redis adapter to all the workers. Each worker delivers it only to its own sockets and only to the users that are allowed to get the changed document (permissions.check), so the changes never leave their tenant (see /app/tenancy)
+ * The subscriptions are plain socket.io rooms. They aren't stored in the room manager because every worker only needs to know its own sockets
+ * Other modules can receive the changes published by every worker with onClusterChange (e.g. the GraphQL subscriptions, see /app/graphql/subscriptions.js)
+ */
+
+const EventEmitter = require('events');
+const logger = require('../logger').appLogger;
+const h = require('../helpers');
+const api = require('../api');
+const permissions = require('../permissions');
+
+//Marks the custom adapter requests that carry change events
+const requestType = 'apiChange';
+//Emits the changes received from all the workers
+const clusterEmitter = new EventEmitter();
+//Every GraphQL subscription registers its own listener
+clusterEmitter.setMaxListeners(0);
+
+/**
+ * @description returns the name of the room for subscribers of the whole model or a single document
+ * @param {String} [modelName] full name of the model
+ * @param {String} [id = null] the ID of the document
+ * @returns {String} the room name
+ */
+const getRoomName = (modelName, id = null) => {
+    return id === null ? `changes:${modelName}` : `changes:${modelName}:${id}`;
+};
+
+/**
+ * @description finds the exposed model that is available under the given API path (see api.getModelOptions)
+ * @param {String} [path] the API path, e.g. "user"
+ * @returns {String} full name of the model or null if there's no such model
+ */
+const getModelName = (path) => {
+    return Object.keys(api.controllers).find((modelName) => api.getModelOptions(modelName).expose !== false && api.getModelOptions(modelName).path === path) || null;
+};
+
+/**
+ * @description checks if the given user can receive changes of the given document or the whole model
+ * @param {Object} [user] the authenticated user (socket.handshake.user)
+ * @param {String} [modelName] full name of the model
+ * @param {String} [id = null] the ID of the document
+ * @param {String} [tenant] the tenant of the changed document. Not checked if undefined (e.g. when subscribing)
+ * @returns {Boolean} the result of permissions.check for the "get" action
+ */
+const canReceive = (user, modelName, id = null, tenant = undefined) => {
+    return Boolean(user) && permissions.check(user.role, modelName, 'get', {data: {id: id === null ? undefined : id, tenant}, user});
+};
+
+/**
+ * @description validates the arguments of the subscribe and unsubscribe events
+ * @param {Object} [args] {model, id}
+ * @throws {Error} if the model doesn't exist or the id is wrong
+ * @returns {Object} {modelName, id}
+ */
+const parseSubscription = (args) => {
+    const {model, id = null} = typeof args === 'object' && args !== null ? args : {};
+    const modelName = typeof model === 'string' ? getModelName(model) : null;
+    if (modelName === null){
+        throw new Error(`Unknown model: ${model}`);
+    }
+    if (id !== null && (typeof id !== 'string' || !(/^[a-fA-F0-9]{24}$/).test(id))){
+        throw new Error('Wrong id argument');
+    }
+    return {modelName, id};
+};
+
+/**
+ * @description delivers the given change to the sockets of this worker that are subscribed to the changed model or document. Every socket is checked separately and gets the change at most once, without the fields that its user can't read
+ * @param {Object} [nsp] the socket.io namespace
+ * @param {Object} [event] the change event: {model, action, id, data, timestamp}
+ * @returns {Number} the number of sockets that received the change
+ */
+const deliver = (nsp, event) => {
+    const socketIds = new Set();
+    [getRoomName(event.model), getRoomName(event.model, event.id)].forEach((roomName) => {
+        const room = nsp.adapter.rooms[roomName];
+        if (room){
+            Object.keys(room.sockets).forEach((socketId) => socketIds.add(socketId));
+        }
+    });
+    let delivered = 0;
+    socketIds.forEach((socketId) => {
+        const socket = nsp.connected[socketId];
+        //Documents without a tenant are treated as such (null) - their changes aren't sent to the users of tenants
+        if (socket && canReceive(socket.handshake.user, event.model, event.id, event.data ? event.data.tenant || null : null)){
+            //Every user gets only the fields that they can read
+            const readableFields = permissions.getFields(socket.handshake.user.role, event.model, 'get');
+            socket.emit('change', readableFields === null ? event : Object.assign({}, event, {data: api.fields.pickReadable({doc: event.data, modelName: event.model, fields: readableFields})}));
+            delivered++;
+        }
+    });
+    return delivered;
+};
+
+/**
+ * @description handles the subscribe and unsubscribe events of the given socket. Both of them accept an optional acknowledgement callback that receives a standard response object
+ * @param {Object} [socket] a connected socket
+ */
+const handleSocket = (socket) => {
+    const respond = (ack, response) => {
+        if (typeof ack === 'function'){
+            ack(h.generateResponse(response));
+        }
+    };
+    socket.on('subscribe', (args, ack) => {
+        try{
+            const {modelName, id} = parseSubscription(args);
+            if (!canReceive(socket.handshake.user, modelName, id)){
+                throw new Error('You don\'t have sufficient permissions to perform this action');
+            }
+            socket.join(getRoomName(modelName, id));
+            logger.debug(`${socket.handshake.user.username} subscribed to the changes of ${modelName}${id === null ? '' : ` with an id: ${id}`}`, {identifier: 'socket changes'});
+            respond(ack, {status: true, data: {model: modelName, id}});
+        } catch (error){
+            logger.warn(`Failed to subscribe to changes: ${error.message}`, {identifier: 'socket changes', meta: {args}});
+            respond(ack, {status: false, error: error.message});
+        }
+    });
+    socket.on('unsubscribe', (args, ack) => {
+        try{
+            const {modelName, id} = parseSubscription(args);
+            socket.leave(getRoomName(modelName, id));
+            respond(ack, {status: true, data: {model: modelName, id}});
+        } catch (error){
+            respond(ack, {status: false, error: error.message});
+        }
+    });
+};
+
+/**
+ * @description starts broadcasting the API changes to the clients connected to the given io server
+ * @param {Object} [io] the result of require('socket.io')(httpServer) with the Redis adapter
+ * @returns {Function} a function that stops the broadcasting
+ */
+const register = (io) => {
+    const nsp = io.of('/');
+    //Called on every worker (including this one) for each change published by any of them
+    nsp.adapter.customHook = (data, callback) => {
+        if (data && data.type === requestType){
+            deliver(nsp, data.event);
+            clusterEmitter.emit('change', data.event);
+        }
+        callback(null);
+    };
+    nsp.on('connection', handleSocket);
+    const listener = (event) => {
+        nsp.adapter.customRequest({type: requestType, event}, (error) => {
+            if (error){
+                logger.error(`Failed to broadcast the ${event.action} of a ${event.model} with an id: ${event.id}: ${h.optionalStringify(error)}`, {identifier: 'socket changes'});
+            }
+        });
+    };
+    api.events.onChange(listener);
+    return () => {
+        api.events.offChange(listener);
+        nsp.removeListener('connection', handleSocket);
+    };
+};
+
+/**
+ * @description registers a listener of the changes published by every worker. The changes are received only if the broadcasting was started (see register)
+ * @param {Function} [listener] a function that receives the event: {model, action, id, data, timestamp}
+ */
+const onClusterChange = (listener) => {
+    clusterEmitter.on('change', listener);
+};
+
+/**
+ * @description removes a listener registered by onClusterChange
+ * @param {Function} [listener] the registered function
+ */
+const offClusterChange = (listener) => {
+    clusterEmitter.removeListener('change', listener);
+};
+
+module.exports = {
+    register,
+    canReceive,
+    onClusterChange,
+    offClusterChange,
+    __private: { //For tests
+        getRoomName,
+        getModelName,
+        parseSubscription,
+        deliver
+    }
+};
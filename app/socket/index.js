@@ -12,6 +12,8 @@ const logger = require('../logger').appLogger;
  * Room and namespace names CANNOT be numbers even in a String form
  */
 const RoomManager = require('../roomManager');
+const changes = require('./changes');
+const graphqlSubscriptions = require('../graphql/subscriptions');
 
 module.exports = (io, app) => {
     const manager = new RoomManager(1); //"1" is the redis database identifier
@@ -22,6 +24,10 @@ module.exports = (io, app) => {
         io.on('connection', (socket) => {
             logger.debug('A new connection to /', {identifier: 'socket /'});
         });
+        //Broadcast the changes made by the API to the subscribed clients
+        changes.register(io);
+        //Carry the GraphQL subscriptions, which are fed by the same changes
+        graphqlSubscriptions.register(io);
         //No need to lower our coverage with this example function. Writing tests for something that will be changed/removed after installing mern-app-template-backend is pointless
         /* istanbul ignore next */
         io.of('/test', (socket) => {
@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Isolates the data of tenants (customer organizations) served by a single deployment. The tenants are stored in the data.tenant model.
+ * Every user belongs to at most one tenant (the tenant path added by /app/db/mongo/plugins/tenant.js) and its ID is a part of the user's JWT.
+ * The requests of regular users are constrained to their own tenant. Users without a tenant can only access the documents without a tenant.
+ * Users with the super-admin role (config.tenancy.superAdminRole) can access every tenant. Their requests are constrained only if they're sent to a tenant's subdomain.
+ * Tenants can also be resolved by subdomains of config.server.rootDomain, e.g. acme.example.com - users sign in and sign up there and their requests can't reach other tenants' subdomains.
+ * If config.tenancy.enabled is false, nothing is constrained
+ * The scope of the unconstrained requests is the unscoped sentinel. A missing (undefined) scope is treated like null - only the documents without a tenant can be accessed
+ */
+
+const config = require('../config');
+const mongoDb = require('../db').mongo.models;
+const {unscoped} = require('../db/mongo/plugins/tenant');
+
+const tenantModelName = 'data.tenant';
+
+/**
+ * @description checks if the tenant isolation is enabled
+ * @returns {Boolean} the value of config.tenancy.enabled
+ */
+const isEnabled = () => {
+    return config.tenancy.enabled === true;
+};
+
+/**
+ * @description checks if the given user can access every tenant
+ * @param {Object} [user] the authenticated user
+ * @returns {Boolean} true if the user has the super-admin role
+ */
+const isSuperAdmin = (user) => {
+    return Boolean(user) && user.role === config.tenancy.superAdminRole;
+};
+
+/**
+ * @description converts the given tenant reference into a comparable form
+ * @param {*} [tenant] an ObjectId, a string, a populated tenant document, null or undefined
+ * @returns {String} the tenant ID or null if there's no tenant
+ */
+const getTenantId = (tenant) => {
+    if (tenant === null || tenant === undefined){
+        return null;
+    }
+    if (typeof tenant === 'object' && tenant._id !== undefined){
+        return String(tenant._id);
+    }
+    return String(tenant);
+};
+
+/**
+ * @description extracts the subdomain of config.server.rootDomain from the given hostname
+ * @param {String} [hostname] the hostname of the request (req.hostname)
+ * @returns {String} the lowercase subdomain (e.g. "acme" for acme.example.com) or null if the hostname isn't a subdomain of the root domain
+ */
+const getSubdomain = (hostname) => {
+    if (typeof hostname !== 'string'){
+        return null;
+    }
+    const rootDomain = config.server.rootDomain.toLowerCase();
+    hostname = hostname.toLowerCase();
+    if (!hostname.endsWith(`.${rootDomain}`)){
+        return null;
+    }
+    return hostname.slice(0, -rootDomain.length - 1);
+};
+
+/**
+ * @description finds the tenant that owns the subdomain of the given hostname
+ * @param {String} [hostname] the hostname of the request (req.hostname)
+ * @returns {Object} {subdomain, tenant} where tenant is a lean tenant document. Both of them are null if the hostname isn't a subdomain or the tenancy is disabled. The tenant is null if the subdomain doesn't belong to any tenant
+ */
+const resolveSubdomain = async (hostname) => {
+    const subdomain = isEnabled() ? getSubdomain(hostname) : null;
+    if (subdomain === null){
+        return {subdomain: null, tenant: null};
+    }
+    const tenant = await mongoDb[tenantModelName].findOne({subdomain}).lean();
+    return {subdomain, tenant};
+};
+
+/**
+ * @description finds the tenant to which the requests of the given user are constrained
+ * @param {Object} [user] the authenticated user
+ * @param {Object} [subdomainTenant = null] the tenant resolved from the request's subdomain (see resolveSubdomain)
+ * @throws {Error} if a regular user sends a request to another tenant's subdomain
+ * @returns {String|Symbol} the tenant ID, null for users without a tenant or unscoped if the requests aren't constrained (the tenancy is disabled or the user is a super-admin outside of tenants' subdomains). It can be passed to the generic API functions and the forTenant query helper
+ */
+const getScope = (user, subdomainTenant = null) => {
+    if (!isEnabled()){
+        return unscoped;
+    }
+    if (isSuperAdmin(user)){
+        return subdomainTenant === null ? unscoped : getTenantId(subdomainTenant);
+    }
+    const userTenant = getTenantId(user.tenant);
+    if (subdomainTenant !== null && getTenantId(subdomainTenant) !== userTenant){
+        throw new Error(`${user.username} doesn't belong to the tenant ${subdomainTenant.subdomain}`);
+    }
+    return userTenant;
+};
+
+/**
+ * @description checks if the given document belongs to the given scope
+ * @param {Object} [doc] a document or a lean object
+ * @param {String|Symbol} [scope] the result of getScope
+ * @returns {Boolean} true if the scope is unscoped or the document belongs to the scope's tenant (undefined is treated like null)
+ */
+const isInScope = (doc, scope) => {
+    return scope === unscoped || getTenantId(doc.tenant) === getTenantId(scope);
+};
+
+/**
+ * @description checks if the given user can access the data of the given tenant. Used by permissions.check
+ * @param {Object} [user] the user performing an action
+ * @param {*} [tenant] the tenant of the accessed data
+ * @returns {Boolean} true if the tenancy is disabled, the user is a super-admin or belongs to the given tenant
+ */
+const canAccess = (user, tenant) => {
+    return !isEnabled() || isSuperAdmin(user) || getTenantId(user.tenant) === getTenantId(tenant);
+};
+
+module.exports = {
+    modelName: tenantModelName,
+    unscoped,
+    isEnabled,
+    isSuperAdmin,
+    getTenantId,
+    resolveSubdomain,
+    getScope,
+    isInScope,
+    canAccess,
+    __private: { //For tests
+        getSubdomain
+    }
+};
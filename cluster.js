@@ -2,15 +2,35 @@
 
 const cluster = require('cluster');
 const cpus = require('os').cpus();
+const config = require('./app/config');
+const h = require('./app/helpers');
 const logger = require('./app/logger').appLogger;
 
+/**
+ * @description applies the pending migrations before the workers are forked (see /app/db/mongo/migrations). Only the workers use the database afterwards, so the master closes its connection
+ */
+const migrate = async () => {
+    if (config.db.mongo.migrations.runOnStartup !== true){
+        return;
+    }
+    const db = require('./app/db').mongo;
+    await require('./app/db/mongo/migrations').runOnStartup();
+    await db.connection.close();
+};
+
 if (cluster.isMaster){
     process.env.id = 'MASTER';
     logger.info(`Master ${process.pid} is running`, {identifier: 'cluster'});
-    // Fork workers.
-    for (let cpu of cpus){ // eslint-disable-line no-unused-vars
-        cluster.fork();
-    }
+    migrate().then(() => {
+        // Fork workers.
+        for (let cpu of cpus){ // eslint-disable-line no-unused-vars
+            cluster.fork();
+        }
+    }).catch((error) => {
+        //The workers mustn't serve the requests with the documents in their old shape
+        logger.error(`Failed to start - the migrations weren't applied: ${h.optionalStringify(error)}`, {identifier: 'cluster'});
+        process.exit(1);
+    });
     cluster.on('exit', (worker, code, signal) => {
         logger.error(`Worker ${worker.process.pid} died`, {identifier: 'cluster'});
     });
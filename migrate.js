@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Runs the data migrations from the command line (see /app/db/mongo/migrations):
+ *     node migrate.js up [name]       applies the pending migrations (up to the given one)
+ *     node migrate.js down [steps]    reverts the given number of the most recently applied migrations (1 by default)
+ *     node migrate.js status          lists the migrations and their state
+ */
+
+const db = require('./app/db').mongo;
+const migrations = require('./app/db/mongo/migrations');
+const logger = require('./app/logger').appLogger;
+const h = require('./app/helpers');
+
+/**
+ * @description runs the given command
+ * @param {String} [command] one of: "up", "down", "status"
+ * @param {String} [argument] the optional argument of the command
+ * @throws {Error} if the command is unknown or fails
+ */
+const run = async (command, argument) => {
+    await db.connect();
+    if (command === 'up'){
+        const applied = await migrations.up({to: argument || null});
+        logger.info(`Applied ${applied.length} migrations${applied.length > 0 ? `: ${applied.join(', ')}` : ''}`, {identifier: 'migrate'});
+    } else if (command === 'down'){
+        const reverted = await migrations.down({steps: argument === undefined ? 1 : Number(argument)});
+        logger.info(`Reverted ${reverted.length} migrations${reverted.length > 0 ? `: ${reverted.join(', ')}` : ''}`, {identifier: 'migrate'});
+    } else if (command === 'status'){
+        (await migrations.status()).forEach((entry) => {
+            const state = entry.missing ? 'applied (missing file)' : (entry.applied ? `applied ${entry.appliedAt.toISOString()}` : 'pending');
+            logger.info(`${entry.name}: ${state}`, {identifier: 'migrate'});
+        });
+    } else {
+        throw new Error(`Unknown command: ${command}. Supported commands: up, down, status`);
+    }
+};
+
+run(process.argv[2], process.argv[3]).then(() => {
+    db.connection.close();
+}).catch((error) => {
+    logger.error(`Migration command failed: ${h.optionalStringify(error)}`, {identifier: 'migrate'});
+    db.connection.close();
+    process.exitCode = 1;
+});
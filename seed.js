@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Loads the fixtures of the given seed set into the database (see /app/seeder):
+ *     node seed.js [set]      the set is one of the subdirectories of /app/seeder/sets ("dev" by default)
+ */
+
+const db = require('./app/db').mongo;
+const seeder = require('./app/seeder');
+const logger = require('./app/logger').appLogger;
+const h = require('./app/helpers');
+
+db.connect().then(() => {
+    return seeder.seed({setName: process.argv[2] || 'dev'});
+}).then(() => {
+    db.connection.close();
+}).catch((error) => {
+    logger.error(`Seeding failed: ${h.optionalStringify(error)}`, {identifier: 'seed'});
+    db.connection.close();
+    process.exitCode = 1;
+});
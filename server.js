@@ -9,13 +9,15 @@ module.exports = (workerId, callback) => {
     const helmet = require('helmet');
     const backend = require('./app');
     const app = express();
+    //Behind reverse proxies, req.ip (e.g. used by the rate limits) must be read from the X-Forwarded-For header. See https://expressjs.com/en/guide/behind-proxies.html
+    app.set('trust proxy', backend.config.server.trustProxy || false);
 
     /* Middleware */
     app.use(helmet()); //For security
     if (!backend.config.logging.disableHttp){
         app.use(morgan('combined', {stream: backend.logger.httpLogger.stream}));
     }
-    app.use(express.json({}));
+    app.use(express.json({type: ['application/json', 'application/json-patch+json']}));
     app.use(express.urlencoded({extended: true}));
 
     /* Backend middleware */
@@ -38,7 +40,12 @@ module.exports = (workerId, callback) => {
     };
 };
 
-//We're able to start only one instance
+//We're able to start only one instance. It starts listening after the pending migrations are applied (see /app/db/mongo/migrations)
 if (require.main === module){
-    module.exports(1);
+    require('./app/db/mongo/migrations').runOnStartup().then(() => {
+        module.exports(1);
+    }).catch((error) => {
+        require('./app/logger').appLogger.error(`Failed to start - the migrations weren't applied: ${require('./app/helpers').optionalStringify(error)}`, {identifier: 'server'});
+        process.exit(1);
+    });
 }
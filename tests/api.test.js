@@ -3,6 +3,7 @@
 const testH = require('./helpers');
 const api = require('../app/api');
 const db = require('../app/db').mongo;
+const tenancy = require('../app/tenancy');
 
 const generics = api.__private.generics;
 
@@ -28,6 +29,7 @@ const addObjectToDb = (inputObj, modelName, mode = 'controllers') => {
 describe('api', () => {
     afterAll(async () => {
         db.mongoose.connection.close();
+        require('../app/api/cache').destroy();
     });
 
     describe('generics', () => {
@@ -91,7 +93,19 @@ describe('api', () => {
                         inputObj: wrongUserMock,
                         modelName: 'data.user'
                     })
-                ).rejects.toHaveProperty('errors');
+                ).rejects.toMatchObject({
+                    statusCode: 422,
+                    code: 'VALIDATION_FAILED',
+                    details: [{field: 'username', rule: 'match', message: expect.any(String)}]
+                });
+            });
+            it('should report duplicate values of unique paths', async () => {
+                await addObjectToDb(modelObjectMock, schemaMockModelName, 'generics');
+                await expect(addObjectToDb(modelObjectMock, schemaMockModelName, 'generics')).rejects.toMatchObject({
+                    statusCode: 409,
+                    code: 'DUPLICATE_KEY',
+                    details: [{field: 'withRestrictions', rule: 'unique', message: expect.any(String)}]
+                });
             });
         });
         describe('get', () => {
@@ -114,6 +128,54 @@ describe('api', () => {
                 expect(result).toHaveProperty('length');
                 expect(result.length).toEqual(1);
             });
+            it('should return a single page of objects with paging metadata when the query is defined', async () => {
+                await addObjectToDb(modelObjectMock, schemaMockModelName, 'generics');
+                await addObjectToDb(testH.mongooseMocks.modelObjects.alt(), schemaMockModelName, 'generics');
+                let result = await generics.get({
+                    modelName: schemaMockModelName,
+                    query: {limit: '1', sort: '-withRestrictions'}
+                });
+                expect(result.docs.length).toEqual(1);
+                expect(result.docs[0].withRestrictions).toEqual(testH.mongooseMocks.modelObjects.alt().withRestrictions);
+                expect(result.paging.total).toEqual(2);
+                expect(typeof result.paging.nextCursor).toEqual('string');
+                result = await generics.get({
+                    modelName: schemaMockModelName,
+                    query: {limit: '1', sort: '-withRestrictions', cursor: result.paging.nextCursor}
+                });
+                expect(result.docs.length).toEqual(1);
+                expect(result.docs[0].withRestrictions).toEqual(modelObjectMock.withRestrictions);
+                expect(result.paging.nextCursor).toEqual(null);
+            });
+            it('should filter the objects when the query contains a filter', async () => {
+                await addObjectToDb(modelObjectMock, schemaMockModelName, 'generics');
+                await addObjectToDb(testH.mongooseMocks.modelObjects.alt(), schemaMockModelName, 'generics');
+                const result = await generics.get({
+                    modelName: schemaMockModelName,
+                    query: {filter: {simpleString: {in: 'simpleStringAlt,notExisting'}}}
+                });
+                expect(result.docs.length).toEqual(1);
+                expect(result.paging.total).toEqual(1);
+                expect(result.docs[0].simpleString).toEqual('simpleStringAlt');
+            });
+            it('should throw when the query contains a field that is not filterable', async () => {
+                await expect(generics.get({
+                    modelName: schemaMockModelName,
+                    query: {filter: {nonSelectable: 'nonSelectable'}}
+                })).rejects.toHaveProperty('statusCode', 400);
+            });
+            it('should throw when the query filters or sorts by a field that can\'t be read', async () => {
+                await expect(generics.get({
+                    modelName: schemaMockModelName,
+                    query: {filter: {simpleString: 'simpleString'}},
+                    readableFields: ['withRestrictions']
+                })).rejects.toMatchObject({statusCode: 401, code: 'FIELD_NOT_READABLE'});
+                await expect(generics.get({
+                    modelName: schemaMockModelName,
+                    query: {sort: '-withRestrictions'},
+                    readableFields: ['simpleString']
+                })).rejects.toMatchObject({statusCode: 401, code: 'FIELD_NOT_READABLE'});
+            });
             it('should return an empty list when nothing is found', async () => {
                 const result = await generics.get({
                     id: testH.userMocks.alt()._id, //Examplary, non-existing ID
@@ -139,6 +201,25 @@ describe('api', () => {
                 expect(result._id.toString()).toEqual(modelObjectMockId);
                 expect(result.nonSelectable).toEqual(undefined);
             });
+            it('should increment the version and reject stale versions with 412', async () => {
+                let result = await addObjectToDb(modelObjectMock, schemaMockModelName, 'generics');
+                const modelObjectMockId = result._id.toString();
+                const altModelObjectMock = testH.mongooseMocks.modelObjects.alt();
+                delete altModelObjectMock._id;
+                result = await generics.update({
+                    id: modelObjectMockId,
+                    inputObj: altModelObjectMock,
+                    modelName: schemaMockModelName,
+                    versions: [0]
+                });
+                expect(result.__v).toEqual(1);
+                await expect(generics.update({
+                    id: modelObjectMockId,
+                    inputObj: altModelObjectMock,
+                    modelName: schemaMockModelName,
+                    versions: [0]
+                })).rejects.toMatchObject({statusCode: 412, code: 'VERSION_MISMATCH'});
+            });
             it('should throw when _id is being updated', async () => {
                 let result = await addObjectToDb(modelObjectMock, schemaMockModelName, 'generics');
                 const modelObjectMockId = result._id.toString();
@@ -165,6 +246,47 @@ describe('api', () => {
                 })).rejects.toThrow('rong inputObj argument');
             });
         });
+        describe('bulk', () => {
+            it('should add many objects and report the ones that failed', async () => {
+                const report = await generics.bulkAdd({
+                    inputObjs: [modelObjectMock, testH.mongooseMocks.modelObjects.alt(), modelObjectMock],
+                    modelName: schemaMockModelName
+                });
+                expect(report.succeeded).toEqual(2);
+                expect(report.failed).toEqual(1);
+                expect(report.results[2].status).toEqual(false);
+            });
+            it('should update many objects matching the filter', async () => {
+                await addObjectToDb(modelObjectMock, schemaMockModelName, 'generics');
+                await addObjectToDb(testH.mongooseMocks.modelObjects.alt(), schemaMockModelName, 'generics');
+                const report = await generics.bulkUpdate({
+                    filter: {simpleString: {in: 'simpleString,simpleStringAlt'}},
+                    inputObj: {simpleString: 'updated'},
+                    modelName: schemaMockModelName
+                });
+                expect(report.succeeded).toEqual(2);
+                expect(await schemaMock.countDocuments({simpleString: 'updated'})).toEqual(2);
+            });
+            it('should delete many objects by their ids', async () => {
+                const result = await addObjectToDb(modelObjectMock, schemaMockModelName, 'generics');
+                const report = await generics.bulkDelete({
+                    ids: [result._id.toString()],
+                    modelName: schemaMockModelName
+                });
+                expect(report.succeeded).toEqual(1);
+                expect(await schemaMock.countDocuments({})).toEqual(0);
+            });
+            it('should throw when both or neither of ids and filter are defined', async () => {
+                await expect(generics.bulkDelete({
+                    modelName: schemaMockModelName
+                })).rejects.toHaveProperty('statusCode', 400);
+                await expect(generics.bulkDelete({
+                    ids: [],
+                    filter: {},
+                    modelName: schemaMockModelName
+                })).rejects.toHaveProperty('statusCode', 400);
+            });
+        });
         describe('delete', () => {
             it('should return the deleted object (user) if it exists', async () => {
                 let result = await addObjectToDb(modelObjectMock, schemaMockModelName, 'generics');
@@ -190,6 +312,570 @@ describe('api', () => {
             });
         });
     });
+    describe('runBulk', () => {
+        const runBulk = api.__private.runBulk;
+
+        it('should process every item and report per-item results', async () => {
+            const report = await runBulk({
+                items: ['a', 'b', 'c'],
+                operation: async (item) => {
+                    if (item === 'b'){
+                        throw new Error('Item b failed');
+                    }
+                    return item.toUpperCase();
+                },
+                getItemId: (item) => item
+            });
+            expect(report.succeeded).toEqual(2);
+            expect(report.failed).toEqual(1);
+            expect(report.committed).toEqual(true);
+            expect(report.results).toEqual([
+                {index: 0, id: 'a', status: true, data: 'A', error: null, code: null, details: null},
+                {index: 1, id: 'b', status: false, data: null, error: 'Item b failed', code: null, details: null},
+                {index: 2, id: 'c', status: true, data: 'C', error: null, code: null, details: null}
+            ]);
+        });
+        it('should skip the items that are not allowed', async () => {
+            const operationSpy = jest.fn(async (item) => item);
+            const report = await runBulk({
+                items: ['a', 'b'],
+                operation: operationSpy,
+                isAllowed: (item) => item === 'a',
+                getItemId: (item) => item
+            });
+            expect(operationSpy).toHaveBeenCalledTimes(1);
+            expect(report.results[1].status).toEqual(false);
+            expect(report.results[1].error).toEqual('You don\'t have sufficient permissions to perform this action');
+            expect(report.results[1].code).toEqual('FORBIDDEN');
+        });
+        it('should report the codes and details of the failed items', async () => {
+            const details = [{field: 'username', rule: 'required', message: 'Path `username` is required.'}];
+            const report = await runBulk({
+                items: ['a'],
+                operation: async () => {
+                    throw new api.errors.ApiError('Validation failed', {statusCode: 422, code: 'VALIDATION_FAILED', details});
+                },
+                getItemId: (item) => item
+            });
+            expect(report.results[0]).toMatchObject({status: false, error: 'Validation failed', code: 'VALIDATION_FAILED', details});
+        });
+    });
+    describe('controllers', () => {
+        it('should generate controllers for every exposed model', () => {
+            expect(api.controllers).toHaveProperty(['data.user']);
+            ['add', 'delete', 'update', 'get'].forEach((action) => {
+                expect(typeof api.controllers['data.user'][action]).toEqual('function');
+            });
+        });
+        it('should pass the model name to the generic functions', async () => {
+            const getSpy = jest.spyOn(generics, 'get').mockImplementation(async () => []);
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            const controllers = api.__private.generateControllers(schemaMock.modelName);
+            await controllers.get({id: 'someId'});
+            expect(getSpy).toHaveBeenCalledWith({id: 'someId', modelName: schemaMock.modelName});
+            getSpy.mockRestore();
+        });
+        it('should read the API options from the schema and fill the default values', () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            expect(api.getModelOptions(schemaMock.modelName)).toEqual({
+                expose: true,
+                path: 'test/basicModel',
+                actions: ['get', 'add', 'update', 'delete'],
+                softDelete: false
+            });
+            expect(api.getModelOptions('data.user').path).toEqual('user');
+            expect(api.getModelOptions.bind(null, 'notExistingModel')).toThrow('rong modelName argument');
+        });
+    });
+    describe('query', () => {
+        const query = require('../app/api/query');
+        let schemaMock;
+
+        beforeAll(() => {
+            schemaMock = testH.mongooseMocks.schema.basic(db);
+        });
+
+        it('should use the default limit and offset', () => {
+            const config = require('../app/config');
+            const result = query.parse({query: {}, model: schemaMock});
+            expect(result.limit).toEqual(config.api.query.defaultLimit);
+            expect(result.offset).toEqual(0);
+            expect(result.filter).toEqual({});
+            expect(result.cursorFilter).toEqual(null);
+            expect(result.sort).toEqual({_id: 1});
+        });
+        it('should throw when the limit or offset are wrong', () => {
+            const config = require('../app/config');
+            expect(query.parse.bind(null, {query: {limit: '0'}, model: schemaMock})).toThrow('limit parameter');
+            expect(query.parse.bind(null, {query: {limit: String(config.api.query.maxLimit + 1)}, model: schemaMock})).toThrow('limit parameter');
+            expect(query.parse.bind(null, {query: {offset: '-1'}, model: schemaMock})).toThrow('offset parameter');
+            expect(query.parse.bind(null, {query: {offset: '1', cursor: 'abc'}, model: schemaMock})).toThrow('can\'t be used together');
+        });
+        it('should translate filters with operators', () => {
+            const result = query.parse({query: {filter: {
+                withRestrictions: {regex: '^_with', ne: 'abc'},
+                simpleString: {in: ['a', 'b']}
+            }}, model: schemaMock});
+            expect(result.filter).toEqual({
+                withRestrictions: {$regex: '^_with', $ne: 'abc'},
+                simpleString: {$in: ['a', 'b']}
+            });
+        });
+        it('should reject undeclared fields, unknown operators and nested values in filters', () => {
+            expect(query.parse.bind(null, {query: {filter: {nonSelectable: 'a'}}, model: schemaMock})).toThrow('Filtering by nonSelectable is not allowed');
+            expect(query.parse.bind(null, {query: {filter: {simpleString: {where: 'a'}}}, model: schemaMock})).toThrow('nknown filter operator');
+            expect(query.parse.bind(null, {query: {filter: {simpleString: {eq: {$gt: ''}}}}, model: schemaMock})).toThrow('rong eq filter value');
+            expect(query.parse.bind(null, {query: {filter: {simpleString: {regex: '('}}}, model: schemaMock})).toThrow('rong regex filter value');
+        });
+        it('should translate multi-field sorting and append _id', () => {
+            const result = query.parse({query: {sort: '-withRestrictions'}, model: schemaMock});
+            expect(result.sortFields).toEqual([['withRestrictions', -1], ['_id', 1]]);
+            expect(query.parse.bind(null, {query: {sort: 'simpleString'}, model: schemaMock})).toThrow('Sorting by simpleString is not allowed');
+        });
+        it('should create cursors that can only be used with the same sort order', () => {
+            const modelObject = testH.mongooseMocks.modelObjects.basic();
+            const sortFields = query.__private.parseSort('-withRestrictions', schemaMock);
+            const cursor = query.encodeCursor(modelObject, sortFields);
+            const result = query.parse({query: {sort: '-withRestrictions', cursor}, model: schemaMock});
+            expect(result.cursorFilter).toEqual({$or: [
+                {withRestrictions: {$lt: modelObject.withRestrictions}},
+                {withRestrictions: modelObject.withRestrictions, _id: {$gt: modelObject._id}}
+            ]});
+            expect(query.parse.bind(null, {query: {cursor}, model: schemaMock})).toThrow('different sort order');
+            expect(query.parse.bind(null, {query: {cursor: 'malformed'}, model: schemaMock})).toThrow('alformed cursor');
+        });
+        it('should parse search queries', () => {
+            expect(query.parseSearch({query: {q: ' john ', limit: '5', filter: {withRestrictions: 'a'}}, model: schemaMock})).toEqual({
+                text: 'john',
+                filter: {withRestrictions: 'a'},
+                limit: 5,
+                offset: 0
+            });
+            expect(query.parseSearch.bind(null, {query: {}, model: schemaMock})).toThrow('non-empty string');
+            expect(query.parseSearch.bind(null, {query: {q: 'a'.repeat(201)}, model: schemaMock})).toThrow('longer than');
+            expect(query.parseSearch.bind(null, {query: {q: 'john', sort: 'withRestrictions'}, model: schemaMock})).toThrow('can\'t be used in searches');
+        });
+    });
+    describe('export', () => {
+        const exporter = require('../app/api/export');
+        const {Readable} = require('stream');
+        /**
+         * @description creates a fake mongoose cursor that emits the given documents
+         */
+        const createCursor = (docs) => {
+            const cursor = Readable.from(docs);
+            cursor.close = async () => {};
+            return cursor;
+        };
+        /**
+         * @description reads the whole stream into a string
+         */
+        const readStream = async (stream) => {
+            let result = '';
+            for await (const chunk of stream){
+                result += chunk;
+            }
+            return result;
+        };
+        it('should escape CSV cells', () => {
+            expect(exporter.__private.toCsvCell('simple')).toEqual('simple');
+            expect(exporter.__private.toCsvCell('a,"b"')).toEqual('"a,""b"""');
+            expect(exporter.__private.toCsvCell(null)).toEqual('');
+            expect(exporter.__private.toCsvCell({a: [1]})).toEqual('"{""a"":[1]}"');
+            expect(exporter.__private.toCsvCell(new Date(0))).toEqual('1970-01-01T00:00:00.000Z');
+        });
+        it('should skip the hidden paths in CSV columns', () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            expect(exporter.getColumns(schemaMock)).not.toContain('nonSelectable');
+            expect(exporter.getColumns(schemaMock)).toContain('withRestrictions');
+        });
+        it('should stream NDJSON and CSV and skip the documents that are not allowed', async () => {
+            const docs = [{name: 'a', nested: {value: 1}}, {name: 'b', nested: {value: 2}}];
+            const isAllowed = (doc) => doc.name !== 'b';
+            expect(await readStream(exporter.createStream({cursor: createCursor(docs), format: 'ndjson', isAllowed}))).toEqual('{"name":"a","nested":{"value":1}}\n');
+            expect(await readStream(exporter.createStream({cursor: createCursor(docs), format: 'csv', columns: ['name', 'nested.value']}))).toEqual('name,nested.value\r\na,1\r\nb,2\r\n');
+            expect(await readStream(exporter.createStream({cursor: createCursor([]), format: 'csv', columns: ['name']}))).toEqual('name\r\n');
+        });
+        it('should reject pagination parameters', () => {
+            const query = require('../app/api/query');
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            expect(query.parseExport({query: {sort: '-withRestrictions'}, model: schemaMock})).toEqual({filter: {}, sort: {withRestrictions: -1, _id: 1}});
+            expect(query.parseExport.bind(null, {query: {limit: '10'}, model: schemaMock})).toThrow('can\'t be used in exports');
+        });
+    });
+    describe('import', () => {
+        const importer = require('../app/api/import');
+        it('should split CSV text into records', () => {
+            expect(importer.__private.parseCsvRecords('a,b\r\n1,"x,""y"""\n\n"multi\nline",\n')).toEqual([
+                ['a', 'b'],
+                ['1', 'x,"y"'],
+                ['multi\nline', '']
+            ]);
+            expect(importer.__private.parseCsvRecords.bind(null, 'a\n"1')).toThrow('Unterminated quoted cell');
+        });
+        it('should parse NDJSON and CSV rows and report the broken ones', () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            expect(importer.parse({text: '{"simpleString":"a"}\n\n[1]\n{broken\n', format: 'ndjson', model: schemaMock})).toEqual([
+                {row: 1, data: {simpleString: 'a'}, error: null},
+                {row: 2, data: null, error: 'Every line must contain a JSON object'},
+                {row: 3, data: null, error: expect.any(String)}
+            ]);
+            expect(importer.parse({text: 'simpleString,nested.value\r\na,\r\nb,1\r\nc\r\n', format: 'csv', model: schemaMock})).toEqual([
+                {row: 1, data: {simpleString: 'a'}, error: null},
+                {row: 2, data: {simpleString: 'b', nested: {value: '1'}}, error: null},
+                {row: 3, data: null, error: 'Expected 2 cells, got 1'}
+            ]);
+            expect(importer.parse.bind(null, {text: '', format: 'csv', model: schemaMock})).toThrow('header is missing');
+        });
+    });
+    describe('errors', () => {
+        const errors = require('../app/api/errors');
+        it('should translate validation and cast errors into field-level details', () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            const validationError = new schemaMock({withRestrictions: 'not valid', nonSelectable: ''}).validateSync();
+            const error = errors.fromDbError(validationError);
+            expect(error).toBeInstanceOf(errors.ApiError);
+            expect(error.statusCode).toEqual(422);
+            expect(error.code).toEqual('VALIDATION_FAILED');
+            expect(error.details).toEqual(expect.arrayContaining([
+                {field: 'withRestrictions', rule: 'match', message: expect.any(String)},
+                {field: 'nonSelectable', rule: 'required', message: expect.any(String)}
+            ]));
+            const castError = errors.fromDbError(new db.mongoose.Error.CastError('ObjectId', 'abc', '_id'));
+            expect(castError.details).toEqual([{field: '_id', rule: 'cast', message: expect.any(String)}]);
+        });
+        it('should translate duplicate key errors', () => {
+            const duplicateError = Object.assign(new Error('E11000 duplicate key error collection: db.test.basicModels index: withRestrictions_1 dup key: { : "a" }'), {name: 'MongoError', code: 11000});
+            expect(errors.fromDbError(duplicateError)).toMatchObject({statusCode: 409, code: 'DUPLICATE_KEY', details: [{field: 'withRestrictions', rule: 'unique'}]});
+            expect(errors.__private.getDuplicateFields({keyValue: {a: 1, b: 2}})).toEqual(['a', 'b']);
+            expect(errors.__private.getDuplicateFields({errmsg: 'index: role_1_created_at_-1 dup key'})).toEqual(['role', 'created_at']);
+            expect(errors.__private.getDuplicateFields({keyValue: {tenant: null, username: 'a'}})).toEqual(['username']);
+        });
+        it('should leave other errors untouched', () => {
+            const error = new Error('other');
+            expect(errors.fromDbError(error)).toBe(error);
+            const apiError = new errors.ApiError('api', {statusCode: 400});
+            expect(errors.fromDbError(apiError)).toBe(apiError);
+            expect(apiError.details).toBe(null);
+        });
+    });
+    describe('fields', () => {
+        const fields = require('../app/api/fields');
+        it('should check if the paths are covered by the fields', () => {
+            expect(fields.isCovered('profile.name', ['profile'])).toEqual(true);
+            expect(fields.isCovered('tags[0]', ['tags'])).toEqual(true);
+            expect(fields.isCovered('profileName', ['profile'])).toEqual(false);
+        });
+        it('should remove the fields that can\'t be read', () => {
+            const doc = {_id: 'id', __v: 1, username: 'john', role: 'user', nested: {a: 1, b: 2}};
+            expect(fields.pickReadable({doc, modelName: 'data.user', fields: ['username', 'nested.a']})).toEqual({_id: 'id', __v: 1, username: 'john', nested: {a: 1}});
+            expect(fields.pickReadable({doc, modelName: 'data.user', fields: ['role'], extraFields: ['score']})).toEqual({_id: 'id', __v: 1, role: 'user'});
+            expect(fields.pickReadable({doc, modelName: 'data.user'})).toBe(doc);
+        });
+        it('should reject the input objects with fields that can\'t be written', () => {
+            expect(fields.checkWritable.bind(null, {inputObj: {username: 'john', profile: {name: 'John'}}, fields: ['username', 'profile']})).not.toThrow();
+            expect(fields.checkWritable.bind(null, {inputObj: {role: 'admin'}})).not.toThrow();
+            try{
+                fields.checkWritable({inputObj: {username: 'john', role: 'admin'}, fields: ['username']});
+                throw new Error('Not rejected');
+            } catch (error){
+                expect(error).toMatchObject({statusCode: 401, code: 'FIELD_NOT_WRITABLE', details: [{field: 'role', rule: 'writable', message: expect.any(String)}]});
+            }
+        });
+    });
+    describe('operators', () => {
+        const operators = require('../app/api/operators');
+        const mongoose = require('mongoose');
+        const model = {schema: new mongoose.Schema({name: {type: String, required: true}, nickname: String, logins: Number, tags: [String], profile: {bio: String}})};
+        const expectInvalid = (inputObj, details) => {
+            try{
+                operators.build({inputObj, model});
+                throw new Error('Not rejected');
+            } catch (error){
+                expect(error).toMatchObject({statusCode: 422, code: 'INVALID_UPDATE', details});
+            }
+        };
+        it('should build the updates with the supported operators', () => {
+            const inputObj = {name: 'john', profile: {bio: 'a'}, tags: ['a'], __v: 1, $unset: {nickname: ''}, $inc: {logins: 1}};
+            expect(operators.build({inputObj, model, ignoredPaths: ['__v']})).toEqual({
+                update: {$set: {name: 'john', 'profile.bio': 'a', tags: ['a']}, $unset: {nickname: ''}, $inc: {logins: 1}},
+                paths: ['nickname', 'logins', 'name', 'profile.bio', 'tags']
+            });
+            expect(operators.build({inputObj: {$push: {tags: {$each: ['a', 'b']}}, $pull: {}}, model})).toEqual({update: {$push: {tags: {$each: ['a', 'b']}}}, paths: ['tags']});
+            expect(inputObj.__v).toEqual(1);
+        });
+        it('should reject the unsupported operators and the ones that don\'t match the schema', () => {
+            expectInvalid({$rename: {nickname: 'name'}}, [{field: '$rename', rule: 'operator'}]);
+            expectInvalid({$unset: {name: '', unknown: ''}}, [{field: 'name', rule: 'required'}, {field: 'unknown', rule: 'exists'}]);
+            expectInvalid({$inc: {nickname: 1, logins: '1'}}, [{field: 'nickname', rule: 'type'}, {field: 'logins', rule: 'type'}]);
+            expectInvalid({$push: {nickname: 'a', tags: {$each: ['a'], $slice: 1}}}, [{field: 'nickname', rule: 'type'}, {field: 'tags', rule: 'operator'}]);
+            expectInvalid({$pull: {tags: {$where: 'true'}}}, [{field: 'tags', rule: 'operator'}]);
+            expectInvalid({profile: {bio: 'a'}, $unset: {profile: ''}}, [{field: 'profile.bio', rule: 'conflict'}]);
+        });
+    });
+    describe('patch', () => {
+        const patch = require('../app/api/patch');
+        const doc = {_id: 'id', name: 'john', tags: ['a', 'b'], profile: {bio: 'a', site: 'b'}};
+        it('should apply the patches to a copy of the document', () => {
+            const operations = [
+                {op: 'test', path: '/name', value: 'john'},
+                {op: 'replace', path: '/name', value: 'jane'},
+                {op: 'add', path: '/tags/-', value: 'c'},
+                {op: 'remove', path: '/tags/0'},
+                {op: 'move', from: '/profile/site', path: '/profile/url'},
+                {op: 'copy', from: '/name', path: '/nickname'}
+            ];
+            expect(patch.validate(operations)).toEqual({
+                changedPaths: ['name', 'tags.-', 'tags.0', 'profile.url', 'profile.site', 'nickname'],
+                readPaths: ['name', 'profile.site', 'name']
+            });
+            const patched = patch.apply(doc, operations);
+            expect(patched).toEqual({_id: 'id', name: 'jane', nickname: 'jane', tags: ['b', 'c'], profile: {bio: 'a', url: 'b'}});
+            expect(doc.name).toEqual('john');
+            expect(patch.diff(doc, patched)).toEqual({name: 'jane', nickname: 'jane', tags: ['b', 'c'], 'profile.url': 'b', $unset: {'profile.site': ''}});
+        });
+        it('should reject the wrong patches', () => {
+            expect(patch.validate.bind(null, [])).toThrow('non-empty');
+            expect(patch.validate.bind(null, [{op: 'merge', path: '/name'}])).toThrow('Unknown patch operation');
+            expect(patch.validate.bind(null, [{op: 'add', path: '/name'}])).toThrow('doesn\'t have a value');
+            expect(patch.__private.parsePointer.bind(null, '')).toThrow('whole document');
+            expect(patch.__private.parsePointer.bind(null, '/__proto__/a')).toThrow('Wrong JSON pointer');
+            expect(patch.__private.parsePointer('/a~1b/c~0d')).toEqual(['a/b', 'c~d']);
+            expect(patch.apply.bind(null, doc, [{op: 'remove', path: '/missing'}])).toThrow('doesn\'t exist');
+            expect(patch.apply.bind(null, doc, [{op: 'add', path: '/tags/5', value: 'a'}])).toThrow('Wrong array index');
+            try{
+                patch.apply(doc, [{op: 'test', path: '/name', value: 'jane'}]);
+                throw new Error('Not rejected');
+            } catch (error){
+                expect(error).toMatchObject({statusCode: 409, code: 'PATCH_TEST_FAILED'});
+            }
+        });
+        it('should reject the patches that reveal the fields that can\'t be read', async () => {
+            const id = testH.userMocks.alt()._id.toString();
+            for (let operations of [[{op: 'test', path: '/role', value: 'admin'}], [{op: 'copy', from: '/role', path: '/username'}], [{op: 'move', from: '/role', path: '/username'}]]){
+                await expect(generics.patch({id, operations, modelName: 'data.user', writableFields: ['username', 'role'], readableFields: ['username']})).rejects.toMatchObject({
+                    statusCode: 401,
+                    code: 'FIELD_NOT_READABLE',
+                    details: [{field: 'role', rule: 'readable', message: expect.any(String)}]
+                });
+            }
+        });
+    });
+    describe('expand', () => {
+        const expand = require('../app/api/expand');
+        const config = require('../app/config');
+        it('should parse the selected fields and the expanded references', () => {
+            expect(expand.parse({query: {}, modelName: 'data.user'})).toEqual({modelName: 'data.user', fields: null, relations: {}});
+            expect(expand.parse({query: {fields: 'username,tenant.name', expand: 'tenant'}, modelName: 'data.user'})).toEqual({
+                modelName: 'data.user',
+                fields: ['username'],
+                relations: {tenant: {modelName: 'data.tenant', fields: ['name'], relations: {}}}
+            });
+            expect(expand.parse({query: {expand: 'actor.tenant,actor'}, modelName: 'log.audit'})).toEqual({
+                modelName: 'log.audit',
+                fields: null,
+                relations: {actor: {modelName: 'data.user', fields: null, relations: {tenant: {modelName: 'data.tenant', fields: null, relations: {}}}}}
+            });
+        });
+        it('should reject the wrong fields and references', () => {
+            expect(expand.parse.bind(null, {query: {fields: ['username']}, modelName: 'data.user'})).toThrow('comma-separated list');
+            expect(expand.parse.bind(null, {query: {fields: 'unknown'}, modelName: 'data.user'})).toThrow('Unknown field');
+            expect(expand.parse.bind(null, {query: {fields: 'tenant.name'}, modelName: 'data.user'})).toThrow('Unknown field');
+            expect(expand.parse.bind(null, {query: {expand: 'username'}, modelName: 'data.user'})).toThrow('isn\'t a reference');
+            const maxExpandDepth = config.api.query.maxExpandDepth;
+            config.api.query.maxExpandDepth = 1;
+            try{
+                expect(expand.parse.bind(null, {query: {expand: 'actor.tenant'}, modelName: 'log.audit'})).toThrow('levels deep');
+            } finally {
+                config.api.query.maxExpandDepth = maxExpandDepth;
+            }
+        });
+        it('should not select or expand the fields that can\'t be read', async () => {
+            const docs = [{_id: 'id', __v: 0, username: 'john', role: 'user'}];
+            const selection = expand.parse({query: {fields: 'username'}, modelName: 'data.user'});
+            expect(await expand.expand({docs, selection, readableFields: ['username', 'role']})).toEqual([{_id: 'id', __v: 0, username: 'john'}]);
+            await expect(expand.expand({docs, selection: expand.parse({query: {fields: 'role'}, modelName: 'data.user'}), readableFields: ['username']})).rejects.toMatchObject({statusCode: 401, code: 'FIELD_NOT_READABLE'});
+            await expect(expand.expand({docs, selection: expand.parse({query: {expand: 'tenant'}, modelName: 'data.user'}), readableFields: ['username']})).rejects.toMatchObject({statusCode: 401, code: 'FIELD_NOT_READABLE', details: [{field: 'tenant', rule: 'readable'}]});
+        });
+        it('should expand the references that can be read', async () => {
+            await testH.fn.cleanUserMocks(db);
+            const tenant = await generics.add({modelName: 'data.tenant', inputObj: {name: 'Expanded', subdomain: 'expanded'}});
+            try{
+                const user = await generics.add({modelName: 'data.user', inputObj: testH.userMocks.basic(), tenant: tenant._id.toString()});
+                const query = {fields: 'username,tenant.name', expand: 'tenant'};
+                const result = await generics.get({id: user._id.toString(), modelName: 'data.user', query, tenant: tenant._id.toString()});
+                expect(result).toEqual({_id: user._id, __v: 0, username: user.username, tenant: {_id: tenant._id, __v: 0, name: 'Expanded'}});
+                //References to the documents that can't be read are left as IDs
+                const denied = await generics.get({id: user._id.toString(), modelName: 'data.user', query, tenant: tenant._id.toString(), relationAccess: () => ({isAllowed: () => false, readableFields: null})});
+                expect(String(denied.tenant)).toEqual(tenant._id.toString());
+                const {docs} = await generics.get({modelName: 'data.user', query: {expand: 'tenant'}, tenant: tenancy.unscoped, relationAccess: () => ({isAllowed: () => true, readableFields: ['subdomain']})});
+                expect(docs[0].tenant).toEqual({_id: tenant._id, __v: 0, subdomain: 'expanded'});
+            } finally {
+                await db.models['data.tenant'].deleteOne({_id: tenant._id});
+            }
+        });
+    });
+    describe('events', () => {
+        const events = require('../app/api/events');
+        it('should publish changes and hold back the ones made in transactions', () => {
+            const listener = jest.fn();
+            events.onChange(listener);
+            events.publish({modelName: 'data.user', action: 'update', documentId: 'a', doc: {username: 'a', createdAt: new Date(0)}});
+            expect(listener).toHaveBeenCalledWith({model: 'data.user', action: 'update', id: 'a', data: {username: 'a', createdAt: '1970-01-01T00:00:00.000Z'}, timestamp: expect.any(String)});
+            const session = {inTransaction: () => true};
+            events.publish({modelName: 'data.user', action: 'add', documentId: 'b', session});
+            events.publish({modelName: 'data.user', action: 'add', documentId: 'c', session});
+            expect(listener).toHaveBeenCalledTimes(1);
+            events.commit(session);
+            expect(listener).toHaveBeenCalledTimes(3);
+            expect(listener).toHaveBeenLastCalledWith(expect.objectContaining({action: 'add', id: 'c', data: null}));
+            events.publish({modelName: 'data.user', action: 'delete', documentId: 'd', session});
+            events.discard(session);
+            events.commit(session);
+            expect(listener).toHaveBeenCalledTimes(3);
+            events.offChange(listener);
+        });
+        it('should run the tasks of the changes made in transactions only after the commit', async () => {
+            const task = jest.fn(async () => 'done');
+            expect(await events.afterCommit({task})).toEqual('done');
+            expect(task).toHaveBeenCalledTimes(1);
+            const session = {inTransaction: () => true};
+            await events.afterCommit({task, session});
+            await events.afterCommit({task: async () => {
+                throw new Error('task error');
+            }, session});
+            expect(task).toHaveBeenCalledTimes(1);
+            await events.commit(session);
+            expect(task).toHaveBeenCalledTimes(2);
+            await events.afterCommit({task, session});
+            events.discard(session);
+            await events.commit(session);
+            expect(task).toHaveBeenCalledTimes(2);
+        });
+        it('should not throw when a listener fails', () => {
+            const listener = () => {
+                throw new Error('listener error');
+            };
+            events.onChange(listener);
+            expect(events.publish.bind(null, {modelName: 'data.user', action: 'delete', documentId: 'a'})).not.toThrow();
+            events.offChange(listener);
+        });
+    });
+    describe('cache', () => {
+        const cache = require('../app/api/cache');
+        it('should cache only the models that opted in', () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            expect(cache.isEnabled('data.user')).toBe(true);
+            expect(cache.isEnabled(schemaMock.modelName)).toBe(false);
+            expect(cache.isEnabled('notExistingModel')).toBe(false);
+            expect(api.getModelOptions('data.user').cache).toBe(true);
+        });
+        it('should use the per-model TTLs', () => {
+            expect(cache.__private.getTtl('data.user')).toEqual(300);
+            expect(cache.__private.getTtl('log.audit')).toEqual(60);
+            expect(cache.__private.getKey('data.user', 'a')).toEqual('cache:data.user:a');
+        });
+        it('should not cache the documents of other models', async () => {
+            const fetch = jest.fn(async () => ({_id: 'a'}));
+            expect(await cache.wrap({modelName: 'log.audit', id: 'a', fetch})).toEqual({_id: 'a'});
+            expect(await cache.wrap({modelName: 'log.audit', id: 'a', fetch})).toEqual({_id: 'a'});
+            expect(fetch).toHaveBeenCalledTimes(2);
+            expect(await cache.invalidate({modelName: 'log.audit', id: 'a'})).toBe(false);
+        });
+    });
+    describe('audit', () => {
+        const audit = require('../app/api/audit');
+        it('should list the changed paths and redact the hidden ones', () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            const before = testH.mongooseMocks.modelObjects.basic();
+            const after = Object.assign({}, before, {withRestrictions: 'changed', nonSelectable: 'changed', __v: 1});
+            expect(audit.__private.diff({modelName: schemaMock.modelName, before, after})).toEqual([
+                {path: 'withRestrictions', before: before.withRestrictions, after: 'changed'},
+                {path: 'nonSelectable', before: '[redacted]', after: '[redacted]'}
+            ]);
+            const added = audit.__private.diff({modelName: schemaMock.modelName, after: {simpleString: 'simpleString'}});
+            expect(added).toEqual([{path: 'simpleString', before: null, after: 'simpleString'}]);
+        });
+        it('should find the hidden paths of a model', () => {
+            expect(audit.__private.getHiddenPaths('data.user')).toEqual(['password']);
+        });
+        it('should not audit the audit log itself', () => {
+            expect(audit.isEnabled('data.user')).toEqual(true);
+            expect(audit.isEnabled(audit.modelName)).toEqual(false);
+        });
+    });
+    describe('attachments', () => {
+        const attachments = require('../app/api/attachments');
+        it('should accept only the allowed MIME types', () => {
+            const isAllowedType = attachments.__private.isAllowedType;
+            expect(isAllowedType('image/png')).toBe(true);
+            expect(isAllowedType('IMAGE/JPEG')).toBe(true);
+            expect(isAllowedType('text/plain; charset=utf-8')).toBe(true);
+            expect(isAllowedType('application/x-msdownload')).toBe(false);
+            expect(isAllowedType('imagex/png')).toBe(false);
+            expect(isAllowedType(undefined)).toBe(false);
+        });
+        it('should strip the directories from the file names', () => {
+            const sanitizeFilename = attachments.__private.sanitizeFilename;
+            expect(sanitizeFilename('C:\\Users\\john\\avatar.png')).toEqual('avatar.png');
+            expect(sanitizeFilename('../../etc/passwd')).toEqual('passwd');
+            expect(sanitizeFilename('a\u0000b.txt')).toEqual('ab.txt');
+            expect(sanitizeFilename('')).toEqual('file');
+        });
+        it('should accept attachments only for the models that opted in', async () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            expect(api.getModelOptions('data.user').attachments).toBe(true);
+            expect(api.getModelOptions(schemaMock.modelName).attachments).toBe(false);
+            await expect(generics.listAttachments({modelName: schemaMock.modelName, id: testH.userMocks.basic()._id})).rejects.toThrow('can\'t be attached');
+            await expect(generics.listAttachments({modelName: 'data.user', id: db.mongoose.Types.ObjectId().toString()})).rejects.toMatchObject({code: 'NOT_FOUND'});
+        });
+    });
+    describe('hooks', () => {
+        const hooks = require('../app/api/hooks');
+        it('should load the hooks of data.user', () => {
+            expect(hooks.__private.getHooks('data.user', 'before', 'update').length).toBeGreaterThan(0);
+            expect(hooks.__private.getHooks('data.user', 'after', 'get')).toEqual([]);
+        });
+        it('should hash passwords in the data.user before-hooks', async () => {
+            let args = await hooks.runBefore({modelName: 'data.user', action: 'update', args: {inputObj: {password: 'password', role: 'admin'}, actor: {role: 'admin'}}});
+            expect(args.inputObj.password).not.toEqual('password');
+            expect(args.inputObj.role).toEqual('admin');
+            args = await hooks.runBefore({modelName: 'data.user', action: 'update', args: {inputObj: {password: '', role: 'admin'}}});
+            expect(args.inputObj).toEqual({role: 'admin'});
+        });
+        it('should not allow regular admins to give the super-admin role in the data.user before-hooks', async () => {
+            await expect(hooks.runBefore({modelName: 'data.user', action: 'update', args: {inputObj: {role: 'superadmin'}, actor: {role: 'admin'}}})).rejects.toHaveProperty('statusCode', 401);
+            await expect(hooks.runBefore({modelName: 'data.user', action: 'add', args: {inputObj: {role: 'superadmin'}, actor: {role: 'superadmin'}}})).resolves.toBeTruthy();
+        });
+        it('should run the hooks in order and allow to abort the operation', async () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            hooks.register(schemaMock.modelName, {
+                before: {
+                    get: [
+                        async ({args}) => Object.assign(args, {id: 'first'}),
+                        async ({args}) => {
+                            if (args.id === 'first'){
+                                throw new api.errors.ApiError('Aborted', {statusCode: 400, code: 'ABORTED'});
+                            }
+                        }
+                    ]
+                },
+                after: {
+                    get: async ({result}) => ({wrapped: result})
+                }
+            });
+            await expect(generics.get({id: null, modelName: schemaMock.modelName})).rejects.toHaveProperty('code', 'ABORTED');
+            await expect(generics.search({modelName: schemaMock.modelName, query: {q: 'john'}})).rejects.toHaveProperty('code', 'ABORTED');
+            expect(await hooks.runAfter({modelName: schemaMock.modelName, action: 'get', args: {}, result: 1})).toEqual({wrapped: 1});
+            delete hooks.__private.registry[schemaMock.modelName];
+        });
+        it('should not allow to register wrong hooks', () => {
+            expect(hooks.register.bind(null, 'notExistingModel', {})).toThrow('no such model');
+            expect(hooks.register.bind(null, 'data.user', {during: {}})).toThrow('Unknown hook phase');
+            expect(hooks.register.bind(null, 'data.user', {before: {list: () => {}}})).toThrow('Unknown hook action');
+            expect(hooks.register.bind(null, 'data.user', {before: {get: 'function'}})).toThrow('must be a function');
+        });
+    });
     describe('user', () => {
         beforeEach(async () => {
             await testH.fn.cleanUserMocks(db);
@@ -207,6 +893,20 @@ describe('api', () => {
             expect(newUser).toHaveProperty('_id');
             expect(newUser.password).toEqual(undefined);
         });
+        it('should cache users and invalidate them on update', async () => {
+            const cache = require('../app/api/cache');
+            const newUser = await addObjectToDb(testH.userMocks.basic(), 'data.user');
+            const newUserId = newUser._id.toString();
+            await api.controllers['data.user'].get({id: newUserId});
+            const statsBefore = cache.getStats()['data.user'];
+            const cachedUser = await api.controllers['data.user'].get({id: newUserId});
+            expect(cachedUser.username).toEqual(testH.userMocks.basic().username);
+            expect(cache.getStats()['data.user'].hits).toEqual(statsBefore.hits + 1);
+            await api.controllers['data.user'].update({id: newUserId, inputObj: {username: testH.userMocks.alt().username}});
+            const updatedUser = await api.controllers['data.user'].get({id: newUserId});
+            expect(updatedUser.username).toEqual(testH.userMocks.alt().username);
+            expect(cache.getStats()['data.user'].misses).toEqual(statsBefore.misses + 1);
+        });
         it('should allow to update users and hide the password', async () => {
             let newUser = await addObjectToDb(testH.userMocks.basic(), 'data.user');
             const newUserId = newUser._id.toString();
@@ -234,6 +934,85 @@ describe('api', () => {
             })()).resolves.not.toThrow();
             expect(newUserId).toBe(retrievedUser._id.toString());
         });
+        it('should soft-delete users and allow to restore and purge them', async () => {
+            let newUser = await addObjectToDb(testH.userMocks.basic(), 'data.user');
+            const newUserId = newUser._id.toString();
+            const deletedUser = await api.controllers['data.user'].delete({id: newUserId});
+            expect(deletedUser.deleted).toEqual(true);
+            expect(deletedUser.deletedAt).toBeInstanceOf(Date);
+            expect(await api.controllers['data.user'].get({id: newUserId})).toEqual([]);
+            const deletedUsers = await api.controllers['data.user'].get({query: {}, onlyDeleted: true});
+            expect(deletedUsers.docs.map((user) => user._id.toString())).toContain(newUserId);
+            await expect(api.controllers['data.user'].update({id: newUserId, inputObj: {role: 'admin'}})).rejects.toThrow('ailed to update');
+            const restoredUser = await api.controllers['data.user'].restore({id: newUserId});
+            expect(restoredUser.deleted).toEqual(false);
+            expect((await api.controllers['data.user'].get({id: newUserId}))._id.toString()).toEqual(newUserId);
+            await expect(api.controllers['data.user'].purge({id: newUserId})).rejects.toThrow('ailed to purge');
+            await api.controllers['data.user'].delete({id: newUserId});
+            await api.controllers['data.user'].purge({id: newUserId});
+            expect(await db.models['data.user'].findById(newUserId)).toEqual(null);
+        });
+        it('should run the update hooks around restoring users', async () => {
+            const hooks = require('../app/api/hooks');
+            const newUser = await addObjectToDb(testH.userMocks.basic(), 'data.user');
+            const newUserId = newUser._id.toString();
+            await api.controllers['data.user'].delete({id: newUserId});
+            const runBeforeSpy = jest.spyOn(hooks, 'runBefore');
+            const runAfterSpy = jest.spyOn(hooks, 'runAfter');
+            await api.controllers['data.user'].restore({id: newUserId});
+            expect(runBeforeSpy).toHaveBeenCalledWith(expect.objectContaining({modelName: 'data.user', action: 'update', args: expect.objectContaining({id: newUserId})}));
+            expect(runAfterSpy).toHaveBeenCalledWith(expect.objectContaining({modelName: 'data.user', action: 'update'}));
+            runBeforeSpy.mockRestore();
+            runAfterSpy.mockRestore();
+        });
+        it('should purge users deleted before the given date', async () => {
+            let newUser = await addObjectToDb(testH.userMocks.basic(), 'data.user');
+            await api.controllers['data.user'].delete({id: newUser._id.toString()});
+            let result = await api.controllers['data.user'].purge({deletedBefore: new Date(Date.now() - 60000)});
+            expect(result.purged).toEqual(0);
+            result = await api.controllers['data.user'].purge({deletedBefore: new Date(Date.now() + 60000)});
+            expect(result.purged).toEqual(1);
+        });
+        it('should not allow to restore or purge objects of models without the soft delete mode', async () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            await expect(generics.restore({id: testH.userMocks.basic()._id, modelName: schemaMock.modelName})).rejects.toHaveProperty('code', 'SOFT_DELETE_DISABLED');
+            await expect(generics.purge({deletedBefore: new Date(), modelName: schemaMock.modelName})).rejects.toHaveProperty('code', 'SOFT_DELETE_DISABLED');
+        });
+        it('should record user mutations in the audit log', async () => {
+            const actor = {_id: testH.userMocks.alt()._id, username: 'auditor', role: 'admin', remoteAddress: '127.0.0.1'};
+            const newUser = await api.controllers['data.user'].add({inputObj: testH.userMocks.basic(), actor, callId: 123});
+            const newUserId = newUser._id.toString();
+            await api.controllers['data.user'].update({id: newUserId, inputObj: {username: testH.userMocks.alt().username, password: 'changed'}, actor});
+            await api.controllers['data.user'].delete({id: newUserId, actor});
+            const entries = await db.models['log.audit'].find({documentId: newUserId}).sort({createdAt: 1, _id: 1}).lean();
+            expect(entries.map((entry) => entry.action)).toEqual(['add', 'update', 'delete']);
+            expect(entries[0].callId).toEqual('123');
+            expect(entries[1]).toMatchObject({username: 'auditor', role: 'admin', remoteAddress: '127.0.0.1', model: 'data.user'});
+            expect(entries[1].actor.toString()).toEqual(actor._id);
+            expect(entries[1].changes).toEqual(expect.arrayContaining([
+                {path: 'username', before: testH.userMocks.basic().username, after: testH.userMocks.alt().username},
+                {path: 'password', before: '[redacted]', after: '[redacted]'}
+            ]));
+            expect(entries[2].changes.map((change) => change.path)).toEqual(expect.arrayContaining(['deleted', 'deletedAt']));
+            const page = await api.controllers['log.audit'].get({query: {filter: {documentId: newUserId, action: 'update'}}});
+            expect(page.docs.length).toEqual(1);
+            await db.models['log.audit'].deleteMany({documentId: newUserId});
+        });
+        it('should allow to search users and skip the ones that are not allowed', async () => {
+            const newUser = await addObjectToDb(testH.userMocks.basic(), 'data.user');
+            const altUser = await addObjectToDb(testH.userMocks.alt(), 'data.user');
+            await db.models['data.user'].ensureIndexes();
+            let result = await api.controllers['data.user'].search({query: {q: `${testH.userMocks.basic().username} ${testH.userMocks.alt().username}`}});
+            expect(result.docs.map((user) => user._id.toString()).sort()).toEqual([newUser._id.toString(), altUser._id.toString()].sort());
+            expect(result.docs[0]).toHaveProperty('score');
+            expect(result.paging).toEqual({limit: 50, offset: 0, nextOffset: null});
+            result = await api.controllers['data.user'].search({
+                query: {q: `${testH.userMocks.basic().username} ${testH.userMocks.alt().username}`},
+                isAllowed: (doc) => doc._id.toString() === altUser._id.toString()
+            });
+            expect(result.docs.map((user) => user._id.toString())).toEqual([altUser._id.toString()]);
+            await expect(generics.search({modelName: testH.mongooseMocks.schema.basic(db).modelName, query: {q: 'john'}})).rejects.toHaveProperty('code', 'SEARCH_DISABLED');
+        });
         it('should allow to delete users', async () => {
             let newUser = await addObjectToDb(testH.userMocks.basic(), 'data.user');
             const newUserId = newUser._id.toString();
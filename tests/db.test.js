@@ -70,6 +70,21 @@ describe('db', () => {
         newUserModel.username = 'someChars@#';
         await expect(newUserModel.save()).rejects.toEqual(expect.any(Error));
     });
+    it('should add soft delete paths only to the models that enable the soft delete mode', () => {
+        const schemaMock = testH.mongooseMocks.schema.basic(db);
+        expect(db.models['data.user'].schema.path('deleted')).toBeTruthy();
+        expect(db.models['data.user'].schema.path('deletedAt')).toBeTruthy();
+        expect(schemaMock.schema.path('deleted')).toBe(undefined);
+        expect(db.models['data.user'].find({}).notDeleted().getFilter()).toEqual({deleted: {$ne: true}});
+        expect(schemaMock.find({}).notDeleted().getFilter()).toEqual({});
+        expect(schemaMock.find({}).onlyDeleted().getFilter()).toEqual({_id: null});
+    });
+    it('should create a text index for the searchable fields', () => {
+        const schemaMock = testH.mongooseMocks.schema.basic(db);
+        const textIndexes = db.models['data.user'].schema.indexes().filter((index) => index[1].name === 'search');
+        expect(textIndexes).toEqual([[{username: 'text'}, expect.objectContaining({weights: {username: 1}})]]);
+        expect(schemaMock.schema.indexes().filter((index) => index[1].name === 'search')).toEqual([]);
+    });
     it('should set the default role for the created user', () => {
         const newUserModel = new db.models['data.user'](testH.userMocks.basic());
         expect(newUserModel.role).toBe('user');
@@ -95,4 +110,79 @@ describe('db', () => {
         })()).resolves.not.toThrow();
         expect(retrievedUser).toBeFalsy();
     });
-});
\ No newline at end of file
+    describe('migrations', () => {
+        const migrations = require('../app/db/mongo/migrations');
+        const migrationMocks = [
+            {name: '20200101000000-first', description: 'First', up: jest.fn(), down: jest.fn()},
+            {name: '20200102000000-second', description: 'Second', up: jest.fn(), down: jest.fn()}
+        ];
+        const cleanMigrations = async () => {
+            await db.models['sys.migration'].deleteMany({name: {$in: migrationMocks.map(({name}) => name)}});
+            await db.models['sys.lock'].deleteMany({name: migrations.__private.lockName});
+        };
+
+        beforeEach(cleanMigrations);
+        afterAll(cleanMigrations);
+
+        it('should load the migrations in order', () => {
+            const loaded = migrations.load();
+            expect(loaded.length).toBeGreaterThan(0);
+            expect(loaded.map(({name}) => name)).toEqual(loaded.map(({name}) => name).sort());
+            loaded.forEach((migration) => {
+                expect(migration.name).toMatch(/^\d{14}-/);
+                expect(typeof migration.up).toEqual('function');
+                expect(typeof migration.down).toEqual('function');
+            });
+        });
+        it('should apply, record and revert the migrations', async () => {
+            expect(await migrations.up({to: migrationMocks[0].name, migrations: migrationMocks})).toEqual([migrationMocks[0].name]);
+            expect(await migrations.up({migrations: migrationMocks})).toEqual([migrationMocks[1].name]);
+            expect(await migrations.up({migrations: migrationMocks})).toEqual([]);
+            expect(migrationMocks[0].up).toHaveBeenCalledTimes(1);
+            expect(migrationMocks[0].up).toHaveBeenCalledWith(expect.objectContaining({connection: db.connection, models: db.models}));
+            expect((await migrations.status(migrationMocks)).map(({name, applied}) => ({name, applied}))).toEqual(migrationMocks.map(({name}) => ({name, applied: true})));
+            expect(await migrations.down({migrations: migrationMocks})).toEqual([migrationMocks[1].name]);
+            expect(migrationMocks[1].down).toHaveBeenCalledTimes(1);
+            expect((await migrations.status(migrationMocks)).map(({applied}) => applied)).toEqual([true, false]);
+        });
+        it('should not run the migrations in two processes at once', async () => {
+            expect(await migrations.__private.acquireLock()).toEqual(true);
+            expect(await migrations.__private.acquireLock()).toEqual(false);
+            await expect(migrations.up({migrations: migrationMocks})).rejects.toMatchObject({code: 'MIGRATIONS_LOCKED'});
+            await migrations.__private.releaseLock();
+            await expect(migrations.up({migrations: migrationMocks})).resolves.toEqual(migrationMocks.map(({name}) => name));
+        });
+        it('should renew the lock held by the current process', async () => {
+            expect(await migrations.__private.acquireLock()).toEqual(true);
+            await db.models['sys.lock'].updateOne({name: migrations.__private.lockName}, {$set: {expiresAt: new Date()}});
+            expect(await migrations.__private.renewLock()).toEqual(true);
+            const lock = await db.models['sys.lock'].findOne({name: migrations.__private.lockName}).lean();
+            expect(lock.expiresAt.getTime()).toBeGreaterThan(Date.now() + 1000);
+            expect(await migrations.__private.acquireLock()).toEqual(false);
+            await migrations.__private.releaseLock();
+            expect(await migrations.__private.renewLock()).toEqual(false);
+        });
+        it('should stop the migrations if the lock was taken over by another process', async () => {
+            const lockTimeoutSeconds = config.db.mongo.migrations.lockTimeoutSeconds;
+            config.db.mongo.migrations.lockTimeoutSeconds = 0.3;
+            try{
+                await expect(migrations.__private.withLock(async (checkLock) => {
+                    checkLock();
+                    await db.models['sys.lock'].updateOne({name: migrations.__private.lockName}, {$set: {owner: 'other:1'}});
+                    await h.wait(300);
+                    checkLock();
+                })).rejects.toMatchObject({code: 'MIGRATIONS_LOCK_LOST'});
+            } finally {
+                config.db.mongo.migrations.lockTimeoutSeconds = lockTimeoutSeconds;
+            }
+            const lock = await db.models['sys.lock'].findOne({name: migrations.__private.lockName}).lean();
+            expect(lock.owner).toEqual('other:1');
+        });
+        it('should not run the migrations at startup if they are disabled', async () => {
+            const findSpy = jest.spyOn(db.models['sys.migration'], 'find');
+            expect(await migrations.runOnStartup()).toEqual([]);
+            expect(findSpy).not.toHaveBeenCalled();
+            findSpy.mockRestore();
+        });
+    });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const {GraphQLNonNull} = require('graphql');
+const testH = require('./helpers');
+const graphql = require('../app/graphql');
+const types = require('../app/graphql/types');
+const permissions = require('../app/permissions');
+const db = require('../app/db').mongo;
+
+describe('graphql', () => {
+    beforeAll(() => {
+        permissions.init();
+    });
+    afterAll(async () => {
+        db.mongoose.connection.close();
+    });
+
+    it('should name the types after the API paths', () => {
+        const pascalCase = types.__private.pascalCase;
+        expect(pascalCase('user')).toEqual('User');
+        expect(pascalCase('audit-log')).toEqual('AuditLog');
+        expect(pascalCase('data.tenant')).toEqual('DataTenant');
+    });
+    it('should build the tree of the schema paths', () => {
+        const tree = types.__private.buildTree(db.models['data.user'].schema, (path) => path !== 'password');
+        expect(Object.keys(tree)).toEqual(expect.arrayContaining(['username', 'role', '_id']));
+        expect(tree.password).toEqual(undefined);
+        //Mongoose's internal paths aren't valid GraphQL names
+        expect(Object.keys(tree).some((name) => name.startsWith('__'))).toEqual(false);
+    });
+    it('should generate the queries, mutations and subscriptions of the models', () => {
+        const schema = graphql.getSchema();
+        expect(Object.keys(schema.getQueryType().getFields())).toEqual(expect.arrayContaining(['user', 'userList', 'userSearch']));
+        expect(Object.keys(schema.getMutationType().getFields())).toEqual(expect.arrayContaining(['addUser', 'updateUser', 'deleteUser', 'restoreUser', 'purgeUser']));
+        expect(Object.keys(schema.getSubscriptionType().getFields())).toEqual(expect.arrayContaining(['userChanged']));
+        //The fields that can't be selected are only accepted as input
+        expect(schema.getType('User').getFields().password).toEqual(undefined);
+        expect(schema.getType('UserInput').getFields().password.type).toBeInstanceOf(GraphQLNonNull);
+        expect(schema.getType('UserUpdateInput').getFields().password.type).not.toBeInstanceOf(GraphQLNonNull);
+    });
+    it('should send the list arguments as query-string parameters', () => {
+        const toQuery = graphql.__private.toQuery;
+        expect(toQuery({limit: 10, offset: undefined, sort: null, filter: {role: 'admin', createdAt: {gte: 5}}, cursor: 'abc'})).toEqual({
+            limit: '10',
+            filter: {role: 'admin', createdAt: {gte: '5'}},
+            cursor: 'abc'
+        });
+    });
+    it('should reject wrong documents', async () => {
+        const userMock = testH.userMocks.basic();
+        let result = await graphql.run({query: '{user(id: ', user: userMock, tenant: null});
+        expect(result.data).toEqual(undefined);
+        expect(result.errors[0].extensions.code).toEqual('INVALID_QUERY');
+        result = await graphql.run({query: '{unknownModel {_id}}', user: userMock, tenant: null});
+        expect(result.data).toEqual(undefined);
+        expect(result.errors[0].extensions.code).toEqual('INVALID_QUERY');
+        //Subscriptions are carried by socket.io
+        result = await graphql.run({query: 'subscription {userChanged {action}}', user: userMock, tenant: null});
+        expect(result.data).toEqual(undefined);
+        expect(result.errors[0].message).toContain('socket.io');
+    });
+    it('should check the permissions of the operations', async () => {
+        const result = await graphql.run({query: '{tenantList {docs {_id}}}', user: testH.userMocks.basic(), tenant: null});
+        expect(result.data).toEqual({tenantList: null});
+        expect(result.errors[0].extensions.code).toEqual('FORBIDDEN');
+        expect(result.errors[0].path).toEqual(['tenantList']);
+    });
+    it('should apply the access list rules of the equivalent REST routes', async () => {
+        //The user role can't access /api/user (see /config/acl.json) even though its permissions allow reading the users
+        const acl = require('../app/acl');
+        expect(acl.isAllowed({role: 'user', method: 'get', path: '/api/v1/user'})).toEqual(false);
+        expect(acl.isAllowed({role: 'admin', method: 'get', path: '/api/v1/user'})).toEqual(true);
+        const result = await graphql.run({query: '{userList {docs {_id}}}', user: testH.userMocks.basic(), tenant: null, apiVersion: 'v1'});
+        expect(result.data).toEqual({userList: null});
+        expect(result.errors[0].extensions.code).toEqual('FORBIDDEN');
+    });
+    it('should hide the messages of the unexpected errors', () => {
+        const {GraphQLError} = require('graphql');
+        const error = new GraphQLError('connection refused', undefined, undefined, undefined, ['user'], new Error('connection refused'));
+        expect(graphql.formatError(error)).toMatchObject({message: 'Something went wrong while performing an API call', path: ['user'], extensions: {code: 'API_ERROR', details: null}});
+        expect(graphql.formatError(new GraphQLError('Syntax Error'))).toMatchObject({message: 'Syntax Error', extensions: {code: 'INVALID_QUERY'}});
+    });
+    it('should reject the operations that are too deep', async () => {
+        const {parse} = require('graphql');
+        const getDepth = graphql.__private.getDepth;
+        const document = parse('query {userList {docs {...user tenant {name}}}} fragment user on User {tenant {_id} __typename}');
+        const fragments = {user: document.definitions[1]};
+        expect(getDepth(document.definitions[0].selectionSet, fragments)).toEqual(4);
+        //The introspection fields aren't counted
+        expect(getDepth(parse('{__schema {types {fields {type {ofType {name}}}}}}').definitions[0].selectionSet, {})).toEqual(0);
+        const config = require('../app/config');
+        const maxDepth = config.api.graphql.maxDepth;
+        config.api.graphql.maxDepth = 3;
+        const result = await graphql.run({query: '{userList {docs {tenant {name}}}}', user: testH.userMocks.admin(), tenant: null});
+        config.api.graphql.maxDepth = maxDepth;
+        expect(result.data).toEqual(undefined);
+        expect(result.errors[0].extensions.code).toEqual('INVALID_QUERY');
+        expect(result.errors[0].message).toContain('too deep');
+    });
+});
@@ -29,6 +29,15 @@ describe('helpers', () => {
         expect(response.status).toBe(null);
         expect(response.data).toBe(null);
         expect(response.error).toBe(null);
+        expect(response).not.toHaveProperty('paging');
+        response = h.generateResponse({status: true, data: [], paging: {total: 0}});
+        expect(response.paging).toEqual({total: 0});
+        expect(response).not.toHaveProperty('code');
+        response = h.generateResponse({status: false, error: 'error', code: 'VERSION_MISMATCH'});
+        expect(response.code).toBe('VERSION_MISMATCH');
+        expect(response).not.toHaveProperty('details');
+        response = h.generateResponse({status: false, error: 'error', code: 'VALIDATION_FAILED', details: [{field: 'username', rule: 'match', message: 'error'}]});
+        expect(response.details).toEqual([{field: 'username', rule: 'match', message: 'error'}]);
     });
     it('generateJwt should return a proper JWT token', () => {
         const userMock = testH.userMocks.basic();
@@ -66,6 +66,8 @@ module.exports = {
                         type: String,
                         trim: true,
                         lowercase: true,
+                        filterable: true,
+                        sortable: true,
                     },
                     nonSelectable: {
                         match: /^.{1,}$/,
@@ -76,7 +78,8 @@ module.exports = {
                     simpleString: {
                         required: true,
                         type: String,
-                        default: 'user'
+                        default: 'user',
+                        filterable: true,
                     }
                 }, {
                     collection: 'test.basicModels'
@@ -121,15 +124,46 @@ module.exports = {
              */
             basic: () => {
                 return `{
+                    "superadmin": {
+                        "data.user": "*",
+                        "data.tenant": "*",
+                        "log.audit": {
+                            "get": true
+                        }
+                    },
                     "admin": {
-                        "data.user": "*"
+                        "data.user": "*",
+                        "data.tenant": {
+                            "add": false,
+                            "get": false,
+                            "update": false,
+                            "delete": false
+                        },
+                        "log.audit": {
+                            "get": true
+                        }
                     },
                     "user": {
                         "data.user": {
                             "add": false,
-                            "get": "function",
-                            "update": "function",
+                            "get": {
+                                "permission": "function",
+                                "fields": ["username", "role", "tenant"]
+                            },
+                            "update": {
+                                "permission": "function",
+                                "fields": ["username", "password"]
+                            },
                             "delete": "function"
+                        },
+                        "data.tenant": {
+                            "add": false,
+                            "get": false,
+                            "update": false,
+                            "delete": false
+                        },
+                        "log.audit": {
+                            "get": false
                         }
                     }
                 }`;
@@ -142,6 +176,13 @@ module.exports = {
              */
             basic: () => {
                 return `[{
+                    "group": "superadmin",
+                    "permissions": [{
+                        "resource": "*",
+                        "methods": "*",
+                        "action": "allow"
+                    }]
+                }, {
                     "group": "admin",
                     "permissions": [{
                         "resource": "*",
@@ -154,6 +195,14 @@ module.exports = {
                         "resource": "/api/user",
                         "methods": "*",
                         "action": "deny"
+                    }, {
+                        "resource": "/api/tenant",
+                        "methods": "*",
+                        "action": "deny"
+                    }, {
+                        "resource": "/api/audit",
+                        "methods": "*",
+                        "action": "deny"
                     }, {
                         "resource": "*",
                         "methods": "*",
@@ -172,7 +221,8 @@ module.exports = {
                     "jwtKey": "RANDOMSTRING",
                     "server": {
                         "port": 3001,
-                        "rootDomain": "localhost"
+                        "rootDomain": "localhost",
+                        "trustProxy": false
                     },
                     "db": {
                         "mongo": {
@@ -183,7 +233,11 @@ module.exports = {
                             "password": "pass",
                             "database": "db",
                             "authDb": "authDb",
-                            "auth": false
+                            "auth": false,
+                            "migrations": {
+                                "runOnStartup": false,
+                                "lockTimeoutSeconds": 600
+                            }
                         },
                         "redis": {
                             "port": 6379,
@@ -192,6 +246,72 @@ module.exports = {
                             "auth": false
                         }
                     },
+                    "api": {
+                        "query": {
+                            "defaultLimit": 50,
+                            "maxLimit": 500,
+                            "maxRegexLength": 100,
+                            "maxExpandDepth": 2
+                        },
+                        "bulk": {
+                            "maxItems": 1000
+                        },
+                        "audit": {
+                            "enabled": true
+                        },
+                        "search": {
+                            "maxQueryLength": 200,
+                            "maxScanned": 1000
+                        },
+                        "import": {
+                            "batchSize": 100,
+                            "maxSize": "10mb"
+                        },
+                        "attachments": {
+                            "bucketName": "attachments",
+                            "maxSize": "10mb",
+                            "maxFiles": 5,
+                            "allowedTypes": ["image/*", "application/pdf", "text/plain"]
+                        },
+                        "cache": {
+                            "enabled": true,
+                            "redisDb": 2,
+                            "ttl": 60,
+                            "modelTtl": {
+                                "data.user": 300
+                            }
+                        },
+                        "docs": {
+                            "enabled": true
+                        },
+                        "versions": {
+                            "default": "v1",
+                            "deprecated": {
+                                "v1": {
+                                    "date": "2026-10-01T00:00:00Z",
+                                    "sunset": "2027-04-01T00:00:00Z",
+                                    "link": "https://example.com/api/migrating-to-v2"
+                                }
+                            }
+                        },
+                        "graphql": {
+                            "maxDepth": 6
+                        },
+                        "rateLimit": {
+                            "enabled": true,
+                            "redisDb": 3,
+                            "exemptRoles": ["admin", "superadmin"],
+                            "policies": [
+                                {"name": "signin", "path": "/api/signin", "methods": ["POST"], "by": "ip", "limit": 10000, "window": 60},
+                                {"name": "signup", "path": "/api/signup", "methods": ["POST"], "by": "ip", "limit": 10000, "window": 60},
+                                {"name": "audit", "path": "/api/audit", "methods": "*", "by": "user", "limit": 2, "window": 60}
+                            ]
+                        }
+                    },
+                    "tenancy": {
+                        "enabled": true,
+                        "superAdminRole": "superadmin"
+                    },
                     "logging": {
                         "disableHttp": false,
                         "maxMetaLength": 500,
@@ -199,6 +319,15 @@ module.exports = {
                         "level": "api"
                     },
                     "scheduler": {
+                        "softDeletePurge": {
+                            "enabled": false,
+                            "cronTime": "0 3 * * *",
+                            "retentionDays": 30,
+                            "logging": {
+                                "state": true,
+                                "debug": false
+                            }
+                        },
                         "example": {
                             "enabled": false,
                             "cronTime": "0 0 * * *",
@@ -219,7 +348,8 @@ module.exports = {
                     "jwtKey": "ALTRANDOMSTRING",
                     "server": {
                         "port": 3002,
-                        "rootDomain": "127.0.0.1"
+                        "rootDomain": "127.0.0.1",
+                        "trustProxy": "loopback"
                     },
                     "db": {
                         "mongo": {
@@ -230,7 +360,11 @@ module.exports = {
                             "password": "passAlt",
                             "database": "dbAlt",
                             "authDb": "authDbAlt",
-                            "auth": false
+                            "auth": false,
+                            "migrations": {
+                                "runOnStartup": false,
+                                "lockTimeoutSeconds": 60
+                            }
                         },
                         "redis": {
                             "port": 6379,
@@ -239,6 +373,60 @@ module.exports = {
                             "auth": false
                         }
                     },
+                    "api": {
+                        "query": {
+                            "defaultLimit": 20,
+                            "maxLimit": 100,
+                            "maxRegexLength": 50,
+                            "maxExpandDepth": 1
+                        },
+                        "bulk": {
+                            "maxItems": 100
+                        },
+                        "audit": {
+                            "enabled": false
+                        },
+                        "search": {
+                            "maxQueryLength": 100,
+                            "maxScanned": 200
+                        },
+                        "import": {
+                            "batchSize": 50,
+                            "maxSize": "1mb"
+                        },
+                        "attachments": {
+                            "bucketName": "attachments",
+                            "maxSize": "1mb",
+                            "maxFiles": 1,
+                            "allowedTypes": ["image/png"]
+                        },
+                        "cache": {
+                            "enabled": false,
+                            "redisDb": 2,
+                            "ttl": 30,
+                            "modelTtl": {}
+                        },
+                        "docs": {
+                            "enabled": false
+                        },
+                        "versions": {
+                            "default": "v2",
+                            "deprecated": {}
+                        },
+                        "graphql": {
+                            "maxDepth": 4
+                        },
+                        "rateLimit": {
+                            "enabled": false,
+                            "redisDb": 4,
+                            "exemptRoles": [],
+                            "policies": []
+                        }
+                    },
+                    "tenancy": {
+                        "enabled": false,
+                        "superAdminRole": "root"
+                    },
                     "logging": {
                         "disableHttp": true,
                         "maxMetaLength": 200,
@@ -246,6 +434,15 @@ module.exports = {
                         "level": "silly"
                     },
                     "scheduler": {
+                        "softDeletePurge": {
+                            "enabled": false,
+                            "cronTime": "1 3 * * *",
+                            "retentionDays": 7,
+                            "logging": {
+                                "state": false,
+                                "debug": false
+                            }
+                        },
                         "example": {
                             "enabled": false,
                             "cronTime": "1 0 * * *",
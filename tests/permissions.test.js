@@ -79,6 +79,17 @@ describe('permissions', () => {
             };
             expect(validatePermissions.bind(null, wrongPermissionsMock, permissionFunctions)).toThrow('nknown action name for permissions[admin][data.user]: unknownActionName');
         });
+        it('should accept the restore and purge actions', () => {
+            const permissionsMock = {
+                'user': {
+                    'data.user': {
+                        'restore': false,
+                        'purge': false
+                    }
+                }
+            };
+            expect(validatePermissions.bind(null, permissionsMock, permissionFunctions)).not.toThrow();
+        });
         it('should throw if the permissions action is a string that\'s not equal to "function"', () => {
             const wrongPermissionsMock = {
                 'admin': {
@@ -109,6 +120,26 @@ describe('permissions', () => {
             };
             expect(validatePermissions.bind(null, wrongPermissionsMock, permissionFunctions)).toThrow('nknown value type');
         });
+        it('should validate the field-level permissions', () => {
+            const permissionsMock = {
+                'user': {
+                    'data.user': {
+                        'get': {'permission': 'function', 'fields': ['username', 'role']},
+                        'update': {'permission': true, 'fields': ['username']}
+                    }
+                }
+            };
+            expect(validatePermissions.bind(null, permissionsMock, permissionFunctionsMock)).not.toThrow();
+            permissionsMock.user['data.user'].update.fields = ['notExistingField'];
+            expect(validatePermissions.bind(null, permissionsMock, permissionFunctionsMock)).toThrow('Unknown field');
+            permissionsMock.user['data.user'].update = {'permission': true, 'fields': 'username'};
+            expect(validatePermissions.bind(null, permissionsMock, permissionFunctionsMock)).toThrow('isn\'t an array of strings');
+            permissionsMock.user['data.user'].update = {'permission': 'wrongStringValue', 'fields': ['username']};
+            expect(validatePermissions.bind(null, permissionsMock, permissionFunctionsMock)).toThrow('nknown value for permissions[user][data.user][update]');
+            delete permissionsMock.user['data.user'].update;
+            permissionsMock.user['data.user'].delete = {'permission': true, 'fields': ['username']};
+            expect(validatePermissions.bind(null, permissionsMock, permissionFunctionsMock)).toThrow('Fields can\'t be defined');
+        });
     });
     describe('check', () => {
         beforeAll(() => {
@@ -154,6 +185,19 @@ describe('permissions', () => {
                 user: userMock
             })).toBe(true);
         });
+        it('should check the field-level permissions and return their fields', () => {
+            const userMock = testH.userMocks.basic();
+            permissions.__private.permissionsJson = {
+                'admin': {'data.user': '*'},
+                'user': {'data.user': {'get': {'permission': 'function', 'fields': ['username']}, 'add': false}}
+            };
+            expect(permissions.check(userMock.role, 'data.user', 'get', {data: {id: userMock._id}, user: userMock})).toBe(true);
+            expect(permissions.check(userMock.role, 'data.user', 'get', {data: {id: 'randomId'}, user: userMock})).toBe(false);
+            expect(permissions.getFields(userMock.role, 'data.user', 'get')).toEqual(['username']);
+            expect(permissions.getFields(userMock.role, 'data.user', 'add')).toEqual(null);
+            expect(permissions.getFields('admin', 'data.user', 'get')).toEqual(null);
+            permissions.__private.permissionsJson = permissionsJsonMock;
+        });
         it('should detect function-based configuration errors', () => {
             expect(validatePermissions.bind(null, permissionsJsonMock, permissionFunctionsMock)).not.toThrow();
             //Clone
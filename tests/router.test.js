@@ -30,6 +30,7 @@ describe('router', () => {
         //Close the connections
         runningServer.bundle.ioServer.close();
         db.mongoose.connection.close();
+        require('../app/router/rateLimit').destroy();
     });
     
     describe('/api/signup', () => {
@@ -204,6 +205,102 @@ describe('router', () => {
             expect(res.body.error).toBeFalsy();
             expect(res.body.data.length > 0).toBeTruthy();
         });
+        it('should return paging metadata and apply the query when GETting all users (admin)', async () => {
+            let res = await supertest(app)
+                .get('/api/user?limit=1&sort=-username')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(200);
+            expect(res.body.status).toEqual(true);
+            expect(res.body.data.length).toEqual(1);
+            expect(res.body.paging.limit).toEqual(1);
+            expect(res.body.paging.total > 1).toBeTruthy();
+            expect(typeof res.body.paging.nextCursor).toEqual('string');
+            res = await supertest(app)
+                .get(`/api/user?filter[username]=${mockUser1.username}`)
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(200);
+            expect(res.body.data.length).toEqual(1);
+            expect(res.body.data[0].username).toEqual(mockUser1.username);
+        });
+        it('should return 400 when the query is wrong (admin)', async () => {
+            const res = await supertest(app)
+                .get('/api/user?filter[password]=abc')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(400);
+            expect(res.body.status).toEqual(false);
+            expect(res.body.error).toEqual('Filtering by password is not allowed');
+            expect(res.body.code).toEqual('INVALID_QUERY');
+        });
+        it('should only find the users that can be read when searching', async () => {
+            await db.models['data.user'].ensureIndexes();
+            const res = await supertest(app)
+                .get('/api/user/search')
+                .query({q: `${mockUser1.username} ${mockUserAdmin.username}`})
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(200);
+            expect(res.body.data.length).toEqual(2);
+            expect(res.body.paging).toHaveProperty('nextOffset', null);
+            const userRoutes = runningServer.backend.router.__private.generateModelRoutes('data.user');
+            expect(typeof userRoutes.get['/api/user/search']).toEqual('function');
+        });
+        it('should export users as NDJSON and CSV (admin)', async () => {
+            let res = await supertest(app)
+                .get('/api/user/export')
+                .query({filter: {username: mockUser1.username}})
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect('Content-Type', /application\/x-ndjson/)
+                .expect(200);
+            const lines = res.text.split('\n').filter((line) => line.length > 0);
+            expect(lines.length).toEqual(1);
+            expect(JSON.parse(lines[0]).username).toEqual(mockUser1.username);
+            expect(JSON.parse(lines[0])).not.toHaveProperty('password');
+            res = await supertest(app)
+                .get('/api/user/export')
+                .query({format: 'csv', filter: {username: mockUser1.username}})
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect('Content-Type', /text\/csv/)
+                .expect('Content-Disposition', 'attachment; filename="user.csv"')
+                .expect(200);
+            const rows = res.text.split('\r\n').filter((row) => row.length > 0);
+            expect(rows[0].split(',')).toContain('username');
+            expect(rows[0].split(',')).not.toContain('password');
+            expect(rows.length).toEqual(2);
+            await supertest(app)
+                .get('/api/user/export')
+                .query({format: 'xml'})
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(400);
+        });
+        it('should validate and import users from CSV (admin)', async () => {
+            const csv = 'username,password\r\nimportedmockuser1,secret\r\ninvalid user,secret\r\nimportedmockuser2,secret\r\n';
+            let res = await supertest(app)
+                .post('/api/user/import?dryRun=true')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .set('Content-Type', 'text/csv')
+                .send(csv)
+                .expect(200);
+            expect(res.body.status).toEqual(true);
+            expect(res.body.data).toEqual(expect.objectContaining({dryRun: true, total: 3, valid: 2, inserted: 0, failed: 1}));
+            expect(res.body.data.rejected[0]).toEqual(expect.objectContaining({row: 2, status: 'failed'}));
+            expect(await db.models['data.user'].countDocuments({username: /^importedmockuser/})).toEqual(0);
+            res = await supertest(app)
+                .post('/api/user/import')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .set('Content-Type', 'text/csv')
+                .send(csv)
+                .expect(200);
+            expect(res.body.data).toEqual(expect.objectContaining({dryRun: false, inserted: 2, failed: 1}));
+            const imported = await db.models['data.user'].find({username: /^importedmockuser/}).select('+password').lean();
+            expect(imported.length).toEqual(2);
+            expect(imported[0].password).not.toEqual('secret');
+            await db.models['data.user'].deleteMany({username: /^importedmockuser/});
+            await supertest(app)
+                .post('/api/user/import?format=xml')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .set('Content-Type', 'text/plain')
+                .send('abc')
+                .expect(400);
+        });
         it('should not allow to GET another user with a valid token (non-admin)', async () => {
             const res = await supertest(app)
                 .get(`/api/user/${mockUser1._id}`)
@@ -228,6 +325,35 @@ describe('router', () => {
                 .send({data: {username: mockUser1.username}})
                 .expect(200);
         });
+        it('should send an ETag, answer If-None-Match with 304 and reject stale If-Match updates with 412', async () => {
+            let res = await supertest(app)
+                .get(`/api/user/${mockUser1Payload._id}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(200);
+            const etag = res.headers.etag;
+            expect(etag).toEqual(`"${res.body.data.__v}"`);
+            await supertest(app)
+                .get(`/api/user/${mockUser1Payload._id}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .set('If-None-Match', etag)
+                .expect(304);
+            res = await supertest(app)
+                .patch(`/api/user/${mockUser1Payload._id}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .set('If-Match', etag)
+                .send({data: {username: mockUser2.username}})
+                .expect(200);
+            expect(res.headers.etag).not.toEqual(etag);
+            //The ETag is stale now
+            res = await supertest(app)
+                .patch(`/api/user/${mockUser1Payload._id}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .set('If-Match', etag)
+                .send({data: {username: mockUser1.username}})
+                .expect(412);
+            expect(res.body.status).toEqual(false);
+            expect(res.body.code).toEqual('VERSION_MISMATCH');
+        });
         it('should hash the password when PATCHing the current user with a valid token', async () => {
             const res = await supertest(app)
                 .patch(`/api/user/${mockUser1Payload._id}`)
@@ -254,19 +380,19 @@ describe('router', () => {
             expect(res.body.error).toEqual('Access violation error');
         });
         it('should not allow to PATCH the current user\'r role with a valid token', async () => {
-            const res = await supertest(app)
+            let res = await supertest(app)
                 .patch(`/api/user/${mockUser1Payload._id}`)
                 .set('Authorization', `Bearer ${mockUser1Token}`)
                 .send({data: {role: 'admin', username: mockUser1.username}})
+                .expect(401);
+            expect(res.body.status).toEqual(false);
+            expect(res.body.code).toEqual('FIELD_NOT_WRITABLE');
+            expect(res.body.details).toEqual([{field: 'role', rule: 'writable', message: expect.any(String)}]);
+            res = await supertest(app)
+                .get(`/api/user/${mockUser1Payload._id}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
                 .expect(200);
-            expect(res.body.status).toEqual(true);
-            expect(res.body.data).toHaveProperty('role');
             expect(res.body.data.role).toEqual('user');
-            await supertest(app)
-                .patch(`/api/user/${mockUser1Payload._id}`)
-                .set('Authorization', `Bearer ${mockUser1Token}`)
-                .send({data: {role: 'admin'}})
-                .expect(500);
         });
         it('should not allow to PATCH another user with a valid token (non-admin)', async () => {
             const res = await supertest(app)
@@ -288,13 +414,206 @@ describe('router', () => {
             expect(res.body.data).toHaveProperty('username');
             expect(res.body.data.username).toEqual(mockUser1.username);
         });
+        it('should allow to POST a new user with a hashed password (admin)', async () => {
+            const res = await supertest(app)
+                .post('/api/user')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .send({data: {username: mockUser2.username, password: mockUser2.password}})
+                .expect(200);
+            expect(res.body.status).toEqual(true);
+            expect(res.body.data.username).toEqual(mockUser2.username);
+            expect(res.body.data).not.toHaveProperty('password');
+            const user = await db.models['data.user'].findOne({username: mockUser2.username}).select('+password').lean();
+            expect(h.isValidPassword({hashedPassword: user.password, cleartextPassword: mockUser2.password})).toBe(true);
+        });
+        it('should return 422 with field-level details when the new user is invalid (admin)', async () => {
+            let res = await supertest(app)
+                .post('/api/user')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .send({data: {username: '[]@_'}})
+                .expect(422);
+            expect(res.body.status).toEqual(false);
+            expect(res.body.code).toEqual('VALIDATION_FAILED');
+            expect(res.body.details).toEqual(expect.arrayContaining([
+                {field: 'username', rule: 'match', message: expect.any(String)},
+                {field: 'password', rule: 'required', message: expect.any(String)}
+            ]));
+            res = await supertest(app)
+                .patch(`/api/user/${mockUser1Payload._id}`)
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .send({data: {username: '[]@_'}})
+                .expect(422);
+            expect(res.body.details).toEqual([{field: 'username', rule: 'match', message: expect.any(String)}]);
+            res = await supertest(app)
+                .post('/api/user')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .send({data: {username: mockUser1.username, password: 'password'}})
+                .expect(409);
+            expect(res.body.code).toEqual('DUPLICATE_KEY');
+            expect(res.body.details).toEqual([{field: 'username', rule: 'unique', message: expect.any(String)}]);
+        });
+        it('should not allow to POST a new user with a valid token (non-admin)', async () => {
+            const res = await supertest(app)
+                .post('/api/user')
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .send({data: {username: mockUser2.username, password: mockUser2.password}})
+                .expect(401);
+            expect(res.body.status).toEqual(false);
+        });
+        it('should allow to POST, PATCH and DELETE users in batches and report per-item results (admin)', async () => {
+            let res = await supertest(app)
+                .post('/api/user/batch')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .send({data: [{username: mockUser2.username, password: mockUser2.password}, {username: '[]@_', password: 'password'}]})
+                .expect(200);
+            expect(res.body.data.succeeded).toEqual(1);
+            expect(res.body.data.failed).toEqual(1);
+            expect(res.body.data.results[0].status).toEqual(true);
+            expect(res.body.data.results[1].status).toEqual(false);
+            const newUserId = res.body.data.results[0].id;
+            res = await supertest(app)
+                .patch('/api/user/batch')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .send({filter: {username: mockUser2.username}, data: {role: 'admin'}})
+                .expect(200);
+            expect(res.body.data.succeeded).toEqual(1);
+            expect(res.body.data.results[0].id).toEqual(newUserId);
+            expect(res.body.data.results[0].data.role).toEqual('admin');
+            res = await supertest(app)
+                .delete('/api/user/batch')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .send({ids: [newUserId, mockUser1._id]})
+                .expect(200);
+            expect(res.body.data.succeeded).toEqual(1);
+            expect(res.body.data.failed).toEqual(1);
+        });
+        it('should allow to list, restore and purge soft-deleted users (admin)', async () => {
+            await supertest(app)
+                .delete(`/api/user/${mockUser1Payload._id}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(200);
+            //The token of a deleted user can't be used anymore
+            await supertest(app)
+                .get(`/api/user/${mockUser1Payload._id}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(401);
+            let res = await supertest(app)
+                .get('/api/user/deleted')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(200);
+            expect(res.body.data.map((user) => user._id)).toContain(mockUser1Payload._id);
+            res = await supertest(app)
+                .post(`/api/user/${mockUser1Payload._id}/restore`)
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(200);
+            expect(res.body.data.deleted).toEqual(false);
+            await supertest(app)
+                .delete(`/api/user/${mockUser1Payload._id}`)
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(200);
+            await supertest(app)
+                .delete(`/api/user/${mockUser1Payload._id}/purge`)
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(200);
+            expect(await db.models['data.user'].findById(mockUser1Payload._id)).toEqual(null);
+        });
+        it('should allow to attach files to users and download them', async () => {
+            let res = await supertest(app)
+                .post(`/api/user/${mockUser1Payload._id}/attachments`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .attach('file', Buffer.from('attachment contents'), {filename: 'notes.txt', contentType: 'text/plain'})
+                .expect(200);
+            expect(res.body.data).toEqual([expect.objectContaining({filename: 'notes.txt', contentType: 'text/plain', size: 19, uploadedBy: mockUser1Payload._id})]);
+            const attachmentId = res.body.data[0]._id;
+            res = await supertest(app)
+                .get(`/api/user/${mockUser1Payload._id}/attachments`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(200);
+            expect(res.body.data.map((attachment) => attachment._id)).toEqual([attachmentId]);
+            res = await supertest(app)
+                .get(`/api/user/${mockUser1Payload._id}/attachments/${attachmentId}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .buffer(true)
+                .expect('Content-Type', /text\/plain/)
+                .expect('Accept-Ranges', 'bytes')
+                .expect(200);
+            expect(res.text).toEqual('attachment contents');
+            res = await supertest(app)
+                .get(`/api/user/${mockUser1Payload._id}/attachments/${attachmentId}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .set('Range', 'bytes=11-18')
+                .buffer(true)
+                .expect('Content-Range', 'bytes 11-18/19')
+                .expect(206);
+            expect(res.text).toEqual('contents');
+            await supertest(app)
+                .get(`/api/user/${mockUser1Payload._id}/attachments/${attachmentId}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .set('Range', 'bytes=100-')
+                .expect('Content-Range', 'bytes */19')
+                .expect(416);
+            await supertest(app)
+                .delete(`/api/user/${mockUser1Payload._id}/attachments/${attachmentId}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(200);
+            res = await supertest(app)
+                .get(`/api/user/${mockUser1Payload._id}/attachments/${attachmentId}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(404);
+            expect(res.body.code).toEqual('NOT_FOUND');
+            const entries = await db.models['log.audit'].find({documentId: mockUser1Payload._id, action: {$in: ['attach', 'detach']}}).sort({createdAt: 1, _id: 1}).lean();
+            expect(entries.map(({action, username, changes}) => ({action, username, changes}))).toEqual([
+                {action: 'attach', username: mockUser1Payload.username, changes: [{path: `attachments.${attachmentId}`, before: null, after: 'notes.txt'}]},
+                {action: 'detach', username: mockUser1Payload.username, changes: [{path: `attachments.${attachmentId}`, before: 'notes.txt', after: null}]}
+            ]);
+        });
+        it('should reject attachments with types that aren\'t allowed', async () => {
+            const res = await supertest(app)
+                .post(`/api/user/${mockUser1Payload._id}/attachments`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .attach('file', Buffer.from('MZ'), {filename: 'setup.exe', contentType: 'application/x-msdownload'})
+                .expect(415);
+            expect(res.body.code).toEqual('UNSUPPORTED_MEDIA_TYPE');
+        });
+        it('should reject batch requests without a list of ids or a filter (admin)', async () => {
+            const res = await supertest(app)
+                .delete('/api/user/batch')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(400);
+            expect(res.body.status).toEqual(false);
+        });
         it('should not allow to PATCH a user with a valid token (admin) and missing mandatory arguments', async () => {
             const res = await supertest(app)
                 .patch(`/api/user/${mockUser1Payload._id}`)
                 .set('Authorization', `Bearer ${mockUserAdminToken}`)
                 .expect(400);
             expect(res.body.status).toEqual(false);
-            expect(res.body.error).toBe('Something went wrong while performing an API call: Incorrect or incomplete arguments');
+            expect(res.body.code).toEqual('INVALID_REQUEST');
+            expect(res.body.details).toEqual([expect.objectContaining({field: 'body', rule: 'contentType'})]);
+        });
+        it('should list every violation of the request schemas', async () => {
+            let res = await supertest(app)
+                .post('/api/user/batch')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .send({data: [{username: 'a'}, 'b'], atomic: 'yes'})
+                .expect(400);
+            expect(res.body.code).toEqual('INVALID_REQUEST');
+            expect(res.body.details).toEqual([
+                expect.objectContaining({field: 'body.data.1', rule: 'type'}),
+                expect.objectContaining({field: 'body.atomic', rule: 'type'})
+            ]);
+            res = await supertest(app)
+                .get('/api/user')
+                .query({limit: 0, filter: 'abc'})
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .expect(400);
+            expect(res.body.details.map(({field}) => field)).toEqual(['query.limit', 'query.filter']);
+            res = await supertest(app)
+                .post('/api/user')
+                .set('Authorization', `Bearer ${mockUserAdminToken}`)
+                .send({})
+                .expect(400);
+            expect(res.body.details).toEqual([{field: 'body.data', rule: 'required', message: 'body.data is required'}]);
         });
         it('should not allow to DELETE all the users with a valid token', async () => {
             const res = await supertest(app)
@@ -322,6 +641,262 @@ describe('router', () => {
             expect(res.body.error).toBeFalsy();
         });
     });
+    describe('generated model routes', () => {
+        it('should generate routes for every action of the given model', () => {
+            const schemaMock = testH.mongooseMocks.schema.basic(db);
+            const modelRoutes = runningServer.backend.router.__private.generateModelRoutes(schemaMock.modelName);
+            expect(Object.keys(modelRoutes.get)).toEqual(['/api/test/basicModel/:id([a-fA-F0-9]{24})?', '/api/test/basicModel/export']);
+            expect(Object.keys(modelRoutes.post)).toEqual(['/api/test/basicModel', '/api/test/basicModel/batch', '/api/test/basicModel/import']);
+            expect(Object.keys(modelRoutes.patch)).toEqual(['/api/test/basicModel/batch', '/api/test/basicModel/:id([a-fA-F0-9]{24})']);
+            expect(Object.keys(modelRoutes.delete)).toEqual(['/api/test/basicModel/batch', '/api/test/basicModel/:id([a-fA-F0-9]{24})']);
+        });
+        it('should let the custom routes take precedence over the generated ones', () => {
+            const router = runningServer.backend.router.__private;
+            const customRoutes = {
+                patch: {'/api/user/:id([a-fA-F0-9]{24})': () => {}},
+                post: {'/api/user/batch': () => {}}
+            };
+            const mergedRoutes = router.mergeModelRoutes(customRoutes);
+            expect(mergedRoutes.patch['/api/user/:id([a-fA-F0-9]{24})']).toBe(customRoutes.patch['/api/user/:id([a-fA-F0-9]{24})']);
+            expect(mergedRoutes.post['/api/user/batch']).toBe(customRoutes.post['/api/user/batch']);
+            expect(mergedRoutes.get['/api/audit']).toBe(undefined);
+            expect(typeof mergedRoutes.get['/api/user/:id([a-fA-F0-9]{24})?']).toEqual('function');
+            expect(typeof mergedRoutes.delete['/api/user/:id([a-fA-F0-9]{24})']).toEqual('function');
+        });
+    });
+    describe('openapi', () => {
+        it('should convert express paths into OpenAPI paths', () => {
+            const openapi = require('../app/router/openapi');
+            expect(openapi.__private.convertPath('/api/user/:id([a-fA-F0-9]{24})?')).toEqual([
+                {path: '/api/user', parameters: []},
+                {path: '/api/user/{id}', parameters: [{name: 'id', pattern: '^[a-fA-F0-9]{24}$'}]}
+            ]);
+            expect(openapi.__private.convertPath('/api/user/:id([a-fA-F0-9]{24})/restore')).toEqual([
+                {path: '/api/user/{id}/restore', parameters: [{name: 'id', pattern: '^[a-fA-F0-9]{24}$'}]}
+            ]);
+        });
+        it('should document the registered routes with the models\' schemas', () => {
+            const openapi = require('../app/router/openapi');
+            const router = runningServer.backend.router.__private;
+            const document = openapi.generate(router.mergeModelRoutes(router.routes));
+            expect(document.openapi).toEqual('3.0.3');
+            expect(Object.keys(document.paths['/api/user'])).toEqual(['get', 'post']);
+            expect(Object.keys(document.paths['/api/user/{id}'])).toEqual(['get', 'patch', 'delete']);
+            expect(document.paths['/api/audit'].get.tags).toEqual(['log.audit']);
+            expect(Object.keys(document.paths['/api/user/{id}/attachments/{attachmentId}'])).toEqual(['get', 'delete']);
+            expect(document.paths['/api/user/{id}/attachments'].post.requestBody.content).toHaveProperty('multipart/form-data');
+            //Every route in the routes object requires a token, except for signing in and up
+            expect(document.security).toEqual([{bearerAuth: []}]);
+            expect(document.paths['/api/signin'].post.security).toEqual([]);
+            expect(document.paths['/api/user'].get.security).toBe(undefined);
+            //Fields that aren't selected by default can be written, but they're never returned
+            expect(document.components.schemas['data.user'].properties).not.toHaveProperty('password');
+            expect(document.components.schemas['data.user.input'].required).toEqual(['username', 'password']);
+            expect(document.components.schemas['data.user.input'].properties).not.toHaveProperty('tenant');
+            const update = document.paths['/api/user/{id}'].patch;
+            expect(update.requestBody.content['application/json'].schema.properties.data).toEqual({$ref: '#/components/schemas/data.user.update'});
+            expect(update.requestBody.content['application/json-patch+json'].schema).toEqual({$ref: '#/components/schemas/JsonPatch'});
+            //The responses are wrapped in the envelope
+            expect(update.responses['200'].content['application/json'].schema.allOf[0]).toEqual({$ref: '#/components/schemas/Response'});
+            expect(document.paths['/api/user'].get.responses['200'].content['application/json'].schema.allOf[1].required).toEqual(['paging']);
+        });
+        it('should serve the document and the viewer without authentication', async () => {
+            let res = await supertest(app)
+                .get('/api/docs/openapi.json')
+                .expect(200);
+            expect(res.body.openapi).toEqual('3.0.3');
+            expect(res.body.paths).toHaveProperty('/api/v1/user/{id}');
+            res = await supertest(app)
+                .get('/api/v2/docs/openapi.json')
+                .expect(200);
+            expect(res.body.paths).toHaveProperty('/api/v2/user/{id}');
+            res = await supertest(app)
+                .get('/api/docs')
+                .expect('Content-Type', /html/)
+                .expect(200);
+            expect(res.text).toContain('/api/v1/docs/openapi.json');
+        });
+    });
+    describe('versions', () => {
+        it('should inherit the routes of the previous versions', () => {
+            const versions = require('../app/router/versions');
+            const audit = () => {};
+            const auditV2 = () => {};
+            const user = () => {};
+            const resolved = versions.resolve([
+                {name: 'v1', routes: {get: {'/api/audit': audit, '/api/user': user}, post: {'/api/user': user}}},
+                {name: 'v2', routes: {get: {'/api/audit': auditV2}, post: {'/api/user': null}, delete: {'/api/user': user}}},
+                {name: 'v3', routes: {}}
+            ]);
+            expect(resolved.map(({name}) => name)).toEqual(['v1', 'v2', 'v3']);
+            expect(resolved[0].routes).toEqual({get: {'/api/v1/audit': audit, '/api/v1/user': user}, post: {'/api/v1/user': user}});
+            expect(resolved[1].routes).toEqual({get: {'/api/v2/audit': auditV2, '/api/v2/user': user}, post: {}, delete: {'/api/v2/user': user}});
+            expect(resolved[2].routes.get['/api/v3/audit']).toBe(auditV2);
+            expect(() => versions.resolve([{name: 'v1', routes: {}}, {name: 'v1', routes: {}}])).toThrow();
+            expect(() => versions.resolve([{name: 'latest', routes: {}}])).toThrow();
+        });
+        it('should parse the requested versions', () => {
+            const parseVersion = require('../app/router/versions').__private.parseVersion;
+            expect(parseVersion('v2')).toEqual('v2');
+            expect(parseVersion(' V2 ')).toEqual('v2');
+            expect(parseVersion('2')).toEqual('v2');
+            expect(parseVersion('latest')).toBe(null);
+        });
+        it('should apply the unversioned ACL rules to every version', () => {
+            const versionRules = require('../app/acl').__private.versionRules;
+            const rules = versionRules([{group: 'user', permissions: [
+                {resource: '/api/v2/audit', methods: '*', action: 'allow'},
+                {resource: '/api/audit', methods: '*', action: 'deny'},
+                {resource: '*', methods: '*', action: 'allow'}
+            ]}]);
+            expect(rules[0].permissions.map(({resource}) => resource)).toEqual(['/api/v2/audit', '/api/v[0-9]+/audit', '*']);
+        });
+        it('should negotiate the versions and announce the deprecated ones', async () => {
+            let res = await supertest(app)
+                .post('/api/signup')
+                .send({username: mockUser1.username, password: mockUser1.password})
+                .expect(200);
+            const mockUser1Token = res.body.data;
+            //The unversioned paths are served by the default version unless the header selects another one
+            res = await supertest(app)
+                .get('/api/user')
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(401);
+            expect(res.headers['api-version']).toEqual('v1');
+            expect(res.headers.vary).toContain('Accept-Version');
+            expect(res.headers.deprecation).toEqual(new Date('2026-10-01T00:00:00Z').toUTCString());
+            expect(res.headers.sunset).toEqual(new Date('2027-04-01T00:00:00Z').toUTCString());
+            expect(res.headers.link).toEqual('<https://example.com/api/migrating-to-v2>; rel="deprecation"');
+            //The versioned ACL rules still deny the access
+            res = await supertest(app)
+                .get('/api/user')
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .set('Accept-Version', '2')
+                .expect(401);
+            expect(res.headers['api-version']).toEqual('v2');
+            expect(res.headers.deprecation).toBe(undefined);
+            await supertest(app)
+                .get('/api/v2/user')
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(401);
+            res = await supertest(app)
+                .get(`/api/v2/user/${jwt.decode(mockUser1Token)._id}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(200);
+            expect(res.headers['api-version']).toEqual('v2');
+            expect(res.body.data.username).toEqual(mockUser1.username);
+            //Unknown versions
+            res = await supertest(app)
+                .get('/api/v9/user')
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(404);
+            expect(res.body.code).toEqual('UNKNOWN_API_VERSION');
+            res = await supertest(app)
+                .get('/api/user')
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .set('Accept-Version', 'latest')
+                .expect(400);
+            expect(res.body.code).toEqual('UNKNOWN_API_VERSION');
+        });
+    });
+    describe('rate limits', () => {
+        it('should find the policies of the requests', () => {
+            const matchPolicies = require('../app/router/rateLimit').__private.matchPolicies;
+            const policies = [
+                {name: 'signin', path: '/api/signin', methods: ['POST'], by: 'ip', limit: 10, window: 60},
+                {name: 'api', path: '/api/*', by: 'user', limit: 100, window: 60},
+                {name: 'user', path: '/api/user', methods: '*', by: 'ip', limit: 10, window: 60}
+            ];
+            expect(matchPolicies({policies, method: 'post', path: '/api/signin', authenticated: false}).map(({name}) => name)).toEqual(['signin']);
+            expect(matchPolicies({policies, method: 'GET', path: '/api/signin', authenticated: false})).toEqual([]);
+            expect(matchPolicies({policies, method: 'GET', path: '/api/v2/user', authenticated: true}).map(({name}) => name)).toEqual(['api', 'user']);
+            expect(matchPolicies({policies, method: 'GET', path: '/api/v2/user/abc', authenticated: true}).map(({name}) => name)).toEqual(['api']);
+        });
+        it('should count the requests in fixed windows', () => {
+            const getWindow = require('../app/router/rateLimit').__private.getWindow;
+            const policy = {name: 'api', window: 60};
+            expect(getWindow(policy, '127.0.0.1', 120000)).toEqual({key: 'ratelimit:api:127.0.0.1:2', reset: 60});
+            expect(getWindow(policy, '127.0.0.1', 179500)).toEqual({key: 'ratelimit:api:127.0.0.1:2', reset: 1});
+        });
+        it('should use the default options and pass the unexpected errors to express', async () => {
+            const rateLimit = require('../app/router/rateLimit');
+            const config = require('../app/config');
+            const options = config.api.rateLimit;
+            const next = jest.fn();
+            delete config.api.rateLimit;
+            expect(rateLimit.__private.getOptions()).toEqual({enabled: false, redisDb: 0, exemptRoles: [], policies: []});
+            await rateLimit.limit({method: 'GET', path: '/api/audit'}, {}, next);
+            expect(next).toHaveBeenLastCalledWith();
+            config.api.rateLimit = Object.assign({}, options, {enabled: true, policies: null});
+            await rateLimit.limit({method: 'GET', path: '/api/audit'}, {}, next);
+            expect(next).toHaveBeenLastCalledWith(expect.any(Error));
+            config.api.rateLimit = options;
+        });
+        it('should reject the requests over the limit', async () => {
+            //Every request must fall into the same window, even if the test runs at the end of a minute
+            const now = Date.now();
+            const dateNowSpy = jest.spyOn(Date, 'now').mockReturnValue(now - now % 60000);
+            let res = await supertest(app)
+                .post('/api/signup')
+                .send({username: mockUser1.username, password: mockUser1.password})
+                .expect(200);
+            expect(res.headers).toHaveProperty('ratelimit-limit', '10000');
+            const mockUser1Token = res.body.data;
+            res = await supertest(app)
+                .get('/api/audit')
+                .set('Authorization', `Bearer ${mockUser1Token}`);
+            expect(res.headers).toHaveProperty('ratelimit-limit', '2');
+            expect(res.headers).toHaveProperty('ratelimit-remaining', '1');
+            res = await supertest(app)
+                .get('/api/v2/audit')
+                .set('Authorization', `Bearer ${mockUser1Token}`);
+            expect(res.headers).toHaveProperty('ratelimit-remaining', '0');
+            res = await supertest(app)
+                .get('/api/audit')
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(429);
+            expect(res.body.code).toEqual('RATE_LIMITED');
+            expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+            //Other routes and the exempt roles aren't limited
+            res = await supertest(app)
+                .get(`/api/user/${jwt.decode(mockUser1Token)._id}`)
+                .set('Authorization', `Bearer ${mockUser1Token}`)
+                .expect(200);
+            expect(res.headers).not.toHaveProperty('ratelimit-limit');
+            dateNowSpy.mockRestore();
+        });
+    });
+    describe('validateRequest', () => {
+        const validateRequest = require('../app/router/middleware/validateRequest');
+        const logger = require('../app/logger').appLogger;
+        it('should check the route params and log the invalid requests as verbose', () => {
+            const middleware = validateRequest({params: {type: 'object', required: ['id'], properties: {id: {type: 'string', pattern: '^[a-fA-F0-9]{24}$'}}}});
+            const verboseSpy = jest.spyOn(logger, 'verbose');
+            const errorSpy = jest.spyOn(logger, 'error');
+            const res = {status: jest.fn(() => res), jsonp: jest.fn()};
+            const next = jest.fn();
+            middleware({method: 'GET', url: '/api/user/abc', params: {id: 'abc'}, query: {}}, res, next);
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.jsonp.mock.calls[0][0]).toMatchObject({status: false, code: 'INVALID_REQUEST', details: [{field: 'params.id', rule: 'pattern'}]});
+            expect(verboseSpy).toHaveBeenCalled();
+            expect(errorSpy).not.toHaveBeenCalled();
+            middleware({method: 'GET', url: `/api/user/${testH.userMocks.basic()._id}`, params: {id: String(testH.userMocks.basic()._id)}, query: {}}, res, next);
+            expect(next).toHaveBeenCalledTimes(1);
+            verboseSpy.mockRestore();
+            errorSpy.mockRestore();
+        });
+    });
+    describe('parseIfMatch', () => {
+        it('should parse strong ETags into versions', () => {
+            const parseIfMatch = runningServer.backend.router.__private.parseIfMatch;
+            expect(parseIfMatch('"3"')).toEqual([3]);
+            expect(parseIfMatch('"3", "4"')).toEqual([3, 4]);
+            expect(parseIfMatch('W/"3", "abc"')).toEqual([]);
+            expect(parseIfMatch('*')).toBe(null);
+            expect(parseIfMatch(undefined)).toBe(null);
+        });
+    });
     it('should return 404 for non-existing routes', async () => {
         const nonExistingRouteMock = '/nonExistingRoute';
         let res = await supertest(app)
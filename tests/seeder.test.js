@@ -0,0 +1,52 @@
+'use strict';
+
+const seeder = require('../app/seeder');
+const fake = require('../app/seeder/fake');
+const db = require('../app/db').mongo;
+
+describe('seeder', () => {
+    const cleanE2eUsers = async () => {
+        await db.models['data.user'].deleteMany({username: {$in: ['e2e_admin', 'e2e_user']}});
+    };
+
+    afterAll(async () => {
+        await cleanE2eUsers();
+        db.mongoose.connection.close();
+    });
+
+    it('should generate deterministic fake documents that pass the schema validation', () => {
+        const user = fake.generate({model: db.models['data.user'], index: 1});
+        expect(user).toEqual({username: expect.stringMatching(/^[a-z]+_1$/), password: expect.any(String)});
+        expect(fake.generate({model: db.models['data.user'], index: 1})).toEqual(user);
+        expect(fake.generate({model: db.models['data.user'], index: 2}).username).not.toEqual(user.username);
+        expect(fake.generate({model: db.models['data.tenant'], index: 3}).subdomain).toMatch(/^[a-z0-9-]+$/);
+        //The paths with default values are left to mongoose
+        const documentId = db.mongoose.Types.ObjectId().toString();
+        const audit = fake.generate({model: db.models['log.audit'], index: 1, refIds: {actor: [documentId], documentId: [documentId]}});
+        expect(audit).toMatchObject({documentId, model: expect.any(String), action: expect.any(String)});
+        expect(audit).not.toHaveProperty('actor');
+        expect(fake.generate.bind(null, {model: db.models['log.audit'], index: 1})).toThrow('documentId');
+    });
+    it('should load the seed sets and order the fixtures by their references', async () => {
+        expect(seeder.getSets()).toEqual(expect.arrayContaining(['dev', 'demo', 'e2e']));
+        expect((await seeder.load('demo')).map(({modelName}) => modelName)).toEqual(['data.tenant', 'data.user']);
+        expect(await seeder.load('e2e')).toEqual([{modelName: 'data.user', key: ['username'], documents: expect.any(Array), fake: 0, tenant: undefined}]);
+        await expect(seeder.load('unknown')).rejects.toThrow('Unknown seed set');
+    });
+    it('should reject the wrong fixtures', () => {
+        const validateFixture = seeder.__private.validateFixture;
+        expect(validateFixture({key: ['username']}, 'data.user.json')).toEqual({modelName: 'data.user', key: ['username'], documents: [], fake: 0, tenant: undefined});
+        expect(validateFixture.bind(null, {key: []}, 'data.user.json')).toThrow('key');
+        expect(validateFixture.bind(null, {key: ['username'], documents: {}}, 'data.user.json')).toThrow('documents');
+        expect(validateFixture.bind(null, {key: ['username'], fake: -1}, 'data.user.json')).toThrow('fake');
+        expect(validateFixture.bind(null, {key: ['username'], tenant: 1}, 'data.user.js')).toThrow('tenant');
+    });
+    it('should add the fixtures only once', async () => {
+        await cleanE2eUsers();
+        expect(await seeder.seed({setName: 'e2e', logging: false})).toEqual({'data.user': {inserted: 2, skipped: 0}});
+        expect(await seeder.seed({setName: 'e2e', logging: false})).toEqual({'data.user': {inserted: 0, skipped: 2}});
+        const admin = await db.models['data.user'].findOne({username: 'e2e_admin'}).select('+password').lean();
+        expect(admin.role).toEqual('admin');
+        expect(admin.password).not.toEqual('e2e_password');
+    });
+});
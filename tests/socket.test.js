@@ -57,6 +57,28 @@ describe('socket', () => {
             done();
         });
     });
+    it('should send the changes of the subscribed models', (done) => {
+        const api = require('../app/api');
+        const mockUser = testH.userMocks.basic();
+        delete mockUser._id;
+        const changesSocket = io(url, {...ioOptions, query: {
+            token
+        }});
+        changesSocket.on('change', (event) => {
+            expect(event.model).toEqual('data.user');
+            expect(event.action).toEqual('add');
+            expect(event.data.username).toEqual(mockUser.username);
+            expect(event.data).not.toHaveProperty('password');
+            changesSocket.disconnect();
+            done();
+        });
+        changesSocket.on('connect', () => {
+            changesSocket.emit('subscribe', {model: 'user'}, (response) => {
+                expect(response.status).toEqual(true);
+                api.controllers['data.user'].add({inputObj: mockUser});
+            });
+        });
+    });
     it('should not accept new socket.io connections with a missing auth token', (done) => {
         socket = io(url, ioOptions);
         socket.on('disconnect', (reason) => {
@@ -74,4 +96,50 @@ describe('socket', () => {
         });
     });
     
-});
\ No newline at end of file
+});
+describe('socket changes', () => {
+    const changes = require('../app/socket/changes');
+    beforeAll(() => {
+        //The permissions are initialized by the router, which isn't loaded here
+        require('../app/permissions').init();
+    });
+    /**
+     * @description creates a fake namespace with the given sockets. Every socket is a member of the given rooms
+     */
+    const createNamespace = (sockets) => {
+        const nsp = {adapter: {rooms: {}}, connected: {}};
+        sockets.forEach(({id, user, rooms}) => {
+            nsp.connected[id] = {id, handshake: {user}, emit: jest.fn()};
+            rooms.forEach((roomName) => {
+                nsp.adapter.rooms[roomName] = nsp.adapter.rooms[roomName] || {sockets: {}};
+                nsp.adapter.rooms[roomName].sockets[id] = true;
+            });
+        });
+        return nsp;
+    };
+    it('should resolve subscriptions by the API path', () => {
+        expect(changes.__private.parseSubscription({model: 'user'})).toEqual({modelName: 'data.user', id: null});
+        expect(changes.__private.parseSubscription({model: 'user', id: '5e2f1b8a9c1d4e3f2a1b0c9d'})).toEqual({modelName: 'data.user', id: '5e2f1b8a9c1d4e3f2a1b0c9d'});
+        expect(changes.__private.parseSubscription.bind(null, {model: 'audit'})).toThrow('Unknown model');
+        expect(changes.__private.parseSubscription.bind(null, {model: 'user', id: 'abc'})).toThrow('Wrong id argument');
+    });
+    it('should deliver changes once per socket and only to the users that can get the document', () => {
+        const admin = testH.userMocks.admin();
+        const user = testH.userMocks.basic();
+        const modelRoom = changes.__private.getRoomName('data.user');
+        const nsp = createNamespace([
+            {id: 'admin', user: admin, rooms: [modelRoom, changes.__private.getRoomName('data.user', user._id)]},
+            {id: 'user', user, rooms: [modelRoom]}
+        ]);
+        const otherEvent = {model: 'data.user', action: 'update', id: admin._id, data: {}, timestamp: new Date().toISOString()};
+        expect(changes.__private.deliver(nsp, otherEvent)).toEqual(1);
+        expect(nsp.connected.user.emit).not.toHaveBeenCalled();
+        const ownEvent = Object.assign({}, otherEvent, {id: user._id});
+        expect(changes.__private.deliver(nsp, ownEvent)).toEqual(2);
+        expect(nsp.connected.admin.emit).toHaveBeenCalledTimes(2);
+        expect(nsp.connected.user.emit).toHaveBeenCalledWith('change', ownEvent);
+        //The changes of other tenants' documents aren't delivered
+        const otherTenantEvent = Object.assign({}, ownEvent, {data: {tenant: db.mongoose.Types.ObjectId().toString()}});
+        expect(changes.__private.deliver(nsp, otherTenantEvent)).toEqual(0);
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const testH = require('./helpers');
+const tenancy = require('../app/tenancy');
+const permissions = require('../app/permissions');
+const api = require('../app/api');
+const db = require('../app/db').mongo;
+
+const generics = api.__private.generics;
+
+describe('tenancy', () => {
+    const tenantIdMock = db.mongoose.Types.ObjectId().toString();
+    const otherTenantIdMock = db.mongoose.Types.ObjectId().toString();
+    const superAdminMock = Object.assign(testH.userMocks.admin(), {role: 'superadmin'});
+
+    afterAll(async () => {
+        await testH.fn.cleanUserMocks(db);
+        db.mongoose.connection.close();
+    });
+
+    it('should extract subdomains of the root domain', () => {
+        const getSubdomain = tenancy.__private.getSubdomain;
+        expect(getSubdomain('acme.localhost')).toEqual('acme');
+        expect(getSubdomain('ACME.localhost')).toEqual('acme');
+        expect(getSubdomain('localhost')).toEqual(null);
+        expect(getSubdomain('acme.otherhost')).toEqual(null);
+        expect(getSubdomain(undefined)).toEqual(null);
+    });
+    it('should scope the requests to the user\'s tenant', () => {
+        const userMock = Object.assign(testH.userMocks.basic(), {tenant: tenantIdMock});
+        expect(tenancy.getScope(userMock)).toEqual(tenantIdMock);
+        expect(tenancy.getScope(userMock, {_id: tenantIdMock, subdomain: 'acme'})).toEqual(tenantIdMock);
+        expect(tenancy.getScope.bind(null, userMock, {_id: otherTenantIdMock, subdomain: 'other'})).toThrow('doesn\'t belong');
+        //Users without a tenant can only access the documents without a tenant
+        expect(tenancy.getScope(testH.userMocks.basic())).toEqual(null);
+        expect(tenancy.getScope(superAdminMock)).toEqual(tenancy.unscoped);
+        expect(tenancy.getScope(superAdminMock, {_id: otherTenantIdMock, subdomain: 'other'})).toEqual(otherTenantIdMock);
+    });
+    it('should check if the user can access the tenant', () => {
+        const userMock = Object.assign(testH.userMocks.basic(), {tenant: tenantIdMock});
+        expect(tenancy.canAccess(userMock, tenantIdMock)).toEqual(true);
+        expect(tenancy.canAccess(userMock, otherTenantIdMock)).toEqual(false);
+        expect(tenancy.canAccess(userMock, null)).toEqual(false);
+        expect(tenancy.canAccess(superAdminMock, otherTenantIdMock)).toEqual(true);
+        expect(tenancy.isInScope({tenant: db.mongoose.Types.ObjectId(tenantIdMock)}, tenantIdMock)).toEqual(true);
+        expect(tenancy.isInScope({}, tenantIdMock)).toEqual(false);
+        expect(tenancy.isInScope({tenant: db.mongoose.Types.ObjectId(tenantIdMock)}, tenancy.unscoped)).toEqual(true);
+        //A missing scope doesn't give access to the tenants
+        expect(tenancy.isInScope({tenant: db.mongoose.Types.ObjectId(tenantIdMock)}, undefined)).toEqual(false);
+        expect(tenancy.isInScope({}, undefined)).toEqual(true);
+    });
+    it('should not allow to access other tenants regardless of the role', () => {
+        permissions.init();
+        const adminMock = Object.assign(testH.userMocks.admin(), {tenant: tenantIdMock});
+        expect(permissions.check(adminMock.role, 'data.user', 'get', {data: {tenant: tenantIdMock}, user: adminMock})).toEqual(true);
+        expect(permissions.check(adminMock.role, 'data.user', 'get', {data: {tenant: otherTenantIdMock}, user: adminMock})).toEqual(false);
+        expect(permissions.check(superAdminMock.role, 'data.user', 'get', {data: {tenant: otherTenantIdMock}, user: superAdminMock})).toEqual(true);
+    });
+    it('should add the tenant path to the models that didn\'t opt out', () => {
+        expect(db.models['data.user'].schema.path('tenant')).toBeTruthy();
+        expect(db.models[tenancy.modelName].schema.path('tenant')).toBeFalsy();
+        expect(db.models['data.user'].find({}).forTenant(tenantIdMock).getFilter()).toEqual({tenant: tenantIdMock});
+        expect(db.models['data.user'].find({}).forTenant(tenancy.unscoped).getFilter()).toEqual({});
+        expect(db.models['data.user'].find({}).forTenant(undefined).getFilter()).toEqual({tenant: null});
+        expect(db.models[tenancy.modelName].find({}).forTenant(tenantIdMock).getFilter()).toEqual({});
+    });
+    it('should isolate the documents of tenants', async () => {
+        await testH.fn.cleanUserMocks(db);
+        const user = await generics.add({modelName: 'data.user', inputObj: testH.userMocks.basic(), tenant: tenantIdMock});
+        //Usernames are unique only within a tenant
+        await expect(generics.add({modelName: 'data.user', inputObj: testH.userMocks.basic(), tenant: otherTenantIdMock})).resolves.toBeTruthy();
+        expect(String(user.tenant)).toEqual(tenantIdMock);
+        expect(await generics.get({id: user._id.toString(), modelName: 'data.user', tenant: tenantIdMock})).toBeTruthy();
+        expect(await generics.get({id: user._id.toString(), modelName: 'data.user', tenant: otherTenantIdMock})).toEqual([]);
+        //The callers that don't pass the tenant can't reach the tenants' documents
+        expect(await generics.get({id: user._id.toString(), modelName: 'data.user'})).toEqual([]);
+        expect(await generics.get({id: user._id.toString(), modelName: 'data.user', tenant: tenancy.unscoped})).toBeTruthy();
+        const {docs} = await generics.get({modelName: 'data.user', query: {filter: {username: testH.userMocks.basic().username}}, tenant: otherTenantIdMock});
+        expect(docs.length).toEqual(1);
+        expect(String(docs[0].tenant)).toEqual(otherTenantIdMock);
+        await expect(generics.update({id: user._id.toString(), modelName: 'data.user', inputObj: {username: testH.userMocks.alt().username}, tenant: otherTenantIdMock})).rejects.toBeTruthy();
+    });
+});